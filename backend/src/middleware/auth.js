@@ -111,11 +111,13 @@ const requireRole = (role) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
     
-    if (req.user.role !== role) {
+    // Supabase keeps custom roles (e.g. admin) in app_metadata
+    const userRole = req.user.app_metadata?.role || req.user.role;
+    if (userRole !== role && req.user.role !== role) {
       return res.status(403).json({ 
         error: 'Insufficient permissions',
         required_role: role,
-        user_role: req.user.role
+        user_role: userRole
       });
     }
     
@@ -0,0 +1,10 @@
+-- 002_document_processing_jobs.sql
+-- Background processing status for uploaded documents
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS processing_status TEXT NOT NULL DEFAULT 'completed'
+    CHECK (processing_status IN ('processing', 'completed', 'failed')),
+  ADD COLUMN IF NOT EXISTS processing_job_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_documents_processing_status
+  ON documents (user_id, processing_status);
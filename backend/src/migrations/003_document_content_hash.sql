@@ -0,0 +1,12 @@
+-- 003_document_content_hash.sql
+-- SHA-256 of the uploaded file, used to detect duplicate uploads and share analysis
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_user_content_hash
+  ON documents (user_id, content_hash);
+
+CREATE INDEX IF NOT EXISTS idx_documents_content_hash
+  ON documents (content_hash)
+  WHERE processing_status = 'completed';
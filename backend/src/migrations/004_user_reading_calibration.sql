@@ -0,0 +1,23 @@
+-- 004_user_reading_calibration.sql
+-- Per-user reading time model fitted from completed pages
+
+CREATE TABLE IF NOT EXISTS user_reading_calibration (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  coefficients JSONB NOT NULL,
+  sample_count INTEGER NOT NULL,
+  pages_at_fit INTEGER NOT NULL,
+  ridge_lambda NUMERIC NOT NULL,
+  rmse_seconds NUMERIC,
+  mae_seconds NUMERIC,
+  r_squared NUMERIC,
+  baseline_mae_seconds NUMERIC,
+  fitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE user_reading_calibration ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own calibration"
+  ON user_reading_calibration
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,81 @@
+-- 005_document_full_text_search.sql
+-- Full-text search over extracted page text
+
+ALTER TABLE pdf_content_analysis
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+    GENERATED ALWAYS AS (
+      setweight(to_tsvector('english', coalesce(chapter_title, '') || ' ' || coalesce(section_title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(text_content, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_content_analysis_search
+  ON pdf_content_analysis USING GIN (search_vector);
+
+-- Ranked page hits for one user's documents.
+-- websearch_to_tsquery handles "quoted phrases", OR and -exclusions.
+-- Matches in snippets are wrapped in \x02 ... \x03 so the API can escape the text.
+CREATE OR REPLACE FUNCTION search_document_pages(
+  p_user_id UUID,
+  p_query TEXT,
+  p_topic_ids UUID[] DEFAULT NULL,
+  p_document_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  document_id UUID,
+  document_title TEXT,
+  topic_id UUID,
+  page_number INTEGER,
+  chapter_title TEXT,
+  section_title TEXT,
+  rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  hits AS (
+    SELECT
+      a.document_id,
+      d.title AS document_title,
+      d.topic_id,
+      a.page_number,
+      a.chapter_title,
+      a.section_title,
+      a.text_content,
+      ts_rank_cd(a.search_vector, query.tsq) AS rank
+    FROM pdf_content_analysis a
+    JOIN documents d ON d.id = a.document_id
+    CROSS JOIN query
+    WHERE d.user_id = p_user_id
+      AND d.processing_status = 'completed'
+      AND a.search_vector @@ query.tsq
+      AND (p_topic_ids IS NULL OR d.topic_id = ANY (p_topic_ids))
+      AND (p_document_id IS NULL OR d.id = p_document_id)
+  )
+  SELECT
+    hits.document_id,
+    hits.document_title,
+    hits.topic_id,
+    hits.page_number,
+    hits.chapter_title,
+    hits.section_title,
+    hits.rank,
+    ts_headline(
+      'english',
+      hits.text_content,
+      query.tsq,
+      E'StartSel=\x02, StopSel=\x03, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS snippet,
+    COUNT(*) OVER () AS total_count
+  FROM hits
+  CROSS JOIN query
+  ORDER BY hits.rank DESC, hits.document_title, hits.page_number
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
@@ -0,0 +1,107 @@
+-- 006_document_page_texts.sql
+-- Complete per-page text. pdf_content_analysis.text_content keeps only a
+-- 5000 character preview; the full text lives here, LZ4-compressed by TOAST.
+
+CREATE TABLE IF NOT EXISTS document_page_texts (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL,
+  text_content TEXT COMPRESSION lz4 NOT NULL DEFAULT '',
+  char_count INTEGER NOT NULL DEFAULT 0,
+  search_vector TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', text_content)) STORED,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_id, page_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_page_texts_user
+  ON document_page_texts (user_id, document_id);
+
+CREATE INDEX IF NOT EXISTS idx_document_page_texts_search
+  ON document_page_texts USING GIN (search_vector);
+
+ALTER TABLE document_page_texts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own page text"
+  ON document_page_texts
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Search the full text where it is stored, the preview otherwise
+CREATE OR REPLACE FUNCTION search_document_pages(
+  p_user_id UUID,
+  p_query TEXT,
+  p_topic_ids UUID[] DEFAULT NULL,
+  p_document_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  document_id UUID,
+  document_title TEXT,
+  topic_id UUID,
+  page_number INTEGER,
+  chapter_title TEXT,
+  section_title TEXT,
+  rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  pages AS (
+    SELECT
+      a.document_id,
+      d.title AS document_title,
+      d.topic_id,
+      a.page_number,
+      a.chapter_title,
+      a.section_title,
+      coalesce(t.text_content, a.text_content) AS text_content,
+      -- Concatenating with a NULL full-text vector yields NULL, falling back to the preview's
+      coalesce(
+        setweight(to_tsvector('english', coalesce(a.chapter_title, '') || ' ' || coalesce(a.section_title, '')), 'A') ||
+          setweight(t.search_vector, 'B'),
+        a.search_vector
+      ) AS page_vector
+    FROM pdf_content_analysis a
+    JOIN documents d ON d.id = a.document_id
+    LEFT JOIN document_page_texts t
+      ON t.document_id = a.document_id AND t.page_number = a.page_number
+    WHERE d.user_id = p_user_id
+      AND d.processing_status = 'completed'
+      AND (p_topic_ids IS NULL OR d.topic_id = ANY (p_topic_ids))
+      AND (p_document_id IS NULL OR d.id = p_document_id)
+  ),
+  hits AS (
+    SELECT pages.*, ts_rank_cd(pages.page_vector, query.tsq) AS rank
+    FROM pages
+    CROSS JOIN query
+    WHERE pages.page_vector @@ query.tsq
+  )
+  SELECT
+    hits.document_id,
+    hits.document_title,
+    hits.topic_id,
+    hits.page_number,
+    hits.chapter_title,
+    hits.section_title,
+    hits.rank,
+    ts_headline(
+      'english',
+      hits.text_content,
+      query.tsq,
+      E'StartSel=\x02, StopSel=\x03, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS snippet,
+    COUNT(*) OVER () AS total_count
+  FROM hits
+  CROSS JOIN query
+  ORDER BY hits.rank DESC, hits.document_title, hits.page_number
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
@@ -0,0 +1,36 @@
+-- 007_document_terms.sql
+-- Candidate glossary terms per chapter. TF-IDF ranking happens at read time
+-- so scores follow the user's library as it grows.
+
+CREATE TABLE IF NOT EXISTS document_terms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  chapter_index INTEGER NOT NULL,
+  chapter_title TEXT,
+  start_page INTEGER NOT NULL,
+  end_page INTEGER NOT NULL,
+  term TEXT NOT NULL,
+  frequency INTEGER NOT NULL,
+  first_page INTEGER NOT NULL,
+  is_phrase BOOLEAN NOT NULL DEFAULT FALSE,
+  is_technical BOOLEAN NOT NULL DEFAULT FALSE,
+  defined_on_page INTEGER,
+  definition TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_terms_document
+  ON document_terms (document_id, chapter_index);
+
+-- Document frequency lookups across a user's library
+CREATE INDEX IF NOT EXISTS idx_document_terms_user_term
+  ON document_terms (user_id, term);
+
+ALTER TABLE document_terms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own document terms"
+  ON document_terms
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,26 @@
+-- 008_chapter_summaries.sql
+-- Cached extractive chapter summaries. source_processed_at ties a summary to
+-- the analysis it was built from, so re-analysis invalidates it.
+
+CREATE TABLE IF NOT EXISTS chapter_summaries (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  chapter_index INTEGER NOT NULL,
+  chapter_title TEXT,
+  start_page INTEGER NOT NULL,
+  end_page INTEGER NOT NULL,
+  sentences JSONB NOT NULL DEFAULT '[]',
+  word_count INTEGER NOT NULL DEFAULT 0,
+  text_complete BOOLEAN NOT NULL DEFAULT TRUE,
+  source_processed_at TEXT,
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_id, chapter_index)
+);
+
+ALTER TABLE chapter_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own chapter summaries"
+  ON chapter_summaries
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
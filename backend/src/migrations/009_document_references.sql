@@ -0,0 +1,35 @@
+-- 009_document_references.sql
+-- References parsed from a document's bibliography pages, in list order.
+-- Parsing is best effort, so raw_text always keeps the entry as printed.
+
+CREATE TABLE IF NOT EXISTS document_references (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  page_number INTEGER,
+  raw_text TEXT NOT NULL,
+  authors JSONB NOT NULL DEFAULT '[]',
+  title TEXT,
+  year INTEGER,
+  venue TEXT,
+  volume TEXT,
+  issue TEXT,
+  pages TEXT,
+  doi TEXT,
+  url TEXT,
+  reference_type TEXT NOT NULL DEFAULT 'document',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_references_doi
+  ON document_references (user_id, doi)
+  WHERE doi IS NOT NULL;
+
+ALTER TABLE document_references ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own references"
+  ON document_references
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
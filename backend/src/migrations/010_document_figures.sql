@@ -0,0 +1,23 @@
+-- 010_document_figures.sql
+-- Figure and table captions found during analysis, with the pages whose
+-- body text refers back to each one.
+
+CREATE TABLE IF NOT EXISTS document_figures (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('figure', 'table')),
+  label TEXT NOT NULL,
+  caption TEXT,
+  page_number INTEGER NOT NULL,
+  referenced_on_pages INTEGER[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_id, kind, label)
+);
+
+ALTER TABLE document_figures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own figure index"
+  ON document_figures
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,86 @@
+-- 011_document_bulk_operations.sql
+-- Moves, re-prioritises or deletes many documents in one transaction.
+-- A function call is atomic, so either every listed document changes or none does.
+-- Returned columns are cast because documents predates these migrations.
+
+CREATE OR REPLACE FUNCTION bulk_update_documents(
+  p_user_id UUID,
+  p_document_ids UUID[],
+  p_action TEXT,
+  p_topic_id UUID DEFAULT NULL,
+  p_priority INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  file_path TEXT,
+  total_pages INTEGER,
+  topic_id UUID,
+  priority INTEGER,
+  processing_metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_requested INTEGER;
+  v_owned INTEGER;
+BEGIN
+  IF p_action NOT IN ('move', 'set_priority', 'delete') THEN
+    RAISE EXCEPTION 'Unknown bulk action %', p_action USING ERRCODE = '22023';
+  END IF;
+
+  SELECT count(DISTINCT requested) INTO v_requested FROM unnest(p_document_ids) AS requested;
+
+  -- Lock the rows so nothing changes them between the check and the update
+  SELECT count(*) INTO v_owned
+  FROM (
+    SELECT d.id FROM documents d
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids)
+    FOR UPDATE
+  ) AS owned;
+
+  IF v_owned <> v_requested THEN
+    RAISE EXCEPTION '% of % documents were not found', v_requested - v_owned, v_requested
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_action = 'move' THEN
+    IF p_topic_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM topics t WHERE t.id = p_topic_id AND t.user_id = p_user_id
+    ) THEN
+      RAISE EXCEPTION 'Topic % does not exist', p_topic_id USING ERRCODE = '22023';
+    END IF;
+
+    RETURN QUERY
+    UPDATE documents d
+    SET topic_id = p_topic_id, updated_at = NOW()
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids)
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+
+  ELSIF p_action = 'set_priority' THEN
+    IF p_priority IS NULL OR p_priority NOT BETWEEN 1 AND 5 THEN
+      RAISE EXCEPTION 'Priority must be between 1 and 5' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN QUERY
+    UPDATE documents d
+    SET priority = p_priority, updated_at = NOW()
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids)
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+
+  ELSE
+    -- The content analysis has no cascade; the other per-document tables do
+    DELETE FROM pdf_content_analysis a
+    WHERE a.document_id = ANY (p_document_ids)
+      AND EXISTS (SELECT 1 FROM documents d WHERE d.id = a.document_id AND d.user_id = p_user_id);
+
+    RETURN QUERY
+    DELETE FROM documents d
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids)
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+  END IF;
+END;
+$$;
@@ -0,0 +1,36 @@
+-- 012_document_access_log.sql
+-- Audit trail of original-file downloads through GET /documents/:id/file.
+-- document_id has no foreign key so entries outlive the documents they describe.
+
+CREATE TABLE IF NOT EXISTS document_access_log (
+  id BIGSERIAL PRIMARY KEY,
+  document_id UUID NOT NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  access_mode TEXT NOT NULL CHECK (access_mode IN ('redirect', 'url', 'stream')),
+  storage_bucket TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  byte_range TEXT,
+  status_code INTEGER,
+  ip_address TEXT,
+  user_agent TEXT,
+  accessed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_access_log_document
+  ON document_access_log (document_id, accessed_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_document_access_log_user
+  ON document_access_log (user_id, accessed_at DESC);
+
+ALTER TABLE document_access_log ENABLE ROW LEVEL SECURITY;
+
+-- Append-only: there are no update or delete policies
+CREATE POLICY "Users read their own access log"
+  ON document_access_log
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users record their own access"
+  ON document_access_log
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
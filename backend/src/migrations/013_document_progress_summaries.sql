@@ -0,0 +1,62 @@
+-- 013_document_progress_summaries.sql
+-- Per-document reading progress for a page of the document list, in one grouped
+-- query instead of one document_pages query per document.
+
+CREATE OR REPLACE FUNCTION document_progress_summaries(
+  p_user_id UUID,
+  p_document_ids UUID[]
+)
+RETURNS TABLE (
+  document_id UUID,
+  tracked_pages INTEGER,
+  completed_pages INTEGER,
+  total_time_spent_seconds BIGINT,
+  last_read_page INTEGER,
+  last_read_at TIMESTAMPTZ,
+  rated_completed_pages INTEGER,
+  average_difficulty_rating NUMERIC,
+  recent_difficulty_rating NUMERIC,
+  dated_completed_pages INTEGER,
+  first_completed_read_at TIMESTAMPTZ,
+  last_completed_read_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH pages AS (
+    SELECT
+      p.document_id,
+      p.page_number,
+      p.time_spent_seconds,
+      p.is_completed,
+      p.last_read_at,
+      p.difficulty_rating,
+      (p.is_completed AND p.difficulty_rating IS NOT NULL) AS is_rated
+    FROM document_pages p
+    JOIN documents d ON d.id = p.document_id
+    WHERE d.user_id = p_user_id
+      AND p.document_id = ANY (p_document_ids)
+  ),
+  ranked AS (
+    -- The last five rated pages in reading order make up the "recent" difficulty
+    SELECT
+      pages.*,
+      row_number() OVER (PARTITION BY document_id, is_rated ORDER BY page_number DESC) AS rated_rank
+    FROM pages
+  )
+  SELECT
+    document_id,
+    count(*)::INTEGER,
+    (count(*) FILTER (WHERE is_completed))::INTEGER,
+    coalesce(sum(time_spent_seconds), 0)::BIGINT,
+    (array_agg(page_number ORDER BY last_read_at DESC) FILTER (WHERE last_read_at IS NOT NULL))[1],
+    max(last_read_at),
+    (count(*) FILTER (WHERE is_rated))::INTEGER,
+    avg(difficulty_rating) FILTER (WHERE is_rated),
+    avg(difficulty_rating) FILTER (WHERE is_rated AND rated_rank <= 5),
+    (count(*) FILTER (WHERE is_completed AND last_read_at IS NOT NULL))::INTEGER,
+    min(last_read_at) FILTER (WHERE is_completed),
+    max(last_read_at) FILTER (WHERE is_completed)
+  FROM ranked
+  GROUP BY document_id
+$$;
@@ -0,0 +1,49 @@
+-- 014_document_annotations.sql
+-- Highlights, margin notes and bookmarks on document pages. Highlight offsets
+-- are character positions in the page text served by GET /documents/:id/text.
+-- Chapters are not stored: they are resolved from the page at read time, so
+-- annotations follow the outline when a document is re-analysed.
+
+CREATE TABLE IF NOT EXISTS document_annotations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES study_sessions(id) ON DELETE SET NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('highlight', 'note', 'bookmark')),
+  page_number INTEGER NOT NULL CHECK (page_number > 0),
+  start_offset INTEGER CHECK (start_offset >= 0),
+  end_offset INTEGER CHECK (end_offset > start_offset),
+  quoted_text TEXT,
+  note TEXT,
+  color TEXT,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT highlight_has_range CHECK (
+    kind <> 'highlight' OR quoted_text IS NOT NULL OR (start_offset IS NOT NULL AND end_offset IS NOT NULL)
+  ),
+  CONSTRAINT note_has_text CHECK (kind <> 'note' OR note IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_annotations_page
+  ON document_annotations (document_id, page_number);
+
+CREATE INDEX IF NOT EXISTS idx_document_annotations_session
+  ON document_annotations (session_id)
+  WHERE session_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_document_annotations_tags
+  ON document_annotations USING GIN (tags);
+
+-- One bookmark per page
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_annotations_bookmark
+  ON document_annotations (document_id, user_id, page_number)
+  WHERE kind = 'bookmark';
+
+ALTER TABLE document_annotations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own annotations"
+  ON document_annotations
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,80 @@
+-- 015_document_reading_positions.sql
+-- Exact resume position per user and document, synced across devices.
+-- updated_at is when the reader was at this position (the client's clock,
+-- never later than the server's); synced_at is when the server received it.
+
+CREATE TABLE IF NOT EXISTS document_reading_positions (
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL CHECK (page_number > 0),
+  -- Fraction of the page scrolled past, so it means the same at any zoom
+  scroll_offset REAL NOT NULL DEFAULT 0 CHECK (scroll_offset >= 0 AND scroll_offset <= 1),
+  zoom REAL NOT NULL DEFAULT 1 CHECK (zoom > 0),
+  device_id TEXT,
+  updated_at TIMESTAMPTZ NOT NULL,
+  synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (document_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_reading_positions_recent
+  ON document_reading_positions (user_id, updated_at DESC);
+
+ALTER TABLE document_reading_positions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own reading positions"
+  ON document_reading_positions
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Last writer wins by updated_at, decided in one statement so two devices
+-- saving at once cannot both win. applied is false when a newer position was
+-- already stored; that position is returned instead.
+CREATE OR REPLACE FUNCTION save_reading_position(
+  p_user_id UUID,
+  p_document_id UUID,
+  p_page_number INTEGER,
+  p_scroll_offset REAL,
+  p_zoom REAL,
+  p_device_id TEXT,
+  p_updated_at TIMESTAMPTZ
+)
+RETURNS TABLE (
+  document_id UUID,
+  page_number INTEGER,
+  scroll_offset REAL,
+  zoom REAL,
+  device_id TEXT,
+  updated_at TIMESTAMPTZ,
+  synced_at TIMESTAMPTZ,
+  applied BOOLEAN
+)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  INSERT INTO document_reading_positions AS existing
+    (document_id, user_id, page_number, scroll_offset, zoom, device_id, updated_at, synced_at)
+  VALUES
+    (p_document_id, p_user_id, p_page_number, p_scroll_offset, p_zoom, p_device_id, p_updated_at, NOW())
+  ON CONFLICT (document_id, user_id) DO UPDATE
+    SET page_number = EXCLUDED.page_number,
+        scroll_offset = EXCLUDED.scroll_offset,
+        zoom = EXCLUDED.zoom,
+        device_id = EXCLUDED.device_id,
+        updated_at = EXCLUDED.updated_at,
+        synced_at = EXCLUDED.synced_at
+    WHERE existing.updated_at <= EXCLUDED.updated_at
+  RETURNING existing.document_id, existing.page_number, existing.scroll_offset, existing.zoom,
+    existing.device_id, existing.updated_at, existing.synced_at, TRUE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY
+    SELECT p.document_id, p.page_number, p.scroll_offset, p.zoom,
+      p.device_id, p.updated_at, p.synced_at, FALSE
+    FROM document_reading_positions p
+    WHERE p.document_id = p_document_id AND p.user_id = p_user_id;
+  END IF;
+END;
+$$;
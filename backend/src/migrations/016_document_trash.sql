@@ -0,0 +1,176 @@
+-- 016_document_trash.sql
+-- Deleting a document moves it to the trash instead of removing it. Trashed
+-- documents keep their pages, sessions and annotations until the scheduled
+-- purge removes them after the retention period, and can be restored until then.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_user_active
+  ON documents (user_id, created_at DESC)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_trash
+  ON documents (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Search skips trashed documents (otherwise as in 006)
+CREATE OR REPLACE FUNCTION search_document_pages(
+  p_user_id UUID,
+  p_query TEXT,
+  p_topic_ids UUID[] DEFAULT NULL,
+  p_document_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  document_id UUID,
+  document_title TEXT,
+  topic_id UUID,
+  page_number INTEGER,
+  chapter_title TEXT,
+  section_title TEXT,
+  rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  pages AS (
+    SELECT
+      a.document_id,
+      d.title AS document_title,
+      d.topic_id,
+      a.page_number,
+      a.chapter_title,
+      a.section_title,
+      coalesce(t.text_content, a.text_content) AS text_content,
+      -- Concatenating with a NULL full-text vector yields NULL, falling back to the preview's
+      coalesce(
+        setweight(to_tsvector('english', coalesce(a.chapter_title, '') || ' ' || coalesce(a.section_title, '')), 'A') ||
+          setweight(t.search_vector, 'B'),
+        a.search_vector
+      ) AS page_vector
+    FROM pdf_content_analysis a
+    JOIN documents d ON d.id = a.document_id
+    LEFT JOIN document_page_texts t
+      ON t.document_id = a.document_id AND t.page_number = a.page_number
+    WHERE d.user_id = p_user_id
+      AND d.processing_status = 'completed'
+      AND d.deleted_at IS NULL
+      AND (p_topic_ids IS NULL OR d.topic_id = ANY (p_topic_ids))
+      AND (p_document_id IS NULL OR d.id = p_document_id)
+  ),
+  hits AS (
+    SELECT pages.*, ts_rank_cd(pages.page_vector, query.tsq) AS rank
+    FROM pages
+    CROSS JOIN query
+    WHERE pages.page_vector @@ query.tsq
+  )
+  SELECT
+    hits.document_id,
+    hits.document_title,
+    hits.topic_id,
+    hits.page_number,
+    hits.chapter_title,
+    hits.section_title,
+    hits.rank,
+    ts_headline(
+      'english',
+      hits.text_content,
+      query.tsq,
+      E'StartSel=\x02, StopSel=\x03, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS snippet,
+    COUNT(*) OVER () AS total_count
+  FROM hits
+  CROSS JOIN query
+  ORDER BY hits.rank DESC, hits.document_title, hits.page_number
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
+
+-- Bulk delete now trashes, and trashed documents can't be moved or re-prioritised
+-- (otherwise as in 011)
+CREATE OR REPLACE FUNCTION bulk_update_documents(
+  p_user_id UUID,
+  p_document_ids UUID[],
+  p_action TEXT,
+  p_topic_id UUID DEFAULT NULL,
+  p_priority INTEGER DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  title TEXT,
+  file_path TEXT,
+  total_pages INTEGER,
+  topic_id UUID,
+  priority INTEGER,
+  processing_metadata JSONB
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_requested INTEGER;
+  v_owned INTEGER;
+BEGIN
+  IF p_action NOT IN ('move', 'set_priority', 'delete') THEN
+    RAISE EXCEPTION 'Unknown bulk action %', p_action USING ERRCODE = '22023';
+  END IF;
+
+  SELECT count(DISTINCT requested) INTO v_requested FROM unnest(p_document_ids) AS requested;
+
+  -- Lock the rows so nothing changes them between the check and the update.
+  -- Trashed documents count as missing.
+  SELECT count(*) INTO v_owned
+  FROM (
+    SELECT d.id FROM documents d
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids) AND d.deleted_at IS NULL
+    FOR UPDATE
+  ) AS owned;
+
+  IF v_owned <> v_requested THEN
+    RAISE EXCEPTION '% of % documents were not found', v_requested - v_owned, v_requested
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_action = 'move' THEN
+    IF p_topic_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM topics t WHERE t.id = p_topic_id AND t.user_id = p_user_id
+    ) THEN
+      RAISE EXCEPTION 'Topic % does not exist', p_topic_id USING ERRCODE = '22023';
+    END IF;
+
+    RETURN QUERY
+    UPDATE documents d
+    SET topic_id = p_topic_id, updated_at = NOW()
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids) AND d.deleted_at IS NULL
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+
+  ELSIF p_action = 'set_priority' THEN
+    IF p_priority IS NULL OR p_priority NOT BETWEEN 1 AND 5 THEN
+      RAISE EXCEPTION 'Priority must be between 1 and 5' USING ERRCODE = '22023';
+    END IF;
+
+    RETURN QUERY
+    UPDATE documents d
+    SET priority = p_priority, updated_at = NOW()
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids) AND d.deleted_at IS NULL
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+
+  ELSE
+    -- Deleting moves documents to the trash; the purge job removes them later
+    RETURN QUERY
+    UPDATE documents d
+    SET deleted_at = NOW(), updated_at = NOW()
+    WHERE d.user_id = p_user_id AND d.id = ANY (p_document_ids) AND d.deleted_at IS NULL
+    RETURNING d.id, d.title::TEXT, d.file_path::TEXT, d.total_pages::INTEGER, d.topic_id,
+      d.priority::INTEGER, d.processing_metadata;
+  END IF;
+END;
+$$;
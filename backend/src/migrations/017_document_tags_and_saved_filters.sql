@@ -0,0 +1,31 @@
+-- 017_document_tags_and_saved_filters.sql
+-- Free-form tags on documents (alongside the single topic) and named smart
+-- filters such as "tag:midterm AND difficulty>=4 AND completion<50".
+-- Filter queries are parsed and evaluated by the API (GET /documents?filter=<id>),
+-- since fields like completion are derived from page progress.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_documents_tags
+  ON documents USING GIN (tags);
+
+CREATE TABLE IF NOT EXISTS saved_document_filters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (length(name) BETWEEN 1 AND 100),
+  query TEXT NOT NULL CHECK (length(query) BETWEEN 1 AND 500),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_document_filters_name
+  ON saved_document_filters (user_id, lower(name));
+
+ALTER TABLE saved_document_filters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users manage their own saved filters"
+  ON saved_document_filters
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,24 @@
+-- 018_document_upload_quotas.sql
+-- Per-user upload quotas. Stored file sizes are recorded from now on;
+-- documents uploaded before this migration count as 0 bytes.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS file_size_bytes BIGINT;
+
+-- Trashed documents no longer count, so moving documents to the trash frees quota
+CREATE OR REPLACE FUNCTION document_upload_usage(p_user_id UUID)
+RETURNS TABLE (
+  active_documents BIGINT,
+  stored_bytes BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    count(*) AS active_documents,
+    coalesce(sum(d.file_size_bytes), 0)::BIGINT AS stored_bytes
+  FROM documents d
+  WHERE d.user_id = p_user_id
+    AND d.deleted_at IS NULL
+    AND d.processing_status <> 'failed';
+$$;
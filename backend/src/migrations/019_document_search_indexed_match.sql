@@ -0,0 +1,103 @@
+-- 019_document_search_indexed_match.sql
+-- search_document_pages (006, 016) matched against a vector built per row at
+-- query time, which no index covers, so every search re-tokenised all of the
+-- user's pages. Pages now match through the GIN-indexed search_vector columns:
+-- the full text (document_page_texts) or the headings and preview
+-- (pdf_content_analysis). Only the hits get the weighted vector for ranking.
+-- A query whose terms are split between a heading and text past the 5000
+-- character preview no longer matches that page.
+
+CREATE OR REPLACE FUNCTION search_document_pages(
+  p_user_id UUID,
+  p_query TEXT,
+  p_topic_ids UUID[] DEFAULT NULL,
+  p_document_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  document_id UUID,
+  document_title TEXT,
+  topic_id UUID,
+  page_number INTEGER,
+  chapter_title TEXT,
+  section_title TEXT,
+  rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  searchable AS (
+    SELECT d.id, d.title, d.topic_id
+    FROM documents d
+    WHERE d.user_id = p_user_id
+      AND d.processing_status = 'completed'
+      AND d.deleted_at IS NULL
+      AND (p_topic_ids IS NULL OR d.topic_id = ANY (p_topic_ids))
+      AND (p_document_id IS NULL OR d.id = p_document_id)
+  ),
+  matches AS (
+    SELECT t.document_id, t.page_number
+    FROM document_page_texts t
+    JOIN searchable s ON s.id = t.document_id
+    CROSS JOIN query
+    WHERE t.search_vector @@ query.tsq
+    UNION
+    SELECT a.document_id, a.page_number
+    FROM pdf_content_analysis a
+    JOIN searchable s ON s.id = a.document_id
+    CROSS JOIN query
+    WHERE a.search_vector @@ query.tsq
+  ),
+  hits AS (
+    SELECT
+      a.document_id,
+      s.title AS document_title,
+      s.topic_id,
+      a.page_number,
+      a.chapter_title,
+      a.section_title,
+      coalesce(t.text_content, a.text_content) AS text_content,
+      -- Headings weigh more than body text; pages without stored full text rank on the preview
+      ts_rank_cd(
+        coalesce(
+          setweight(to_tsvector('english', coalesce(a.chapter_title, '') || ' ' || coalesce(a.section_title, '')), 'A') ||
+            setweight(t.search_vector, 'B'),
+          a.search_vector
+        ),
+        query.tsq
+      ) AS rank
+    FROM matches m
+    JOIN searchable s ON s.id = m.document_id
+    JOIN pdf_content_analysis a
+      ON a.document_id = m.document_id AND a.page_number = m.page_number
+    LEFT JOIN document_page_texts t
+      ON t.document_id = m.document_id AND t.page_number = m.page_number
+    CROSS JOIN query
+  )
+  SELECT
+    hits.document_id,
+    hits.document_title,
+    hits.topic_id,
+    hits.page_number,
+    hits.chapter_title,
+    hits.section_title,
+    hits.rank,
+    ts_headline(
+      'english',
+      hits.text_content,
+      query.tsq,
+      E'StartSel=\x02, StopSel=\x03, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) AS snippet,
+    COUNT(*) OVER () AS total_count
+  FROM hits
+  CROSS JOIN query
+  ORDER BY hits.rank DESC, hits.document_title, hits.page_number
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
@@ -0,0 +1,38 @@
+-- 020_user_stats_trash_adjustment.sql
+-- user_stats keeps running totals that reading and study sessions add to.
+-- Trashing documents takes their share back out (completed pages, time spent
+-- on their pages and their study sessions) and restoring them adds the same
+-- share again, so the totals only cover documents outside the trash. Purged
+-- documents were already taken out when they were trashed.
+
+CREATE OR REPLACE FUNCTION adjust_user_stats_for_trash(
+  p_user_id UUID,
+  p_document_ids UUID[],
+  p_direction INTEGER -- -1 when trashing, 1 when restoring
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  WITH page_totals AS (
+    SELECT
+      count(*) FILTER (WHERE p.is_completed) AS completed_pages,
+      coalesce(sum(p.time_spent_seconds), 0) AS seconds
+    FROM document_pages p
+    WHERE p.user_id = p_user_id
+      AND p.document_id = ANY (p_document_ids)
+  ),
+  session_totals AS (
+    SELECT count(*) AS sessions
+    FROM study_sessions s
+    WHERE s.user_id = p_user_id
+      AND s.document_id = ANY (p_document_ids)
+  )
+  UPDATE user_stats u
+  SET
+    total_pages_read = GREATEST(0, coalesce(u.total_pages_read, 0) + p_direction * page_totals.completed_pages),
+    total_time_spent_seconds = GREATEST(0, coalesce(u.total_time_spent_seconds, 0) + p_direction * page_totals.seconds),
+    total_study_sessions = GREATEST(0, coalesce(u.total_study_sessions, 0) + p_direction * session_totals.sessions),
+    updated_at = NOW()
+  FROM page_totals, session_totals
+  WHERE u.user_id = p_user_id;
+$$;
@@ -0,0 +1,11 @@
+-- 021_document_quarantine_status.sql
+-- Uploads the safety scan quarantines are stored but not analysed until the
+-- user releases them (POST /documents/:id/release); until then they wait in
+-- the 'quarantined' processing status.
+
+ALTER TABLE documents
+  DROP CONSTRAINT IF EXISTS documents_processing_status_check;
+
+ALTER TABLE documents
+  ADD CONSTRAINT documents_processing_status_check
+    CHECK (processing_status IN ('processing', 'completed', 'failed', 'quarantined'));
@@ -48,7 +48,8 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
           last_read_at
         )
       `)
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     // Get recent study sessions
     const { data: recentSessions } = await supabase
@@ -60,7 +61,7 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
         pages_covered,
         focus_score,
         comprehension_rating,
-        documents (
+        documents!inner (
           title,
           topics (
             name,
@@ -69,6 +70,7 @@ router.get('/dashboard', authMiddleware, async (req, res) => {
         )
       `)
       .eq('user_id', userId)
+      .is('documents.deleted_at', null)
       .order('started_at', { ascending: false })
       .limit(10);
 
@@ -330,9 +332,11 @@ router.get('/trends', authMiddleware, async (req, res) => {
         pages_covered,
         focus_score,
         comprehension_rating,
-        difficulty_rating
+        difficulty_rating,
+        documents!inner (id)
       `)
       .eq('user_id', userId)
+      .is('documents.deleted_at', null)
       .gte('started_at', dateFilter.toISOString())
       .order('started_at', { ascending: true });
 
@@ -372,9 +376,11 @@ router.get('/patterns', authMiddleware, async (req, res) => {
         pages_covered,
         focus_score,
         energy_level,
-        comprehension_rating
+        comprehension_rating,
+        documents!inner (id)
       `)
       .eq('user_id', userId)
+      .is('documents.deleted_at', null)
       .not('ended_at', 'is', null)
       .order('started_at', { ascending: false })
       .limit(100);
@@ -51,6 +51,7 @@ router.get('/time-summary', authMiddleware, async (req, res) => {
         )
       `)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false });
 
     // Calculate comprehensive time metrics for each document
@@ -1,621 +1,3950 @@
 // src/routes/documents.js (FIXED VERSION)
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
 const express = require('express');
 const multer = require('multer');
-const { supabase } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth'); // FIXED: Destructured import
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, requireRole } = require('../middleware/auth'); // FIXED: Destructured import
 const PDFProcessorService = require('../services/pdfProcessor');
+const DocumentJobQueue = require('../services/documentJobQueue');
+const DocumentTextStore = require('../services/documentTextStore');
+const GlossaryExtractorService = require('../services/glossaryExtractor');
+const ChapterSummarizerService = require('../services/chapterSummarizer');
+const ReferenceParserService = require('../services/referenceParser');
+const DocumentInsightsService = require('../services/documentInsights');
+const DocumentAnnotationsService = require('../services/documentAnnotations');
+const ReadingPositionService = require('../services/readingPositions');
+const PdfSafetyScannerService = require('../services/pdfSafetyScanner');
+const TrashPurgeJob = require('../services/trashPurgeJob');
+const SavedFilterService = require('../services/savedFilters');
+const UploadQuotaService = require('../services/uploadQuota');
+const AdmZip = require('adm-zip');
 
 const router = express.Router();
 
+const MAX_TEXT_PAGES_PER_REQUEST = 50;
+
+// Fields a document's owner may change after upload
+const EDITABLE_DOCUMENT_FIELDS = ['title', 'topic_id', 'priority', 'notes', 'tags'];
+
+const BULK_ACTIONS = ['move', 'set_priority', 'delete'];
+const BULK_ACTION_LABELS = { move: 'Moved', set_priority: 'Re-prioritised', delete: 'Trashed' };
+const MAX_BULK_DOCUMENTS = 200;
+
+// Signed links to original files are short-lived; the API re-checks ownership for each one
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_SIGNED_URL_TTL) || 300;
+const FILE_ACCESS_MODES = ['redirect', 'url', 'stream'];
+// Formats a browser may render in place; the rest are always served as attachments
+const INLINE_FILE_FORMATS = ['pdf'];
+const SINGLE_BYTE_RANGE = /^bytes=(\d+-\d*|-\d+)$/;
+
+// PostgREST caps responses (1000 rows by default), so bulk reads are paged
+const ANALYSIS_FETCH_PAGE_SIZE = 1000;
+const DOCUMENT_FETCH_PAGE_SIZE = 1000;
+
+const EMPTY_PROGRESS_SUMMARY = {
+  trackedPages: 0,
+  completedPages: 0,
+  totalTimeSpentSeconds: 0,
+  lastReadPage: null,
+  lastReadAt: null,
+  ratedCompletedPages: 0,
+  averageDifficultyRating: null,
+  recentDifficultyRating: null,
+  datedCompletedPages: 0,
+  firstCompletedReadAt: null,
+  lastCompletedReadAt: null
+};
+
+// Enough study history for the document insights without unbounded reads
+const MAX_INSIGHT_SESSIONS = 200;
+
+const MAX_UPLOAD_FILE_BYTES = 50 * 1024 * 1024;
+// Batch uploads: files per request once ZIP archives are unpacked, and their total size
+const MAX_BATCH_FILES = parseInt(process.env.DOCUMENT_BATCH_MAX_FILES) || 50;
+const MAX_BATCH_BYTES = (parseInt(process.env.DOCUMENT_BATCH_MAX_MB) || 200) * 1024 * 1024;
+// ZIP metadata and macOS resource forks, never documents
+const IGNORED_ARCHIVE_ENTRY = /(^|\/)(__MACOSX\/|\.)/;
+
+const INTERRUPTED_PROCESSING_MESSAGE = 'Processing was interrupted by a server restart';
+
+// Days a deleted document stays restorable before the purge job removes it
+const TRASH_RETENTION_DAYS = parseInt(process.env.DOCUMENT_TRASH_RETENTION_DAYS) || 30;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DOCUMENT_BUCKET = 'pdf-documents';
+// Private bucket without CDN caching for uploads the safety scan quarantined
+const QUARANTINE_BUCKET = process.env.PDF_QUARANTINE_BUCKET || 'pdf-quarantine';
+
 // Initialize PDF processor
 const pdfProcessor = new PDFProcessorService();
 
+// Full page text, stored apart from the analysis preview
+const textStore = new DocumentTextStore();
+
+// Key terms per chapter, ranked against the rest of the user's library
+const glossaryExtractor = new GlossaryExtractorService();
+
+// Offline extractive chapter recaps
+const chapterSummarizer = new ChapterSummarizerService();
+
+// Structured references from bibliography pages
+const referenceParser = new ReferenceParserService();
+
+// Pace, focus and difficulty insights from a document's study history
+const documentInsights = new DocumentInsightsService();
+
+// Highlights, margin notes and bookmarks
+const documentAnnotations = new DocumentAnnotationsService();
+
+// Resume positions synced across devices
+const readingPositions = new ReadingPositionService();
+
+// Tags and saved smart filters for the document list
+const savedFilters = new SavedFilterService();
+
+// Per-user limits on document count and stored file size
+const uploadQuota = new UploadQuotaService({
+  maxDocuments: parseInt(process.env.DOCUMENT_QUOTA_MAX_DOCUMENTS) || 500,
+  maxStorageMb: parseInt(process.env.DOCUMENT_QUOTA_MAX_STORAGE_MB) || 2048
+});
+
+// Checks uploads for active content before anything parses them
+const safetyScanner = new PdfSafetyScannerService();
+
+// Background queue that runs the analysis/storage pipeline outside the request
+const processingQueue = new DocumentJobQueue({
+  concurrency: parseInt(process.env.DOCUMENT_JOB_CONCURRENCY) || 1,
+  maxAttempts: parseInt(process.env.DOCUMENT_JOB_MAX_ATTEMPTS) || 3
+});
+
+// Permanently removes documents left in the trash past the retention period;
+// server.js starts the schedule
+const trashPurge = new TrashPurgeJob({
+  retentionDays: TRASH_RETENTION_DAYS,
+  schedule: process.env.TRASH_PURGE_CRON,
+  purgeDocument: document => deleteDocumentData(document, document.user_id)
+});
+
 // Configure multer for file uploads with enhanced validation
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_UPLOAD_FILE_BYTES,
     files: 1 // Single file upload
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      if (file.size > 50 * 1024 * 1024) {
+    if (pdfProcessor.extractors.detectFormat(file.originalname, file.mimetype)) {
+      if (file.size > MAX_UPLOAD_FILE_BYTES) {
         cb(new Error('File too large. Maximum size is 50MB.'));
         return;
       }
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed. Please select a PDF document.'));
+      cb(new Error('Unsupported file type. Please select a PDF, EPUB, Markdown, HTML or DOCX document.'));
     }
   }
 });
 
-// Enhanced PDF upload with intelligent processing
+// Batch uploads accept any file; unsupported ones are reported per file instead
+// of failing the request. preservePath keeps folder names sent with the files.
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  preservePath: true,
+  limits: {
+    fileSize: MAX_UPLOAD_FILE_BYTES,
+    files: MAX_BATCH_FILES
+  }
+});
+
+// Enhanced document upload with intelligent processing
+// The multipart field is still named 'pdf' for compatibility, but accepts every supported format
 router.post('/upload', authMiddleware, upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
-        error: 'No PDF file provided',
-        details: 'Please select a PDF file to upload'
+        error: 'No file provided',
+        details: 'Please select a PDF, EPUB, Markdown, HTML or DOCX file to upload'
       });
     }
 
-    const { title, topic_id, priority = 3, notes } = req.body;
+    const { title, topic_id, priority = 3, notes, tags, on_duplicate, pdf_password } = req.body;
     const userId = req.user.id;
     
     console.log(`📤 Processing enhanced PDF upload for user ${userId}: ${req.file.originalname}`);
     
-    // Validate input parameters
-    if (title && title.length > 255) {
-      return res.status(400).json({ 
-        error: 'Title too long',
-        details: 'Document title must be less than 255 characters'
-      });
+    // Validate input parameters; an empty title falls back to the file name
+    const metadata = await validateDocumentMetadata({ title: title || undefined, topic_id, priority: priority || 3, notes, tags }, userId);
+    if (metadata.error) {
+      return res.status(400).json(metadata.error);
     }
 
-    if (priority && (priority < 1 || priority > 5)) {
+    if (on_duplicate && !['reuse', 'replace'].includes(on_duplicate)) {
       return res.status(400).json({ 
-        error: 'Invalid priority',
-        details: 'Priority must be between 1 (highest) and 5 (lowest)'
+        error: 'Invalid on_duplicate option',
+        details: 'on_duplicate must be either "reuse" or "replace"'
       });
     }
 
-    // Validate topic_id if provided
-    if (topic_id) {
-      const { data: topic, error: topicError } = await supabase
-        .from('topics')
-        .select('id, name')
-        .eq('id', topic_id)
-        .eq('user_id', userId)
-        .single();
+    const quotaUsage = await uploadQuota.load(userId);
+    const result = await ingestUploadedFile(req.file, userId, {
+      fields: metadata.updates,
+      quotaUsage,
+      onDuplicate: on_duplicate || null,
+      pdfPassword: pdf_password || null
+    });
 
-      if (topicError || !topic) {
-        return res.status(400).json({ 
-          error: 'Invalid topic',
-          details: 'The specified topic does not exist or does not belong to you'
-        });
-      }
+    if (result.outcome === 'failed') {
+      return res.status(result.status).json(result.body);
     }
 
-    // Step 1: Process PDF with intelligent analysis
-    console.log('🧠 Starting intelligent PDF analysis...');
-    const startTime = Date.now();
-    
-    const analysisData = await pdfProcessor.processUploadedPDF(
-      req.file.buffer, 
-      req.file.originalname, 
-      userId, 
-      title || req.file.originalname.replace('.pdf', '')
-    );
-    
-    const processingTime = Date.now() - startTime;
-    console.log(`⚡ PDF analysis completed in ${processingTime}ms`);
+    if (result.outcome === 'duplicate') {
+      return res.status(409).json({
+        error: 'Duplicate document',
+        details: `You already uploaded this file as "${result.existingDocument.title}"`,
+        existing_document: summarizeExistingDocument(result.existingDocument),
+        options: [
+          {
+            action: 'reuse',
+            description: 'Keep the existing document and its reading progress',
+            resend_with: { on_duplicate: 'reuse' }
+          },
+          {
+            action: 'replace',
+            description: 'Move the existing document (with its progress) to the trash and upload this file again',
+            resend_with: { on_duplicate: 'replace' }
+          }
+        ]
+      });
+    }
 
-    // Step 2: Generate unique filename and upload to storage
-    const fileName = `${userId}/${Date.now()}_${req.file.originalname}`;
-    
-    const { data: storageData, error: storageError } = await supabase.storage
-      .from('pdf-documents')
-      .upload(fileName, req.file.buffer, {
-        contentType: 'application/pdf',
-        upsert: false,
-        cacheControl: '31536000' // 1 year cache
+    if (result.outcome === 'reused') {
+      return res.json({
+        message: 'Reusing your existing copy of this document',
+        reused: true,
+        document: summarizeExistingDocument(result.existingDocument)
       });
+    }
+
+    const { document, job, safety, replacedDocument } = result;
+
+    res.status(202).json({
+      message: safety?.action === 'quarantined'
+        ? 'Document quarantined: it is stored but will not be analysed until you release it 🛡️'
+        : 'Document uploaded and queued for analysis 📥',
+      document: {
+        id: document.id,
+        title: document.title,
+        file_name: document.file_name,
+        processing_status: 'processing',
+        created_at: document.created_at
+      },
+      safety: summarizeSafety(safety, document.id),
+      replaced_document: replacedDocument && {
+        id: replacedDocument.id,
+        title: replacedDocument.title,
+        restore: `POST /api/documents/${replacedDocument.id}/restore`
+      },
+      job: {
+        id: job.id,
+        status: job.status,
+        status_url: `/api/documents/${document.id}/processing-status`
+      }
+    });
+
+  } catch (error) {
+    console.error('Enhanced upload error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: 'An unexpected error occurred while uploading your document. Please try again.',
+      support_info: 'If this problem continues, please contact support with the filename and upload time.'
+    });
+  }
+});
 
-    if (storageError) {
-      console.error('Storage upload error:', storageError);
-      return res.status(500).json({ 
-        error: 'Failed to upload file to storage',
-        details: 'Please try again. If the problem persists, contact support.'
+// Upload many documents at once, as separate files and/or ZIP archives. Every
+// file goes through the same path as a single upload; the response lists what
+// happened to each (created, duplicate or failed with a reason).
+router.post('/upload/batch', authMiddleware, receiveBatchUpload, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files provided',
+        details: 'Send documents or ZIP archives in the "files" field'
       });
     }
 
-    console.log(`💾 File uploaded to storage: ${storageData.path}`);
+    const { topic_id, priority = 3, notes, tags, topic_from_folder } = req.body;
+    const userId = req.user.id;
+    const useFolderTopics = topic_from_folder === 'true' || topic_from_folder === true;
 
-    // Step 3: Save document metadata with intelligent insights
-    const documentData = {
-      user_id: userId,
-      title: title || req.file.originalname.replace('.pdf', ''),
-      file_name: req.file.originalname,
-      file_path: storageData.path,
-      total_pages: analysisData.totalPages,
-      topic_id: topic_id || null,
-      difficulty_level: Math.round(analysisData.documentMetrics.averageDifficulty),
-      estimated_reading_time_minutes: Math.round(analysisData.timeEstimates.totalSeconds / 60),
-      content_type: pdfProcessor.getDominantContentType(analysisData.documentMetrics.contentTypeDistribution),
-      priority: parseInt(priority),
-      notes: notes?.trim() || null,
-      processing_metadata: {
-        ...analysisData.processingMetadata,
-        processing_time_ms: processingTime,
-        api_version: '2.0.0'
+    const metadata = await validateDocumentMetadata({ topic_id, priority: priority || 3, notes, tags }, userId);
+    if (metadata.error) {
+      return res.status(400).json(metadata.error);
+    }
+
+    const { files, results } = expandBatchFiles(req.files);
+
+    console.log(`📦 Batch upload of ${files.length} files for user ${userId} (${req.files.length} parts)`);
+
+    const quotaUsage = await uploadQuota.load(userId);
+    const folderTopics = new Map();
+
+    for (const file of files) {
+      const label = file.folder ? `${file.folder}/${file.originalname}` : file.originalname;
+
+      try {
+        let topic = null;
+        // Unsupported files fail in ingestUploadedFile; skip them here so they do not leave empty topics
+        if (useFolderTopics && file.folder && pdfProcessor.extractors.detectFormat(file.originalname, file.mimetype)) {
+          topic = await findOrCreateFolderTopic(userId, file.folder, folderTopics);
+        }
+
+        const result = await ingestUploadedFile(
+          { originalname: file.originalname, mimetype: file.mimetype, buffer: file.buffer },
+          userId,
+          {
+            fields: { ...metadata.updates, topic_id: topic?.id ?? metadata.updates.topic_id },
+            quotaUsage
+          }
+        );
+
+        if (result.outcome === 'created') {
+          results.push({
+            file: label,
+            status: 'created',
+            document: {
+              id: result.document.id,
+              title: result.document.title,
+              processing_status: 'processing'
+            },
+            topic,
+            safety: summarizeSafety(result.safety, result.document.id),
+            job: {
+              id: result.job.id,
+              status_url: `/api/documents/${result.document.id}/processing-status`
+            }
+          });
+        } else if (result.outcome === 'duplicate') {
+          results.push({
+            file: label,
+            status: 'duplicate',
+            existing_document: summarizeExistingDocument(result.existingDocument)
+          });
+        } else {
+          results.push({
+            file: label,
+            status: 'failed',
+            reason: result.body.details || result.body.error,
+            code: result.body.code || null
+          });
+        }
+      } catch (fileError) {
+        console.error(`Batch upload error for ${label}:`, fileError);
+        results.push({ file: label, status: 'failed', reason: 'Unexpected error while processing this file', code: null });
       }
+    }
+
+    const summary = {
+      total: results.length,
+      created: results.filter(result => result.status === 'created').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      failed: results.filter(result => result.status === 'failed').length
     };
 
-    const { data: document, error: dbError } = await supabase
+    res.status(summary.created > 0 ? 202 : 200).json({
+      message: `Queued ${summary.created} of ${summary.total} files for analysis 📥`,
+      summary,
+      quota: uploadQuota.describe(quotaUsage),
+      results
+    });
+  } catch (error) {
+    console.error('Batch upload error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: 'An unexpected error occurred while uploading your documents. Please try again.'
+    });
+  }
+});
+
+// Report progress of a document's background processing job
+router.get('/:id/processing-status', authMiddleware, async (req, res) => {
+  try {
+    const { data: document, error } = await supabase
       .from('documents')
-      .insert(documentData)
-      .select()
+      .select('id, title, processing_status, processing_job_id, processing_metadata, total_pages')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
       .single();
 
-    if (dbError) {
-      console.error('Database insert error:', dbError);
-      // Clean up uploaded file
-      await supabase.storage.from('pdf-documents').remove([fileName]);
-      return res.status(500).json({ 
-        error: 'Failed to save document metadata',
-        details: 'The file was uploaded but could not be processed. Please try again.'
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      console.error('Fetch processing status error:', error);
+      return res.status(500).json({ error: 'Failed to fetch processing status' });
+    }
+
+    const job = processingQueue.getJobForDocument(document.id);
+
+    if (job) {
+      const status = processingQueue.describeJob(job);
+      return res.json({
+        ...status,
+        title: document.title,
+        failure: job.status === 'failed' ? describeProcessingError(job.errors[job.errors.length - 1]) : null,
+        result: job.result
       });
     }
 
-    console.log(`📝 Document saved to database: ${document.id}`);
+    // Job has been pruned or the server restarted - fall back to the stored status
+    const processingStatus = document.processing_status || 'completed';
+    res.json({
+      job_id: document.processing_job_id || null,
+      document_id: document.id,
+      title: document.title,
+      status: processingStatus,
+      current_step: null,
+      percent_complete: processingStatus === 'completed' ? 100 : 0,
+      steps: [],
+      errors: document.processing_metadata?.processing_errors || [],
+      failure: processingStatus === 'failed'
+        ? describeProcessingError(document.processing_metadata?.processing_errors?.slice(-1)[0])
+        : null,
+      result: null
+    });
+  } catch (error) {
+    console.error('Get processing status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Full text of a page range, loaded from the text store
+router.get('/:id/text', authMiddleware, async (req, res) => {
+  try {
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('id, title, total_pages')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const startPage = parseInt(req.query.start_page) || 1;
+    const endPage = parseInt(req.query.end_page) || startPage;
 
-    // Step 4: Save detailed PDF analysis
-    try {
-      await pdfProcessor.savePDFAnalysisToDatabase(document.id, userId, analysisData);
-    } catch (analysisError) {
-      console.error('PDF analysis save error:', analysisError);
-      // Don't fail the whole operation, but log the issue
-    }
-
-    // Step 5: Initialize page tracking with intelligent estimates
-    const pageInserts = Array.from({ length: analysisData.totalPages }, (_, i) => {
-      const pageNum = i + 1;
-      const pageEstimate = analysisData.timeEstimates.pageEstimates.find(e => e.pageNumber === pageNum);
-      const pageAnalysis = analysisData.pageAnalysis.find(p => p.pageNumber === pageNum);
-      
-      return {
-        document_id: document.id,
-        user_id: userId,
-        page_number: pageNum,
-        time_spent_seconds: 0,
-        is_completed: false,
-        estimated_time_seconds: pageEstimate?.estimatedSeconds || 120,
-        difficulty_rating: pageAnalysis?.difficultyLevel || 3
-      };
+    if (startPage < 1 || endPage < startPage || endPage > document.total_pages) {
+      return res.status(400).json({
+        error: `Invalid page range. Pages must be between 1 and ${document.total_pages}, with start_page <= end_page`
+      });
+    }
+
+    if (endPage - startPage + 1 > MAX_TEXT_PAGES_PER_REQUEST) {
+      return res.status(400).json({
+        error: `Page range too large (max ${MAX_TEXT_PAGES_PER_REQUEST} pages per request)`
+      });
+    }
+
+    const pages = await textStore.getPageRange(document.id, req.user.id, startPage, endPage);
+
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      start_page: startPage,
+      end_page: endPage,
+      total_pages: document.total_pages,
+      // Only documents processed before the text store existed are truncated
+      complete: pages.every(page => !page.truncated),
+      pages
     });
+  } catch (error) {
+    console.error('Get page text error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const { error: pagesError } = await supabase
-      .from('document_pages')
-      .insert(pageInserts);
+// Key terms per chapter with their defining pages; format=review returns them as prompts
+router.get('/:id/glossary', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { chapter, format } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 15, 1), 60);
 
-    if (pagesError) {
-      console.error('Pages insert error:', pagesError);
-      // Don't fail the whole operation
+    if (chapter !== undefined && !/^\d+$/.test(chapter)) {
+      return res.status(400).json({
+        error: 'Invalid chapter',
+        details: 'chapter must be a chapter index, counted from 0'
+      });
     }
 
-    // Step 6: Update user document count and stats
-    await updateUserDocumentStats(userId, analysisData);
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select('id, title')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
 
-    // Step 7: Generate intelligent reading recommendations
-    const userReadingSpeed = await pdfProcessor.getUserReadingSpeed(userId);
-    const recommendations = pdfProcessor.generateReadingRecommendations(analysisData, userReadingSpeed);
+    if (docError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
 
-    // Prepare response with comprehensive insights
-    const response = {
-      message: 'PDF uploaded and analyzed successfully! 🎉',
-      document: {
-        id: document.id,
-        title: document.title,
-        total_pages: document.total_pages,
-        difficulty_level: document.difficulty_level,
-        estimated_reading_time_minutes: document.estimated_reading_time_minutes,
-        content_type: document.content_type,
-        created_at: document.created_at
-      },
-      intelligent_insights: {
-        processing_time_ms: processingTime,
-        analysis_summary: {
-          total_words: analysisData.documentMetrics.totalWords,
-          average_difficulty: analysisData.documentMetrics.averageDifficulty,
-          structural_complexity: analysisData.documentMetrics.structuralComplexity,
-          dominant_content_type: pdfProcessor.getDominantContentType(analysisData.documentMetrics.contentTypeDistribution)
-        },
-        time_estimates: {
-          total_reading_time: `${Math.round(analysisData.timeEstimates.totalSeconds / 3600 * 10) / 10} hours`,
-          average_per_page: `${Math.round(analysisData.timeEstimates.averageSecondsPerPage / 60)} minutes`,
-          difficulty_breakdown: Object.entries(analysisData.timeEstimates.difficultyBasedTotals)
-            .filter(([_, time]) => time > 0)
-            .map(([level, time]) => ({
-              difficulty_level: parseInt(level),
-              estimated_minutes: Math.round(time / 60),
-              page_count: analysisData.pageAnalysis.filter(p => p.difficultyLevel === parseInt(level)).length
-            }))
-        },
-        document_structure: {
-          chapters: analysisData.documentStructure.chapters.length,
-          sections: analysisData.documentStructure.sections.length,
-          has_table_of_contents: analysisData.documentStructure.tableOfContents.length > 0,
-          has_bibliography: analysisData.documentStructure.bibliography.length > 0
-        },
-        recommendations: recommendations.slice(0, 3) // Top 3 recommendations
-      },
-      next_steps: [
-        {
-          action: 'start_reading',
-          description: 'Begin reading from page 1',
-          estimated_time: `${Math.round(analysisData.timeEstimates.pageEstimates[0]?.estimatedSeconds / 60)} minutes`
-        },
-        {
-          action: 'create_study_plan',
-          description: 'Set up a study schedule based on difficulty analysis',
-          recommended: recommendations.some(r => r.type === 'time')
-        },
-        {
-          action: 'generate_sprint',
-          description: 'Create your first intelligent study sprint',
-          url: `/api/sprints/generate?document_id=${document.id}`
-        }
-      ]
-    };
+    let termsQuery = supabaseAdmin
+      .from('document_terms')
+      .select('chapter_index, chapter_title, start_page, end_page, term, frequency, first_page, is_phrase, is_technical, defined_on_page, definition')
+      .eq('document_id', document.id)
+      .eq('user_id', userId);
+
+    if (chapter !== undefined) {
+      termsQuery = termsQuery.eq('chapter_index', parseInt(chapter));
+    }
+
+    const { data: termRows, error: termsError } = await termsQuery.order('chapter_index');
+
+    if (termsError) {
+      console.error('Fetch glossary error:', termsError);
+      return res.status(500).json({ error: 'Failed to fetch glossary' });
+    }
+
+    const { frequencies, otherDocumentCount } = await getTermDocumentFrequencies(
+      userId,
+      document.id,
+      [...new Set(termRows.map(row => row.term))]
+    );
+
+    // Rank within each chapter
+    const chapters = [];
+    termRows.forEach(row => {
+      let chapterEntry = chapters.find(entry => entry.chapter_index === row.chapter_index);
+      if (!chapterEntry) {
+        chapterEntry = {
+          chapter_index: row.chapter_index,
+          title: row.chapter_title,
+          start_page: row.start_page,
+          end_page: row.end_page,
+          rows: []
+        };
+        chapters.push(chapterEntry);
+      }
+      chapterEntry.rows.push(row);
+    });
+
+    const rankedChapters = chapters.map(({ rows, ...chapterInfo }) => ({
+      ...chapterInfo,
+      terms: glossaryExtractor.rankTerms(rows, frequencies, otherDocumentCount)
+        .slice(0, limit)
+        .map(term => ({
+          term: term.term,
+          score: term.score,
+          frequency: term.frequency,
+          first_page: term.first_page,
+          defined_on_page: term.defined_on_page,
+          definition: term.definition,
+          review_prompt: glossaryExtractor.buildReviewPrompt(term)
+        }))
+    }));
 
-    res.status(201).json(response);
+    if (format === 'review') {
+      // Defined terms make the best prompts, so they come first
+      const prompts = rankedChapters
+        .flatMap(entry => entry.terms.map(term => ({
+          term: term.term,
+          chapter: entry.title,
+          score: term.score,
+          ...term.review_prompt
+        })))
+        .sort((a, b) => (b.answer ? 1 : 0) - (a.answer ? 1 : 0) || b.score - a.score);
+
+      return res.json({ document_id: document.id, title: document.title, prompts });
+    }
 
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      compared_against_documents: otherDocumentCount,
+      chapters: rankedChapters
+    });
   } catch (error) {
-    console.error('Enhanced upload error:', error);
-    
-    // Provide specific error messages based on error type
-    if (error.message.includes('Failed to process PDF')) {
-      return res.status(422).json({ 
-        error: 'PDF processing failed',
-        details: 'The PDF file appears to be corrupted or in an unsupported format. Please try a different file.',
-        suggestion: 'Ensure the PDF is not password-protected and is a standard PDF format.'
+    console.error('Get glossary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parsed bibliography; format=bibtex or format=csl-json downloads it for a reference manager
+router.get('/:id/references', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { format } = req.query;
+
+    if (format && !['json', 'bibtex', 'csl-json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        details: 'format must be one of json, bibtex, csl-json'
       });
     }
-    
-    if (error.message.includes('pdf-parse')) {
-      return res.status(422).json({ 
-        error: 'PDF parsing error',
-        details: 'Could not extract content from the PDF. The file may be image-based or corrupted.',
-        suggestion: 'Try converting the PDF to a text-based format or use OCR if it contains scanned images.'
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select('id, title')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (docError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { data: references, error: referencesError } = await supabaseAdmin
+      .from('document_references')
+      .select('position, page_number, raw_text, authors, title, year, venue, volume, issue, pages, doi, url, reference_type')
+      .eq('document_id', document.id)
+      .eq('user_id', userId)
+      .order('position');
+
+    if (referencesError) {
+      console.error('Fetch references error:', referencesError);
+      return res.status(500).json({ error: 'Failed to fetch references' });
+    }
+
+    const fileBase = document.title.replace(/[^\w.-]+/g, '_').substring(0, 80) || 'references';
+
+    if (format === 'bibtex') {
+      res.set('Content-Type', 'application/x-bibtex; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileBase}.bib"`);
+      return res.send(referenceParser.toBibTeX(references));
+    }
+
+    if (format === 'csl-json') {
+      res.set('Content-Type', 'application/vnd.citationstyles.csl+json; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${fileBase}.json"`);
+      return res.send(JSON.stringify(referenceParser.toCSLJSON(references), null, 2));
+    }
+
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      total: references.length,
+      references
+    });
+  } catch (error) {
+    console.error('Get references error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Figure and table index: captions, their pages and where the text refers to them
+router.get('/:id/figures', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { kind, label } = req.query;
+
+    if (kind && !['figure', 'table'].includes(kind)) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        details: 'kind must be figure or table'
       });
     }
 
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: 'An unexpected error occurred while processing your PDF. Please try again.',
-      support_info: 'If this problem continues, please contact support with the filename and upload time.'
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select('id, title')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (docError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    let figuresQuery = supabaseAdmin
+      .from('document_figures')
+      .select('kind, label, caption, page_number, referenced_on_pages')
+      .eq('document_id', document.id)
+      .eq('user_id', userId);
+
+    if (kind) figuresQuery = figuresQuery.eq('kind', kind);
+    // "4.2", "Table 4.2" and "table 4-2" all find the same entry
+    if (label) {
+      figuresQuery = figuresQuery.eq('label', label.replace(/^\s*(?:figure|fig\.|table)\s*/i, '').trim().replace(/-/g, '.'));
+    }
+
+    const { data: entries, error: figuresError } = await figuresQuery.order('page_number');
+
+    if (figuresError) {
+      console.error('Fetch figures error:', figuresError);
+      return res.status(500).json({ error: 'Failed to fetch figure index' });
+    }
+
+    const formatEntry = entry => ({
+      label: `${entry.kind === 'table' ? 'Table' : 'Figure'} ${entry.label}`,
+      number: entry.label,
+      caption: entry.caption,
+      page_number: entry.page_number,
+      referenced_on_pages: entry.referenced_on_pages || []
+    });
+
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      figures: entries.filter(entry => entry.kind === 'figure').map(formatEntry),
+      tables: entries.filter(entry => entry.kind === 'table').map(formatEntry)
+    });
+  } catch (error) {
+    console.error('Get figures error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Annotations: highlights, margin notes and bookmarks, filterable by kind, tag,
+// page, session and chapter (index into the document's chapter ranges)
+router.get('/:id/annotations', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { kind, tag, page, session_id, chapter } = req.query;
+
+    if (kind && !DocumentAnnotationsService.ANNOTATION_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: 'Invalid kind',
+        details: `kind must be one of: ${DocumentAnnotationsService.ANNOTATION_KINDS.join(', ')}`
+      });
+    }
+
+    if (session_id && !UUID_PATTERN.test(session_id)) {
+      return res.status(400).json({ error: 'Invalid session_id', details: 'session_id must be a study session ID' });
+    }
+
+    const document = await findOwnedDocument(req.params.id, userId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const chapters = pdfProcessor.getChapterRanges(document.processing_metadata?.documentStructure, document.total_pages);
+
+    let pageRange = null;
+    if (chapter !== undefined) {
+      pageRange = chapters[parseInt(chapter)];
+      if (!pageRange) {
+        return res.status(404).json({
+          error: 'Chapter not found',
+          details: `This document has ${chapters.length} chapter(s), indexed from 0`
+        });
+      }
+    }
+
+    const annotations = await documentAnnotations.list(document.id, userId, {
+      kind,
+      tag,
+      session_id,
+      page: page ? parseInt(page) : null,
+      pageRange
     });
+
+    res.json({
+      document_id: document.id,
+      title: document.title,
+      total: annotations.length,
+      annotations: documentAnnotations.withChapters(annotations, chapters)
+    });
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Enhanced document listing with intelligent filters
-router.get('/', authMiddleware, async (req, res) => {
-  try {
-    const { 
-      topic_id, 
-      difficulty_level, 
-      content_type, 
-      sort_by = 'created_at', 
-      sort_order = 'desc',
-      include_analysis = 'false',
-      limit = 50,
-      offset = 0
-    } = req.query;
+router.post('/:id/annotations', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const document = await findOwnedDocument(req.params.id, userId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const validation = documentAnnotations.validate(req.body, { totalPages: document.total_pages });
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+
+    const session = await documentAnnotations.resolveSession(document.id, userId, validation.values.session_id);
+    if (session.error) {
+      return res.status(400).json(session.error);
+    }
+
+    const { data: annotation, error } = await documentAnnotations.create(document.id, userId, {
+      ...validation.values,
+      session_id: session.sessionId
+    });
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Page already bookmarked',
+          details: `Page ${validation.values.page_number} already has a bookmark`
+        });
+      }
+      console.error('Create annotation error:', error);
+      return res.status(500).json({ error: 'Failed to create annotation' });
+    }
+
+    console.log(`🖍️ Added ${annotation.kind} on page ${annotation.page_number} of document ${document.id}`);
+
+    const chapters = pdfProcessor.getChapterRanges(document.processing_metadata?.documentStructure, document.total_pages);
+    res.status(201).json({
+      message: 'Annotation created successfully',
+      annotation: documentAnnotations.withChapters([annotation], chapters)[0]
+    });
+  } catch (error) {
+    console.error('Create annotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/:id/annotations/:annotationId', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const document = await findOwnedDocument(req.params.id, userId);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const existing = await documentAnnotations.get(req.params.annotationId, document.id, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
+
+    const validation = documentAnnotations.validate(req.body, { existing, totalPages: document.total_pages });
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+
+    if (Object.keys(validation.values).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        details: 'Send at least one annotation field to change'
+      });
+    }
+
+    // Re-linking is explicit; an update never moves an annotation to the current session
+    if (validation.values.session_id) {
+      const session = await documentAnnotations.resolveSession(document.id, userId, validation.values.session_id);
+      if (session.error) {
+        return res.status(400).json(session.error);
+      }
+    }
+
+    const { data: annotation, error } = await documentAnnotations.update(existing.id, userId, validation.values);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Page already bookmarked',
+          details: `Page ${validation.values.page_number} already has a bookmark`
+        });
+      }
+      console.error('Update annotation error:', error);
+      return res.status(500).json({ error: 'Failed to update annotation' });
+    }
+
+    const chapters = pdfProcessor.getChapterRanges(document.processing_metadata?.documentStructure, document.total_pages);
+    res.json({
+      message: 'Annotation updated successfully',
+      annotation: documentAnnotations.withChapters([annotation], chapters)[0]
+    });
+  } catch (error) {
+    console.error('Update annotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:id/annotations/:annotationId', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const existing = await documentAnnotations.get(req.params.annotationId, req.params.id, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
+
+    const { error } = await documentAnnotations.remove(existing.id, userId);
+
+    if (error) {
+      console.error('Delete annotation error:', error);
+      return res.status(500).json({ error: 'Failed to delete annotation' });
+    }
+
+    res.json({
+      message: 'Annotation deleted successfully',
+      deleted_annotation: { id: existing.id, kind: existing.kind, page_number: existing.page_number }
+    });
+  } catch (error) {
+    console.error('Delete annotation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exact resume position; last writer (by updated_at) wins across devices
+router.get('/:id/position', authMiddleware, async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req.params.id, req.user.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const position = await readingPositions.get(document.id, req.user.id);
+
+    res.json({
+      document_id: document.id,
+      position
+    });
+  } catch (error) {
+    console.error('Get reading position error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/:id/position', authMiddleware, async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req.params.id, req.user.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const validation = readingPositions.validate(req.body, document.total_pages);
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+
+    const { position, applied } = await readingPositions.save(document.id, req.user.id, validation.position);
+
+    if (!applied) {
+      // Another device saved a newer position; the client should move there instead
+      return res.status(409).json({
+        error: 'Stale reading position',
+        details: `A newer position (page ${position.page_number}) was saved${position.device_id ? ` from ${position.device_id}` : ''} at ${position.updated_at}`,
+        code: 'POSITION_STALE',
+        position
+      });
+    }
+
+    res.json({
+      message: 'Reading position saved',
+      position
+    });
+  } catch (error) {
+    console.error('Save reading position error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The original uploaded file: a short-lived signed link (redirect or JSON), or
+// streamed through the API with Range support so PDF viewers can load lazily
+router.get('/:id/file', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { mode = 'redirect', download } = req.query;
+
+    if (!FILE_ACCESS_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        details: `mode must be one of: ${FILE_ACCESS_MODES.join(', ')}`
+      });
+    }
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select('id, title, file_name, file_path, processing_status, processing_metadata')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (docError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const safety = document.processing_metadata?.safety;
+    const quarantined = safety?.action === 'quarantined';
+    const sourceFormat = document.processing_metadata?.sourceFormat || pdfProcessor.extractors.detectFormat(document.file_name);
+    const bucket = getStorageBucket(safety);
+
+    // Quarantined files stay locked until the user releases them
+    if (quarantined && !safety.releasedAt) {
+      await logDocumentAccess(req, document, { mode, bucket, byteRange: null, statusCode: 403 });
+      return res.status(403).json({
+        error: 'File is quarantined',
+        code: 'DOCUMENT_QUARANTINED',
+        details: `The safety scan flagged this file (${safety.reason}). Release it to download it.`,
+        quarantine: describeQuarantine(safety, document.id)
+      });
+    }
+
+    // Quarantined files are never opened in the browser's viewer
+    const asAttachment = quarantined || download === 'true' || !INLINE_FILE_FORMATS.includes(sourceFormat);
+
+    const { data: signed, error: signError } = await supabase.storage
+      .from(bucket)
+      .createSignedUrl(document.file_path, SIGNED_URL_TTL_SECONDS, asAttachment ? { download: document.file_name } : undefined);
+
+    if (signError || !signed?.signedUrl) {
+      console.error('Create signed URL error:', signError);
+      return res.status(404).json({
+        error: 'File not available',
+        details: document.processing_status === 'processing'
+          ? 'The file is still being processed. Please try again shortly.'
+          : 'The stored file could not be found'
+      });
+    }
+
+    const access = { mode, bucket, byteRange: null, statusCode: null };
+    res.set('Cache-Control', 'private, no-store');
+
+    if (mode === 'url') {
+      access.statusCode = 200;
+      await logDocumentAccess(req, document, access);
+      return res.json({
+        url: signed.signedUrl,
+        expires_in: SIGNED_URL_TTL_SECONDS,
+        expires_at: new Date(Date.now() + SIGNED_URL_TTL_SECONDS * 1000).toISOString(),
+        content_type: pdfProcessor.extractors.getMimeType(sourceFormat),
+        disposition: asAttachment ? 'attachment' : 'inline',
+        quarantined,
+        safety_reason: quarantined ? safety.reason : null
+      });
+    }
+
+    if (mode === 'redirect') {
+      access.statusCode = 302;
+      await logDocumentAccess(req, document, access);
+      return res.redirect(302, signed.signedUrl);
+    }
+
+    // Stream: forward a single byte range to storage; multi-range requests get the whole file
+    const rangeHeader = req.get('Range');
+    const byteRange = rangeHeader && SINGLE_BYTE_RANGE.test(rangeHeader.trim()) ? rangeHeader.trim() : null;
+
+    const upstream = await fetch(signed.signedUrl, {
+      headers: byteRange ? { Range: byteRange } : {}
+    });
+
+    if (upstream.status === 416) {
+      res.set('Content-Range', upstream.headers.get('content-range') || 'bytes */*');
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    if (!upstream.ok || !upstream.body) {
+      console.error(`File stream error: storage responded ${upstream.status}`);
+      return res.status(502).json({ error: 'Failed to read stored file' });
+    }
+
+    res.status(upstream.status === 206 ? 206 : 200);
+    res.set({
+      'Content-Type': pdfProcessor.extractors.getMimeType(sourceFormat),
+      'Content-Disposition': `${asAttachment ? 'attachment' : 'inline'}; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    ['content-length', 'content-range', 'etag', 'last-modified'].forEach(header => {
+      const value = upstream.headers.get(header);
+      if (value) res.set(header, value);
+    });
+
+    // A viewer fetches a file in many chunks; one entry per opening is enough for the trail
+    if (!byteRange || /^bytes=0-/.test(byteRange)) {
+      access.byteRange = byteRange;
+      access.statusCode = res.statusCode;
+      await logDocumentAccess(req, document, access);
+    }
+
+    pipeline(Readable.fromWeb(upstream.body), res, streamError => {
+      // Viewers routinely abort a range once they have what they need
+      if (streamError && streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('File stream error:', streamError);
+      }
+    });
+  } catch (error) {
+    console.error('Get document file error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Extractive one-page recap of a chapter, cached after the first request
+router.get('/:id/chapters/:index/summary', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const chapterIndex = parseInt(req.params.index);
+    const refresh = req.query.refresh === 'true';
+
+    const { data: document, error: docError } = await supabase
+      .from('documents')
+      .select('id, title, total_pages, processing_status, processing_metadata')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .single();
+
+    if (docError || !document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.processing_status !== 'completed') {
+      return res.status(409).json({ error: 'Document is still being processed' });
+    }
+
+    const chapters = pdfProcessor.getChapterRanges(
+      document.processing_metadata?.documentStructure,
+      document.total_pages
+    );
+    const chapter = chapters[chapterIndex];
+
+    if (Number.isNaN(chapterIndex) || !chapter) {
+      return res.status(404).json({ 
+        error: 'Chapter not found',
+        details: `This document has ${chapters.length} chapter(s), indexed from 0`
+      });
+    }
+
+    const processedAt = document.processing_metadata?.processedAt || null;
+
+    if (!refresh) {
+      const { data: cached } = await supabaseAdmin
+        .from('chapter_summaries')
+        .select('*')
+        .eq('document_id', document.id)
+        .eq('chapter_index', chapterIndex)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (cached && cached.source_processed_at === processedAt) {
+        return res.json(formatChapterSummary(document, chapterIndex, cached, true));
+      }
+    }
+
+    const startTime = Date.now();
+    const pages = await textStore.getPageRange(document.id, userId, chapter.startPage, chapter.endPage);
+    const summary = chapterSummarizer.summarize(
+      pages.map(page => ({ pageNumber: page.page_number, text: page.text })),
+      document.processing_metadata?.language?.code
+    );
+
+    const record = {
+      document_id: document.id,
+      user_id: userId,
+      chapter_index: chapterIndex,
+      chapter_title: chapter.title,
+      start_page: chapter.startPage,
+      end_page: chapter.endPage,
+      sentences: summary.sentences,
+      word_count: summary.wordCount,
+      text_complete: pages.every(page => !page.truncated),
+      source_processed_at: processedAt,
+      generated_at: new Date().toISOString()
+    };
+
+    const { error: cacheError } = await supabaseAdmin
+      .from('chapter_summaries')
+      .upsert(record, { onConflict: 'document_id,chapter_index' });
+
+    if (cacheError) {
+      // Still worth returning the summary we just built
+      console.warn('Failed to cache chapter summary:', cacheError.message);
+    }
+
+    console.log(`📝 Summarised chapter ${chapterIndex} of ${document.id}: ${summary.sentences.length} of ${summary.candidateCount} sentences in ${Date.now() - startTime}ms`);
+
+    res.json(formatChapterSummary(document, chapterIndex, record, false));
+  } catch (error) {
+    console.error('Chapter summary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-run analysis on outdated documents across all users (admin only)
+router.post('/reanalyze', authMiddleware, requireRole('admin'), async (req, res) => {
+  try {
+    const { document_ids, limit = 50, dry_run = false } = req.body;
+    const currentVersion = PDFProcessorService.PROCESSING_VERSION;
+    const batchLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+    let query = supabaseAdmin
+      .from('documents')
+      .select('id, user_id, title, file_name, file_path, total_pages, difficulty_level, estimated_reading_time_minutes, processing_metadata')
+      .eq('processing_status', 'completed')
+      .is('deleted_at', null);
+
+    if (Array.isArray(document_ids) && document_ids.length > 0) {
+      query = query.in('id', document_ids);
+    } else {
+      // Anything analysed by an older (or unknown) processing version
+      query = query.or(
+        `processing_metadata->>processingVersion.is.null,processing_metadata->>processingVersion.neq.${currentVersion}`
+      );
+    }
+
+    const { data: documents, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(batchLimit);
+
+    if (error) {
+      console.error('Fetch outdated documents error:', error);
+      return res.status(500).json({ error: 'Failed to fetch documents for re-analysis' });
+    }
+
+    // Password-protected files can only be re-analysed by their owner, who has the password
+    const skipped = documents.filter(doc => doc.processing_metadata?.encryption?.passwordProtected);
+    const queueable = documents.filter(doc => !skipped.includes(doc));
+    const skippedSummary = skipped.map(doc => ({ id: doc.id, title: doc.title, reason: 'password_protected' }));
+
+    if (dry_run) {
+      return res.json({
+        current_processing_version: currentVersion,
+        would_queue: queueable.length,
+        skipped: skippedSummary,
+        documents: queueable.map(doc => ({
+          id: doc.id,
+          title: doc.title,
+          processing_version: doc.processing_metadata?.processingVersion || null
+        }))
+      });
+    }
+
+    const jobs = [];
+    for (const document of queueable) {
+      const job = await enqueueReanalysis(document);
+      if (job) {
+        jobs.push({ document_id: document.id, job_id: job.id });
+      } else {
+        skippedSummary.push({ id: document.id, title: document.title, reason: 'already_processing' });
+      }
+    }
+
+    console.log(`🔁 Queued re-analysis for ${jobs.length} documents`);
+
+    res.status(202).json({
+      message: `Queued ${jobs.length} documents for re-analysis`,
+      current_processing_version: currentVersion,
+      queued: jobs.length,
+      skipped: skippedSummary,
+      jobs
+    });
+  } catch (error) {
+    console.error('Bulk re-analysis error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move, re-prioritise or trash many documents at once; all of them change or none do
+router.post('/bulk', authMiddleware, async (req, res) => {
+  try {
+    const { document_ids, action, topic_id, priority } = req.body;
+    const userId = req.user.id;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        details: `action must be one of: ${BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(document_ids) || document_ids.length === 0) {
+      return res.status(400).json({
+        error: 'No documents selected',
+        details: 'document_ids must be a non-empty array of document IDs'
+      });
+    }
+
+    const documentIds = [...new Set(document_ids)];
+
+    if (documentIds.length > MAX_BULK_DOCUMENTS) {
+      return res.status(400).json({
+        error: 'Too many documents',
+        details: `A bulk request can change at most ${MAX_BULK_DOCUMENTS} documents`
+      });
+    }
+
+    if (documentIds.some(id => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+      return res.status(400).json({
+        error: 'Invalid document ID',
+        details: 'Every entry in document_ids must be a document UUID'
+      });
+    }
+
+    // Same rules as a single edit; a null topic_id moves documents out of their topic
+    let metadata = { updates: {} };
+    if (action === 'move') {
+      if (topic_id === undefined) {
+        return res.status(400).json({
+          error: 'Missing topic_id',
+          details: 'Moving documents needs a topic_id (or null to remove them from their topic)'
+        });
+      }
+      metadata = await validateDocumentMetadata({ topic_id }, userId);
+    } else if (action === 'set_priority') {
+      if (priority === undefined) {
+        return res.status(400).json({
+          error: 'Missing priority',
+          details: 'Re-prioritising documents needs a priority between 1 (highest) and 5 (lowest)'
+        });
+      }
+      metadata = await validateDocumentMetadata({ priority }, userId);
+    }
+
+    if (metadata.error) {
+      return res.status(400).json(metadata.error);
+    }
+
+    console.log(`📦 Bulk ${action} of ${documentIds.length} documents for user ${userId}`);
+
+    const { data: affected, error } = await supabase.rpc('bulk_update_documents', {
+      p_user_id: userId,
+      p_document_ids: documentIds,
+      p_action: action,
+      p_topic_id: metadata.updates.topic_id ?? null,
+      p_priority: metadata.updates.priority ?? null
+    });
+
+    if (error) {
+      // The function raises before changing anything, so nothing needs undoing here
+      if (error.code === 'P0002') {
+        return res.status(404).json({
+          error: 'Documents not found',
+          details: `${error.message}. No documents were changed.`
+        });
+      }
+      if (error.code === '22023') {
+        return res.status(400).json({
+          error: 'Invalid bulk request',
+          details: `${error.message}. No documents were changed.`
+        });
+      }
+      console.error('Bulk document update error:', error);
+      return res.status(500).json({
+        error: 'Bulk operation failed',
+        details: 'No documents were changed. Please try again.'
+      });
+    }
+
+    if (action === 'delete') {
+      await adjustUserStatsForTrash(userId, affected.map(doc => doc.id), -1);
+      await updateUserDocumentStats(userId);
+    }
+
+    res.json({
+      message: `${BULK_ACTION_LABELS[action]} ${affected.length} documents`,
+      action,
+      affected: affected.length,
+      documents: affected.map(doc => ({
+        id: doc.id,
+        title: doc.title,
+        topic_id: doc.topic_id,
+        priority: doc.priority,
+        pages: doc.total_pages
+      })),
+      ...(action === 'delete' && {
+        purge_after: trashPurge.purgeAfter(new Date()).toISOString()
+      })
+    });
+  } catch (error) {
+    console.error('Bulk document operation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-run analysis on a document's stored file, keeping reading progress
+router.post('/:id/reanalyze', authMiddleware, async (req, res) => {
+  try {
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('id, user_id, title, file_name, file_path, total_pages, difficulty_level, estimated_reading_time_minutes, processing_status, processing_metadata')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      console.error('Fetch document error:', error);
+      return res.status(500).json({ error: 'Failed to fetch document' });
+    }
+
+    if (document.processing_status === 'processing') {
+      return res.status(409).json({ 
+        error: 'Document is already being processed',
+        status_url: `/api/documents/${document.id}/processing-status`
+      });
+    }
+
+    if (document.processing_status === 'failed') {
+      return res.status(409).json({ 
+        error: 'Document has no stored file to re-analyse',
+        details: 'Processing of this upload failed. Please upload the file again.'
+      });
+    }
+
+    if (document.processing_status === 'quarantined') {
+      return res.status(409).json({
+        error: 'Document is quarantined',
+        details: 'Release the document to analyse it',
+        quarantine: describeQuarantine(document.processing_metadata?.safety, document.id)
+      });
+    }
+
+    // Passwords are never stored, so encrypted files need theirs again
+    const { pdf_password } = req.body || {};
+    if (document.processing_metadata?.encryption?.passwordProtected && !pdf_password) {
+      return res.status(422).json({
+        error: 'PDF is password protected',
+        code: 'PDF_PASSWORD_REQUIRED',
+        details: 'Re-analysing this document needs its password. Resend the request with pdf_password.',
+        resend_with: { pdf_password: '<document password>' }
+      });
+    }
+
+    const job = await enqueueReanalysis(document, { pdfPassword: pdf_password || null });
+    if (!job) {
+      return res.status(409).json({
+        error: 'Document is already being processed',
+        status_url: `/api/documents/${document.id}/processing-status`
+      });
+    }
+
+    res.status(202).json({
+      message: 'Document queued for re-analysis 🔁',
+      document: {
+        id: document.id,
+        title: document.title,
+        processing_version: document.processing_metadata?.processingVersion || null,
+        target_processing_version: PDFProcessorService.PROCESSING_VERSION
+      },
+      job: {
+        id: job.id,
+        status: job.status,
+        status_url: `/api/documents/${document.id}/processing-status`
+      }
+    });
+  } catch (error) {
+    console.error('Re-analysis error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Release a quarantined upload: the user accepts the safety scan's warning,
+// which unlocks the file for download and queues its analysis
+router.post('/:id/release', authMiddleware, async (req, res) => {
+  try {
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select('id, user_id, title, file_name, file_path, content_hash, processing_status, processing_metadata')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      console.error('Fetch document error:', error);
+      return res.status(500).json({ error: 'Failed to fetch document' });
+    }
+
+    if (document.processing_status !== 'quarantined') {
+      return res.status(409).json({
+        error: 'Document is not quarantined',
+        details: document.processing_status === 'processing'
+          ? 'The document is still being processed'
+          : 'Only quarantined uploads can be released'
+      });
+    }
+
+    const { data: file, error: downloadError } = await supabase.storage
+      .from(getStorageBucket(document.processing_metadata?.safety))
+      .download(document.file_path);
+
+    if (downloadError) {
+      console.error('Download quarantined file error:', downloadError);
+      return res.status(404).json({ error: 'File not available', details: 'The stored file could not be found' });
+    }
+
+    const buffer = Buffer.from(await file.arrayBuffer());
+    const sourceFormat = document.processing_metadata?.sourceFormat || pdfProcessor.extractors.detectFormat(document.file_name);
+
+    // The password check opens the file, so quarantined uploads are only checked once released
+    const { pdf_password } = req.body || {};
+    let encryption = null;
+    if (sourceFormat === 'pdf') {
+      encryption = await pdfProcessor.checkEncryption(buffer, pdf_password);
+      const passwordError = buildPdfPasswordError(encryption, 'the release');
+      if (passwordError) {
+        return res.status(422).json(passwordError);
+      }
+    }
+
+    const safety = { ...document.processing_metadata.safety, releasedAt: new Date().toISOString() };
+    const releasedDocument = {
+      ...document,
+      processing_metadata: { ...document.processing_metadata, safety }
+    };
+    // The status is written before the job is queued, so a job that finishes
+    // (or fails back into quarantine) quickly is not overwritten by it. Only a
+    // document that is still quarantined is claimed, so a release runs once.
+    const { data: claimed, error: claimError } = await supabase
+      .from('documents')
+      .update({
+        processing_status: 'processing',
+        processing_metadata: releasedDocument.processing_metadata,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', document.id)
+      .eq('user_id', document.user_id)
+      .eq('processing_status', 'quarantined')
+      .select('id');
+
+    if (claimError) {
+      console.error('Release document error:', claimError);
+      return res.status(500).json({ error: 'Failed to release document' });
+    }
+
+    if (!claimed || claimed.length === 0) {
+      return res.status(409).json({
+        error: 'Document is not quarantined',
+        details: 'The document was released by another request'
+      });
+    }
+
+    console.log(`🛡️ User ${req.user.id} released quarantined document ${document.id}`);
+
+    const job = processingQueue.enqueue({
+      documentId: document.id,
+      userId: document.user_id,
+      context: {
+        buffer,
+        originalName: document.file_name,
+        sourceFormat,
+        contentHash: document.content_hash,
+        title: document.title,
+        fileName: document.file_path,
+        // The file is analysed where it is stored
+        store_file: document.file_path,
+        pdfPassword: encryption?.passwordProtected ? pdf_password : null,
+        encryption: encryption && { encrypted: encryption.encrypted, passwordProtected: encryption.passwordProtected },
+        safety
+      },
+      steps: buildUploadProcessingSteps(document.id, document.user_id).filter(step => step.name !== 'store_file'),
+      onFailure: (context, failedJob) => returnToQuarantine(releasedDocument, failedJob)
+    });
+
+    await supabase
+      .from('documents')
+      .update({ processing_job_id: job.id })
+      .eq('id', document.id)
+      .eq('user_id', document.user_id);
+
+    res.status(202).json({
+      message: 'Document released and queued for analysis 📥',
+      document: {
+        id: document.id,
+        title: document.title,
+        processing_status: 'processing'
+      },
+      safety: summarizeSafety(safety, document.id),
+      job: {
+        id: job.id,
+        status: job.status,
+        status_url: `/api/documents/${document.id}/processing-status`
+      }
+    });
+  } catch (error) {
+    console.error('Release document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enhanced document listing with intelligent filters
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { 
+      topic_id, 
+      difficulty_level, 
+      content_type, 
+      sort_by = 'created_at', 
+      sort_order = 'desc',
+      include_analysis = 'false',
+      include_processing = 'true',
+      tag,
+      filter,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const pageOffset = parseInt(offset);
+    const pageLimit = parseInt(limit);
+
+    let savedFilter = null;
+    let filterAst = null;
+    if (filter) {
+      savedFilter = await savedFilters.get(filter, req.user.id);
+      if (!savedFilter) {
+        return res.status(404).json({ error: 'Saved filter not found' });
+      }
+      const parsed = savedFilters.parse(savedFilter.query);
+      if (parsed.error) {
+        return res.status(400).json(parsed.error);
+      }
+      filterAst = parsed.ast;
+    }
+
+    const validSortFields = ['created_at', 'updated_at', 'title', 'difficulty_level', 'total_pages', 'priority'];
+    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const sortAsc = sort_order.toLowerCase() === 'asc';
+
+    // Build query with filters
+    const buildListQuery = () => {
+      let query = supabase
+        .from('documents')
+        .select(`
+          id,
+          title,
+          file_name,
+          total_pages,
+          difficulty_level,
+          estimated_reading_time_minutes,
+          content_type,
+          priority,
+          tags,
+          created_at,
+          updated_at,
+          processing_metadata,
+          processing_status,
+          topics (
+            id,
+            name,
+            color,
+            icon
+          )
+        `, filterAst ? {} : { count: 'exact' })
+        .eq('user_id', req.user.id)
+        .is('deleted_at', null);
+
+      // Documents still being analysed are flagged by default, or hidden on request
+      if (include_processing === 'false') {
+        query = query.eq('processing_status', 'completed');
+      }
+
+      // Apply filters
+      if (topic_id) {
+        query = query.eq('topic_id', topic_id);
+      }
+    
+      if (difficulty_level) {
+        query = query.eq('difficulty_level', parseInt(difficulty_level));
+      }
+    
+      if (content_type) {
+        query = query.eq('content_type', content_type);
+      }
+
+      if (tag) {
+        query = query.contains('tags', [tag.trim().toLowerCase()]);
+      }
+
+      // Apply sorting; id keeps the order stable across batches
+      query = query.order(sortField, { ascending: sortAsc }).order('id');
+
+      return query;
+    };
+
+    let pageDocuments;
+    let total;
+    let filteredProgress = null;
+
+    if (filterAst) {
+      // A saved filter can test completion, which comes from page progress, so
+      // every document is read in batches and its matches are paged here
+      const matching = [];
+      filteredProgress = new Map();
+
+      for (let from = 0; ; from += DOCUMENT_FETCH_PAGE_SIZE) {
+        const { data: batch, error } = await buildListQuery().range(from, from + DOCUMENT_FETCH_PAGE_SIZE - 1);
+
+        if (error) {
+          console.error('Fetch documents error:', error);
+          return res.status(500).json({ error: 'Failed to fetch documents' });
+        }
+
+        const batchProgress = await fetchProgressSummaries(req.user.id, batch.map(doc => doc.id));
+        batch.forEach(doc => {
+          const progress = batchProgress.get(doc.id) || EMPTY_PROGRESS_SUMMARY;
+          const isMatch = savedFilters.matches(filterAst, {
+            ...doc,
+            topic: doc.topics,
+            completion_percentage: calculateCompletionPercentage(doc.total_pages, progress.completedPages)
+          });
+
+          if (isMatch) {
+            matching.push(doc);
+            filteredProgress.set(doc.id, progress);
+          }
+        });
+
+        if (batch.length < DOCUMENT_FETCH_PAGE_SIZE) break;
+      }
+
+      total = matching.length;
+      pageDocuments = matching.slice(pageOffset, pageOffset + pageLimit);
+    } else {
+      const { data: documents, error, count } = await buildListQuery().range(pageOffset, pageOffset + pageLimit - 1);
+
+      if (error) {
+        console.error('Fetch documents error:', error);
+        return res.status(500).json({ error: 'Failed to fetch documents' });
+      }
+
+      pageDocuments = documents;
+      total = count;
+    }
+
+    // Progress for the whole page of documents in one grouped query, and the
+    // optional per-page analysis in one batched read
+    const documentIds = pageDocuments.map(doc => doc.id);
+    const [progressByDocument, positionsByDocument, analysisByDocument] = await Promise.all([
+      filteredProgress || fetchProgressSummaries(req.user.id, documentIds),
+      readingPositions.getForDocuments(documentIds, req.user.id),
+      include_analysis === 'true' ? fetchContentAnalysisByDocument(documentIds) : null
+    ]);
+
+    const documentsWithProgress = pageDocuments.map(doc => {
+      const progress = progressByDocument.get(doc.id) || EMPTY_PROGRESS_SUMMARY;
+      // The synced position is exact; page history is the fallback for documents without one
+      const position = positionsByDocument.get(doc.id) || null;
+
+      const totalPages = doc.total_pages;
+      const completedPages = progress.completedPages;
+      const totalTimeSpent = progress.totalTimeSpentSeconds;
+
+      // Calculate reading velocity (pages per hour)
+      const readingVelocity = totalTimeSpent > 0 ? (completedPages / (totalTimeSpent / 3600)) : 0;
+
+      const docWithProgress = {
+        id: doc.id,
+        title: doc.title,
+        file_name: doc.file_name,
+        total_pages: totalPages,
+        completed_pages: completedPages,
+        completion_percentage: calculateCompletionPercentage(totalPages, completedPages),
+        total_time_spent_seconds: totalTimeSpent,
+        difficulty_level: doc.difficulty_level,
+        estimated_reading_time_minutes: doc.estimated_reading_time_minutes,
+        content_type: doc.content_type,
+        priority: doc.priority,
+        tags: doc.tags || [],
+        created_at: doc.created_at,
+        updated_at: doc.updated_at,
+        topic: doc.topics,
+        processing_status: doc.processing_status || 'completed',
+        is_processing: doc.processing_status === 'processing',
+        reading_metrics: {
+          reading_velocity_pages_per_hour: Math.round(readingVelocity * 10) / 10,
+          average_time_per_page_seconds: completedPages > 0 ? Math.round(totalTimeSpent / completedPages) : 0,
+          last_read_page: position?.page_number || progress.lastReadPage,
+          last_read_at: position?.updated_at || progress.lastReadAt,
+          // Unknown until processing has counted the pages
+          estimated_time_remaining_minutes: totalPages > 0
+            ? Math.round(((totalPages - completedPages) * (doc.estimated_reading_time_minutes || 120)) / totalPages)
+            : null
+        },
+        resume_position: position,
+        intelligent_insights: {
+          next_recommended_page: completedPages + 1,
+          suggested_session_length: calculateSuggestedSessionLength(doc),
+          difficulty_trend: analyzeDifficultyTrend(progress),
+          completion_prediction: predictCompletionDate(doc, progress)
+        }
+      };
+
+      // Include detailed analysis if requested
+      if (analysisByDocument) {
+        const analysisData = analysisByDocument.get(doc.id) || [];
+
+        docWithProgress.detailed_analysis = {
+          page_analysis: analysisData,
+          content_distribution: analyzeContentDistribution(analysisData),
+          difficulty_progression: analyzeDifficultyProgression(analysisData)
+        };
+      }
+
+      return docWithProgress;
+    });
+
+    // Calculate collection statistics
+    const collectionStats = {
+      total_documents: pageDocuments.length,
+      difficulty_distribution: calculateDifficultyDistribution(documentsWithProgress),
+      content_type_distribution: calculateContentTypeDistribution(documentsWithProgress),
+      completion_statistics: calculateCompletionStatistics(documentsWithProgress),
+      estimated_total_reading_time: documentsWithProgress.reduce(
+        (sum, doc) => sum + (doc.estimated_reading_time_minutes || 0), 0
+      )
+    };
+
+    res.json({ 
+      documents: documentsWithProgress,
+      pagination: {
+        offset: pageOffset,
+        limit: pageLimit,
+        total,
+        has_more: total > pageOffset + pageLimit
+      },
+      collection_stats: collectionStats,
+      filters_applied: {
+        topic_id: topic_id || null,
+        difficulty_level: difficulty_level || null,
+        content_type: content_type || null,
+        tag: tag || null,
+        filter: savedFilter,
+        include_processing: include_processing !== 'false',
+        sort_by: sortField,
+        sort_order: sort_order
+      }
+    });
+  } catch (error) {
+    console.error('Get documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Documents in the trash, most recently deleted first, with their purge dates
+router.get('/trash', authMiddleware, async (req, res) => {
+  try {
+    const { data: documents, error } = await supabase
+      .from('documents')
+      .select(`
+        id,
+        title,
+        file_name,
+        total_pages,
+        created_at,
+        deleted_at,
+        topics (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .eq('user_id', req.user.id)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (error) {
+      console.error('Fetch trash error:', error);
+      return res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+
+    const now = Date.now();
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      documents: documents.map(doc => {
+        const purgeAfter = trashPurge.purgeAfter(doc.deleted_at);
+        return {
+          ...doc,
+          purge_after: purgeAfter.toISOString(),
+          days_until_purge: Math.max(0, Math.ceil((purgeAfter.getTime() - now) / (24 * 60 * 60 * 1000)))
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Fetch trash error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Saved smart filters, applied with GET /documents?filter=<id>
+router.get('/filters', authMiddleware, async (req, res) => {
+  try {
+    const filters = await savedFilters.list(req.user.id);
+
+    res.json({
+      filters,
+      fields: SavedFilterService.FILTER_FIELDS
+    });
+  } catch (error) {
+    console.error('Fetch saved filters error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved filters' });
+  }
+});
+
+router.post('/filters', authMiddleware, async (req, res) => {
+  try {
+    const validation = savedFilters.validate(req.body);
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+
+    const { data: filter, error } = await savedFilters.create(req.user.id, validation.values);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Filter name taken',
+          details: `You already have a saved filter named "${validation.values.name}"`
+        });
+      }
+      console.error('Create saved filter error:', error);
+      return res.status(500).json({ error: 'Failed to save filter' });
+    }
+
+    console.log(`🔖 Saved filter "${filter.name}" for user ${req.user.id}`);
+
+    res.status(201).json({
+      message: 'Filter saved successfully',
+      filter
+    });
+  } catch (error) {
+    console.error('Create saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.patch('/filters/:filterId', authMiddleware, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.filterId)) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    const validation = savedFilters.validate(req.body, { partial: true });
+    if (validation.error) {
+      return res.status(400).json(validation.error);
+    }
+
+    if (Object.keys(validation.values).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        details: 'Send a new name or query'
+      });
+    }
+
+    const { data: filter, error } = await savedFilters.update(req.params.filterId, req.user.id, validation.values);
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          error: 'Filter name taken',
+          details: `You already have a saved filter named "${validation.values.name}"`
+        });
+      }
+      console.error('Update saved filter error:', error);
+      return res.status(500).json({ error: 'Failed to update filter' });
+    }
+
+    if (!filter) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    res.json({
+      message: 'Filter updated successfully',
+      filter
+    });
+  } catch (error) {
+    console.error('Update saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/filters/:filterId', authMiddleware, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.filterId)) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    const { data: deleted, error } = await savedFilters.remove(req.params.filterId, req.user.id);
+
+    if (error) {
+      console.error('Delete saved filter error:', error);
+      return res.status(500).json({ error: 'Failed to delete filter' });
+    }
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved filter not found' });
+    }
+
+    res.json({ message: 'Filter deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved filter error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recently read documents with the exact position to resume at, newest first
+router.get('/continue', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const recent = await readingPositions.listRecent(req.user.id, limit);
+
+    res.json({
+      documents: recent.map(({ documents: doc, ...position }) => ({
+        id: doc.id,
+        title: doc.title,
+        file_name: doc.file_name,
+        total_pages: doc.total_pages,
+        topic: doc.topics,
+        processing_status: doc.processing_status || 'completed',
+        position_percentage: doc.total_pages > 0 ? Math.round((position.page_number / doc.total_pages) * 100) : 0,
+        resume_position: position
+      })),
+      total: recent.length
+    });
+  } catch (error) {
+    console.error('Continue reading error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Full-text search across every page of the user's documents
+router.get('/search', authMiddleware, async (req, res) => {
+  try {
+    const { q, topic_id, document_id, limit = 20, offset = 0 } = req.query;
+    const query = (q || '').trim();
+
+    if (query.length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+
+    if (query.length > 200) {
+      return res.status(400).json({ error: 'Search query is too long (max 200 characters)' });
+    }
+
+    // topic_id accepts a single id or a comma-separated list
+    const topicIds = topic_id
+      ? String(topic_id).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+
+    if (topicIds && topicIds.some(id => !UUID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'Invalid topic_id', details: 'topic_id must be a topic ID or a comma-separated list of topic IDs' });
+    }
+
+    if (document_id && !UUID_PATTERN.test(document_id)) {
+      return res.status(400).json({ error: 'Invalid document_id', details: 'document_id must be a document ID' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+    const { data: hits, error } = await supabaseAdmin.rpc('search_document_pages', {
+      p_user_id: req.user.id,
+      p_query: query,
+      p_topic_ids: topicIds && topicIds.length > 0 ? topicIds : null,
+      p_document_id: document_id || null,
+      p_limit: pageSize,
+      p_offset: pageOffset
+    });
+
+    if (error) {
+      console.error('Document search error:', error);
+      return res.status(500).json({ error: 'Search failed', details: 'The search could not be completed. Please try again.' });
+    }
+
+    const total = hits?.[0]?.total_count || 0;
+
+    res.json({
+      query,
+      results: (hits || []).map(hit => ({
+        document_id: hit.document_id,
+        document_title: hit.document_title,
+        topic_id: hit.topic_id,
+        page_number: hit.page_number,
+        chapter_title: hit.chapter_title,
+        section_title: hit.section_title,
+        rank: Math.round(hit.rank * 10000) / 10000,
+        ...formatSearchSnippet(hit.snippet)
+      })),
+      pagination: {
+        total,
+        limit: pageSize,
+        offset: pageOffset,
+        has_more: pageOffset + pageSize < total
+      }
+    });
+  } catch (error) {
+    console.error('Document search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get specific document details
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const { include_recommendations = 'true', include_sessions = 'false' } = req.query;
+    
+    // Get document with topic information
+    const { data: document, error } = await supabase
+      .from('documents')
+      .select(`
+        *,
+        topics (
+          id,
+          name,
+          color,
+          icon,
+          target_completion_date
+        )
+      `)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      console.error('Fetch document error:', error);
+      return res.status(500).json({ error: 'Failed to fetch document' });
+    }
+
+    // Get detailed page analysis
+    const { data: pages } = await supabase
+      .from('document_pages')
+      .select('*')
+      .eq('document_id', document.id)
+      .order('page_number');
+
+    // Get PDF content analysis
+    const { data: contentAnalysis } = await supabase
+      .from('pdf_content_analysis')
+      .select('*')
+      .eq('document_id', document.id)
+      .order('page_number');
+
+    // Calculate comprehensive progress metrics
+    const progressMetrics = calculateComprehensiveProgress(document, pages, contentAnalysis);
+
+    // Session history drives the insights; the 10 most recent are returned on request
+    const { data: sessions } = await supabase
+      .from('study_sessions')
+      .select('*')
+      .eq('document_id', document.id)
+      .eq('user_id', req.user.id)
+      .order('started_at', { ascending: false })
+      .limit(MAX_INSIGHT_SESSIONS);
+
+    const studySessions = sessions || [];
+
+    const readingPosition = await readingPositions.get(document.id, req.user.id).catch(error => {
+      console.error('Fetch reading position error:', error);
+      return null;
+    });
+
+    const annotations = await documentAnnotations.list(document.id, req.user.id).catch(error => {
+      console.error('Fetch annotations error:', error);
+      return [];
+    });
+
+    const insights = {
+      learning_velocity: documentInsights.learningVelocity(pages, studySessions),
+      focus_patterns: documentInsights.focusPatterns(studySessions),
+      optimal_study_times: documentInsights.optimalStudyTimes(studySessions),
+      difficulty_adaptation: documentInsights.difficultyAdaptation(pages, contentAnalysis)
+    };
+
+    // Generate intelligent recommendations
+    let recommendations = [];
+    if (include_recommendations === 'true') {
+      const userReadingSpeed = await pdfProcessor.getUserReadingSpeed(req.user.id);
+      recommendations = documentInsights.recommendations(
+        document,
+        pages,
+        contentAnalysis,
+        userReadingSpeed,
+        insights
+      );
+    }
+
+    // Build comprehensive response
+    const response = {
+      document: {
+        ...document,
+        language: document.processing_metadata?.language || null,
+        progress_metrics: progressMetrics,
+        content_analysis_summary: summarizeContentAnalysis(contentAnalysis),
+        reading_path: generateOptimalReadingPath(pages, contentAnalysis)
+      },
+      pages: pages || [],
+      reading_position: readingPosition,
+      annotations: documentAnnotations.withChapters(
+        annotations,
+        pdfProcessor.getChapterRanges(document.processing_metadata?.documentStructure, document.total_pages)
+      ),
+      study_sessions: include_sessions === 'true' ? studySessions.slice(0, 10) : [],
+      recommendations: recommendations,
+      insights
+    };
+
+    res.json(response);
+  } catch (error) {
+    console.error('Get document details error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a document's title, topic, priority, notes or tags
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const fields = {};
+    EDITABLE_DOCUMENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to update',
+        details: `Send at least one of: ${EDITABLE_DOCUMENT_FIELDS.join(', ')}`
+      });
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('documents')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .single();
+
+    if (fetchError) {
+      if (fetchError.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+      return res.status(500).json({ error: 'Failed to fetch document' });
+    }
+
+    const metadata = await validateDocumentMetadata(fields, req.user.id);
+    if (metadata.error) {
+      return res.status(400).json(metadata.error);
+    }
+
+    console.log(`📝 Updating document ${existing.id}: ${Object.keys(fields).join(', ')}`);
+
+    const { data: document, error: updateError } = await supabase
+      .from('documents')
+      .update({ ...metadata.updates, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('user_id', req.user.id)
+      .select(`
+        *,
+        topics (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .single();
+
+    if (updateError) {
+      console.error('Update document error:', updateError);
+      return res.status(500).json({ error: 'Failed to update document' });
+    }
+
+    res.json({
+      message: 'Document updated successfully',
+      document
+    });
+  } catch (error) {
+    console.error('Update document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Move a document to the trash. Its pages, sessions and annotations are kept
+// (but left out of stats) until it is restored or purged after the retention period.
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const deletedAt = new Date();
+
+    const { data: document, error } = await supabase
+      .from('documents')
+      .update({ deleted_at: deletedAt.toISOString(), updated_at: deletedAt.toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('deleted_at', null)
+      .select('id, title, total_pages, deleted_at')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Trash document error:', error);
+      return res.status(500).json({ error: 'Failed to delete document' });
+    }
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Update user document count and stats
+    await adjustUserStatsForTrash(req.user.id, [document.id], -1);
+    await updateUserDocumentStats(req.user.id);
+
+    const purgeAfter = trashPurge.purgeAfter(document.deleted_at);
+    console.log(`🗑️ Moved document ${document.id} to trash (purge after ${purgeAfter.toISOString()})`);
+
+    res.json({
+      message: 'Document moved to trash',
+      deleted_document: {
+        id: document.id,
+        title: document.title,
+        pages: document.total_pages,
+        deleted_at: document.deleted_at,
+        purge_after: purgeAfter.toISOString()
+      },
+      restore: `POST /api/documents/${document.id}/restore`
+    });
+  } catch (error) {
+    console.error('Delete document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Take a document back out of the trash with all its history
+router.post('/:id/restore', authMiddleware, async (req, res) => {
+  try {
+    const { data: trashed } = await supabase
+      .from('documents')
+      .select('id, file_size_bytes, processing_status')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .not('deleted_at', 'is', null)
+      .maybeSingle();
+
+    if (!trashed) {
+      return res.status(404).json({
+        error: 'Document not found in trash',
+        details: 'The document is not in your trash, or it has already been permanently deleted'
+      });
+    }
+
+    // Trashed documents do not count against the quota, so restoring one has to fit again
+    if (trashed.processing_status !== 'failed') {
+      const quotaUsage = await uploadQuota.load(req.user.id);
+      const quotaError = uploadQuota.reserve(quotaUsage, trashed.file_size_bytes || 0);
+      if (quotaError) {
+        return res.status(403).json(quotaError);
+      }
+    }
+
+    const { data: document, error } = await supabase
+      .from('documents')
+      .update({ deleted_at: null, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .not('deleted_at', 'is', null)
+      .select(`
+        *,
+        topics (
+          id,
+          name,
+          color,
+          icon
+        )
+      `)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Restore document error:', error);
+      return res.status(500).json({ error: 'Failed to restore document' });
+    }
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found in trash',
+        details: 'The document is not in your trash, or it has already been permanently deleted'
+      });
+    }
+
+    await adjustUserStatsForTrash(req.user.id, [document.id], 1);
+    await updateUserDocumentStats(req.user.id);
+
+    console.log(`♻️ Restored document ${document.id} from trash`);
+
+    res.json({
+      message: 'Document restored',
+      document
+    });
+  } catch (error) {
+    console.error('Restore document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ========================================
+// HELPER FUNCTIONS (moved outside of router)
+// ========================================
+
+// Runs one uploaded file through format detection, the safety scan, the
+// encryption check, duplicate detection and the quota, then creates its row and
+// queues analysis. Single and batch uploads share this path. Returns
+// { outcome: 'created', document, job, safety, replacedDocument }, { outcome: 'duplicate' | 'reused', existingDocument }
+// or { outcome: 'failed', status, body } with the error response for a single upload.
+async function ingestUploadedFile(file, userId, { fields, quotaUsage, onDuplicate = null, pdfPassword = null }) {
+  const fail = (status, body) => ({ outcome: 'failed', status, body });
+
+  const sourceFormat = pdfProcessor.extractors.detectFormat(file.originalname, file.mimetype);
+  if (!sourceFormat) {
+    return fail(415, {
+      error: 'Unsupported file type',
+      details: 'Only PDF, EPUB, Markdown, HTML and DOCX documents can be uploaded'
+    });
+  }
+
+  const archiveError = pdfProcessor.extractors.checkArchiveSize(file.buffer, sourceFormat);
+  if (archiveError) {
+    return fail(400, archiveError);
+  }
+
+  // Structural safety scan: risky files are rejected outright, questionable ones quarantined
+  let safety = null;
+  if (sourceFormat === 'pdf') {
+    const scan = safetyScanner.scan(file.buffer);
+
+    if (scan.verdict === 'reject') {
+      console.warn(`🛡️ Rejected unsafe upload from user ${userId}: ${safetyScanner.describeVerdict(scan)}`);
+      return fail(422, {
+        error: 'Unsafe PDF rejected',
+        code: 'PDF_REJECTED_UNSAFE',
+        details: safetyScanner.describeVerdict(scan),
+        findings: scan.findings
+      });
+    }
+
+    safety = buildSafetyRecord(scan, scan.verdict === 'quarantine' ? 'quarantined' : 'accepted');
+    if (safety.action === 'quarantined') {
+      console.warn(`🛡️ Quarantining upload from user ${userId}: ${safety.reason}`);
+    }
+  }
+
+  // Encrypted PDFs: owner-restricted files open as they are, user passwords
+  // must come with the upload. The password is only kept for the job's lifetime.
+  // Quarantined files are not opened at all until the user releases them.
+  let encryption = null;
+  if (sourceFormat === 'pdf' && safety.action !== 'quarantined') {
+    encryption = await pdfProcessor.checkEncryption(file.buffer, pdfPassword);
+
+    const passwordError = buildPdfPasswordError(encryption, 'the upload');
+    if (passwordError) {
+      return fail(422, passwordError);
+    }
+  }
+
+  // Identical files are detected by content, regardless of file name
+  const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  const { data: duplicates } = await supabase
+    .from('documents')
+    .select('id, title, file_name, file_path, file_size_bytes, total_pages, processing_status, processing_metadata, created_at')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .eq('content_hash', contentHash)
+    .neq('processing_status', 'failed')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  const existingDocument = duplicates?.[0];
+
+  if (existingDocument) {
+    if (!onDuplicate) {
+      return { outcome: 'duplicate', existingDocument };
+    }
+
+    if (onDuplicate === 'reuse') {
+      return { outcome: 'reused', existingDocument };
+    }
+  }
+
+  // A replacement takes the old copy's place in the quota, which is only given
+  // back once the new row exists and the old copy is in the trash
+  const replacedDocument = (onDuplicate === 'replace' && existingDocument) || null;
+  const usageAfterUpload = { ...quotaUsage };
+  if (replacedDocument) {
+    uploadQuota.release(usageAfterUpload, replacedDocument.file_size_bytes);
+  }
+
+  const quotaError = uploadQuota.reserve(usageAfterUpload, file.buffer.length);
+  if (quotaError) {
+    return fail(403, quotaError);
+  }
+
+  const documentTitle = fields.title || file.originalname.replace(/\.[^.]+$/, '');
+  // The hash prefix keeps same-named files from one batch apart
+  const fileName = `${userId}/${Date.now()}_${contentHash.slice(0, 8)}_${file.originalname}`;
+
+  // Step 1: Create the document row up front so the client can poll it
+  const { data: document, error: dbError } = await supabase
+    .from('documents')
+    .insert({
+      user_id: userId,
+      title: documentTitle,
+      file_name: file.originalname,
+      file_path: fileName,
+      file_size_bytes: file.buffer.length,
+      total_pages: 0,
+      topic_id: fields.topic_id ?? null,
+      priority: fields.priority,
+      notes: fields.notes ?? null,
+      tags: fields.tags || [],
+      processing_status: 'processing',
+      content_hash: contentHash,
+      processing_metadata: {
+        filename: file.originalname,
+        sourceFormat,
+        safety,
+        queued_at: new Date().toISOString(),
+        api_version: '2.0.0'
+      }
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    console.error('Database insert error:', dbError);
+    return fail(500, {
+      error: 'Failed to save document metadata',
+      details: 'The document could not be created. Please try again.'
+    });
+  }
+
+  // The old copy goes to the trash with its progress rather than being deleted,
+  // so it can still be restored if the new upload fails to process. Only once
+  // the new row exists, so a failed upload never leaves it trashed.
+  if (replacedDocument) {
+    console.log(`♻️ Replacing duplicate document ${replacedDocument.id}, moving it to the trash`);
+    const trashedAt = new Date().toISOString();
+    const { error: replaceError } = await supabase
+      .from('documents')
+      .update({ deleted_at: trashedAt, updated_at: trashedAt })
+      .eq('id', replacedDocument.id)
+      .eq('user_id', userId);
+
+    if (replaceError) {
+      await supabase
+        .from('documents')
+        .delete()
+        .eq('id', document.id)
+        .eq('user_id', userId);
+
+      return fail(500, {
+        error: 'Failed to replace existing document',
+        details: 'The existing copy could not be moved to the trash. Please try again.'
+      });
+    }
+    await adjustUserStatsForTrash(userId, [replacedDocument.id], -1);
+  }
+
+  Object.assign(quotaUsage, usageAfterUpload);
+
+  // Step 2: Hand the heavy lifting to the background processing queue
+  const job = processingQueue.enqueue({
+    documentId: document.id,
+    userId,
+    context: {
+      buffer: file.buffer,
+      originalName: file.originalname,
+      sourceFormat,
+      contentHash,
+      title: documentTitle,
+      fileName,
+      pdfPassword: encryption?.passwordProtected ? pdfPassword : null,
+      encryption: encryption && { encrypted: encryption.encrypted, passwordProtected: encryption.passwordProtected },
+      safety
+    },
+    steps: buildUploadProcessingSteps(document.id, userId, { quarantined: safety?.action === 'quarantined' }),
+    onFailure: (context, failedJob) => cleanupFailedProcessing(document.id, userId, context, failedJob)
+  });
+
+  await supabase
+    .from('documents')
+    .update({ processing_job_id: job.id })
+    .eq('id', document.id)
+    .eq('user_id', userId);
+
+  return { outcome: 'created', document, job, safety, replacedDocument };
+}
+
+function summarizeExistingDocument(document) {
+  return {
+    id: document.id,
+    title: document.title,
+    file_name: document.file_name,
+    total_pages: document.total_pages,
+    processing_status: document.processing_status,
+    created_at: document.created_at
+  };
+}
+
+// Multer for batch uploads, with the size and count limits reported as JSON
+function receiveBatchUpload(req, res, next) {
+  if (parseInt(req.headers['content-length']) > MAX_BATCH_BYTES) {
+    return res.status(413).json({
+      error: 'Batch too large',
+      details: `A batch upload can be at most ${MAX_BATCH_BYTES / (1024 * 1024)} MB; split it into several uploads`
+    });
+  }
+
+  batchUpload.array('files', MAX_BATCH_FILES)(req, res, error => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(413).json({
+        error: 'Too many files',
+        details: `A batch upload can contain at most ${MAX_BATCH_FILES} files`
+      });
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large',
+        details: `Each file can be at most ${MAX_UPLOAD_FILE_BYTES / (1024 * 1024)} MB`
+      });
+    }
+    next(error);
+  });
+}
+
+// Unpacks ZIP archives in a batch into their documents. Returns { files } to
+// ingest, each with its folder and contents, and { results } with failures for
+// parts that cannot be uploaded at all. Size limits apply to the inflated bytes.
+function expandBatchFiles(parts) {
+  const files = [];
+  const results = [];
+  let totalBytes = 0;
+  let skippedFiles = 0;
+
+  const fail = (label, reason, code) => results.push({ file: label, status: 'failed', reason, code });
+
+  const add = (file, mimetype, buffer) => {
+    if (buffer.length > MAX_UPLOAD_FILE_BYTES) {
+      fail(file.label, `File is larger than ${MAX_UPLOAD_FILE_BYTES / (1024 * 1024)} MB`, 'FILE_TOO_LARGE');
+    } else if (totalBytes + buffer.length > MAX_BATCH_BYTES) {
+      fail(file.label, `The batch is larger than ${MAX_BATCH_BYTES / (1024 * 1024)} MB once unpacked`, 'BATCH_LIMIT_EXCEEDED');
+    } else {
+      totalBytes += buffer.length;
+      files.push({ originalname: file.originalname, folder: file.folder, mimetype, buffer });
+    }
+  };
+
+  for (const part of parts) {
+    if (path.extname(part.originalname).toLowerCase() !== '.zip') {
+      if (files.length >= MAX_BATCH_FILES) {
+        skippedFiles++;
+      } else {
+        add(describeBatchPath(part.originalname), part.mimetype, part.buffer);
+      }
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(part.buffer).getEntries();
+    } catch (zipError) {
+      fail(part.originalname, 'The ZIP archive could not be read', 'INVALID_ARCHIVE');
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory || IGNORED_ARCHIVE_ENTRY.test(entry.entryName)) continue;
+
+      if (files.length >= MAX_BATCH_FILES) {
+        skippedFiles++;
+        continue;
+      }
+
+      const file = describeBatchPath(entry.entryName);
+      const fileLimit = Math.min(MAX_UPLOAD_FILE_BYTES, MAX_BATCH_BYTES - totalBytes);
+
+      try {
+        add(file, null, inflateArchiveEntry(entry, fileLimit));
+      } catch (inflateError) {
+        if (inflateError.code !== 'ENTRY_TOO_LARGE') {
+          fail(file.label, inflateError.message, inflateError.code || 'INVALID_ARCHIVE');
+        } else if (fileLimit === MAX_UPLOAD_FILE_BYTES) {
+          fail(file.label, `File is larger than ${MAX_UPLOAD_FILE_BYTES / (1024 * 1024)} MB`, 'FILE_TOO_LARGE');
+        } else {
+          fail(file.label, `The batch is larger than ${MAX_BATCH_BYTES / (1024 * 1024)} MB once unpacked`, 'BATCH_LIMIT_EXCEEDED');
+        }
+      }
+    }
+  }
+
+  if (skippedFiles > 0) {
+    fail(`${skippedFiles} more files`, `A batch can contain at most ${MAX_BATCH_FILES} files`, 'BATCH_LIMIT_EXCEEDED');
+  }
+
+  return { files, results };
+}
+
+// File name and innermost folder of a path inside a batch, e.g.
+// "Biology/Week 1/notes.pdf" is notes.pdf in "Week 1"
+function describeBatchPath(name) {
+  const normalized = name.replace(/\\/g, '/');
+  const folder = path.posix.dirname(normalized).split('/').filter(part => part && part !== '.').pop() || null;
+  const originalname = path.posix.basename(normalized);
+  return { originalname, folder, label: folder ? `${folder}/${originalname}` : originalname };
+}
+
+// Inflates a ZIP entry without trusting the sizes the archive declares: output
+// stops at maxBytes, so an archive that lies in its headers cannot fill memory
+function inflateArchiveEntry(entry, maxBytes) {
+  const entryError = (message, code) => Object.assign(new Error(message), { code });
+
+  if (entry.header.encrypted) {
+    throw entryError('Password-protected ZIP entries cannot be uploaded', 'ENCRYPTED_ENTRY');
+  }
+
+  let compressed;
+  try {
+    compressed = entry.getCompressedData();
+  } catch (readError) {
+    throw entryError('The ZIP entry could not be read', 'INVALID_ARCHIVE');
+  }
+
+  if (entry.header.method === 0) {
+    if (compressed.length > maxBytes) throw entryError('Entry too large', 'ENTRY_TOO_LARGE');
+    return compressed;
+  }
+
+  if (entry.header.method !== 8) {
+    throw entryError('The ZIP entry uses an unsupported compression method', 'INVALID_ARCHIVE');
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+  } catch (inflateError) {
+    if (inflateError.code === 'ERR_BUFFER_TOO_LARGE') throw entryError('Entry too large', 'ENTRY_TOO_LARGE');
+    throw entryError('The ZIP entry is corrupted', 'INVALID_ARCHIVE');
+  }
+}
+
+// Topic named after a batch folder, matched case-insensitively or created with
+// the same defaults as POST /topics. cache maps folder names to topics per request.
+async function findOrCreateFolderTopic(userId, folder, cache) {
+  const name = folder.trim().slice(0, 255);
+  const key = name.toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  const { data: existing } = await supabase
+    .from('topics')
+    .select('id, name')
+    .eq('user_id', userId)
+    .ilike('name', name.replace(/[\\%_]/g, '\\$&'))
+    .limit(1);
+
+  let topic = existing?.[0] || null;
+
+  if (!topic) {
+    const { data: created, error } = await supabase
+      .from('topics')
+      .insert({ user_id: userId, name, color: '#667eea', icon: '📚', priority: 3 })
+      .select('id, name')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create topic "${name}": ${error.message}`);
+    }
+
+    console.log(`📁 Created topic "${name}" from upload folder`);
+    topic = created;
+  }
+
+  cache.set(key, topic);
+  return topic;
+}
+
+// Pipeline run by the processing queue for a freshly uploaded document.
+// Quarantined uploads are only stored until the user releases them.
+function buildUploadProcessingSteps(documentId, userId, { quarantined = false } = {}) {
+  const storeFile = {
+    name: 'store_file',
+    weight: 10,
+    run: async (context) => {
+      const quarantined = context.safety?.action === 'quarantined';
+      const { data: storageData, error: storageError } = await supabase.storage
+        .from(getStorageBucket(context.safety))
+        .upload(context.fileName, context.buffer, {
+          contentType: pdfProcessor.extractors.getMimeType(context.sourceFormat),
+          upsert: true, // Safe to retry
+          cacheControl: quarantined ? '0' : '31536000' // 1 year cache, none for quarantined files
+        });
+
+      if (storageError) throw new Error(`Storage upload failed: ${storageError.message}`);
+
+      console.log(`💾 File uploaded to storage: ${storageData.path}`);
+      return storageData.path;
+    }
+  };
+
+  if (quarantined) {
+    return [storeFile, buildQuarantineHoldStep(documentId, userId)];
+  }
+
+  return [
+    {
+      name: 'analyze_document',
+      weight: 50,
+      run: async (context) => {
+        const startTime = Date.now();
+
+        let analysisData;
+
+        // Identical files analysed for another user are reused instead of re-parsed
+        const sharedAnalysis = await findSharedAnalysis(context.contentHash, userId);
+        if (sharedAnalysis) {
+          console.log(`♻️ Reusing stored analysis for content hash ${context.contentHash.substring(0, 12)}...`);
+          analysisData = pdfProcessor.rebuildAnalysisFromStored(
+            sharedAnalysis.rows,
+            sharedAnalysis.processingMetadata,
+            context.originalName
+          );
+          analysisData.processingMetadata.processing_time_ms = Date.now() - startTime;
+          analysisData.sharedFromDocumentId = sharedAnalysis.documentId;
+        } else {
+          analysisData = await runDocumentAnalysis(
+            context.buffer,
+            context.originalName,
+            userId,
+            context.title,
+            context.sourceFormat,
+            context.pdfPassword
+          );
+        }
+
+        // Upload checks are kept with the analysis metadata
+        analysisData.processingMetadata.encryption = context.encryption;
+        analysisData.processingMetadata.safety = context.safety;
+        // Later steps work from the extracted text; the password isn't needed again
+        delete context.pdfPassword;
+        return analysisData;
+      }
+    },
+    storeFile,
+    buildSaveAnalysisStep(documentId, userId),
+    buildGlossaryStep(documentId, userId),
+    buildReferencesStep(documentId, userId),
+    {
+      name: 'initialize_pages',
+      weight: 10,
+      run: async (context) => {
+        const analysisData = context.analyze_document;
+        const pageInserts = Array.from({ length: analysisData.totalPages }, (_, i) => {
+          const pageNum = i + 1;
+          const pageEstimate = analysisData.timeEstimates.pageEstimates.find(e => e.pageNumber === pageNum);
+          const pageAnalysis = analysisData.pageAnalysis.find(p => p.pageNumber === pageNum);
+
+          return {
+            document_id: documentId,
+            user_id: userId,
+            page_number: pageNum,
+            time_spent_seconds: 0,
+            is_completed: false,
+            estimated_time_seconds: pageEstimate?.estimatedSeconds || 120,
+            difficulty_rating: pageAnalysis?.difficultyLevel || 3
+          };
+        });
+
+        await supabase
+          .from('document_pages')
+          .delete()
+          .eq('document_id', documentId);
+
+        const { error: pagesError } = await supabase
+          .from('document_pages')
+          .insert(pageInserts);
+
+        if (pagesError) throw new Error(`Page initialization failed: ${pagesError.message}`);
+      }
+    },
+    {
+      name: 'finalize',
+      weight: 5,
+      run: async (context, job) => {
+        const analysisData = context.analyze_document;
+
+        const { error: docError } = await supabase
+          .from('documents')
+          .update({
+            file_path: context.store_file,
+            total_pages: analysisData.totalPages,
+            ...buildDocumentAnalysisColumns(analysisData),
+            processing_status: 'completed',
+            processing_metadata: {
+              ...analysisData.processingMetadata,
+              api_version: '2.0.0',
+              job_id: job.id
+            },
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', documentId)
+          .eq('user_id', userId);
+
+        if (docError) throw new Error(`Document finalization failed: ${docError.message}`);
+
+        await updateUserDocumentStats(userId, analysisData);
+
+        const userReadingSpeed = await pdfProcessor.getUserReadingSpeed(userId);
+        const recommendations = pdfProcessor.generateReadingRecommendations(analysisData, userReadingSpeed);
+
+        job.result = {
+          intelligent_insights: buildUploadInsights(analysisData, recommendations),
+          next_steps: buildUploadNextSteps(documentId, analysisData, recommendations)
+        };
+      }
+    }
+  ];
+}
+
+// Leaves a stored, unopened upload waiting in quarantine
+function buildQuarantineHoldStep(documentId, userId) {
+  return {
+    name: 'hold_in_quarantine',
+    weight: 5,
+    run: async (context, job) => {
+      const { error } = await supabase
+        .from('documents')
+        .update({
+          file_path: context.store_file,
+          processing_status: 'quarantined',
+          processing_metadata: {
+            filename: context.originalName,
+            sourceFormat: context.sourceFormat,
+            safety: context.safety,
+            api_version: '2.0.0',
+            job_id: job.id
+          },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', documentId)
+        .eq('user_id', userId);
+
+      if (error) throw new Error(`Quarantine hold failed: ${error.message}`);
+
+      await updateUserDocumentStats(userId);
+      job.result = { quarantine: describeQuarantine(context.safety, documentId) };
+    }
+  };
+}
+
+// Document columns derived from an analysis, used by the list filters, sorts and stats
+function buildDocumentAnalysisColumns(analysisData) {
+  return {
+    difficulty_level: Math.round(analysisData.documentMetrics.averageDifficulty),
+    estimated_reading_time_minutes: Math.round(analysisData.timeEstimates.totalSeconds / 60),
+    content_type: pdfProcessor.getDominantContentType(analysisData.documentMetrics.contentTypeDistribution)
+  };
+}
+
+// Runs the analysis pipeline for a file, timing it for processing metadata
+async function runDocumentAnalysis(buffer, fileName, userId, title, sourceFormat, password = null) {
+  console.log(`🧠 Starting intelligent ${sourceFormat} analysis...`);
+  const startTime = Date.now();
+
+  try {
+    const analysisData = await pdfProcessor.processUploadedDocument(buffer, fileName, userId, title, sourceFormat, password);
+    analysisData.processingMetadata.processing_time_ms = Date.now() - startTime;
+    console.log(`⚡ Document analysis completed in ${analysisData.processingMetadata.processing_time_ms}ms`);
+    return analysisData;
+  } catch (error) {
+    // A file we cannot parse won't parse on a retry either
+    error.retryable = false;
+    throw error;
+  }
+}
+
+// Replaces the stored page analysis with the result of the analyze_document step
+function buildSaveAnalysisStep(documentId, userId) {
+  return {
+    name: 'save_analysis',
+    weight: 15,
+    run: async (context) => {
+      // Clear rows from an earlier analysis or a previous attempt
+      await supabaseAdmin
+        .from('pdf_content_analysis')
+        .delete()
+        .eq('document_id', documentId)
+        .eq('user_id', userId);
+
+      const analysisData = context.analyze_document;
+      await pdfProcessor.savePDFAnalysisToDatabase(documentId, userId, analysisData);
+
+      if (analysisData.pageTexts) {
+        await textStore.savePages(documentId, userId, analysisData.pageTexts);
+      } else if (analysisData.sharedFromDocumentId) {
+        await textStore.copyPages(analysisData.sharedFromDocumentId, documentId, userId);
+      }
+
+      const figureIndex = analysisData.figureIndex ||
+        pdfProcessor.extractFigureIndex(await loadAnalysisPageTexts(documentId, userId, analysisData));
+      await pdfProcessor.saveFigureIndex(documentId, userId, figureIndex);
+    }
+  };
+}
+
+// Extracts glossary candidates from the full page text
+function buildGlossaryStep(documentId, userId) {
+  return {
+    name: 'extract_glossary',
+    weight: 5,
+    run: async (context) => {
+      const analysisData = context.analyze_document;
+
+      try {
+        const pageTexts = await loadAnalysisPageTexts(documentId, userId, analysisData);
+        const chapters = glossaryExtractor.extractDocumentTerms(
+          pageTexts,
+          pdfProcessor.getChapterRanges(analysisData.documentStructure, analysisData.totalPages),
+          analysisData.processingMetadata.language?.code
+        );
+        const termCount = await glossaryExtractor.saveDocumentTerms(documentId, userId, chapters);
+        console.log(`📚 Extracted ${termCount} glossary candidates across ${chapters.length} chapters`);
+      } catch (error) {
+        // The glossary is a nice-to-have; don't fail the whole upload over it
+        console.warn(`Glossary extraction failed for document ${documentId}:`, error.message);
+      }
+    }
+  };
+}
+
+// Parses the pages detected as bibliography into structured references
+function buildReferencesStep(documentId, userId) {
+  return {
+    name: 'extract_references',
+    weight: 5,
+    run: async (context) => {
+      const analysisData = context.analyze_document;
+      const bibliographyPages = analysisData.documentStructure.bibliography || [];
+
+      try {
+        if (bibliographyPages.length === 0) {
+          await referenceParser.deleteForDocument(documentId, userId);
+          return;
+        }
+
+        const pageTexts = await loadAnalysisPageTexts(documentId, userId, analysisData);
+        const references = referenceParser.extractReferences(pageTexts, bibliographyPages);
+        const referenceCount = await referenceParser.saveDocumentReferences(documentId, userId, references);
+        console.log(`🔗 Parsed ${referenceCount} references from ${bibliographyPages.length} bibliography pages`);
+      } catch (error) {
+        // Same as the glossary: worth having, not worth failing the upload for
+        console.warn(`Reference extraction failed for document ${documentId}:`, error.message);
+      }
+    }
+  };
+}
+
+// Full page texts for an analysis. Shared analyses carry no text of their own;
+// it was copied into the text store by the save step.
+async function loadAnalysisPageTexts(documentId, userId, analysisData) {
+  if (analysisData.pageTexts) return analysisData.pageTexts;
+
+  const pages = await textStore.getPageRange(documentId, userId, 1, analysisData.totalPages);
+  const pageTexts = Array(analysisData.totalPages).fill('');
+  pages.forEach(page => {
+    pageTexts[page.page_number - 1] = page.text;
+  });
+  return pageTexts;
+}
+
+// Queues a re-run of the analysis on a document's stored file. The status is
+// written before the job is queued so the job's own updates land after it, and
+// only a completed document is claimed; returns null when it no longer is.
+// The pipeline runs through the service client because the admin bulk path
+// queues other users' documents; every query filters on the owner's user_id.
+async function enqueueReanalysis(document, { pdfPassword = null } = {}) {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('documents')
+    .update({ processing_status: 'processing' })
+    .eq('id', document.id)
+    .eq('user_id', document.user_id)
+    .eq('processing_status', 'completed')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Could not mark document ${document.id} for re-analysis: ${error.message}`);
+  }
+
+  if (!claimed || claimed.length === 0) return null;
+
+  const job = processingQueue.enqueue({
+    documentId: document.id,
+    userId: document.user_id,
+    context: { pdfPassword },
+    steps: buildReanalysisSteps(document),
+    onFailure: (context, failedJob) => restoreAfterFailedReanalysis(document, failedJob)
+  });
+
+  await supabaseAdmin
+    .from('documents')
+    .update({ processing_job_id: job.id })
+    .eq('id', document.id)
+    .eq('user_id', document.user_id);
+
+  return job;
+}
+
+// Pipeline that refreshes analysis and estimates while keeping reading progress
+function buildReanalysisSteps(document) {
+  const documentId = document.id;
+  const userId = document.user_id;
+
+  return [
+    {
+      name: 'snapshot_current',
+      weight: 5,
+      run: async () => {
+        const { data: pages, error } = await supabaseAdmin
+          .from('document_pages')
+          .select('id, page_number, estimated_time_seconds, difficulty_rating, is_completed')
+          .eq('document_id', documentId)
+          .eq('user_id', userId)
+          .order('page_number');
+
+        if (error) throw new Error(`Could not read current page estimates: ${error.message}`);
+
+        return {
+          processingVersion: document.processing_metadata?.processingVersion || null,
+          averageDifficulty: document.processing_metadata?.avgDifficulty ?? null,
+          difficultyLevel: document.difficulty_level,
+          estimatedMinutes: document.estimated_reading_time_minutes,
+          structureSource: document.processing_metadata?.structureSource || null,
+          pages: pages || []
+        };
+      }
+    },
+    {
+      name: 'download_file',
+      weight: 10,
+      run: async () => {
+        const { data: file, error } = await supabaseAdmin.storage
+          .from(getStorageBucket(document.processing_metadata?.safety))
+          .download(document.file_path);
+
+        if (error) throw new Error(`Could not download stored file: ${error.message}`);
+
+        return Buffer.from(await file.arrayBuffer());
+      }
+    },
+    {
+      name: 'analyze_document',
+      weight: 45,
+      run: async (context) => {
+        const analysisData = await runDocumentAnalysis(
+          context.download_file,
+          document.file_name,
+          userId,
+          document.title,
+          document.processing_metadata?.sourceFormat || pdfProcessor.extractors.detectFormat(document.file_name),
+          context.pdfPassword
+        );
+        analysisData.processingMetadata.encryption = document.processing_metadata?.encryption;
+        analysisData.processingMetadata.safety = rescanStoredFile(document, context.download_file);
+        delete context.pdfPassword;
+        return analysisData;
+      }
+    },
+    buildSaveAnalysisStep(documentId, userId),
+    buildGlossaryStep(documentId, userId),
+    buildReferencesStep(documentId, userId),
+    {
+      name: 'update_page_estimates',
+      weight: 10,
+      run: async (context) => {
+        const analysisData = context.analyze_document;
+        const existingPages = new Map(context.snapshot_current.pages.map(page => [page.page_number, page]));
+
+        const updates = [];
+        const inserts = [];
+
+        analysisData.pageAnalysis.forEach(page => {
+          const estimate = analysisData.timeEstimates.pageEstimates.find(e => e.pageNumber === page.pageNumber);
+          const values = {
+            document_id: documentId,
+            user_id: userId,
+            page_number: page.pageNumber,
+            estimated_time_seconds: estimate?.estimatedSeconds || 120,
+            difficulty_rating: page.difficultyLevel
+          };
+
+          const existing = existingPages.get(page.pageNumber);
+          if (existing) {
+            // Only estimate columns are written, so time spent and completion survive;
+            // completed pages also keep the difficulty they were read at
+            updates.push({
+              id: existing.id,
+              ...values,
+              difficulty_rating: existing.is_completed ? existing.difficulty_rating : values.difficulty_rating
+            });
+          } else {
+            inserts.push({ ...values, time_spent_seconds: 0, is_completed: false });
+          }
+        });
+
+        if (updates.length > 0) {
+          const { error } = await supabaseAdmin.from('document_pages').upsert(updates, { onConflict: 'id' });
+          if (error) throw new Error(`Page estimate update failed: ${error.message}`);
+        }
+
+        if (inserts.length > 0) {
+          const { error } = await supabaseAdmin.from('document_pages').insert(inserts);
+          if (error) throw new Error(`Page initialization failed: ${error.message}`);
+        }
+
+        // Pages beyond the new page count are dropped unless the user has read them
+        const removedPageIds = context.snapshot_current.pages
+          .filter(page => page.page_number > analysisData.totalPages)
+          .map(page => page.id);
+
+        if (removedPageIds.length > 0) {
+          await supabaseAdmin
+            .from('document_pages')
+            .delete()
+            .in('id', removedPageIds)
+            .eq('user_id', userId)
+            .eq('is_completed', false)
+            .eq('time_spent_seconds', 0);
+        }
+      }
+    },
+    {
+      name: 'finalize',
+      weight: 5,
+      run: async (context, job) => {
+        const analysisData = context.analyze_document;
+        const before = context.snapshot_current;
+
+        const { error: docError } = await supabaseAdmin
+          .from('documents')
+          .update({
+            total_pages: analysisData.totalPages,
+            ...buildDocumentAnalysisColumns(analysisData),
+            processing_status: 'completed',
+            processing_metadata: {
+              ...analysisData.processingMetadata,
+              api_version: '2.0.0',
+              job_id: job.id,
+              reanalyzed_at: new Date().toISOString(),
+              previous_processing_version: before.processingVersion
+            },
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', documentId)
+          .eq('user_id', userId);
+
+        if (docError) throw new Error(`Document finalization failed: ${docError.message}`);
+
+        job.result = {
+          reanalysis_report: buildReanalysisReport(before, analysisData)
+        };
+      }
+    }
+  ];
+}
+
+// Summarises how difficulty and time estimates moved after re-analysis
+function buildReanalysisReport(before, analysisData) {
+  const previousPages = new Map(before.pages.map(page => [page.page_number, page]));
+  const newDifficultyLevel = Math.round(analysisData.documentMetrics.averageDifficulty);
+  const newEstimatedMinutes = Math.round(analysisData.timeEstimates.totalSeconds / 60);
+
+  const pageChanges = analysisData.timeEstimates.pageEstimates
+    .map(estimate => {
+      const previous = previousPages.get(estimate.pageNumber);
+      return {
+        page_number: estimate.pageNumber,
+        previous_seconds: previous?.estimated_time_seconds ?? null,
+        new_seconds: estimate.estimatedSeconds,
+        change_seconds: previous ? estimate.estimatedSeconds - (previous.estimated_time_seconds || 0) : null,
+        previous_difficulty: previous?.difficulty_rating ?? null,
+        new_difficulty: estimate.difficultyLevel
+      };
+    });
+
+  const comparable = pageChanges.filter(change => change.change_seconds !== null);
+
+  return {
+    processing_version: {
+      from: before.processingVersion,
+      to: analysisData.processingMetadata.processingVersion
+    },
+    difficulty: {
+      from_level: before.difficultyLevel,
+      to_level: newDifficultyLevel,
+      from_average: before.averageDifficulty,
+      to_average: analysisData.documentMetrics.averageDifficulty
+    },
+    estimated_reading_time_minutes: {
+      from: before.estimatedMinutes,
+      to: newEstimatedMinutes,
+      change: before.estimatedMinutes !== null && before.estimatedMinutes !== undefined
+        ? newEstimatedMinutes - before.estimatedMinutes
+        : null
+    },
+    structure_source: {
+      from: before.structureSource,
+      to: analysisData.documentStructure.source
+    },
+    pages: {
+      total: analysisData.totalPages,
+      difficulty_changed: comparable.filter(change => change.previous_difficulty !== change.new_difficulty).length,
+      estimates_increased: comparable.filter(change => change.change_seconds > 0).length,
+      estimates_decreased: comparable.filter(change => change.change_seconds < 0).length,
+      estimates_unchanged: comparable.filter(change => change.change_seconds === 0).length,
+      largest_changes: [...comparable]
+        .sort((a, b) => Math.abs(b.change_seconds) - Math.abs(a.change_seconds))
+        .slice(0, 5)
+    }
+  };
+}
+
+// A failed re-analysis leaves the previous results in place
+async function restoreAfterFailedReanalysis(document, job) {
+  console.error(`❌ Re-analysis failed for document ${document.id}, restoring previous state`);
+
+  await supabaseAdmin
+    .from('documents')
+    .update({
+      processing_status: 'completed',
+      processing_metadata: {
+        ...(document.processing_metadata || {}),
+        last_reanalysis_error: {
+          job_id: job.id,
+          failed_at: new Date().toISOString(),
+          errors: job.errors
+        }
+      }
+    })
+    .eq('id', document.id)
+    .eq('user_id', document.user_id);
+}
+
+// Turns a ts_headline snippet (matches wrapped in \x02 ... \x03) into plain
+// text with highlight offsets plus an HTML-escaped <mark> version
+function formatSearchSnippet(rawSnippet) {
+  const highlights = [];
+  let snippet = '';
+  let html = '';
+
+  (rawSnippet || '').split(/(\x02[^\x03]*\x03)/).forEach(part => {
+    if (!part) return;
+
+    const isMatch = part.startsWith('\x02');
+    const text = isMatch ? part.slice(1, -1) : part;
+    const escaped = escapeHtml(text);
+
+    if (isMatch) {
+      highlights.push({ start: snippet.length, end: snippet.length + text.length });
+      html += `<mark>${escaped}</mark>`;
+    } else {
+      html += escaped;
+    }
+    snippet += text;
+  });
+
+  return {
+    snippet,
+    snippet_html: html,
+    highlights
+  };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatChapterSummary(document, chapterIndex, summary, cached) {
+  return {
+    document_id: document.id,
+    document_title: document.title,
+    chapter_index: chapterIndex,
+    chapter_title: summary.chapter_title,
+    start_page: summary.start_page,
+    end_page: summary.end_page,
+    sentences: summary.sentences,
+    word_count: summary.word_count,
+    // False for documents processed before full page text was stored
+    text_complete: summary.text_complete,
+    cached,
+    generated_at: summary.generated_at
+  };
+}
+
+// How many of the user's other documents mention each term (the IDF input)
+async function getTermDocumentFrequencies(userId, documentId, terms) {
+  const frequencies = new Map();
+
+  const { count } = await supabase
+    .from('documents')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .eq('processing_status', 'completed')
+    .neq('id', documentId);
+
+  // Batched to keep the IN (...) filter within URL limits
+  for (let i = 0; i < terms.length; i += 100) {
+    const { data: rows } = await supabaseAdmin
+      .from('document_terms')
+      .select('document_id, term')
+      .eq('user_id', userId)
+      .neq('document_id', documentId)
+      .in('term', terms.slice(i, i + 100));
+
+    const documentsByTerm = new Map();
+    (rows || []).forEach(row => {
+      if (!documentsByTerm.has(row.term)) documentsByTerm.set(row.term, new Set());
+      documentsByTerm.get(row.term).add(row.document_id);
+    });
+    documentsByTerm.forEach((documentIds, term) => frequencies.set(term, documentIds.size));
+  }
+
+  return { frequencies, otherDocumentCount: count || 0 };
+}
+
+// Upload, edit and bulk moves share these rules. Only the fields present are
+// checked; returns { error } with a 400 body, or { updates } ready for the row.
+async function validateDocumentMetadata(fields, userId) {
+  const updates = {};
+
+  if (fields.title !== undefined) {
+    const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+    if (!title) {
+      return { error: { error: 'Invalid title', details: 'Document title cannot be empty' } };
+    }
+    if (title.length > 255) {
+      return { error: { error: 'Title too long', details: 'Document title must be less than 255 characters' } };
+    }
+    updates.title = title;
+  }
+
+  if (fields.priority !== undefined) {
+    // Multipart uploads send numbers as strings
+    const priority = Number(fields.priority);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      return { error: { error: 'Invalid priority', details: 'Priority must be between 1 (highest) and 5 (lowest)' } };
+    }
+    updates.priority = priority;
+  }
+
+  if (fields.topic_id !== undefined) {
+    // null or an empty string leaves the document without a topic
+    if (fields.topic_id) {
+      const { data: topic, error: topicError } = await supabase
+        .from('topics')
+        .select('id')
+        .eq('id', fields.topic_id)
+        .eq('user_id', userId)
+        .single();
+
+      if (topicError || !topic) {
+        return { error: { error: 'Invalid topic', details: 'The specified topic does not exist or does not belong to you' } };
+      }
+    }
+    updates.topic_id = fields.topic_id || null;
+  }
+
+  if (fields.notes !== undefined) {
+    if (fields.notes !== null && typeof fields.notes !== 'string') {
+      return { error: { error: 'Invalid notes', details: 'Notes must be text' } };
+    }
+    updates.notes = fields.notes?.trim() || null;
+  }
+
+  if (fields.tags !== undefined) {
+    // Multipart uploads send tags as one comma-separated string
+    const tags = typeof fields.tags === 'string'
+      ? fields.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : fields.tags;
+    const normalized = documentAnnotations.normalizeTags(tags ?? []);
+    if (!normalized) {
+      return { error: { error: 'Invalid tags', details: 'Tags must be a list of at most 20 short labels (up to 50 characters each)' } };
+    }
+    updates.tags = normalized;
+  }
+
+  return { updates };
+}
+
+// Title, page count and outline of one of the user's documents, for routes that check pages or chapters
+async function findOwnedDocument(documentId, userId) {
+  const { data: document } = await supabase
+    .from('documents')
+    .select('id, title, total_pages, processing_metadata')
+    .eq('id', documentId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  return document;
+}
+
+// Reading progress for many documents from one grouped query, keyed by document id
+async function fetchProgressSummaries(userId, documentIds) {
+  const summaries = new Map();
+  if (documentIds.length === 0) return summaries;
+
+  const { data, error } = await supabase.rpc('document_progress_summaries', {
+    p_user_id: userId,
+    p_document_ids: documentIds
+  });
+
+  if (error) {
+    throw new Error(`Failed to load progress summaries: ${error.message}`);
+  }
+
+  (data || []).forEach(row => {
+    summaries.set(row.document_id, {
+      trackedPages: row.tracked_pages,
+      completedPages: row.completed_pages,
+      totalTimeSpentSeconds: Number(row.total_time_spent_seconds) || 0,
+      lastReadPage: row.last_read_page,
+      lastReadAt: row.last_read_at,
+      ratedCompletedPages: row.rated_completed_pages,
+      averageDifficultyRating: Number(row.average_difficulty_rating),
+      recentDifficultyRating: Number(row.recent_difficulty_rating),
+      datedCompletedPages: row.dated_completed_pages,
+      firstCompletedReadAt: row.first_completed_read_at,
+      lastCompletedReadAt: row.last_completed_read_at
+    });
+  });
+
+  return summaries;
+}
+
+// Content analysis rows for many documents, read in pages under the API's row cap
+async function fetchContentAnalysisByDocument(documentIds) {
+  const byDocument = new Map(documentIds.map(id => [id, []]));
+  if (documentIds.length === 0) return byDocument;
+
+  for (let from = 0; ; from += ANALYSIS_FETCH_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('pdf_content_analysis')
+      .select('*')
+      .in('document_id', documentIds)
+      .order('document_id')
+      .order('page_number')
+      .range(from, from + ANALYSIS_FETCH_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Fetch content analysis error:', error);
+      break;
+    }
+
+    data.forEach(row => byDocument.get(row.document_id)?.push(row));
+    if (data.length < ANALYSIS_FETCH_PAGE_SIZE) break;
+  }
+
+  return byDocument;
+}
+
+// Audit trail for original-file access; a failed write never blocks the download
+async function logDocumentAccess(req, document, { mode, bucket, byteRange, statusCode }) {
+  console.log(`📂 File access (${mode}) to document ${document.id} by user ${req.user.id}`);
+
+  const { error } = await supabaseAdmin
+    .from('document_access_log')
+    .insert({
+      document_id: document.id,
+      user_id: req.user.id,
+      access_mode: mode,
+      storage_bucket: bucket,
+      file_path: document.file_path,
+      byte_range: byteRange,
+      status_code: statusCode,
+      ip_address: req.ip || null,
+      user_agent: req.get('User-Agent')?.substring(0, 500) || null
+    });
+
+  if (error) {
+    console.error('Document access log error:', error);
+  }
+}
+
+// What processing_metadata keeps about the safety scan; action says where the file went
+function buildSafetyRecord(scan, action) {
+  return {
+    verdict: scan.verdict,
+    action,
+    reason: safetyScanner.describeVerdict(scan),
+    findings: scan.findings,
+    scannerVersion: scan.scannerVersion,
+    scannedAt: scan.scannedAt
+  };
+}
+
+function getStorageBucket(safety) {
+  return safety?.action === 'quarantined' ? QUARANTINE_BUCKET : DOCUMENT_BUCKET;
+}
+
+// Safety scan summary for upload responses, with the release link while a file is locked
+function summarizeSafety(safety, documentId) {
+  if (!safety) return null;
+
+  return {
+    verdict: safety.verdict,
+    action: safety.action,
+    reason: safety.reason,
+    released_at: safety.releasedAt || null,
+    ...(safety.action === 'quarantined' && !safety.releasedAt && { release: `POST /api/documents/${documentId}/release` })
+  };
+}
+
+function describeQuarantine(safety, documentId) {
+  return {
+    reason: safety?.reason || null,
+    released_at: safety?.releasedAt || null,
+    release: `POST /api/documents/${documentId}/release`
+  };
+}
+
+// 422 body for an encrypted PDF the given password does not open, or null
+function buildPdfPasswordError(encryption, request) {
+  if (encryption.status !== 'password_required' && encryption.status !== 'password_incorrect') {
+    return null;
+  }
 
-    // Build query with filters
-    let query = supabase
-      .from('documents')
-      .select(`
-        id,
-        title,
-        file_name,
-        total_pages,
-        difficulty_level,
-        estimated_reading_time_minutes,
-        content_type,
-        priority,
-        created_at,
-        updated_at,
-        processing_metadata,
-        topics (
-          id,
-          name,
-          color,
-          icon
-        )
-      `)
-      .eq('user_id', req.user.id);
+  const incorrect = encryption.status === 'password_incorrect';
+  return {
+    error: incorrect ? 'Incorrect PDF password' : 'PDF is password protected',
+    code: incorrect ? 'PDF_PASSWORD_INCORRECT' : 'PDF_PASSWORD_REQUIRED',
+    details: incorrect
+      ? 'The password did not unlock this PDF. Please check it and try again.'
+      : `This PDF is encrypted. Resend ${request} with its password to analyse it.`,
+    resend_with: { pdf_password: '<document password>' }
+  };
+}
 
-    // Apply filters
-    if (topic_id) {
-      query = query.eq('topic_id', topic_id);
-    }
-    
-    if (difficulty_level) {
-      query = query.eq('difficulty_level', parseInt(difficulty_level));
-    }
-    
-    if (content_type) {
-      query = query.eq('content_type', content_type);
-    }
+// Re-analysis re-runs the scan so older uploads get a verdict; the file stays where it is
+function rescanStoredFile(document, buffer) {
+  const sourceFormat = document.processing_metadata?.sourceFormat || pdfProcessor.extractors.detectFormat(document.file_name);
+  if (sourceFormat !== 'pdf') return document.processing_metadata?.safety;
 
-    // Apply sorting
-    const validSortFields = ['created_at', 'updated_at', 'title', 'difficulty_level', 'total_pages', 'priority'];
-    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
-    const sortAsc = sort_order.toLowerCase() === 'asc';
-    
-    query = query
-      .order(sortField, { ascending: sortAsc })
-      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+  const previous = document.processing_metadata?.safety;
+  const safety = buildSafetyRecord(safetyScanner.scan(buffer), previous?.action || 'accepted');
+  if (previous?.releasedAt) {
+    safety.releasedAt = previous.releasedAt;
+  }
 
-    const { data: documents, error, count } = await query;
+  if (safety.verdict !== 'clean' && safety.action === 'accepted') {
+    console.warn(`🛡️ Stored document ${document.id} now scans as ${safety.verdict}: ${safety.reason}`);
+  }
+  return safety;
+}
 
-    if (error) {
-      console.error('Fetch documents error:', error);
-      return res.status(500).json({ error: 'Failed to fetch documents' });
-    }
+// Removes a document's stored file, analysis and row (cascading to pages, sessions,
+// page texts, glossary, references and figures). Only the trash purge calls this,
+// for every user's documents, so it goes through the service client.
+async function deleteDocumentData(document, userId) {
+  // Delete from storage
+  const { error: storageError } = await supabaseAdmin.storage
+    .from(getStorageBucket(document.processing_metadata?.safety))
+    .remove([document.file_path]);
 
-    // Get progress data for all documents
-    const documentsWithProgress = await Promise.all(
-      documents.map(async (doc) => {
-        // Get basic progress
-        const { data: pages } = await supabase
-          .from('document_pages')
-          .select('page_number, time_spent_seconds, is_completed, last_read_at, difficulty_rating')
-          .eq('document_id', doc.id);
-
-        const totalPages = doc.total_pages;
-        const completedPages = pages?.filter(page => page.is_completed).length || 0;
-        const totalTimeSpent = pages?.reduce((sum, page) => sum + (page.time_spent_seconds || 0), 0) || 0;
-        
-        // Calculate reading velocity (pages per hour)
-        const readingVelocity = totalTimeSpent > 0 ? (completedPages / (totalTimeSpent / 3600)) : 0;
-        
-        // Find last read page
-        const lastReadPage = pages?.filter(p => p.last_read_at)
-          .sort((a, b) => new Date(b.last_read_at) - new Date(a.last_read_at))[0];
-
-        const docWithProgress = {
-          id: doc.id,
-          title: doc.title,
-          file_name: doc.file_name,
-          total_pages: totalPages,
-          completed_pages: completedPages,
-          completion_percentage: totalPages > 0 ? Math.round((completedPages / totalPages) * 100) : 0,
-          total_time_spent_seconds: totalTimeSpent,
-          difficulty_level: doc.difficulty_level,
-          estimated_reading_time_minutes: doc.estimated_reading_time_minutes,
-          content_type: doc.content_type,
-          priority: doc.priority,
-          created_at: doc.created_at,
-          updated_at: doc.updated_at,
-          topic: doc.topics,
-          reading_metrics: {
-            reading_velocity_pages_per_hour: Math.round(readingVelocity * 10) / 10,
-            average_time_per_page_seconds: completedPages > 0 ? Math.round(totalTimeSpent / completedPages) : 0,
-            last_read_page: lastReadPage?.page_number || null,
-            last_read_at: lastReadPage?.last_read_at || null,
-            estimated_time_remaining_minutes: Math.round(((totalPages - completedPages) * (doc.estimated_reading_time_minutes || 120)) / totalPages)
-          },
-          intelligent_insights: {
-            next_recommended_page: completedPages + 1,
-            suggested_session_length: calculateSuggestedSessionLength(doc, pages),
-            difficulty_trend: analyzeDifficultyTrend(pages),
-            completion_prediction: predictCompletionDate(doc, pages, completedPages)
-          }
-        };
+  if (storageError) {
+    console.error('Storage delete error:', storageError);
+    // Continue with database cleanup even if storage delete fails
+  }
 
-        // Include detailed analysis if requested
-        if (include_analysis === 'true') {
-          const { data: analysisData } = await supabase
-            .from('pdf_content_analysis')
-            .select('*')
-            .eq('document_id', doc.id)
-            .order('page_number');
-
-          docWithProgress.detailed_analysis = {
-            page_analysis: analysisData || [],
-            content_distribution: analyzeContentDistribution(analysisData),
-            difficulty_progression: analyzeDifficultyProgression(analysisData)
-          };
-        }
+  // Delete PDF content analysis
+  await supabaseAdmin
+    .from('pdf_content_analysis')
+    .delete()
+    .eq('document_id', document.id);
 
-        return docWithProgress;
-      })
-    );
+  const { data: deleted, error: deleteError } = await supabaseAdmin
+    .from('documents')
+    .delete()
+    .eq('id', document.id)
+    .eq('user_id', userId)
+    .select('id');
 
-    // Calculate collection statistics
-    const collectionStats = {
-      total_documents: documents.length,
-      difficulty_distribution: calculateDifficultyDistribution(documentsWithProgress),
-      content_type_distribution: calculateContentTypeDistribution(documentsWithProgress),
-      completion_statistics: calculateCompletionStatistics(documentsWithProgress),
-      estimated_total_reading_time: documentsWithProgress.reduce(
-        (sum, doc) => sum + (doc.estimated_reading_time_minutes || 0), 0
-      )
-    };
+  if (deleteError) {
+    console.error('Database delete error:', deleteError);
+    return { error: deleteError };
+  }
 
-    res.json({ 
-      documents: documentsWithProgress,
-      pagination: {
-        offset: parseInt(offset),
-        limit: parseInt(limit),
-        total: count,
-        has_more: count > parseInt(offset) + parseInt(limit)
-      },
-      collection_stats: collectionStats,
-      filters_applied: {
-        topic_id: topic_id || null,
-        difficulty_level: difficulty_level || null,
-        content_type: content_type || null,
-        sort_by: sortField,
-        sort_order: sort_order
-      }
-    });
-  } catch (error) {
-    console.error('Get documents error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  // A filter that matched nothing is not an error to PostgREST, but nothing was purged
+  if (!deleted || deleted.length === 0) {
+    return { error: { message: `Document ${document.id} was not deleted` } };
   }
-});
 
-// Get specific document details
-router.get('/:id', authMiddleware, async (req, res) => {
+  return { error: null };
+}
+
+// Finds a completed analysis of the same file content from another user.
+// Uses the service client because the source rows belong to someone else.
+async function findSharedAnalysis(contentHash, userId) {
+  if (!contentHash) return null;
+
   try {
-    const { include_recommendations = 'true', include_sessions = 'false' } = req.query;
-    
-    // Get document with topic information
-    const { data: document, error } = await supabase
+    const { data: sources } = await supabaseAdmin
       .from('documents')
-      .select(`
-        *,
-        topics (
-          id,
-          name,
-          color,
-          icon,
-          target_completion_date
-        )
-      `)
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Document not found' });
-      }
-      console.error('Fetch document error:', error);
-      return res.status(500).json({ error: 'Failed to fetch document' });
-    }
+      .select('id, processing_metadata')
+      .eq('content_hash', contentHash)
+      .eq('processing_status', 'completed')
+      .neq('user_id', userId)
+      // Outdated analyses would just need re-analysing again
+      .eq('processing_metadata->>processingVersion', PDFProcessorService.PROCESSING_VERSION)
+      .order('created_at', { ascending: false })
+      .limit(1);
 
-    // Get detailed page analysis
-    const { data: pages } = await supabase
-      .from('document_pages')
-      .select('*')
-      .eq('document_id', document.id)
-      .order('page_number');
+    const source = sources?.[0];
+    if (!source) return null;
 
-    // Get PDF content analysis
-    const { data: contentAnalysis } = await supabase
+    const { data: rows, error } = await supabaseAdmin
       .from('pdf_content_analysis')
       .select('*')
-      .eq('document_id', document.id)
+      .eq('document_id', source.id)
       .order('page_number');
 
-    // Calculate comprehensive progress metrics
-    const progressMetrics = calculateComprehensiveProgress(document, pages, contentAnalysis);
+    if (error || !rows || rows.length === 0) return null;
 
-    // Get study sessions if requested
-    let studySessions = [];
-    if (include_sessions === 'true') {
-      const { data: sessions } = await supabase
-        .from('study_sessions')
-        .select('*')
-        .eq('document_id', document.id)
-        .eq('user_id', req.user.id)
-        .order('started_at', { ascending: false })
-        .limit(10);
-      
-      studySessions = sessions || [];
-    }
+    return { documentId: source.id, rows, processingMetadata: source.processing_metadata || {} };
+  } catch (error) {
+    console.warn('Shared analysis lookup failed:', error.message);
+    return null;
+  }
+}
 
-    // Generate intelligent recommendations
-    let recommendations = [];
-    if (include_recommendations === 'true') {
-      const userReadingSpeed = await pdfProcessor.getUserReadingSpeed(req.user.id);
-      recommendations = await generateDocumentRecommendations(
-        document, 
-        pages, 
-        contentAnalysis, 
-        userReadingSpeed,
-        studySessions
-      );
-    }
+// Removes everything a failed processing job wrote and flags the document
+async function cleanupFailedProcessing(documentId, userId, context, job) {
+  console.error(`❌ Processing failed for document ${documentId}, cleaning up`);
 
-    // Build comprehensive response
-    const response = {
-      document: {
-        ...document,
-        progress_metrics: progressMetrics,
-        content_analysis_summary: summarizeContentAnalysis(contentAnalysis),
-        reading_path: generateOptimalReadingPath(pages, contentAnalysis)
+  if (context.fileName) {
+    await supabase.storage.from(getStorageBucket(context.safety)).remove([context.fileName]);
+  }
+
+  await deletePartialAnalysis(documentId, userId);
+
+  await supabase
+    .from('documents')
+    .update({
+      processing_status: 'failed',
+      processing_metadata: {
+        filename: context.originalName,
+        job_id: job.id,
+        failed_at: new Date().toISOString(),
+        processing_errors: job.errors
       },
-      pages: pages || [],
-      study_sessions: studySessions,
-      recommendations: recommendations,
-      insights: {
-        learning_velocity: calculateLearningVelocity(pages, studySessions),
-        focus_patterns: analyzeFocusPatterns(studySessions),
-        optimal_study_times: suggestOptimalStudyTimes(studySessions),
-        difficulty_adaptation: assessDifficultyAdaptation(pages, contentAnalysis)
-      }
-    };
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', documentId)
+    .eq('user_id', userId);
+}
 
-    res.json(response);
-  } catch (error) {
-    console.error('Get document details error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// A released upload whose analysis failed waits in quarantine again, still released
+async function returnToQuarantine(document, job) {
+  console.error(`❌ Analysis of released document ${document.id} failed, returning it to quarantine`);
+
+  await deletePartialAnalysis(document.id, document.user_id);
+
+  await supabase
+    .from('documents')
+    .update({
+      processing_status: 'quarantined',
+      processing_metadata: {
+        ...(document.processing_metadata || {}),
+        last_release_error: {
+          job_id: job.id,
+          failed_at: new Date().toISOString(),
+          errors: job.errors
+        }
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', document.id)
+    .eq('user_id', document.user_id);
+}
+
+// Whatever a failed analysis managed to save before it stopped
+async function deletePartialAnalysis(documentId, userId) {
+  await supabase
+    .from('pdf_content_analysis')
+    .delete()
+    .eq('document_id', documentId);
+
+  await textStore.deleteForDocument(documentId, userId);
+  await glossaryExtractor.deleteForDocument(documentId, userId);
+  await referenceParser.deleteForDocument(documentId, userId);
+  await pdfProcessor.deleteFigureIndex(documentId, userId);
+
+  await supabase
+    .from('document_pages')
+    .delete()
+    .eq('document_id', documentId);
+}
+
+// Processing jobs only live in memory, so documents still marked as processing
+// when the server starts lost their job (and the uploaded file) in a restart.
+// New uploads are failed and cleaned up so they can be sent again; documents
+// that were being re-analysed go back to their previous results, and released
+// quarantined uploads go back to quarantine.
+async function recoverInterruptedProcessing() {
+  const { data: documents, error } = await supabaseAdmin
+    .from('documents')
+    .select('id, user_id, file_name, file_path, total_pages, processing_job_id, processing_metadata')
+    .eq('processing_status', 'processing');
+
+  if (error) {
+    throw new Error(`Failed to list interrupted documents: ${error.message}`);
   }
-});
 
-// Delete document with enhanced cleanup
-router.delete('/:id', authMiddleware, async (req, res) => {
-  try {
-    // Get document details first
-    const { data: document, error: fetchError } = await supabase
-      .from('documents')
-      .select('file_path, title, total_pages')
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
-      .single();
+  for (const document of documents) {
+    const job = {
+      id: document.processing_job_id,
+      errors: [{ step: null, attempt: 0, message: INTERRUPTED_PROCESSING_MESSAGE, at: new Date().toISOString() }]
+    };
 
-    if (fetchError) {
-      if (fetchError.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Document not found' });
+    try {
+      if (document.total_pages > 0) {
+        await restoreAfterFailedReanalysis(document, job);
+      } else if (document.processing_metadata?.safety?.releasedAt) {
+        await returnToQuarantine(document, job);
+      } else {
+        await cleanupFailedProcessing(document.id, document.user_id, {
+          fileName: document.file_path,
+          originalName: document.file_name,
+          safety: document.processing_metadata?.safety
+        }, job);
       }
-      return res.status(500).json({ error: 'Failed to fetch document' });
+    } catch (recoveryError) {
+      console.error(`Recovering interrupted document ${document.id} failed:`, recoveryError.message);
     }
+  }
 
-    // Delete from storage
-    const { error: storageError } = await supabase.storage
-      .from('pdf-documents')
-      .remove([document.file_path]);
+  if (documents.length > 0) {
+    console.log(`🔁 Recovered ${documents.length} documents whose processing was interrupted`);
+  }
+  return documents.length;
+}
 
-    if (storageError) {
-      console.error('Storage delete error:', storageError);
-      // Continue with database cleanup even if storage delete fails
-    }
+// Turns a processing job error into a user-facing explanation
+function describeProcessingError(jobError) {
+  const message = jobError?.message || '';
 
-    // Delete PDF content analysis
-    await supabase
-      .from('pdf_content_analysis')
-      .delete()
-      .eq('document_id', req.params.id);
+  if (message === INTERRUPTED_PROCESSING_MESSAGE) {
+    return {
+      error: 'Processing interrupted',
+      details: 'The server restarted while this document was being processed. Please upload it again.'
+    };
+  }
 
-    // Delete from database (cascading will handle pages, sessions, etc.)
-    const { error: deleteError } = await supabase
-      .from('documents')
-      .delete()
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id);
+  if (message.includes('Failed to process PDF')) {
+    return {
+      error: 'PDF processing failed',
+      details: 'The PDF file appears to be corrupted or in an unsupported format. Please try a different file.',
+      suggestion: 'Ensure the PDF is not password-protected and is a standard PDF format.'
+    };
+  }
 
-    if (deleteError) {
-      console.error('Database delete error:', deleteError);
-      return res.status(500).json({ error: 'Failed to delete document' });
-    }
+  if (message.includes('MB of text')) {
+    return {
+      error: 'Document too large',
+      details: 'The document expands to more text than can be processed.',
+      suggestion: 'Split the document into smaller files and upload them separately.'
+    };
+  }
 
-    // Update user document count and stats
-    await updateUserDocumentStats(req.user.id);
+  if (message.includes('Failed to process document')) {
+    return {
+      error: 'Document processing failed',
+      details: 'The file could not be converted to text. It may be corrupted or use an unsupported structure.',
+      suggestion: 'Try re-exporting the document, or convert it to PDF before uploading.'
+    };
+  }
 
-    res.json({ 
-      message: 'Document deleted successfully',
-      deleted_document: {
-        title: document.title,
-        pages: document.total_pages
-      }
-    });
-  } catch (error) {
-    console.error('Delete document error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (message.includes('pdf-parse')) {
+    return {
+      error: 'PDF parsing error',
+      details: 'Could not extract content from the PDF. The file may be image-based or corrupted.',
+      suggestion: 'Try converting the PDF to a text-based format or use OCR if it contains scanned images.'
+    };
   }
-});
 
-// ========================================
-// HELPER FUNCTIONS (moved outside of router)
-// ========================================
+  return {
+    error: 'Processing failed',
+    details: 'An unexpected error occurred while processing your PDF. Please try uploading it again.',
+    support_info: 'If this problem continues, please contact support with the filename and upload time.'
+  };
+}
 
-function calculateSuggestedSessionLength(document, pages) {
+function buildUploadInsights(analysisData, recommendations) {
+  return {
+    processing_time_ms: analysisData.processingMetadata.processing_time_ms,
+    analysis_summary: {
+      total_words: analysisData.documentMetrics.totalWords,
+      average_difficulty: analysisData.documentMetrics.averageDifficulty,
+      structural_complexity: analysisData.documentMetrics.structuralComplexity,
+      dominant_content_type: pdfProcessor.getDominantContentType(analysisData.documentMetrics.contentTypeDistribution)
+    },
+    time_estimates: {
+      total_reading_time: `${Math.round(analysisData.timeEstimates.totalSeconds / 3600 * 10) / 10} hours`,
+      average_per_page: `${Math.round(analysisData.timeEstimates.averageSecondsPerPage / 60)} minutes`,
+      difficulty_breakdown: Object.entries(analysisData.timeEstimates.difficultyBasedTotals)
+        .filter(([_, time]) => time > 0)
+        .map(([level, time]) => ({
+          difficulty_level: parseInt(level),
+          estimated_minutes: Math.round(time / 60),
+          page_count: analysisData.pageAnalysis.filter(p => p.difficultyLevel === parseInt(level)).length
+        }))
+    },
+    document_structure: {
+      source: analysisData.documentStructure.source,
+      chapters: analysisData.documentStructure.chapters.length,
+      sections: analysisData.documentStructure.sections.length,
+      has_table_of_contents: analysisData.documentStructure.tableOfContents.length > 0,
+      has_bibliography: analysisData.documentStructure.bibliography.length > 0
+    },
+    recommendations: recommendations.slice(0, 3) // Top 3 recommendations
+  };
+}
+
+function buildUploadNextSteps(documentId, analysisData, recommendations) {
+  return [
+    {
+      action: 'start_reading',
+      description: 'Begin reading from page 1',
+      estimated_time: `${Math.round(analysisData.timeEstimates.pageEstimates[0]?.estimatedSeconds / 60)} minutes`
+    },
+    {
+      action: 'create_study_plan',
+      description: 'Set up a study schedule based on difficulty analysis',
+      recommended: recommendations.some(r => r.type === 'time')
+    },
+    {
+      action: 'generate_sprint',
+      description: 'Create your first intelligent study sprint',
+      url: `/api/sprints/generate?document_id=${documentId}`
+    }
+  ];
+}
+
+function calculateCompletionPercentage(totalPages, completedPages) {
+  return totalPages > 0 ? Math.round((completedPages / totalPages) * 100) : 0;
+}
+
+function calculateSuggestedSessionLength(document) {
   const avgDifficulty = document.difficulty_level || 3;
   const baseDuration = 30; // 30 minutes base
   
@@ -627,32 +3956,25 @@ function calculateSuggestedSessionLength(document, pages) {
   return Math.round(baseDuration * (difficultyMultiplier[avgDifficulty] || 1.0));
 }
 
-function analyzeDifficultyTrend(pages) {
-  if (!pages || pages.length < 3) return 'insufficient_data';
-  
-  const completedPages = pages.filter(p => p.is_completed && p.difficulty_rating);
-  if (completedPages.length < 3) return 'insufficient_data';
-  
-  const recent = completedPages.slice(-5);
-  const avgRecent = recent.reduce((sum, p) => sum + p.difficulty_rating, 0) / recent.length;
-  const avgOverall = completedPages.reduce((sum, p) => sum + p.difficulty_rating, 0) / completedPages.length;
+// Compares the last five rated pages with all rated pages (see document_progress_summaries)
+function analyzeDifficultyTrend(progress) {
+  if (progress.trackedPages < 3) return 'insufficient_data';
+  if (progress.ratedCompletedPages < 3) return 'insufficient_data';
   
-  const difference = avgRecent - avgOverall;
+  const difference = progress.recentDifficultyRating - progress.averageDifficultyRating;
   if (difference > 0.5) return 'increasing';
   if (difference < -0.5) return 'decreasing';
   return 'stable';
 }
 
-function predictCompletionDate(document, pages, completedPages) {
+function predictCompletionDate(document, progress) {
+  const completedPages = progress.completedPages;
   if (completedPages === 0) return null;
-  
-  const completedPagesData = pages.filter(p => p.is_completed && p.last_read_at);
-  if (completedPagesData.length < 2) return null;
+  if (progress.datedCompletedPages < 2) return null;
   
   // Calculate reading velocity
-  const sorted = completedPagesData.sort((a, b) => new Date(a.last_read_at) - new Date(b.last_read_at));
-  const firstRead = new Date(sorted[0].last_read_at);
-  const lastRead = new Date(sorted[sorted.length - 1].last_read_at);
+  const firstRead = new Date(progress.firstCompletedReadAt);
+  const lastRead = new Date(progress.lastCompletedReadAt);
   const daysDiff = (lastRead - firstRead) / (1000 * 60 * 60 * 24);
   
   if (daysDiff <= 0) return null;
@@ -750,31 +4072,20 @@ function generateOptimalReadingPath(pages, contentAnalysis) {
   };
 }
 
-async function generateDocumentRecommendations(document, pages, contentAnalysis, userReadingSpeed, studySessions) {
-  // Placeholder implementation
-  return [
-    {
-      type: 'pacing',
-      message: 'Consider 30-minute study sessions for optimal retention',
-      priority: 'medium'
-    }
-  ];
-}
-
-function calculateLearningVelocity(pages, studySessions) {
-  return 'moderate'; // Placeholder
-}
-
-function analyzeFocusPatterns(studySessions) {
-  return []; // Placeholder
-}
+// Take trashed documents' pages, reading time and sessions out of the user's
+// totals (direction -1), or put them back when they are restored (direction 1)
+async function adjustUserStatsForTrash(userId, documentIds, direction) {
+  if (documentIds.length === 0) return;
 
-function suggestOptimalStudyTimes(studySessions) {
-  return []; // Placeholder
-}
+  const { error } = await supabase.rpc('adjust_user_stats_for_trash', {
+    p_user_id: userId,
+    p_document_ids: documentIds,
+    p_direction: direction
+  });
 
-function assessDifficultyAdaptation(pages, contentAnalysis) {
-  return 'adapting_well'; // Placeholder
+  if (error) {
+    console.error('Adjust trashed document stats error:', error);
+  }
 }
 
 // Helper function to update user document statistics
@@ -783,7 +4094,8 @@ async function updateUserDocumentStats(userId, analysisData = null) {
     const { count } = await supabase
       .from('documents')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     const updateData = {
       total_documents: count || 0,
@@ -810,4 +4122,8 @@ async function updateUserDocumentStats(userId, analysisData = null) {
   }
 }
 
+// Used by server.js once at startup
+router.recoverInterruptedProcessing = recoverInterruptedProcessing;
+router.trashPurge = trashPurge;
+
 module.exports = router;
\ No newline at end of file
@@ -51,7 +51,8 @@ router.get('/', authMiddleware, async (req, res) => {
                 time_spent_seconds
               )
             `)
-            .eq('topic_id', goal.topic_id);
+            .eq('topic_id', goal.topic_id)
+            .is('deleted_at', null);
 
           if (documents && documents.length > 0) {
             const totalPages = documents.reduce((sum, doc) => sum + doc.total_pages, 0);
@@ -244,6 +245,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
           )
         `)
         .eq('topic_id', examGoal.topic_id)
+        .is('deleted_at', null)
         .order('created_at', { ascending: true });
 
       if (documents) {
@@ -462,6 +464,7 @@ router.post('/:id/generate-schedule', authMiddleware, async (req, res) => {
         )
       `)
       .eq('topic_id', examGoal.topic_id)
+      .is('deleted_at', null)
       .order('priority', { ascending: true });
 
     if (!documents || documents.length === 0) {
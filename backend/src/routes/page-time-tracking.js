@@ -4,9 +4,13 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
+const ReadingCalibrationService = require('../services/readingCalibration');
 
 const router = express.Router();
 
+// Learns each user's reading speed from their completed pages
+const calibration = new ReadingCalibrationService();
+
 // Start page reading session with enhanced tracking
 router.post('/start-page/:document_id/:page_number', authMiddleware, async (req, res) => {
   try {
@@ -22,6 +26,7 @@ router.post('/start-page/:document_id/:page_number', authMiddleware, async (req,
       .select('id, title, total_pages')
       .eq('id', document_id)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (docError || !document) {
@@ -163,6 +168,9 @@ router.post('/complete-page/:document_id/:page_number', authMiddleware, async (r
     // Update user reading speed statistics
     await updateUserReadingSpeedFromPage(userId, actual_time_seconds);
 
+    // Refit the personal time model once enough new pages are in
+    await calibration.refitIfDue(userId);
+
     // Calculate remaining time for document
     const remainingTimeEstimate = await calculateDocumentRemainingTime(userId, document_id);
 
@@ -241,6 +249,7 @@ router.get('/estimates/all', authMiddleware, async (req, res) => {
         )
       `)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -340,6 +349,52 @@ router.get('/estimates/:document_id/detailed', authMiddleware, async (req, res)
   }
 });
 
+// Get the user's learned reading time model and how well it fits
+router.get('/calibration', authMiddleware, async (req, res) => {
+  try {
+    const model = await calibration.getModel(req.user.id);
+
+    if (!model) {
+      return res.json({
+        calibrated: false,
+        message: `Complete at least ${calibration.minPages} pages to personalise time estimates`,
+        min_pages: calibration.minPages
+      });
+    }
+
+    res.json({
+      calibrated: true,
+      refit_every_pages: calibration.refitEvery,
+      model: calibration.describeModel(model)
+    });
+  } catch (error) {
+    console.error('Get calibration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Force a refit of the user's reading time model
+router.post('/calibration/refit', authMiddleware, async (req, res) => {
+  try {
+    const model = await calibration.refit(req.user.id);
+
+    if (!model) {
+      return res.status(400).json({
+        error: 'Not enough reading history',
+        details: `At least ${calibration.minPages} completed pages with analysed content are required`
+      });
+    }
+
+    res.json({
+      message: 'Reading calibration updated 🎯',
+      model: calibration.describeModel(model)
+    });
+  } catch (error) {
+    console.error('Refit calibration error:', error);
+    res.status(500).json({ error: 'Failed to refit calibration', details: error.message });
+  }
+});
+
 // Update reading pace in real-time (for live estimates)
 router.post('/update-pace/:document_id/:page_number', authMiddleware, async (req, res) => {
   try {
@@ -414,6 +469,7 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
       .select('id, title, total_pages, difficulty_level')
       .eq('id', documentId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (!document) {
@@ -443,6 +499,9 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
 
     const userAvgSpeed = userStats?.average_reading_speed_seconds || 120;
 
+    // A personal model replaces the fixed WPM-based page estimates
+    const personalEstimates = await getPersonalPageEstimates(userId, documentId);
+
     // Calculate metrics
     const totalPages = document.total_pages;
     const completedPages = pages?.filter(p => p.is_completed).length || 0;
@@ -451,7 +510,13 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
     // Calculate remaining time using multiple approaches
     let remainingTimeSeconds = 0;
     
-    if (pages && pages.length > 0) {
+    if (personalEstimates) {
+      const completedPageNumbers = new Set((pages || []).filter(p => p.is_completed).map(p => p.page_number));
+
+      remainingTimeSeconds = [...personalEstimates.entries()]
+        .filter(([pageNumber]) => !completedPageNumbers.has(pageNumber))
+        .reduce((sum, [, seconds]) => sum + seconds, 0);
+    } else if (pages && pages.length > 0) {
       // Method 1: Use estimated times for unread pages
       const unreadPages = pages.filter(p => !p.is_completed);
       
@@ -476,7 +541,8 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
     }
 
     // Adjust based on user's actual performance if we have data
-    if (completedPages > 0 && totalTimeSpent > 0) {
+    // (already built into personal estimates)
+    if (!personalEstimates && completedPages > 0 && totalTimeSpent > 0) {
       const actualAvgSpeed = totalTimeSpent / completedPages;
       const speedRatio = actualAvgSpeed / userAvgSpeed;
       
@@ -497,6 +563,7 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
       total_time_spent_seconds: totalTimeSpent,
       remaining_time_seconds: Math.max(0, remainingTimeSeconds),
       remaining_time_formatted: formatDuration(remainingTimeSeconds),
+      estimation_method: personalEstimates ? 'personal_calibration' : 'default',
       estimated_completion_date: await calculateCompletionDate(userId, remainingTimeSeconds),
       reading_velocity: completedPages > 0 ? Math.round((completedPages / (totalTimeSpent / 3600)) * 10) / 10 : 0 // pages per hour
     };
@@ -506,6 +573,16 @@ async function calculateDocumentRemainingTime(userId, documentId, includeComplet
   }
 }
 
+// Per-page seconds for a document from the user's calibration, or null if uncalibrated
+async function getPersonalPageEstimates(userId, documentId) {
+  try {
+    return await calibration.estimateDocumentPages(userId, documentId);
+  } catch (error) {
+    console.warn('Error computing personal page estimates:', error);
+    return null;
+  }
+}
+
 async function updateUserReadingSpeedFromPage(userId, timeSeconds) {
   try {
     const { data: currentStats } = await supabase
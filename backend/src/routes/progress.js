@@ -4,9 +4,13 @@
 const express = require('express');
 const { supabase } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
+const ReadingCalibrationService = require('../services/readingCalibration');
 
 const router = express.Router();
 
+// Learns each user's reading speed from their completed pages
+const calibration = new ReadingCalibrationService();
+
 // Enhanced page completion with real-time time tracking
 router.post('/page/complete', authMiddleware, async (req, res) => {
   try {
@@ -136,6 +140,7 @@ router.get('/document/:id/comprehensive', authMiddleware, async (req, res) => {
       `)
       .eq('id', documentId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (docError || !document) {
@@ -386,6 +391,7 @@ async function calculateDocumentRemainingTime(userId, documentId) {
       .select('total_pages, difficulty_level')
       .eq('id', documentId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (!document) return { remaining_time_seconds: 0 };
@@ -393,7 +399,7 @@ async function calculateDocumentRemainingTime(userId, documentId) {
     // Get page progress
     const { data: pages } = await supabase
       .from('document_pages')
-      .select('is_completed, estimated_time_seconds')
+      .select('page_number, is_completed, estimated_time_seconds')
       .eq('document_id', documentId)
       .eq('user_id', userId);
 
@@ -408,8 +414,21 @@ async function calculateDocumentRemainingTime(userId, documentId) {
     const uncompletedPages = pages?.filter(p => !p.is_completed) || [];
 
     let remainingTimeSeconds = 0;
-    
-    if (uncompletedPages.length > 0) {
+
+    // A personal model replaces the fixed WPM-based page estimates (and
+    // already accounts for difficulty)
+    const personalEstimates = await calibration.estimateDocumentPages(userId, documentId)
+      .catch(error => {
+        console.warn('Error computing personal page estimates:', error.message);
+        return null;
+      });
+
+    if (personalEstimates) {
+      remainingTimeSeconds = uncompletedPages.reduce(
+        (sum, page) => sum + (personalEstimates.get(page.page_number) ?? page.estimated_time_seconds ?? userAvgSpeed),
+        0
+      );
+    } else if (uncompletedPages.length > 0) {
       remainingTimeSeconds = uncompletedPages.reduce((sum, page) => {
         const estimatedTime = page.estimated_time_seconds || userAvgSpeed;
         
@@ -52,6 +52,7 @@ router.post('/start', authMiddleware, async (req, res) => {
       .select('id, title, topic_id, total_pages')
       .eq('id', document_id)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (docError || !document) {
@@ -53,6 +53,7 @@ router.post('/generate', authMiddleware, async (req, res) => {
         `)
         .eq('id', document_id)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .single();
 
       if (document) targetDocuments = [document];
@@ -75,6 +76,7 @@ router.post('/generate', authMiddleware, async (req, res) => {
         `)
         .eq('topic_id', topic_id)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .order('priority', { ascending: true });
 
       targetDocuments = documents || [];
@@ -105,6 +107,7 @@ router.post('/generate', authMiddleware, async (req, res) => {
           `)
           .eq('topic_id', examGoal.topic_id)
           .eq('user_id', userId)
+          .is('deleted_at', null)
           .order('priority', { ascending: true });
 
         targetDocuments = documents || [];
@@ -129,6 +132,7 @@ router.post('/generate', authMiddleware, async (req, res) => {
           )
         `)
         .eq('user_id', userId)
+        .is('deleted_at', null)
         .order('updated_at', { ascending: false })
         .limit(5);
 
@@ -204,6 +208,7 @@ router.post('/', authMiddleware, async (req, res) => {
       .select('id, title, topic_id')
       .eq('id', document_id)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (docError || !document) {
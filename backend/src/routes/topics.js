@@ -64,7 +64,8 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
               is_completed
             )
           `)
-          .eq('topic_id', topic.id);
+          .eq('topic_id', topic.id)
+          .is('deleted_at', null);
 
         if (!topicData || topicData.length === 0) {
           return {
@@ -243,6 +244,7 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
       )
     `)
     .eq('topic_id', topic.id)
+    .is('deleted_at', null)
     .order('priority', { ascending: true });
 
   if (docsError) {
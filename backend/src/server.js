@@ -94,9 +94,10 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'Range'
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Disposition'],
   maxAge: 86400, // 24 hours
   optionsSuccessStatus: 200 // For legacy browser support
 };
@@ -258,10 +259,37 @@ app.get('/api/docs', (req, res) => {
       documents: {
         base: '/api/documents',
         endpoints: {
-          'GET /': 'List user documents with filtering',
-          'POST /upload': 'Upload PDF document',
-          'GET /:id': 'Get document details',
-          'DELETE /:id': 'Delete document'
+          'GET /': 'List user documents with filtering (topic_id, tag, filter=<saved filter id>)',
+          'POST /upload': 'Upload a PDF, EPUB, Markdown, HTML or DOCX document (processed in the background, 409 on duplicates, 422 with a code for unsafe or encrypted PDFs - resend encrypted ones with pdf_password, 403 DOCUMENT_QUOTA_EXCEEDED over the account quota)',
+          'POST /upload/batch': 'Upload several documents or ZIP archives in one request (topic_from_folder=true files them under topics named after their folders); returns a result per file',
+          'GET /:id/processing-status': 'Get background processing progress',
+          'POST /:id/reanalyze': 'Re-run analysis with the current processing version (pdf_password for encrypted files)',
+          'POST /:id/release': 'Release a quarantined upload: unlocks its file and queues the analysis (pdf_password for encrypted files)',
+          'POST /reanalyze': 'Re-analyse outdated documents in bulk (admin)',
+          'POST /bulk': 'Move, re-prioritise or trash many documents at once (all or nothing)',
+          'GET /trash': 'Documents in the trash with their purge dates',
+          'GET /filters': 'Saved smart filters such as "tag:midterm AND difficulty>=4 AND completion<50"',
+          'POST /filters': 'Save a named filter query (fields: tag, topic, title, type, status, difficulty, priority, completion, pages)',
+          'PATCH /filters/:filterId': 'Rename a saved filter or change its query',
+          'DELETE /filters/:filterId': 'Delete a saved filter',
+          'GET /continue': 'Recently read documents with exact resume positions (limit)',
+          'GET /search': 'Full-text search across all document pages (q, topic_id, document_id)',
+          'GET /:id/text': 'Full text of a page range (start_page, end_page)',
+          'GET /:id/glossary': 'Key terms per chapter with defining pages (format=review for prompts)',
+          'GET /:id/chapters/:index/summary': 'Extractive chapter summary with page references (cached)',
+          'GET /:id/references': 'Parsed bibliography (format=bibtex or format=csl-json to export)',
+          'GET /:id/figures': 'Figure and table index with caption pages and back-references (kind, label)',
+          'GET /:id/annotations': 'Highlights, margin notes and bookmarks (kind, tag, page, session_id, chapter)',
+          'POST /:id/annotations': 'Add an annotation; linked to the open study session unless session_id is given',
+          'PATCH /:id/annotations/:annotationId': 'Edit an annotation',
+          'DELETE /:id/annotations/:annotationId': 'Delete an annotation',
+          'GET /:id/position': 'Synced resume position (page, scroll_offset, zoom, device_id)',
+          'PUT /:id/position': 'Save resume position; last writer by updated_at wins (409 POSITION_STALE with the newer one)',
+          'GET /:id/file': 'Original file via signed URL redirect (mode=url for JSON, mode=stream for Range requests); access is audited, quarantined files need a release first (403 DOCUMENT_QUARANTINED)',
+          'GET /:id': 'Get document details with study insights (velocity trend, focus by time of day, best start hours, difficulty adaptation)',
+          'PATCH /:id': 'Edit title, topic_id, priority, notes or tags',
+          'DELETE /:id': 'Move a document to the trash (purged after DOCUMENT_TRASH_RETENTION_DAYS)',
+          'POST /:id/restore': 'Restore a document from the trash with its history (403 DOCUMENT_QUOTA_EXCEEDED if it no longer fits the quota)'
         }
       },
       topics: {
@@ -528,6 +556,13 @@ const server = app.listen(PORT, () => {
   console.log(`🔧 Supabase: ${process.env.SUPABASE_URL ? '✅ Connected' : '❌ Not configured'}`);
   console.log(`🛡️ Security: CORS enabled, Rate limiting active, Helmet configured`);
   console.log(`🎯 Ready for frontend at: http://localhost:5173`);
+
+  documentsRoutes.recoverInterruptedProcessing()
+    .catch(error => console.error('Interrupted processing recovery error:', error));
+
+  if (process.env.TRASH_PURGE_ENABLED !== 'false') {
+    documentsRoutes.trashPurge.start();
+  }
 });
 
 module.exports = { app, server };
\ No newline at end of file
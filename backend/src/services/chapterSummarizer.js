@@ -0,0 +1,187 @@
+// src/services/chapterSummarizer.js
+// Offline extractive summaries: sentences scored by how central their terms are to the chapter
+const { DEFAULT_LANGUAGE, getStopwords } = require('./languageProfiles');
+
+const WORD_PATTERN = /[\p{L}][\p{L}\p{N}_'-]*/gu;
+
+class ChapterSummarizerService {
+  constructor(options = {}) {
+    // Roughly one printed page of recap
+    this.wordBudget = options.wordBudget || 350;
+    this.maxSentences = options.maxSentences || 15;
+    // Candidates more similar than this to a chosen sentence are skipped as repeats
+    this.redundancyThreshold = options.redundancyThreshold || 0.5;
+  }
+
+  /**
+   * Picks the key sentences of a chapter.
+   * pages is [{ pageNumber, text }] for the chapter's page range.
+   */
+  summarize(pages, languageCode = DEFAULT_LANGUAGE) {
+    const stopwords = getStopwords(languageCode);
+    const sentences = this.collectSentences(pages, stopwords);
+
+    if (sentences.length === 0) {
+      return { sentences: [], wordCount: 0, candidateCount: 0 };
+    }
+
+    const idf = this.inverseSentenceFrequency(sentences);
+    sentences.forEach(sentence => {
+      sentence.vector = this.weightVector(sentence.termCounts, idf);
+    });
+
+    // The chapter centroid: which terms the chapter as a whole is about
+    const centroid = new Map();
+    sentences.forEach(sentence => {
+      sentence.vector.forEach((weight, term) => {
+        centroid.set(term, (centroid.get(term) || 0) + weight);
+      });
+    });
+
+    sentences.forEach(sentence => {
+      const centrality = cosineSimilarity(sentence.vector, centroid);
+      // Opening sentences of a chapter tend to frame it
+      const positionBoost = sentence.index < 3 ? 1.1 : 1;
+      sentence.score = centrality * positionBoost;
+    });
+
+    const chosen = [];
+    let wordCount = 0;
+
+    [...sentences]
+      .sort((a, b) => b.score - a.score)
+      .some(candidate => {
+        if (chosen.length >= this.maxSentences) return true;
+        if (wordCount + candidate.wordCount > this.wordBudget && chosen.length >= 3) return false;
+
+        const repeats = chosen.some(sentence =>
+          cosineSimilarity(sentence.vector, candidate.vector) > this.redundancyThreshold
+        );
+        if (repeats) return false;
+
+        chosen.push(candidate);
+        wordCount += candidate.wordCount;
+        return false;
+      });
+
+    return {
+      // Back in reading order so the recap flows like the chapter
+      sentences: chosen
+        .sort((a, b) => a.index - b.index)
+        .map(sentence => ({
+          text: sentence.text,
+          page_number: sentence.pageNumber,
+          score: Math.round(sentence.score * 1000) / 1000
+        })),
+      wordCount,
+      candidateCount: sentences.length
+    };
+  }
+
+  collectSentences(pages, stopwords) {
+    const sentences = [];
+    const runningLines = this.findRunningLines(pages);
+
+    pages.forEach(({ pageNumber, text }) => {
+      (text || '')
+        .split('\n')
+        .filter(line => !runningLines.has(line.trim()))
+        .join('\n')
+        .replace(/-\n(?=\p{Ll})/gu, '') // Re-join words hyphenated across lines
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?])\s+(?=[\p{Lu}\p{N}"“(])/u)
+        .forEach(rawSentence => {
+          const text = rawSentence.trim();
+          const words = text.match(WORD_PATTERN) || [];
+
+          // Fragments, headings, captions and run-on extraction noise make poor recaps
+          if (words.length < 6 || words.length > 60) return;
+          if (words.length < text.split(' ').length * 0.7) return; // Mostly numbers or symbols
+          if (!/[.!?]["”)]?$/.test(text)) return;
+          if (/^(?:figure|fig\.|table|listing)\s*\d/i.test(text)) return;
+
+          const termCounts = new Map();
+          words.forEach(word => {
+            const term = word.toLowerCase();
+            if (term.length < 3 || stopwords.has(term)) return;
+            termCounts.set(term, (termCounts.get(term) || 0) + 1);
+          });
+
+          if (termCounts.size < 3) return;
+
+          sentences.push({
+            index: sentences.length,
+            text,
+            pageNumber,
+            wordCount: words.length,
+            termCounts
+          });
+        });
+    });
+
+    return sentences;
+  }
+
+  /**
+   * Running headers and footers: first/last lines repeated on many pages
+   */
+  findRunningLines(pages) {
+    if (pages.length < 3) return new Set();
+
+    const counts = new Map();
+    pages.forEach(({ text }) => {
+      const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+      new Set([lines[0], lines[lines.length - 1]]).forEach(line => {
+        if (line) counts.set(line, (counts.get(line) || 0) + 1);
+      });
+    });
+
+    return new Set(
+      [...counts.entries()]
+        .filter(([, count]) => count >= Math.max(3, pages.length * 0.4))
+        .map(([line]) => line)
+    );
+  }
+
+  inverseSentenceFrequency(sentences) {
+    const documentFrequency = new Map();
+    sentences.forEach(sentence => {
+      sentence.termCounts.forEach((count, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+
+    const idf = new Map();
+    documentFrequency.forEach((frequency, term) => {
+      idf.set(term, Math.log((sentences.length + 1) / (frequency + 1)) + 1);
+    });
+    return idf;
+  }
+
+  weightVector(termCounts, idf) {
+    const vector = new Map();
+    termCounts.forEach((count, term) => {
+      vector.set(term, (1 + Math.log(count)) * idf.get(term));
+    });
+    return vector;
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  a.forEach((weight, term) => {
+    normA += weight * weight;
+    const other = b.get(term);
+    if (other) dot += weight * other;
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = ChapterSummarizerService;
@@ -0,0 +1,254 @@
+// src/services/documentAnnotations.js
+// Highlights, margin notes and page bookmarks, each linked to the study
+// session it was made in
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+const ANNOTATION_KINDS = ['highlight', 'note', 'bookmark'];
+
+const MAX_QUOTED_TEXT_LENGTH = 5000;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+const COLOR_PATTERN = /^#[0-9A-F]{6}$/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ANNOTATION_COLUMNS = 'id, document_id, session_id, kind, page_number, start_offset, end_offset, quoted_text, note, color, tags, created_at, updated_at';
+
+class DocumentAnnotationsService {
+  /**
+   * Checks an annotation body. For updates, existing is the stored annotation
+   * and kind-specific rules are checked against the merged result.
+   * Returns { error } with a 400 body, or { values } for the fields given.
+   */
+  validate(input, { existing = null, totalPages = 0 } = {}) {
+    const values = {};
+    const fail = (error, details) => ({ error: { error, details } });
+
+    if (existing && input.kind !== undefined && input.kind !== existing.kind) {
+      return fail('Invalid kind', 'An annotation\'s kind cannot be changed; delete it and create a new one');
+    }
+
+    if (!existing) {
+      if (!ANNOTATION_KINDS.includes(input.kind)) {
+        return fail('Invalid kind', `kind must be one of: ${ANNOTATION_KINDS.join(', ')}`);
+      }
+      values.kind = input.kind;
+    }
+
+    if (input.page_number !== undefined || !existing) {
+      const pageNumber = Number(input.page_number);
+      if (!Number.isInteger(pageNumber) || pageNumber < 1 || (totalPages > 0 && pageNumber > totalPages)) {
+        return fail('Invalid page_number', `page_number must be between 1 and ${totalPages || 'the page count'}`);
+      }
+      values.page_number = pageNumber;
+    }
+
+    for (const field of ['start_offset', 'end_offset']) {
+      if (input[field] === undefined) continue;
+      if (input[field] !== null && (!Number.isInteger(input[field]) || input[field] < 0)) {
+        return fail(`Invalid ${field}`, `${field} must be a character offset (0 or more) into the page text`);
+      }
+      values[field] = input[field];
+    }
+
+    if (input.quoted_text !== undefined) {
+      if (input.quoted_text !== null && typeof input.quoted_text !== 'string') {
+        return fail('Invalid quoted_text', 'quoted_text must be text');
+      }
+      const quotedText = input.quoted_text?.trim() || null;
+      if (quotedText && quotedText.length > MAX_QUOTED_TEXT_LENGTH) {
+        return fail('Quoted text too long', `Highlights can quote at most ${MAX_QUOTED_TEXT_LENGTH} characters`);
+      }
+      values.quoted_text = quotedText;
+    }
+
+    if (input.note !== undefined) {
+      if (input.note !== null && typeof input.note !== 'string') {
+        return fail('Invalid note', 'note must be text');
+      }
+      const note = input.note?.trim() || null;
+      if (note && note.length > MAX_NOTE_LENGTH) {
+        return fail('Note too long', `Notes can be at most ${MAX_NOTE_LENGTH} characters`);
+      }
+      values.note = note;
+    }
+
+    if (input.color !== undefined) {
+      if (input.color !== null && !COLOR_PATTERN.test(input.color)) {
+        return fail('Invalid color', 'Color must be a valid hex code');
+      }
+      values.color = input.color;
+    }
+
+    if (input.tags !== undefined) {
+      const tags = this.normalizeTags(input.tags);
+      if (!tags) {
+        return fail('Invalid tags', `tags must be an array of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters`);
+      }
+      values.tags = tags;
+    }
+
+    if (input.session_id !== undefined) {
+      if (input.session_id !== null && !UUID_PATTERN.test(input.session_id)) {
+        return fail('Invalid session_id', 'session_id must be a study session ID');
+      }
+      values.session_id = input.session_id;
+    }
+
+    const merged = { ...(existing || {}), ...values };
+
+    if (merged.kind === 'highlight') {
+      const hasOffsets = merged.start_offset != null && merged.end_offset != null;
+      if (!merged.quoted_text && !hasOffsets) {
+        return fail('Incomplete highlight', 'A highlight needs quoted_text or both start_offset and end_offset');
+      }
+      if ((merged.start_offset != null) !== (merged.end_offset != null)) {
+        return fail('Incomplete highlight', 'start_offset and end_offset must be given together');
+      }
+      if (hasOffsets && merged.end_offset <= merged.start_offset) {
+        return fail('Invalid range', 'end_offset must be greater than start_offset');
+      }
+    }
+
+    if (merged.kind === 'note' && !merged.note) {
+      return fail('Empty note', 'A margin note needs note text');
+    }
+
+    return { values };
+  }
+
+  /**
+   * Trimmed, lower-cased and de-duplicated tags, or null when invalid
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) return null;
+    if (tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0 || tag.trim().length > MAX_TAG_LENGTH)) {
+      return null;
+    }
+    return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+  }
+
+  /**
+   * The session an annotation belongs to: the one given, which must be the
+   * user's session on this document, else the session open on it right now
+   */
+  async resolveSession(documentId, userId, sessionId) {
+    if (sessionId) {
+      const { data: session } = await supabase
+        .from('study_sessions')
+        .select('id, document_id')
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (!session || session.document_id !== documentId) {
+        return { error: { error: 'Invalid session', details: 'The session does not exist or is not a session on this document' } };
+      }
+      return { sessionId: session.id };
+    }
+
+    const { data: active } = await supabase
+      .from('study_sessions')
+      .select('id')
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .is('ended_at', null)
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    return { sessionId: active?.[0]?.id || null };
+  }
+
+  /**
+   * Annotations in page order. filters: kind, tag, session_id, page and
+   * pageRange ({ startPage, endPage }, used for chapter filtering).
+   */
+  async list(documentId, userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('document_annotations')
+      .select(ANNOTATION_COLUMNS)
+      .eq('document_id', documentId)
+      .eq('user_id', userId);
+
+    if (filters.kind) query = query.eq('kind', filters.kind);
+    if (filters.tag) query = query.contains('tags', [filters.tag.trim().toLowerCase()]);
+    if (filters.session_id) query = query.eq('session_id', filters.session_id);
+    if (filters.page) query = query.eq('page_number', filters.page);
+    if (filters.pageRange) {
+      query = query
+        .gte('page_number', filters.pageRange.startPage)
+        .lte('page_number', filters.pageRange.endPage);
+    }
+
+    const { data, error } = await query
+      .order('page_number')
+      .order('start_offset', { nullsFirst: true })
+      .order('created_at');
+
+    if (error) {
+      throw new Error(`Failed to load annotations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async get(annotationId, documentId, userId) {
+    const { data } = await supabaseAdmin
+      .from('document_annotations')
+      .select(ANNOTATION_COLUMNS)
+      .eq('id', annotationId)
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  async create(documentId, userId, values) {
+    return supabaseAdmin
+      .from('document_annotations')
+      .insert({ ...values, document_id: documentId, user_id: userId })
+      .select(ANNOTATION_COLUMNS)
+      .single();
+  }
+
+  async update(annotationId, userId, values) {
+    return supabaseAdmin
+      .from('document_annotations')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', annotationId)
+      .eq('user_id', userId)
+      .select(ANNOTATION_COLUMNS)
+      .single();
+  }
+
+  async remove(annotationId, userId) {
+    return supabaseAdmin
+      .from('document_annotations')
+      .delete()
+      .eq('id', annotationId)
+      .eq('user_id', userId);
+  }
+
+  /**
+   * Adds chapter_index and chapter_title from the document's chapter ranges
+   * (PDFProcessorService.getChapterRanges)
+   */
+  withChapters(annotations, chapters) {
+    return annotations.map(annotation => {
+      const chapterIndex = chapters.findIndex(chapter =>
+        annotation.page_number >= chapter.startPage && annotation.page_number <= chapter.endPage
+      );
+      return {
+        ...annotation,
+        chapter_index: chapterIndex >= 0 ? chapterIndex : null,
+        chapter_title: chapterIndex >= 0 ? chapters[chapterIndex].title : null
+      };
+    });
+  }
+}
+
+DocumentAnnotationsService.ANNOTATION_KINDS = ANNOTATION_KINDS;
+
+module.exports = DocumentAnnotationsService;
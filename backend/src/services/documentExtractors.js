@@ -0,0 +1,500 @@
+// src/services/documentExtractors.js
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+// Words per virtual page for formats that have no physical pages
+const DEFAULT_WORDS_PER_PAGE = parseInt(process.env.VIRTUAL_PAGE_WORDS) || 300;
+
+// Cap on the markup inflated out of one EPUB or DOCX archive (zip bomb guard)
+const MAX_INFLATED_BYTES = (parseInt(process.env.DOCUMENT_MAX_INFLATED_MB) || 64) * 1024 * 1024;
+
+// Archive entries extraction reads; images and fonts are never inflated
+const MARKUP_ENTRY_PATTERN = /\.(xml|opf|ncx|x?html?)$/i;
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+/**
+ * Turns non-PDF formats into virtual "pages" of text plus a heading outline,
+ * so the PDF analysis pipeline can run on them unchanged.
+ *
+ * Extractors return a list of blocks:
+ *   { type: 'heading', level, text } | { type: 'paragraph', text } | { type: 'break' }
+ * which are then paginated by word budget ('break' forces a new page).
+ */
+class DocumentExtractorService {
+  constructor(options = {}) {
+    this.wordsPerPage = options.wordsPerPage || DEFAULT_WORDS_PER_PAGE;
+    this.formats = new Map();
+
+    this.register('pdf', {
+      mimeTypes: ['application/pdf'],
+      extensions: ['.pdf'],
+      extract: null // Handled natively by PDFProcessorService
+    });
+
+    this.register('epub', {
+      mimeTypes: ['application/epub+zip'],
+      extensions: ['.epub'],
+      extract: buffer => this.extractEpub(buffer)
+    });
+
+    this.register('markdown', {
+      mimeTypes: ['text/markdown', 'text/x-markdown'],
+      extensions: ['.md', '.markdown'],
+      extract: buffer => ({ blocks: this.markdownToBlocks(buffer.toString('utf8')) })
+    });
+
+    this.register('html', {
+      mimeTypes: ['text/html', 'application/xhtml+xml'],
+      extensions: ['.html', '.htm', '.xhtml'],
+      extract: buffer => this.extractHtml(buffer)
+    });
+
+    this.register('docx', {
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      extensions: ['.docx'],
+      extract: buffer => this.extractDocx(buffer)
+    });
+  }
+
+  /**
+   * Adds (or replaces) the extractor for a format
+   */
+  register(format, { mimeTypes = [], extensions = [], extract }) {
+    this.formats.set(format, { format, mimeTypes, extensions, extract });
+  }
+
+  /**
+   * Resolves a format from the file extension, falling back to the mimetype
+   * (browsers often send Markdown and EPUB as application/octet-stream)
+   */
+  detectFormat(filename, mimetype) {
+    const extension = path.extname(filename || '').toLowerCase();
+
+    for (const entry of this.formats.values()) {
+      if (extension && entry.extensions.includes(extension)) return entry.format;
+    }
+
+    for (const entry of this.formats.values()) {
+      if (mimetype && entry.mimeTypes.includes(mimetype)) return entry.format;
+    }
+
+    return null;
+  }
+
+  getMimeType(format) {
+    return this.formats.get(format)?.mimeTypes[0] || 'application/octet-stream';
+  }
+
+  getSupportedExtensions() {
+    return [...this.formats.values()].flatMap(entry => entry.extensions);
+  }
+
+  /**
+   * Upload-time check of EPUB and DOCX archives against MAX_INFLATED_BYTES,
+   * using the sizes their markup entries declare. Returns an error response
+   * body, or null when the archive fits (or is not an archive format).
+   * Extraction enforces the cap again on the bytes it actually inflates.
+   */
+  checkArchiveSize(buffer, format) {
+    if (format !== 'epub' && format !== 'docx') return null;
+
+    let declaredBytes = 0;
+    try {
+      for (const entry of new AdmZip(buffer).getEntries()) {
+        if (MARKUP_ENTRY_PATTERN.test(entry.entryName)) declaredBytes += entry.header.size;
+      }
+    } catch (error) {
+      // Unreadable archives fail during analysis with the usual processing error
+      return null;
+    }
+
+    if (declaredBytes <= MAX_INFLATED_BYTES) return null;
+
+    return {
+      error: 'Document too large',
+      code: 'ARCHIVE_TOO_LARGE',
+      details: `The ${format.toUpperCase()} file expands to more than ${MAX_INFLATED_BYTES / (1024 * 1024)} MB of text`
+    };
+  }
+
+  /**
+   * Extracts virtual pages and a heading outline from a non-PDF document.
+   * The outline uses the same { title, pageNumber, children } shape as
+   * PDFProcessorService.extractOutline.
+   */
+  extract(buffer, format) {
+    const entry = this.formats.get(format);
+    if (!entry || !entry.extract) {
+      throw new Error(`No text extractor registered for format: ${format}`);
+    }
+
+    const { blocks, title = null } = entry.extract(buffer);
+    const { pages, headings } = this.paginateBlocks(blocks);
+
+    return {
+      title,
+      pageTexts: pages,
+      outline: this.headingsToOutline(headings)
+    };
+  }
+
+  /**
+   * Packs blocks into pages of roughly wordsPerPage words. Paragraphs are only
+   * split (at sentence boundaries) when they are longer than a whole page.
+   */
+  paginateBlocks(blocks) {
+    const pages = [];
+    const headings = [];
+    let current = [];
+    let currentWords = 0;
+
+    const flush = () => {
+      if (current.length === 0) return;
+
+      // Headings belong with the text that follows them, not at the bottom of a page
+      const carried = [];
+      while (current.length > 1 && current[current.length - 1].heading) {
+        carried.unshift(current.pop());
+      }
+
+      pages.push(current.map(item => item.text).join('\n\n'));
+      current = [];
+      currentWords = 0;
+
+      carried.forEach(item => {
+        item.heading.pageNumber = pages.length + 1;
+        current.push(item);
+        currentWords += item.words;
+      });
+    };
+
+    this.splitOversizedBlocks(blocks).forEach(block => {
+      if (block.type === 'break') {
+        flush();
+        return;
+      }
+
+      const text = block.text.trim();
+      if (!text) return;
+
+      const words = text.split(/\s+/).length;
+
+      // Start headings on a fresh page once the current one is half full
+      const shouldBreak = block.type === 'heading'
+        ? currentWords >= this.wordsPerPage / 2
+        : current.some(item => !item.heading) && currentWords + words > this.wordsPerPage;
+      if (shouldBreak) flush();
+
+      const item = { text, words, heading: null };
+      if (block.type === 'heading') {
+        item.heading = { title: text, level: block.level, pageNumber: pages.length + 1 };
+        headings.push(item.heading);
+      }
+
+      current.push(item);
+      currentWords += words;
+    });
+
+    // Flush without carrying: trailing headings stay on the last page
+    if (current.length > 0) {
+      pages.push(current.map(item => item.text).join('\n\n'));
+    }
+
+    return { pages, headings };
+  }
+
+  splitOversizedBlocks(blocks) {
+    return blocks.flatMap(block => {
+      if (block.type !== 'paragraph' || block.text.split(/\s+/).length <= this.wordsPerPage) {
+        return [block];
+      }
+
+      const chunks = [];
+      let chunk = [];
+      let chunkWords = 0;
+
+      (block.text.match(/[^.!?]+(?:[.!?]+|$)/g) || [block.text]).forEach(sentence => {
+        const sentenceWords = sentence.trim().split(/\s+/).length;
+        if (chunkWords > 0 && chunkWords + sentenceWords > this.wordsPerPage) {
+          chunks.push(chunk.join(' '));
+          chunk = [];
+          chunkWords = 0;
+        }
+        chunk.push(sentence.trim());
+        chunkWords += sentenceWords;
+      });
+
+      if (chunk.length > 0) chunks.push(chunk.join(' '));
+
+      return chunks.map(text => ({ type: 'paragraph', text }));
+    });
+  }
+
+  /**
+   * Nests flat headings (h1 > h2 > ...) into outline entries
+   */
+  headingsToOutline(headings) {
+    if (headings.length === 0) return null;
+
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    headings.forEach(heading => {
+      while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+        stack.pop();
+      }
+
+      const entry = { title: heading.title, pageNumber: heading.pageNumber, level: heading.level, children: [] };
+      stack[stack.length - 1].children.push(entry);
+      stack.push(entry);
+    });
+
+    const strip = entries => entries.map(({ title, pageNumber, children }) => ({
+      title,
+      pageNumber,
+      children: strip(children)
+    }));
+
+    return strip(root.children);
+  }
+
+  /**
+   * Format-specific block extraction
+   */
+  markdownToBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let inCodeFence = false;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+        paragraph = [];
+      }
+    };
+
+    markdown.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+      // Code fences are kept verbatim so code detection still sees them
+      if (/^\s*(```|~~~)/.test(line)) {
+        paragraph.push(line);
+        inCodeFence = !inCodeFence;
+        if (!inCodeFence) flushParagraph();
+        return;
+      }
+
+      if (inCodeFence) {
+        paragraph.push(line);
+        return;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (heading) {
+        flushParagraph();
+        blocks.push({ type: 'heading', level: heading[1].length, text: this.stripMarkdownInline(heading[2]) });
+        return;
+      }
+
+      if (line.trim() === '') {
+        flushParagraph();
+        return;
+      }
+
+      paragraph.push(this.stripMarkdownInline(line));
+    });
+
+    flushParagraph();
+    return blocks;
+  }
+
+  stripMarkdownInline(text) {
+    return text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images keep their alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Links keep their label
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|\W)(\*|_)(\S(?:.*?\S)?)\2(?=\W|$)/g, '$1$3') // Leaves snake_case alone
+      .replace(/^\s*>\s?/, '');
+  }
+
+  extractHtml(buffer) {
+    const html = buffer.toString('utf8');
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+    return {
+      title: titleMatch ? this.decodeEntities(titleMatch[1]).trim() : null,
+      blocks: this.htmlToBlocks(html)
+    };
+  }
+
+  htmlToBlocks(html) {
+    const blocks = [];
+    const body = html
+      .replace(/<head[\s\S]*?<\/head>/gi, '')
+      .replace(/<(script|style|noscript|nav)[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '');
+
+    // Split on headings, keeping them as their own tokens
+    const parts = body.split(/(<h[1-6][^>]*>[\s\S]*?<\/h[1-6]>)/i);
+
+    parts.forEach(part => {
+      const heading = part.match(/^<h([1-6])[^>]*>([\s\S]*?)<\/h[1-6]>$/i);
+      if (heading) {
+        const text = this.htmlToText(heading[2]).replace(/\s+/g, ' ').trim();
+        if (text) blocks.push({ type: 'heading', level: parseInt(heading[1]), text });
+        return;
+      }
+
+      this.htmlToText(
+        part.replace(/<\/(p|div|li|tr|blockquote|pre|section|article|table|ul|ol)>/gi, '\n\n')
+      )
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .forEach(text => blocks.push({ type: 'paragraph', text }));
+    });
+
+    return blocks;
+  }
+
+  htmlToText(html) {
+    return this.decodeEntities(
+      html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n• ')
+        .replace(/<[^>]+>/g, '')
+    )
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n');
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match);
+  }
+
+  /**
+   * Returns a reader that inflates archive entries under one shared
+   * MAX_INFLATED_BYTES budget. The declared size is checked first, and the
+   * inflate itself is capped too since entry headers can understate it.
+   */
+  createArchiveReader(format) {
+    let remaining = MAX_INFLATED_BYTES;
+    const tooLarge = () => Object.assign(
+      new Error(`${format.toUpperCase()} expands to more than ${MAX_INFLATED_BYTES / (1024 * 1024)} MB of text`),
+      { code: 'ARCHIVE_TOO_LARGE' }
+    );
+
+    return entry => {
+      if (entry.header.size > remaining) throw tooLarge();
+
+      const compressed = entry.getCompressedData();
+      let data;
+      if (entry.header.method === 0) {
+        data = compressed;
+      } else if (entry.header.method === 8) {
+        try {
+          data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(remaining, 1) });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+          throw new Error(`${format.toUpperCase()} entry ${entry.entryName} is corrupted`);
+        }
+      } else {
+        throw new Error(`${format.toUpperCase()} entry ${entry.entryName} uses an unsupported compression method`);
+      }
+
+      if (data.length > remaining) throw tooLarge();
+      remaining -= data.length;
+      return data.toString('utf8');
+    };
+  }
+
+  extractEpub(buffer) {
+    const zip = new AdmZip(buffer);
+    const inflate = this.createArchiveReader('epub');
+    const readEntry = entryPath => {
+      const entry = zip.getEntry(entryPath);
+      if (!entry) throw new Error(`EPUB is missing ${entryPath}`);
+      return inflate(entry);
+    };
+
+    const container = readEntry('META-INF/container.xml');
+    const rootfile = container.match(/<rootfile[^>]+full-path="([^"]+)"/i);
+    if (!rootfile) throw new Error('EPUB container does not declare a package document');
+
+    const opfPath = rootfile[1];
+    const opfDir = path.posix.dirname(opfPath);
+    const opf = readEntry(opfPath);
+
+    const manifest = new Map();
+    for (const item of opf.matchAll(/<item\s[^>]*>/gi)) {
+      const id = item[0].match(/\sid="([^"]+)"/i);
+      const href = item[0].match(/\shref="([^"]+)"/i);
+      if (id && href) manifest.set(id[1], decodeURIComponent(href[1]));
+    }
+
+    const blocks = [];
+    for (const itemref of opf.matchAll(/<itemref\s[^>]*idref="([^"]+)"[^>]*>/gi)) {
+      if (/linear="no"/i.test(itemref[0])) continue;
+
+      const href = manifest.get(itemref[1]);
+      if (!href) continue;
+
+      const entryPath = opfDir === '.' ? href : path.posix.join(opfDir, href);
+      const entry = zip.getEntry(entryPath);
+      if (!entry) continue;
+
+      // Each spine item starts on a new page, then splits by length
+      blocks.push({ type: 'break' });
+      blocks.push(...this.htmlToBlocks(inflate(entry)));
+    }
+
+    const titleMatch = opf.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i);
+
+    return {
+      title: titleMatch ? this.decodeEntities(titleMatch[1]).trim() : null,
+      blocks
+    };
+  }
+
+  extractDocx(buffer) {
+    const zip = new AdmZip(buffer);
+    const documentEntry = zip.getEntry('word/document.xml');
+    if (!documentEntry) throw new Error('DOCX is missing word/document.xml');
+
+    const xml = this.createArchiveReader('docx')(documentEntry);
+    const blocks = [];
+
+    for (const paragraph of xml.replace(/<w:p\s*\/>/g, '').matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+      let rawText = '';
+      for (const token of paragraph[0].matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\/>/g)) {
+        if (token[2] === 'tab') rawText += '\t';
+        else if (token[2]) rawText += '\n';
+        else rawText += token[1];
+      }
+
+      const text = this.decodeEntities(rawText);
+      if (!text.trim()) continue;
+
+      const style = paragraph[0].match(/<w:pStyle w:val="([^"]+)"/);
+      const headingLevel = style && style[1].match(/^Heading\s?(\d)$/i);
+
+      if (style && /^Title$/i.test(style[1])) {
+        blocks.push({ type: 'heading', level: 1, text });
+      } else if (headingLevel) {
+        blocks.push({ type: 'heading', level: parseInt(headingLevel[1]), text });
+      } else {
+        blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    return { blocks };
+  }
+}
+
+module.exports = DocumentExtractorService;
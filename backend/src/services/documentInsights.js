@@ -0,0 +1,378 @@
+// src/services/documentInsights.js
+// Study insights for one document, computed from its study_sessions and
+// document_pages history. Pure functions of the rows passed in, no queries.
+
+// Sessions shorter than this say little about pace or focus
+const MIN_SESSION_SECONDS = 120;
+
+// Same bounds as the reading calibration: idle tabs and skims are noise
+const MIN_PAGE_SECONDS = 5;
+const MAX_PAGE_SECONDS = 1800;
+
+// Relative change in pace across the history that counts as a trend
+const VELOCITY_TREND_THRESHOLD = 0.15;
+
+// Same buckets as the analytics time distribution
+const TIME_OF_DAY_PERIODS = [
+  { period: 'morning', from: 6, to: 12 },
+  { period: 'afternoon', from: 12, to: 18 },
+  { period: 'evening', from: 18, to: 22 },
+  { period: 'night', from: 22, to: 6 }
+];
+
+class DocumentInsightsService {
+  constructor(options = {}) {
+    // Sessions needed before a velocity trend is reported
+    this.minVelocitySamples = options.minVelocitySamples || 3;
+    // Sessions an hour needs before it can be suggested as a start time
+    this.minSessionsPerHour = options.minSessionsPerHour || 2;
+    // Completed pages needed to say how reading time follows difficulty
+    this.minDifficultyPages = options.minDifficultyPages || 6;
+  }
+
+  /**
+   * Pages per hour over time: the overall pace, its trend across sessions
+   * (or days of page history when there are too few sessions) and a daily series
+   */
+  learningVelocity(pages, sessions) {
+    const sessionSamples = usableSessions(sessions).map(session => ({
+      at: session.started_at,
+      pages: session.pages_covered || 0,
+      seconds: sessionReadingSeconds(session)
+    }));
+
+    const dailyHistory = this.dailyPageHistory(pages);
+    const samples = sessionSamples.length >= this.minVelocitySamples
+      ? sessionSamples
+      : dailyHistory.map(day => ({ at: day.date, pages: day.pages_completed, seconds: day.reading_seconds }));
+
+    const totalPages = samples.reduce((sum, sample) => sum + sample.pages, 0);
+    const totalSeconds = samples.reduce((sum, sample) => sum + sample.seconds, 0);
+    const pagesPerHour = totalSeconds > 0 ? totalPages / (totalSeconds / 3600) : 0;
+
+    let trend = 'insufficient_data';
+    let changePercent = null;
+
+    if (samples.length >= this.minVelocitySamples && pagesPerHour > 0) {
+      const rates = samples
+        .sort((a, b) => new Date(a.at) - new Date(b.at))
+        .map(sample => sample.pages / (sample.seconds / 3600));
+      const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+
+      // Fitted change from the first to the last sample, relative to the mean pace
+      const relativeChange = mean > 0 ? (linearSlope(rates) * (rates.length - 1)) / mean : 0;
+      changePercent = Math.round(relativeChange * 100);
+      trend = relativeChange > VELOCITY_TREND_THRESHOLD
+        ? 'accelerating'
+        : relativeChange < -VELOCITY_TREND_THRESHOLD ? 'slowing' : 'steady';
+    }
+
+    return {
+      pages_per_hour: round(pagesPerHour, 1),
+      trend,
+      change_percent: changePercent,
+      based_on: samples === sessionSamples ? 'sessions' : 'page_history',
+      samples_analyzed: samples.length,
+      history: dailyHistory.slice(-30).map(day => ({
+        date: day.date,
+        pages_completed: day.pages_completed,
+        minutes: Math.round(day.reading_seconds / 60),
+        pages_per_hour: day.reading_seconds > 0 ? round(day.pages_completed / (day.reading_seconds / 3600), 1) : 0
+      }))
+    };
+  }
+
+  /**
+   * Completed pages and their reading time grouped by the day they were finished
+   */
+  dailyPageHistory(pages) {
+    const days = new Map();
+
+    (pages || [])
+      .filter(page => page.is_completed && page.last_read_at && isPlausiblePageTime(page.time_spent_seconds))
+      .forEach(page => {
+        const date = new Date(page.last_read_at).toISOString().split('T')[0];
+        const day = days.get(date) || { date, pages_completed: 0, reading_seconds: 0 };
+        day.pages_completed += 1;
+        day.reading_seconds += page.time_spent_seconds;
+        days.set(date, day);
+      });
+
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Focus and pace by time of day, in period order
+   */
+  focusPatterns(sessions) {
+    const groups = new Map(TIME_OF_DAY_PERIODS.map(({ period }) => [period, []]));
+
+    usableSessions(sessions).forEach(session => {
+      groups.get(timeOfDay(new Date(session.started_at).getHours())).push(session);
+    });
+
+    return [...groups.entries()]
+      .filter(([, periodSessions]) => periodSessions.length > 0)
+      .map(([period, periodSessions]) => ({
+        period,
+        sessions: periodSessions.length,
+        ...summarizeSessions(periodSessions)
+      }));
+  }
+
+  /**
+   * Start hours where this document has been read fastest and with the best
+   * focus, relative to the document's own averages. Best first, at most three.
+   */
+  optimalStudyTimes(sessions) {
+    const usable = usableSessions(sessions);
+    if (usable.length === 0) return [];
+
+    const overall = summarizeSessions(usable);
+    const byHour = new Map();
+
+    usable.forEach(session => {
+      const hour = new Date(session.started_at).getHours();
+      byHour.set(hour, [...(byHour.get(hour) || []), session]);
+    });
+
+    return [...byHour.entries()]
+      .filter(([, hourSessions]) => hourSessions.length >= this.minSessionsPerHour)
+      .map(([hour, hourSessions]) => {
+        const summary = summarizeSessions(hourSessions);
+        const paceFactor = overall.pages_per_hour > 0 ? summary.pages_per_hour / overall.pages_per_hour : 1;
+        const focusFactor = overall.average_focus_score > 0 && summary.average_focus_score !== null
+          ? summary.average_focus_score / overall.average_focus_score
+          : 1;
+
+        return {
+          hour,
+          label: `${String(hour).padStart(2, '0')}:00`,
+          period: timeOfDay(hour),
+          sessions: hourSessions.length,
+          ...summary,
+          score: round(paceFactor * focusFactor, 2)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+  }
+
+  /**
+   * How reading time responds to page difficulty. Compares actual time with
+   * the estimate on harder and easier pages: if hard pages overrun their
+   * estimates much more than easy ones, the reader is struggling with them.
+   */
+  difficultyAdaptation(pages, contentAnalysis) {
+    const analysisByPage = new Map((contentAnalysis || []).map(page => [page.page_number, page]));
+
+    const samples = (pages || [])
+      .filter(page => page.is_completed && isPlausiblePageTime(page.time_spent_seconds))
+      .map(page => ({
+        difficulty: page.difficulty_rating || Math.round(analysisByPage.get(page.page_number)?.difficulty_score || 0),
+        seconds: page.time_spent_seconds,
+        estimate: page.estimated_time_seconds
+      }))
+      .filter(sample => sample.difficulty >= 1 && sample.difficulty <= 5);
+
+    const byDifficulty = [1, 2, 3, 4, 5]
+      .map(difficulty => {
+        const level = samples.filter(sample => sample.difficulty === difficulty);
+        if (level.length === 0) return null;
+        return {
+          difficulty,
+          pages: level.length,
+          average_seconds: Math.round(mean(level.map(sample => sample.seconds))),
+          time_vs_estimate: estimateRatio(level)
+        };
+      })
+      .filter(Boolean);
+
+    const result = {
+      status: 'insufficient_data',
+      seconds_per_difficulty_level: null,
+      hard_vs_easy_overrun: null,
+      pages_analyzed: samples.length,
+      by_difficulty: byDifficulty
+    };
+
+    if (samples.length < this.minDifficultyPages || byDifficulty.length < 2) return result;
+
+    result.seconds_per_difficulty_level = Math.round(
+      linearSlope(samples.map(sample => sample.seconds), samples.map(sample => sample.difficulty))
+    );
+
+    // Split around the document's own average so uniformly hard books still compare
+    const averageDifficulty = mean(samples.map(sample => sample.difficulty));
+    const easier = samples.filter(sample => sample.difficulty < averageDifficulty);
+    const harder = samples.filter(sample => sample.difficulty > averageDifficulty);
+    const easierRatio = estimateRatio(easier);
+    const harderRatio = estimateRatio(harder);
+
+    if (easier.length < 2 || harder.length < 2 || !easierRatio || !harderRatio) return result;
+
+    const overrun = harderRatio / easierRatio;
+    result.hard_vs_easy_overrun = round(overrun, 2);
+    result.status = overrun > 1.25
+      ? 'slowing_on_hard_pages'
+      : overrun < 0.8 ? 'rushing_hard_pages' : 'adapting_well';
+
+    return result;
+  }
+
+  /**
+   * Actionable suggestions from the insights above, most important first
+   */
+  recommendations(document, pages, contentAnalysis, userReadingSpeed, insights) {
+    const recommendations = [];
+    const { learning_velocity: velocity, optimal_study_times: studyTimes, difficulty_adaptation: adaptation } = insights;
+
+    const completed = (pages || []).filter(page => page.is_completed);
+    const lastCompletedPage = completed.reduce((max, page) => Math.max(max, page.page_number), 0);
+    const remainingPages = Math.max((document.total_pages || 0) - completed.length, 0);
+
+    if (completed.length === 0) {
+      recommendations.push({
+        type: 'getting_started',
+        message: 'Start a study session on this document to get pacing and timing insights',
+        priority: 'medium'
+      });
+    }
+
+    if (velocity.trend === 'slowing') {
+      recommendations.push({
+        type: 'pacing',
+        message: `Your pace on this document has dropped ${Math.abs(velocity.change_percent)}% - shorter sessions with breaks may help`,
+        priority: 'high'
+      });
+    } else if (velocity.trend === 'accelerating') {
+      recommendations.push({
+        type: 'pacing',
+        message: `Your pace is up ${velocity.change_percent}% - a good time to take on the harder chapters`,
+        priority: 'low'
+      });
+    }
+
+    const upcomingHardPages = (contentAnalysis || [])
+      .filter(page => page.page_number > lastCompletedPage && (page.difficulty_score || 0) >= 4)
+      .map(page => page.page_number)
+      .slice(0, 5);
+
+    if (adaptation.status === 'slowing_on_hard_pages' && upcomingHardPages.length > 0) {
+      recommendations.push({
+        type: 'difficulty',
+        message: `Hard pages take you ${Math.round((adaptation.hard_vs_easy_overrun - 1) * 100)}% longer than expected - plan extra time for pages ${upcomingHardPages.join(', ')}`,
+        priority: 'high',
+        pages: upcomingHardPages
+      });
+    } else if (adaptation.status === 'rushing_hard_pages') {
+      recommendations.push({
+        type: 'difficulty',
+        message: 'You move through hard pages faster than their estimates - slow down or review them to check comprehension',
+        priority: 'medium'
+      });
+    }
+
+    if (studyTimes.length > 0) {
+      recommendations.push({
+        type: 'timing',
+        message: `You read this document best when starting around ${studyTimes[0].label}`,
+        priority: 'medium'
+      });
+    }
+
+    if (remainingPages > 0) {
+      // This document's own pace once there is enough of it, the reader's general pace before that
+      const pagesPerHour = velocity.samples_analyzed >= this.minVelocitySamples ? velocity.pages_per_hour : 0;
+      const secondsPerPage = pagesPerHour > 0 ? 3600 / pagesPerHour : userReadingSpeed?.avgSecondsPerPage || 120;
+      const hoursLeft = (remainingPages * secondsPerPage) / 3600;
+
+      recommendations.push({
+        type: 'remaining_time',
+        message: `About ${hoursLeft >= 1 ? `${round(hoursLeft, 1)} hours` : `${Math.max(Math.round(hoursLeft * 60), 1)} minutes`} of reading left (${remainingPages} pages)`,
+        priority: 'low'
+      });
+    }
+
+    const priorityRank = { high: 0, medium: 1, low: 2 };
+    return recommendations.sort((a, b) => priorityRank[a.priority] - priorityRank[b.priority]);
+  }
+}
+
+function usableSessions(sessions) {
+  return (sessions || []).filter(session =>
+    session.started_at && session.ended_at && sessionReadingSeconds(session) >= MIN_SESSION_SECONDS
+  );
+}
+
+// Active reading time where it was tracked, wall-clock duration otherwise
+function sessionReadingSeconds(session) {
+  return session.active_reading_seconds || session.total_duration_seconds || 0;
+}
+
+// focus_score when the session recorded one, else the share of the session spent reading
+function sessionFocus(session) {
+  if (typeof session.focus_score === 'number') return session.focus_score;
+  if (session.active_reading_seconds && session.total_duration_seconds) {
+    return Math.min(session.active_reading_seconds / session.total_duration_seconds, 1);
+  }
+  return null;
+}
+
+function summarizeSessions(sessions) {
+  const focusScores = sessions.map(sessionFocus).filter(score => score !== null);
+  const seconds = sessions.reduce((sum, session) => sum + sessionReadingSeconds(session), 0);
+  const pages = sessions.reduce((sum, session) => sum + (session.pages_covered || 0), 0);
+
+  return {
+    average_focus_score: focusScores.length > 0 ? round(mean(focusScores), 2) : null,
+    average_minutes: Math.round(seconds / sessions.length / 60),
+    pages_per_hour: seconds > 0 ? round(pages / (seconds / 3600), 1) : 0
+  };
+}
+
+function timeOfDay(hour) {
+  const match = TIME_OF_DAY_PERIODS.find(({ from, to }) =>
+    from < to ? hour >= from && hour < to : hour >= from || hour < to
+  );
+  return match.period;
+}
+
+function isPlausiblePageTime(seconds) {
+  return seconds >= MIN_PAGE_SECONDS && seconds <= MAX_PAGE_SECONDS;
+}
+
+// Total actual time over total estimated time, for pages that have an estimate
+function estimateRatio(samples) {
+  const estimated = samples.filter(sample => sample.estimate > 0);
+  if (estimated.length === 0) return null;
+  const actual = estimated.reduce((sum, sample) => sum + sample.seconds, 0);
+  const expected = estimated.reduce((sum, sample) => sum + sample.estimate, 0);
+  return round(actual / expected, 2);
+}
+
+// Least-squares slope of ys against xs (against 0..n-1 when xs is omitted)
+function linearSlope(ys, xs = ys.map((_, i) => i)) {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let variance = 0;
+
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) ** 2;
+  });
+
+  return variance > 0 ? covariance / variance : 0;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = DocumentInsightsService;
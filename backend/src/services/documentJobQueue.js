@@ -0,0 +1,196 @@
+// src/services/documentJobQueue.js
+const crypto = require('crypto');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class DocumentJobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs ?? 2000;
+    // Finished jobs stay queryable for this long before being pruned
+    this.retentionMs = options.retentionMs || 60 * 60 * 1000;
+
+    this.jobs = new Map();
+    this.jobsByDocument = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queues a multi-step processing job for a document.
+   * Each step is { name, weight, run(context, job) } and is retried up to
+   * maxAttempts times before the job fails and onFailure is called.
+   */
+  enqueue({ documentId, userId, steps, context = {}, onFailure = null }) {
+    const job = {
+      id: crypto.randomUUID(),
+      documentId,
+      userId,
+      status: JOB_STATUS.QUEUED,
+      currentStep: null,
+      steps: steps.map(step => ({
+        name: step.name,
+        weight: step.weight || 1,
+        run: step.run,
+        status: 'pending',
+        attempts: 0
+      })),
+      context,
+      onFailure,
+      errors: [],
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.jobsByDocument.set(documentId, job.id);
+    this.pending.push(job);
+
+    console.log(`🗂️ Queued processing job ${job.id} for document ${documentId}`);
+    setImmediate(() => this.drain());
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  getJobForDocument(documentId) {
+    const jobId = this.jobsByDocument.get(documentId);
+    return jobId ? this.getJob(jobId) : null;
+  }
+
+  /**
+   * Public view of a job, safe to return from the API
+   */
+  describeJob(job) {
+    const totalWeight = job.steps.reduce((sum, step) => sum + step.weight, 0);
+    const completedWeight = job.steps
+      .filter(step => step.status === 'completed')
+      .reduce((sum, step) => sum + step.weight, 0);
+
+    return {
+      job_id: job.id,
+      document_id: job.documentId,
+      status: job.status,
+      current_step: job.currentStep,
+      percent_complete: totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0,
+      steps: job.steps.map(step => ({
+        name: step.name,
+        status: step.status,
+        attempts: step.attempts
+      })),
+      errors: job.errors,
+      created_at: job.createdAt,
+      started_at: job.startedAt,
+      completed_at: job.completedAt
+    };
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+
+      this.runJob(job)
+        .catch(error => console.error(`Processing job ${job.id} crashed:`, error))
+        .finally(() => {
+          this.running--;
+          this.scheduleCleanup(job);
+          this.drain();
+        });
+    }
+  }
+
+  async runJob(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    for (const step of job.steps) {
+      job.currentStep = step.name;
+      step.status = 'running';
+
+      const succeeded = await this.runStepWithRetries(job, step);
+      if (!succeeded) {
+        step.status = 'failed';
+        job.status = JOB_STATUS.FAILED;
+        job.completedAt = new Date().toISOString();
+
+        if (job.onFailure) {
+          try {
+            await job.onFailure(job.context, job);
+          } catch (cleanupError) {
+            console.error(`Cleanup after failed job ${job.id} failed:`, cleanupError);
+          }
+        }
+        return;
+      }
+
+      step.status = 'completed';
+    }
+
+    job.currentStep = null;
+    job.status = JOB_STATUS.COMPLETED;
+    job.completedAt = new Date().toISOString();
+    console.log(`✅ Processing job ${job.id} completed for document ${job.documentId}`);
+  }
+
+  async runStepWithRetries(job, step) {
+    while (step.attempts < this.maxAttempts) {
+      step.attempts++;
+
+      try {
+        const stepResult = await step.run(job.context, job);
+        if (stepResult !== undefined) {
+          job.context[step.name] = stepResult;
+        }
+        return true;
+      } catch (error) {
+        console.warn(`Step ${step.name} of job ${job.id} failed (attempt ${step.attempts}/${this.maxAttempts}):`, error.message);
+        job.errors.push({
+          step: step.name,
+          attempt: step.attempts,
+          message: error.message,
+          at: new Date().toISOString()
+        });
+
+        // Errors flagged as permanent (e.g. a corrupt PDF) are not worth retrying
+        if (error.retryable === false) return false;
+
+        if (step.attempts < this.maxAttempts) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * step.attempts));
+        }
+      }
+    }
+
+    return false;
+  }
+
+  scheduleCleanup(job) {
+    // Release the buffers and analysis data held in the context
+    job.context = {};
+
+    const timer = setTimeout(() => {
+      this.jobs.delete(job.id);
+      if (this.jobsByDocument.get(job.documentId) === job.id) {
+        this.jobsByDocument.delete(job.documentId);
+      }
+    }, this.retentionMs);
+
+    // Don't keep the process alive just to prune old jobs
+    if (timer.unref) timer.unref();
+  }
+}
+
+DocumentJobQueue.JOB_STATUS = JOB_STATUS;
+
+module.exports = DocumentJobQueue;
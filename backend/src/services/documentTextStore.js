@@ -0,0 +1,118 @@
+// src/services/documentTextStore.js
+// Full per-page text, kept apart from pdf_content_analysis (which only holds a preview)
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Rows per insert, keeps request bodies reasonable for text-heavy documents
+const INSERT_BATCH_SIZE = 50;
+
+class DocumentTextStore {
+  /**
+   * Replaces the stored text for a document. pageTexts[i] is the text of page i + 1.
+   */
+  async savePages(documentId, userId, pageTexts) {
+    await this.deleteForDocument(documentId, userId);
+
+    const rows = pageTexts.map((text, index) => ({
+      document_id: documentId,
+      user_id: userId,
+      page_number: index + 1,
+      text_content: text || '',
+      char_count: (text || '').length
+    }));
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const { error } = await supabaseAdmin
+        .from('document_page_texts')
+        .insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+
+      if (error) {
+        throw new Error(`Failed to store page text: ${error.message}`);
+      }
+    }
+
+    const totalChars = rows.reduce((sum, row) => sum + row.char_count, 0);
+    console.log(`🗜️ Stored full text for ${rows.length} pages (${totalChars} chars) of document ${documentId}`);
+  }
+
+  /**
+   * Copies another user's stored text for an identical upload
+   */
+  async copyPages(sourceDocumentId, documentId, userId) {
+    const { data: sourceRows, error } = await supabaseAdmin
+      .from('document_page_texts')
+      .select('page_number, text_content')
+      .eq('document_id', sourceDocumentId)
+      .order('page_number');
+
+    if (error) {
+      throw new Error(`Failed to read shared page text: ${error.message}`);
+    }
+
+    if (!sourceRows || sourceRows.length === 0) return false;
+
+    const pageTexts = [];
+    sourceRows.forEach(row => {
+      pageTexts[row.page_number - 1] = row.text_content;
+    });
+
+    await this.savePages(documentId, userId, Array.from(pageTexts, text => text || ''));
+    return true;
+  }
+
+  /**
+   * Text for pages startPage..endPage (inclusive). Documents processed before
+   * the text store existed fall back to the analysis preview, flagged as truncated.
+   */
+  async getPageRange(documentId, userId, startPage, endPage) {
+    const { data: rows, error } = await supabaseAdmin
+      .from('document_page_texts')
+      .select('page_number, text_content, char_count')
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .gte('page_number', startPage)
+      .lte('page_number', endPage)
+      .order('page_number');
+
+    if (error) {
+      throw new Error(`Failed to load page text: ${error.message}`);
+    }
+
+    if (rows && rows.length > 0) {
+      return rows.map(row => ({
+        page_number: row.page_number,
+        text: row.text_content,
+        char_count: row.char_count,
+        truncated: false
+      }));
+    }
+
+    const { data: previews, error: previewError } = await supabase
+      .from('pdf_content_analysis')
+      .select('page_number, text_content')
+      .eq('document_id', documentId)
+      .gte('page_number', startPage)
+      .lte('page_number', endPage)
+      .order('page_number');
+
+    if (previewError) {
+      throw new Error(`Failed to load page text: ${previewError.message}`);
+    }
+
+    return (previews || []).map(row => ({
+      page_number: row.page_number,
+      text: row.text_content || '',
+      char_count: (row.text_content || '').length,
+      truncated: true
+    }));
+  }
+
+  async deleteForDocument(documentId, userId) {
+    await supabaseAdmin
+      .from('document_page_texts')
+      .delete()
+      .eq('document_id', documentId)
+      .eq('user_id', userId);
+  }
+}
+
+module.exports = DocumentTextStore;
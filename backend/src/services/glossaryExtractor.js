@@ -0,0 +1,289 @@
+// src/services/glossaryExtractor.js
+// Key-term extraction per chapter, ranked with TF-IDF against the user's other documents
+const { supabaseAdmin } = require('../config/supabase');
+const { DEFAULT_LANGUAGE, getStopwords } = require('./languageProfiles');
+
+const WORD_PATTERN = /[\p{L}](?:[\p{L}\p{N}_'-]*[\p{L}\p{N}_])?/gu;
+const SUBJECT_PHRASE = "((?:[\\p{L}][\\p{L}\\p{N}_'-]*\\s+){0,3}[\\p{L}][\\p{L}\\p{N}_'-]*)";
+
+// Sentences that define a term: the captured phrase is the term
+const DEFINITION_PATTERNS = [
+  new RegExp(`${SUBJECT_PHRASE}\\s*,?\\s+(?:is|are)\\s+(?:defined\\s+as|referred\\s+to\\s+as|known\\s+as|termed)\\b`, 'iu'),
+  new RegExp(`${SUBJECT_PHRASE}\\s+(?:refers?\\s+to|denotes?|is\\s+the\\s+term\\s+for)\\b`, 'iu'),
+  new RegExp(`${SUBJECT_PHRASE}\\s*,\\s+also\\s+(?:known|called)\\s+as\\b`, 'iu'),
+  new RegExp(`\\bwe\\s+(?:define|call)\\s+(?:an?\\s+|the\\s+)?${SUBJECT_PHRASE}\\s+(?:as|to\\s+be)\\b`, 'iu'),
+  new RegExp(`\\b(?:is|are)\\s+(?:called|known\\s+as|termed)\\s+(?:an?\\s+|the\\s+)?["“']?${SUBJECT_PHRASE}`, 'iu'),
+  new RegExp(`\\bthe\\s+term\\s+["“']?${SUBJECT_PHRASE}["”']?`, 'iu')
+];
+
+// Same signals countTechnicalTerms looks for, applied to the original casing
+const TECHNICAL_PATTERNS = [
+  /^[A-Z]{2,}s?$/, // Acronyms
+  /[a-z]+_[a-z]+/, // snake_case
+  /[a-z]+[A-Z][a-z]+/, // camelCase
+  /^[a-z]+-[a-z]+/ // Hyphenated compounds
+];
+
+class GlossaryExtractorService {
+  constructor(options = {}) {
+    // Candidates stored per chapter; ranking and the final cut happen at read time
+    this.candidatesPerChapter = options.candidatesPerChapter || 60;
+    this.maxDefinitionLength = options.maxDefinitionLength || 300;
+  }
+
+  /**
+   * Extracts candidate terms for each chapter of a document.
+   * pageTexts[i] is the full text of page i + 1; ranges come from
+   * PDFProcessorService.getChapterRanges.
+   */
+  extractDocumentTerms(pageTexts, ranges, languageCode = DEFAULT_LANGUAGE) {
+    const stopwords = getStopwords(languageCode);
+
+    return ranges.map((range, chapterIndex) => {
+      const terms = new Map();
+
+      for (let pageNumber = range.startPage; pageNumber <= range.endPage; pageNumber++) {
+        const sentences = this.splitSentences(pageTexts[pageNumber - 1] || '');
+
+        sentences.forEach(sentence => {
+          this.collectTerms(sentence, pageNumber, stopwords, terms);
+        });
+
+        sentences.forEach(sentence => {
+          this.collectDefinition(sentence, pageNumber, stopwords, terms);
+        });
+      }
+
+      const subsumed = this.findSubsumedWords(terms);
+
+      const candidates = [...terms.values()]
+        // One-off mentions are noise unless the text defines them
+        .filter(term => term.frequency >= 2 || term.definedOnPage)
+        .filter(term => !subsumed.has(term.term))
+        .sort((a, b) => this.candidateWeight(b) - this.candidateWeight(a))
+        .slice(0, this.candidatesPerChapter);
+
+      return {
+        chapterIndex,
+        chapterTitle: range.title,
+        startPage: range.startPage,
+        endPage: range.endPage,
+        terms: candidates
+      };
+    });
+  }
+
+  /**
+   * Single words that never appear outside one of their phrases
+   * ("likelihood" when every mention is "likelihood function")
+   */
+  findSubsumedWords(terms) {
+    const subsumed = new Set();
+
+    terms.forEach(term => {
+      if (!term.isPhrase || term.frequency < 2) return;
+
+      term.term.split(' ').forEach(word => {
+        const single = terms.get(word);
+        if (single && !single.definedOnPage && single.frequency <= term.frequency) {
+          subsumed.add(word);
+        }
+      });
+    });
+
+    return subsumed;
+  }
+
+  splitSentences(text) {
+    return text
+      .replace(/-\n(?=\p{Ll})/gu, '') // Re-join words hyphenated across lines
+      .replace(/\b(?:https?:\/\/|www\.)\S+|\S+@\S+\.\w+/g, ' ') // URLs and emails aren't terms
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?])\s+/)
+      .filter(sentence => sentence.length > 0);
+  }
+
+  collectTerms(sentence, pageNumber, stopwords, terms) {
+    const tokens = [...sentence.matchAll(WORD_PATTERN)];
+    const isContentWord = (token, minLength) => {
+      const lower = token.toLowerCase();
+      return lower.length >= minLength && !stopwords.has(lower) && !/^\d/.test(lower);
+    };
+
+    tokens.forEach((match, i) => {
+      const token = match[0];
+      const technical = TECHNICAL_PATTERNS.some(pattern => pattern.test(token));
+
+      if (isContentWord(token, 4) || (technical && token.length >= 2)) {
+        this.addTerm(terms, token.toLowerCase(), pageNumber, { technical, phrase: false });
+      }
+
+      // Two-word phrases such as "random variable", only across plain whitespace
+      const nextMatch = tokens[i + 1];
+      if (!nextMatch) return;
+
+      const next = nextMatch[0];
+      const gap = sentence.slice(match.index + token.length, nextMatch.index);
+      if (/^'?\s+$/.test(gap) && isContentWord(token, 3) && isContentWord(next, 3)) {
+        this.addTerm(terms, `${token} ${next}`.toLowerCase(), pageNumber, { technical: false, phrase: true });
+      }
+    });
+  }
+
+  addTerm(terms, key, pageNumber, { technical, phrase }) {
+    const existing = terms.get(key);
+    if (existing) {
+      existing.frequency++;
+      existing.isTechnical = existing.isTechnical || technical;
+      return existing;
+    }
+
+    const term = {
+      term: key,
+      frequency: 1,
+      firstPage: pageNumber,
+      isPhrase: phrase,
+      isTechnical: technical,
+      definedOnPage: null,
+      definition: null
+    };
+    terms.set(key, term);
+    return term;
+  }
+
+  collectDefinition(sentence, pageNumber, stopwords, terms) {
+    for (const pattern of DEFINITION_PATTERNS) {
+      const match = sentence.match(pattern);
+      if (!match) continue;
+
+      const key = this.resolveDefinedTerm(match[1], stopwords, terms);
+      if (!key) continue;
+
+      const term = terms.get(key) || this.addTerm(terms, key, pageNumber, {
+        technical: false,
+        phrase: key.includes(' ')
+      });
+
+      // The first definition wins; later ones are usually restatements
+      if (!term.definedOnPage) {
+        term.definedOnPage = pageNumber;
+        term.definition = sentence.trim().substring(0, this.maxDefinitionLength);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Narrows a captured phrase ("in statistics a random variable") to the term
+   * itself, preferring the longest trailing phrase already seen in the text
+   */
+  resolveDefinedTerm(phrase, stopwords, terms) {
+    const words = phrase.toLowerCase()
+      .split(/\s+/)
+      .map(word => word.replace(/['-]+$/, ''))
+      .filter(Boolean);
+
+    // Leading articles and filler are never part of the term
+    while (words.length > 0 && (stopwords.has(words[0]) || ['a', 'an', 'the', 'this', 'that'].includes(words[0]))) {
+      words.shift();
+    }
+    if (words.length === 0) return null;
+
+    for (let length = Math.min(3, words.length); length >= 1; length--) {
+      const candidate = words.slice(-length).join(' ');
+      if (terms.has(candidate)) return candidate;
+    }
+
+    const fallback = words.slice(-2).join(' ');
+    return fallback.length >= 3 && !stopwords.has(fallback) ? fallback : null;
+  }
+
+  candidateWeight(term) {
+    return (1 + Math.log(term.frequency)) * this.termBoost(term);
+  }
+
+  termBoost(term) {
+    let boost = 1;
+    if (term.isPhrase) boost *= 1.3;
+    if (term.isTechnical) boost *= 1.2;
+    if (term.definedOnPage) boost *= 1.6;
+    return boost;
+  }
+
+  /**
+   * Scores stored terms with TF-IDF. documentFrequencies maps a term to the
+   * number of the user's other documents that contain it.
+   */
+  rankTerms(termRows, documentFrequencies, otherDocumentCount) {
+    return termRows
+      .map(row => {
+        const documentFrequency = documentFrequencies.get(row.term) || 0;
+        // Smoothed IDF: terms unique to this document score highest
+        const idf = Math.log((otherDocumentCount + 2) / (documentFrequency + 1)) + 1;
+        const tf = 1 + Math.log(row.frequency);
+        const score = tf * idf * this.termBoost({
+          isPhrase: row.is_phrase,
+          isTechnical: row.is_technical,
+          definedOnPage: row.defined_on_page
+        });
+
+        return { ...row, score: Math.round(score * 1000) / 1000, document_frequency: documentFrequency };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * A flashcard-style prompt for a glossary term
+   */
+  buildReviewPrompt(term) {
+    return {
+      prompt: term.definition
+        ? `What does "${term.term}" mean?`
+        : `Explain "${term.term}" in your own words.`,
+      answer: term.definition || null,
+      page: term.defined_on_page || term.first_page
+    };
+  }
+
+  /**
+   * Replaces the stored candidate terms for a document
+   */
+  async saveDocumentTerms(documentId, userId, chapters) {
+    await this.deleteForDocument(documentId, userId);
+
+    const rows = chapters.flatMap(chapter => chapter.terms.map(term => ({
+      document_id: documentId,
+      user_id: userId,
+      chapter_index: chapter.chapterIndex,
+      chapter_title: chapter.chapterTitle,
+      start_page: chapter.startPage,
+      end_page: chapter.endPage,
+      term: term.term,
+      frequency: term.frequency,
+      first_page: term.firstPage,
+      is_phrase: term.isPhrase,
+      is_technical: term.isTechnical,
+      defined_on_page: term.definedOnPage,
+      definition: term.definition
+    })));
+
+    if (rows.length === 0) return 0;
+
+    const { error } = await supabaseAdmin.from('document_terms').insert(rows);
+    if (error) {
+      throw new Error(`Failed to store glossary terms: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+
+  async deleteForDocument(documentId, userId) {
+    await supabaseAdmin
+      .from('document_terms')
+      .delete()
+      .eq('document_id', documentId)
+      .eq('user_id', userId);
+  }
+}
+
+module.exports = GlossaryExtractorService;
@@ -0,0 +1,194 @@
+// src/services/languageProfiles.js
+// Language-specific syllable rules, readability formulas and difficulty ranges
+
+// Function words and academic filler ignored when picking out key terms;
+// other languages rely on their detection stopwords plus length filters
+const ENGLISH_TERM_STOPWORDS = [
+  'about', 'above', 'after', 'again', 'against', 'all', 'also', 'although', 'always', 'among', 'another',
+  'any', 'anything', 'around', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'can', 'cannot', 'could', 'does', 'doing', 'done', 'down', 'during', 'each', 'either', 'else', 'enough',
+  'even', 'every', 'example', 'few', 'figure', 'first', 'following', 'for', 'found', 'from', 'further',
+  'given', 'had', 'having', 'here', 'however', 'into', 'its', 'itself', 'just', 'last', 'least', 'less',
+  'like', 'likely', 'made', 'make', 'makes', 'many', 'may', 'might', 'more', 'most', 'much', 'must',
+  'near', 'need', 'never', 'next', 'none', 'nor', 'now', 'often', 'once', 'one', 'only', 'other', 'others',
+  'otherwise', 'our', 'out', 'over', 'own', 'page', 'part', 'per', 'perhaps', 'rather', 'same', 'second',
+  'section', 'see', 'seen', 'several', 'shall', 'should', 'show', 'shown', 'shows', 'similar', 'since',
+  'some', 'something', 'still', 'such', 'than', 'their', 'them', 'themselves', 'then', 'there', 'therefore',
+  'these', 'thing', 'things', 'third', 'those', 'though', 'through', 'thus', 'too', 'two', 'under', 'until',
+  'upon', 'use', 'used', 'uses', 'using', 'very', 'via', 'was', 'way', 'ways', 'well', 'were', 'what',
+  'when', 'where', 'whether', 'while', 'who', 'whose', 'why', 'will', 'with', 'within', 'without', 'would',
+  'yet', 'you', 'your', 'chapter', 'table', 'three', 'four', 'five', 'new', 'good', 'better', 'best',
+  'important', 'different', 'various', 'certain', 'possible', 'case', 'cases', 'called', 'defined', 'refers'
+];
+
+/**
+ * English - Flesch Reading Ease
+ */
+const english = {
+  code: 'en',
+  name: 'English',
+  stopwords: [
+    'the', 'and', 'of', 'to', 'in', 'is', 'that', 'it', 'for', 'as', 'with', 'was', 'on',
+    'are', 'be', 'by', 'this', 'which', 'or', 'from', 'an', 'not', 'have', 'has', 'we', 'they'
+  ],
+  complexWord: { minLength: 7, minSyllables: 3 },
+  // Ranges the difficulty factors were originally tuned on
+  difficultyRanges: {},
+  readability: {
+    formula: 'flesch_reading_ease',
+    score: ({ avgWordsPerSentence, avgSyllablesPerWord }) =>
+      206.835 - 1.015 * avgWordsPerSentence - 84.6 * avgSyllablesPerWord
+  },
+  countSyllables(word) {
+    word = word.toLowerCase();
+    if (word.length <= 3) return 1;
+
+    // Remove silent e
+    word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
+    word = word.replace(/^y/, '');
+
+    // Count vowel groups
+    const matches = word.match(/[aeiouy]{1,2}/g);
+    return matches ? matches.length : 1;
+  }
+};
+
+/**
+ * German - Flesch-Amstad
+ */
+const german = {
+  code: 'de',
+  name: 'German',
+  stopwords: [
+    'der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für',
+    'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als', 'auch', 'es', 'an', 'werden', 'aus', 'wird'
+  ],
+  // Compounds make long words normal in German
+  complexWord: { minLength: 12, minSyllables: 4 },
+  difficultyRanges: {
+    avgSyllablesPerWord: { easy: [1, 1.7], medium: [1.7, 2.4], hard: [2.4, 5] },
+    complexWords: { easy: [0, 12], medium: [12, 25], hard: [25, 100] }
+  },
+  readability: {
+    formula: 'flesch_amstad',
+    score: ({ avgWordsPerSentence, avgSyllablesPerWord }) =>
+      180 - avgWordsPerSentence - 58.5 * avgSyllablesPerWord
+  },
+  countSyllables(word) {
+    word = word.toLowerCase();
+    if (word.length <= 3) return 1;
+
+    // Diphthongs and long vowels form a single syllable nucleus
+    const normalized = word.replace(/(äu|eu|ei|ai|au|ie|aa|ee|oo)/g, 'a');
+    const matches = normalized.match(/[aeiouyäöü]+/g);
+    return matches ? matches.length : 1;
+  }
+};
+
+/**
+ * Spanish - Fernández-Huerta (with Law's correction, using words per sentence)
+ */
+const spanish = {
+  code: 'es',
+  name: 'Spanish',
+  stopwords: [
+    'de', 'la', 'que', 'el', 'en', 'y', 'los', 'del', 'se', 'las', 'por', 'un', 'para', 'con',
+    'una', 'su', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'este', 'es'
+  ],
+  complexWord: { minLength: 10, minSyllables: 4 },
+  difficultyRanges: {
+    avgSyllablesPerWord: { easy: [1, 1.9], medium: [1.9, 2.5], hard: [2.5, 5] },
+    complexWords: { easy: [0, 12], medium: [12, 24], hard: [24, 100] }
+  },
+  readability: {
+    formula: 'fernandez_huerta',
+    score: ({ avgWordsPerSentence, avgSyllablesPerWord }) =>
+      206.84 - 60 * avgSyllablesPerWord - 1.02 * avgWordsPerSentence
+  },
+  countSyllables(word) {
+    word = word.toLowerCase();
+    if (word.length <= 2) return 1;
+
+    // Strong vowels (and accented weak ones) always open a new nucleus; an
+    // unaccented i/u/ü next to another vowel forms a diphthong instead
+    const isVowel = char => /[aeiouáéíóúü]/.test(char);
+    const isWeak = char => /[iuü]/.test(char);
+
+    let syllables = 0;
+    let previous = '';
+    for (const char of word) {
+      if (isVowel(char)) {
+        const diphthong = isVowel(previous) && (isWeak(char) || isWeak(previous));
+        if (!diphthong) syllables++;
+      }
+      previous = char;
+    }
+
+    return Math.max(1, syllables);
+  }
+};
+
+const LANGUAGE_PROFILES = {
+  en: english,
+  de: german,
+  es: spanish
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Detects the dominant language from stopword frequency.
+ * Falls back to English when no profile clearly matches.
+ */
+function detectLanguage(words, sampleSize = 5000) {
+  const sample = words.slice(0, sampleSize);
+
+  if (sample.length < 20) {
+    return { code: DEFAULT_LANGUAGE, name: LANGUAGE_PROFILES[DEFAULT_LANGUAGE].name, confidence: 0 };
+  }
+
+  const scores = Object.values(LANGUAGE_PROFILES).map(profile => {
+    const stopwords = new Set(profile.stopwords);
+    const hits = sample.filter(word => stopwords.has(word)).length;
+    return { profile, ratio: hits / sample.length };
+  }).sort((a, b) => b.ratio - a.ratio);
+
+  const [best, runnerUp] = scores;
+
+  // Real prose is ~20-40% stopwords; require a clear winner
+  if (best.ratio < 0.05) {
+    return { code: DEFAULT_LANGUAGE, name: LANGUAGE_PROFILES[DEFAULT_LANGUAGE].name, confidence: 0 };
+  }
+
+  const margin = runnerUp ? (best.ratio - runnerUp.ratio) / best.ratio : 1;
+
+  return {
+    code: best.profile.code,
+    name: best.profile.name,
+    confidence: Math.round(Math.min(1, margin * 1.5) * 100) / 100
+  };
+}
+
+function getLanguageProfile(code) {
+  return LANGUAGE_PROFILES[code] || LANGUAGE_PROFILES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Stopwords for term extraction (glossary, summaries)
+ */
+function getStopwords(code) {
+  const profile = getLanguageProfile(code);
+  const stopwords = new Set(profile.stopwords);
+  if (profile.code === 'en') {
+    ENGLISH_TERM_STOPWORDS.forEach(word => stopwords.add(word));
+  }
+  return stopwords;
+}
+
+module.exports = {
+  LANGUAGE_PROFILES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  getLanguageProfile,
+  getStopwords
+};
@@ -1,13 +1,30 @@
 // src/services/pdfProcessor.js
 const pdf = require('pdf-parse');
-const { supabase } = require('../config/supabase');
+const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const DocumentExtractorService = require('./documentExtractors');
+const { DEFAULT_LANGUAGE, detectLanguage, getLanguageProfile } = require('./languageProfiles');
+
+// Bump whenever analysis output changes, so stored documents can be re-analysed
+const PROCESSING_VERSION = '2.6.0';
+
+// pdf_content_analysis keeps a preview; full text goes to DocumentTextStore
+const PAGE_PREVIEW_LENGTH = 5000;
+
+const MAX_CAPTION_LENGTH = 300;
+
+// "Figure 3", "Figs. 2 and 4", "Table 4.2" anywhere in the body text
+const FIGURE_MENTION_PATTERN = /\b(Figures?|Figs?\.|Tables?)\s*(\d+(?:\.\d+)*[a-z]?(?:\s*(?:,|and|&)\s*\d+(?:\.\d+)*[a-z]?)*)/gi;
 
 class PDFProcessorService {
   constructor() {
-    // Reading difficulty assessment parameters
+    // Reading difficulty assessment parameters (English ranges - language
+    // profiles override them where their text statistics differ)
     this.difficultyFactors = {
-      avgWordsPerSentence: { weight: 0.3, ranges: { easy: [1, 15], medium: [16, 25], hard: [26, 100] } },
-      avgSyllablesPerWord: { weight: 0.25, ranges: { easy: [1, 1.5], medium: [1.5, 2.2], hard: [2.2, 5] } },
+      avgWordsPerSentence: { weight: 0.2, ranges: { easy: [1, 15], medium: [16, 25], hard: [26, 100] } },
+      avgSyllablesPerWord: { weight: 0.15, ranges: { easy: [1, 1.5], medium: [1.5, 2.2], hard: [2.2, 5] } },
+      // 100 minus the language's reading-ease formula, so higher means harder
+      readingDifficulty: { weight: 0.2, ranges: { easy: [0, 40], medium: [40, 70], hard: [70, 100] } },
       complexWords: { weight: 0.2, ranges: { easy: [0, 10], medium: [10, 20], hard: [20, 100] } },
       technicalTerms: { weight: 0.15, ranges: { easy: [0, 5], medium: [5, 15], hard: [15, 100] } },
       sentenceVariety: { weight: 0.1, ranges: { easy: [0.8, 1], medium: [0.6, 0.8], hard: [0, 0.6] } }
@@ -21,52 +38,27 @@ class PDFProcessorService {
       4: 150, // Hard
       5: 100  // Very hard
     };
+
+    // Converts EPUB, Markdown, HTML and DOCX into virtual pages
+    this.extractors = new DocumentExtractorService();
   }
 
   /**
-   * Main PDF processing function - analyzes uploaded PDF comprehensively
+   * Main PDF processing function - analyzes uploaded PDF comprehensively.
+   * password is only needed for files encrypted with a user password.
    */
-  async processUploadedPDF(buffer, filename, userId, title) {
+  async processUploadedPDF(buffer, filename, userId, title, password = null) {
     try {
       console.log(`📄 Starting enhanced PDF processing for user ${userId}: ${filename}`);
       
-      // Step 1: Extract basic PDF data and text content
-      const pdfData = await pdf(buffer, {
-        pagerender: this.renderPage.bind(this),
-        max: 0, // Process all pages
-        version: 'v1.10.100'
-      });
-
-      const totalPages = pdfData.numpages;
+      // Step 1: Extract basic PDF data and per-page text in a single pass
+      const { totalPages, pageTexts } = await this.extractPageTexts(buffer, password);
       console.log(`📊 PDF contains ${totalPages} pages`);
 
-      // Step 2: Analyze content structure and extract text per page
-      const pageAnalysis = await this.analyzePageContent(buffer, totalPages);
-      
-      // Step 3: Detect document structure (chapters, sections)
-      const documentStructure = this.detectDocumentStructure(pageAnalysis);
-      
-      // Step 4: Calculate overall document metrics
-      const documentMetrics = this.calculateDocumentMetrics(pageAnalysis, documentStructure);
-      
-      // Step 5: Generate reading time estimates
-      const timeEstimates = this.generateTimeEstimates(pageAnalysis, userId);
+      // Step 2: Read the outline used for chapter/section structure
+      const outline = await this.extractOutline(buffer, password);
 
-      return {
-        totalPages,
-        documentMetrics,
-        documentStructure,
-        pageAnalysis,
-        timeEstimates,
-        processingMetadata: {
-          filename,
-          processedAt: new Date().toISOString(),
-          processingVersion: '2.0.0',
-          totalWords: pageAnalysis.reduce((sum, page) => sum + page.wordCount, 0),
-          avgDifficulty: documentMetrics.averageDifficulty,
-          estimatedTotalReadingTime: timeEstimates.totalSeconds
-        }
-      };
+      return await this.analyzeExtractedPages(pageTexts, outline, { filename, userId, sourceFormat: 'pdf' });
     } catch (error) {
       console.error('PDF processing error:', error);
       throw new Error(`Failed to process PDF: ${error.message}`);
@@ -74,68 +66,321 @@ class PDFProcessorService {
   }
 
   /**
-   * Analyzes content of each page individually
+   * Processes any supported upload - non-PDF formats are converted into
+   * virtual pages first, then share the PDF analysis pipeline
    */
-  async analyzePageContent(buffer, totalPages) {
-    const pageAnalysis = [];
-    
+  async processUploadedDocument(buffer, filename, userId, title, format = null, password = null) {
+    const sourceFormat = format || this.extractors.detectFormat(filename);
+
+    if (sourceFormat === 'pdf') {
+      return this.processUploadedPDF(buffer, filename, userId, title, password);
+    }
+
     try {
-      // Process pages in batches to avoid memory issues
-      const batchSize = 10;
-      for (let i = 0; i < totalPages; i += batchSize) {
-        const batch = [];
-        const endPage = Math.min(i + batchSize, totalPages);
-        
-        for (let pageNum = i + 1; pageNum <= endPage; pageNum++) {
-          try {
-            // Extract text for specific page
-            const pageText = await this.extractPageText(buffer, pageNum);
-            const analysis = this.analyzeTextContent(pageText, pageNum);
-            batch.push(analysis);
-          } catch (pageError) {
-            console.warn(`Failed to process page ${pageNum}:`, pageError.message);
-            // Create fallback analysis for failed pages
-            batch.push(this.createFallbackPageAnalysis(pageNum));
-          }
-        }
-        
-        pageAnalysis.push(...batch);
-        
-        // Add small delay between batches to prevent memory pressure
-        if (endPage < totalPages) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
+      console.log(`📄 Starting ${sourceFormat} document processing for user ${userId}: ${filename}`);
+
+      const { pageTexts, outline } = this.extractors.extract(buffer, sourceFormat);
+      console.log(`📊 Document split into ${pageTexts.length} virtual pages`);
+
+      return await this.analyzeExtractedPages(pageTexts, outline, { filename, userId, sourceFormat });
     } catch (error) {
-      console.error('Page content analysis error:', error);
-      throw error;
+      console.error('Document processing error:', error);
+      throw new Error(`Failed to process document: ${error.message}`);
     }
+  }
 
-    return pageAnalysis;
+  /**
+   * Runs difficulty, structure and time-estimate analysis on extracted page text
+   */
+  async analyzeExtractedPages(pageTexts, outline, { filename, userId, sourceFormat }) {
+    const totalPages = pageTexts.length;
+
+    // Detect the document language so syllable and readability rules match it
+    const language = this.detectDocumentLanguage(pageTexts);
+    console.log(`🌐 Detected language: ${language.name} (confidence ${language.confidence})`);
+
+    // Analyze content structure of each extracted page
+    const pageAnalysis = await this.analyzePageContent(pageTexts, totalPages, language.code);
+    
+    // Detect document structure (chapters, sections), preferring the outline
+    const documentStructure = this.detectDocumentStructure(pageAnalysis, outline);
+    
+    // Calculate overall document metrics
+    const documentMetrics = this.calculateDocumentMetrics(pageAnalysis, documentStructure);
+    
+    // Generate reading time estimates
+    const timeEstimates = this.generateTimeEstimates(pageAnalysis, userId);
+
+    // Figure and table captions with the pages that refer back to them
+    const figureIndex = this.extractFigureIndex(pageTexts);
+
+    return {
+      totalPages,
+      documentMetrics,
+      documentStructure,
+      pageAnalysis,
+      timeEstimates,
+      // Untruncated text per page, persisted separately from the analysis rows
+      pageTexts: Array.from({ length: totalPages }, (_, i) => pageTexts[i] || ''),
+      figureIndex,
+      processingMetadata: {
+        filename,
+        sourceFormat,
+        virtualPages: sourceFormat !== 'pdf',
+        language: {
+          ...language,
+          readabilityFormula: getLanguageProfile(language.code).readability.formula
+        },
+        processedAt: new Date().toISOString(),
+        processingVersion: PROCESSING_VERSION,
+        totalWords: pageAnalysis.reduce((sum, page) => sum + page.wordCount, 0),
+        avgDifficulty: documentMetrics.averageDifficulty,
+        estimatedTotalReadingTime: timeEstimates.totalSeconds,
+        structureSource: documentStructure.source,
+        documentStructure: {
+          source: documentStructure.source,
+          chapters: documentStructure.chapters
+        },
+        figureCount: figureIndex.filter(entry => entry.kind === 'figure').length,
+        tableCount: figureIndex.filter(entry => entry.kind === 'table').length
+      }
+    };
+  }
+
+  /**
+   * Rebuilds analysis results from stored pdf_content_analysis rows, so an
+   * identical file uploaded by another user doesn't need re-analysing
+   */
+  rebuildAnalysisFromStored(analysisRows, sourceMetadata, filename) {
+    const pageAnalysis = analysisRows.map(row => ({
+      ...this.createFallbackPageAnalysis(row.page_number),
+      textContent: row.text_content || '',
+      wordCount: row.word_count || 0,
+      sentenceCount: row.sentence_count || 0,
+      paragraphCount: row.paragraph_count || 0,
+      avgWordsPerSentence: row.avg_words_per_sentence || 0,
+      complexWordCount: row.complex_word_count || 0,
+      technicalTermCount: row.technical_term_count || 0,
+      difficultyScore: row.difficulty_score ?? 3.0,
+      difficultyLevel: row.difficulty_level || 3,
+      hasImages: !!row.has_images,
+      hasEquations: !!row.has_equations,
+      hasCode: !!row.has_code,
+      chapterTitle: row.chapter_title,
+      sectionTitle: row.section_title,
+      contentType: row.content_type || 'unknown'
+    }));
+
+    // Keep the stored outline tree; only the flat lists are derived again
+    const storedStructure = sourceMetadata.documentStructure;
+    const documentStructure = storedStructure?.chapters?.length > 0
+      ? {
+        ...this.detectDocumentStructure(pageAnalysis, null),
+        source: storedStructure.source,
+        chapters: storedStructure.chapters,
+        sections: this.flattenSections(storedStructure.chapters)
+      }
+      : this.detectDocumentStructure(pageAnalysis, null);
+
+    const documentMetrics = this.calculateDocumentMetrics(pageAnalysis, documentStructure);
+
+    // Page estimates were already computed for the source upload
+    const timeEstimates = {
+      totalSeconds: 0,
+      pageEstimates: [],
+      difficultyBasedTotals: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      averageSecondsPerPage: 0
+    };
+
+    analysisRows.forEach((row, index) => {
+      const page = pageAnalysis[index];
+      const estimatedSeconds = row.estimated_reading_seconds || 120;
+
+      timeEstimates.pageEstimates.push({
+        pageNumber: page.pageNumber,
+        estimatedSeconds,
+        difficultyLevel: page.difficultyLevel,
+        wordCount: page.wordCount
+      });
+      timeEstimates.totalSeconds += estimatedSeconds;
+      timeEstimates.difficultyBasedTotals[page.difficultyLevel] += estimatedSeconds;
+    });
+
+    timeEstimates.averageSecondsPerPage = pageAnalysis.length > 0
+      ? Math.round(timeEstimates.totalSeconds / pageAnalysis.length)
+      : 0;
+
+    return {
+      totalPages: pageAnalysis.length,
+      documentMetrics,
+      documentStructure,
+      pageAnalysis,
+      timeEstimates,
+      // Full text is copied from the source document's text store
+      pageTexts: null,
+      // Rebuilt from the copied text by the save step
+      figureIndex: null,
+      processingMetadata: {
+        filename,
+        sourceFormat: sourceMetadata.sourceFormat || 'pdf',
+        virtualPages: !!sourceMetadata.virtualPages,
+        language: sourceMetadata.language || null,
+        processedAt: new Date().toISOString(),
+        processingVersion: sourceMetadata.processingVersion || '2.0.0',
+        totalWords: documentMetrics.totalWords,
+        avgDifficulty: documentMetrics.averageDifficulty,
+        estimatedTotalReadingTime: timeEstimates.totalSeconds,
+        structureSource: documentStructure.source,
+        documentStructure: {
+          source: documentStructure.source,
+          chapters: documentStructure.chapters
+        },
+        figureCount: sourceMetadata.figureCount,
+        tableCount: sourceMetadata.tableCount,
+        analysisReused: true
+      }
+    };
+  }
+
+  flattenSections(nodes) {
+    return nodes.flatMap(node => {
+      const children = node.sections || [];
+      const ownSections = 'chapter' in node ? [node] : [];
+      return [...ownSections, ...this.flattenSections(children)];
+    });
+  }
+
+  /**
+   * Top-level chapters as page ranges (the unit for glossaries and summaries);
+   * the whole document is one range when no chapters were found
+   */
+  getChapterRanges(documentStructure, totalPages) {
+    const chapters = (documentStructure?.chapters || [])
+      .filter(chapter => chapter.startPage)
+      .map(chapter => ({
+        title: chapter.title,
+        startPage: chapter.startPage,
+        endPage: Math.min(chapter.endPage || totalPages, totalPages)
+      }));
+
+    if (chapters.length === 0) {
+      return [{ title: null, startPage: 1, endPage: totalPages }];
+    }
+
+    return chapters;
   }
 
   /**
-   * Extracts text content from a specific page
+   * Works out whether a PDF can be opened. Owner-restricted files (print/copy
+   * limits only) open with the empty user password and need nothing from the
+   * user; files with a user password report password_required until the
+   * right one is given.
    */
-  async extractPageText(buffer, pageNumber) {
+  async checkEncryption(buffer, password = null) {
     try {
-      const options = {
-        first: pageNumber,
-        last: pageNumber
-      };
-      
-      const pageData = await pdf(buffer, options);
-      return pageData.text || '';
+      const encrypted = await this.openForInspection(buffer, null);
+      return { encrypted, passwordProtected: false, status: encrypted ? 'owner_restricted' : 'not_encrypted' };
     } catch (error) {
-      console.warn(`Text extraction failed for page ${pageNumber}:`, error.message);
-      return '';
+      if (error.name !== 'PasswordException') {
+        // Corrupt files are left for the analysis step to report
+        return { encrypted: false, passwordProtected: false, status: 'unreadable' };
+      }
+    }
+
+    if (!password) {
+      return { encrypted: true, passwordProtected: true, status: 'password_required' };
+    }
+
+    try {
+      await this.openForInspection(buffer, password);
+      return { encrypted: true, passwordProtected: true, status: 'unlocked' };
+    } catch (error) {
+      const incorrect = error.name === 'PasswordException' && error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD;
+      return { encrypted: true, passwordProtected: true, status: incorrect ? 'password_incorrect' : 'unreadable' };
+    }
+  }
+
+  // Opening a document only parses the cross-reference table and trailer, so this stays cheap
+  async openForInspection(buffer, password) {
+    let doc = null;
+
+    try {
+      pdfjs.disableWorker = true;
+      doc = await pdfjs.getDocument(this.pdfSource(buffer, password));
+      return !!doc.pdfInfo.encrypted;
+    } finally {
+      if (doc) doc.destroy();
+    }
+  }
+
+  pdfSource(buffer, password) {
+    // pdf.js 1.10 mis-reads Node Buffers (e.g. through Buffer's view-returning slice)
+    // when decrypting, so it gets a plain Uint8Array over the same memory
+    const data = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+    return password ? { data, password } : data;
+  }
+
+  /**
+   * Walks the document once, collecting the text of every page through the
+   * pagerender hook (pdf-parse ignores first/last, so per-page calls re-parse
+   * the whole file each time)
+   */
+  async extractPageTexts(buffer, password = null) {
+    const pageTexts = [];
+
+    const pdfData = await pdf(this.pdfSource(buffer, password), {
+      pagerender: (pageData) => this.renderPage(pageData).then(text => {
+        pageTexts[pageData.pageIndex] = text || '';
+        return text;
+      }),
+      max: 0, // Process all pages
+      version: 'v1.10.100'
+    });
+
+    return {
+      totalPages: pdfData.numpages,
+      pageTexts,
+      info: pdfData.info
+    };
+  }
+
+  /**
+   * Detects the language from an evenly spread sample of pages, so front
+   * matter (copyright notices, publisher boilerplate) doesn't dominate
+   */
+  detectDocumentLanguage(pageTexts, samplePages = 40) {
+    const step = Math.max(1, Math.floor(pageTexts.length / samplePages));
+    const sample = pageTexts.filter((_, index) => index % step === 0).join('\n');
+
+    return detectLanguage(this.extractWords(sample));
+  }
+
+  /**
+   * Analyzes content of each page individually
+   */
+  async analyzePageContent(pageTexts, totalPages = pageTexts.length, languageCode = DEFAULT_LANGUAGE) {
+    const pageAnalysis = [];
+    const language = getLanguageProfile(languageCode);
+
+    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+      try {
+        // Pages pdf.js failed to render are left as holes in pageTexts
+        const pageText = pageTexts[pageNum - 1] || '';
+        pageAnalysis.push(this.analyzeTextContent(pageText, pageNum, language));
+      } catch (pageError) {
+        console.warn(`Failed to process page ${pageNum}:`, pageError.message);
+        // Create fallback analysis for failed pages
+        pageAnalysis.push(this.createFallbackPageAnalysis(pageNum));
+      }
     }
+
+    return pageAnalysis;
   }
 
   /**
    * Analyzes text content for difficulty, structure, and reading metrics
    */
-  analyzeTextContent(text, pageNumber) {
+  analyzeTextContent(text, pageNumber, language = getLanguageProfile(DEFAULT_LANGUAGE)) {
     if (!text || text.trim().length === 0) {
       return this.createFallbackPageAnalysis(pageNumber);
     }
@@ -152,18 +397,20 @@ class PDFProcessorService {
     
     // Readability metrics
     const avgWordsPerSentence = sentenceCount > 0 ? wordCount / sentenceCount : 0;
-    const avgSyllablesPerWord = this.calculateAverageSyllables(words);
-    const complexWordCount = this.countComplexWords(words);
+    const avgSyllablesPerWord = this.calculateAverageSyllables(words, language);
+    const complexWordCount = this.countComplexWords(words, language);
     const technicalTermCount = this.countTechnicalTerms(words);
+    const readingEase = language.readability.score({ avgWordsPerSentence, avgSyllablesPerWord });
     
     // Difficulty assessment
     const difficultyScore = this.calculateDifficultyScore({
       avgWordsPerSentence,
       avgSyllablesPerWord,
+      readingDifficulty: 100 - readingEase,
       complexWordPercentage: (complexWordCount / wordCount) * 100,
       technicalTermPercentage: (technicalTermCount / wordCount) * 100,
       sentenceVariety: this.calculateSentenceVariety(sentences)
-    });
+    }, language);
 
     // Content structure detection
     const hasHeadings = this.detectHeadings(text);
@@ -178,12 +425,13 @@ class PDFProcessorService {
 
     return {
       pageNumber,
-      textContent: text.substring(0, 5000), // Store first 5000 chars to avoid DB limits
+      textContent: text.substring(0, PAGE_PREVIEW_LENGTH), // Preview only, see pageTexts for the full text
       wordCount,
       sentenceCount,
       paragraphCount,
       avgWordsPerSentence: Math.round(avgWordsPerSentence * 10) / 10,
       avgSyllablesPerWord: Math.round(avgSyllablesPerWord * 100) / 100,
+      readingEase: Math.round(readingEase * 10) / 10,
       complexWordCount,
       technicalTermCount,
       difficultyScore: Math.round(difficultyScore * 100) / 100,
@@ -214,6 +462,7 @@ class PDFProcessorService {
       paragraphCount: 0,
       avgWordsPerSentence: 0,
       avgSyllablesPerWord: 0,
+      readingEase: null,
       complexWordCount: 0,
       technicalTermCount: 0,
       difficultyScore: 3.0, // Default medium difficulty
@@ -231,9 +480,11 @@ class PDFProcessorService {
 
   /**
    * Detects document structure (chapters, sections, etc.)
+   * Uses the PDF outline when one was found, falling back to text heuristics
    */
-  detectDocumentStructure(pageAnalysis) {
+  detectDocumentStructure(pageAnalysis, outline = null) {
     const structure = {
+      source: outline ? 'outline' : 'heuristic',
       chapters: [],
       sections: [],
       tableOfContents: [],
@@ -241,6 +492,36 @@ class PDFProcessorService {
       bibliography: []
     };
 
+    if (outline) {
+      const outlineStructure = this.buildOutlineStructure(outline, pageAnalysis);
+      structure.chapters = outlineStructure.chapters;
+      structure.sections = outlineStructure.sections;
+    } else {
+      this.detectHeuristicStructure(pageAnalysis, structure);
+    }
+
+    pageAnalysis.forEach(page => {
+      // Special content detection
+      if (this.isTableOfContentsPage(page.textContent)) {
+        structure.tableOfContents.push(page.pageNumber);
+      }
+      
+      if (this.isAppendixPage(page.textContent)) {
+        structure.appendices.push(page.pageNumber);
+      }
+      
+      if (this.isBibliographyPage(page.textContent)) {
+        structure.bibliography.push(page.pageNumber);
+      }
+    });
+
+    return structure;
+  }
+
+  /**
+   * Builds chapters and sections from the titles guessed on each page
+   */
+  detectHeuristicStructure(pageAnalysis, structure) {
     let currentChapter = null;
     let currentSection = null;
 
@@ -287,22 +568,128 @@ class PDFProcessorService {
         if (currentChapter) currentChapter.endPage = page.pageNumber;
         if (currentSection) currentSection.endPage = page.pageNumber;
       }
+    });
+  }
 
-      // Special content detection
-      if (this.isTableOfContentsPage(page.textContent)) {
-        structure.tableOfContents.push(page.pageNumber);
-      }
-      
-      if (this.isAppendixPage(page.textContent)) {
-        structure.appendices.push(page.pageNumber);
-      }
-      
-      if (this.isBibliographyPage(page.textContent)) {
-        structure.bibliography.push(page.pageNumber);
+  /**
+   * Builds a nested chapter/section tree from resolved outline entries and
+   * re-labels each page's chapter/section titles to match it
+   */
+  buildOutlineStructure(outline, pageAnalysis) {
+    const lastPage = pageAnalysis.length;
+    const sections = [];
+
+    // A single root entry is usually the book title wrapping the real chapters
+    let chapterEntries = outline;
+    while (chapterEntries.length === 1 && chapterEntries[0].children.length > 0) {
+      chapterEntries = chapterEntries[0].children;
+    }
+
+    const buildNodes = (entries, parentEndPage, chapterTitle, level) => entries.map((entry, index) => {
+      const nextEntry = entries[index + 1];
+      const endPage = nextEntry
+        ? Math.max(entry.pageNumber, nextEntry.pageNumber - 1)
+        : Math.max(entry.pageNumber, parentEndPage);
+
+      const node = {
+        title: entry.title,
+        startPage: entry.pageNumber,
+        endPage,
+        sections: []
+      };
+
+      if (level > 0) {
+        node.chapter = chapterTitle;
+        node.level = level;
+        sections.push(node);
       }
+
+      node.sections = buildNodes(entry.children, endPage, chapterTitle || entry.title, level + 1);
+      return node;
     });
 
-    return structure;
+    const chapters = buildNodes(chapterEntries, lastPage, null, 0);
+
+    // Page labels follow the outline: titles mark the page each part starts on
+    const pagesByNumber = new Map(pageAnalysis.map(page => [page.pageNumber, page]));
+    pageAnalysis.forEach(page => {
+      page.chapterTitle = null;
+      page.sectionTitle = null;
+    });
+
+    chapters.forEach(chapter => {
+      const page = pagesByNumber.get(chapter.startPage);
+      if (page && !page.chapterTitle) page.chapterTitle = chapter.title;
+    });
+
+    sections.forEach(section => {
+      const page = pagesByNumber.get(section.startPage);
+      if (page && !page.sectionTitle) page.sectionTitle = section.title;
+    });
+
+    return { chapters, sections };
+  }
+
+  /**
+   * Reads the PDF outline (bookmarks) with each entry resolved to a page number.
+   * Returns null when the document has no usable outline.
+   */
+  async extractOutline(buffer, password = null) {
+    let doc = null;
+
+    try {
+      pdfjs.disableWorker = true;
+      doc = await pdfjs.getDocument(this.pdfSource(buffer, password));
+
+      const outline = await doc.getOutline();
+      if (!outline || outline.length === 0) return null;
+
+      const entries = await this.resolveOutlineItems(doc, outline);
+      return entries.length > 0 ? entries : null;
+    } catch (error) {
+      console.warn('Could not read PDF outline:', error.message);
+      return null;
+    } finally {
+      if (doc) doc.destroy();
+    }
+  }
+
+  async resolveOutlineItems(doc, items) {
+    const entries = [];
+
+    for (const item of items) {
+      const children = item.items && item.items.length > 0
+        ? await this.resolveOutlineItems(doc, item.items)
+        : [];
+
+      // Entries without a destination take the page of their first child
+      const pageNumber = await this.resolveOutlineDestination(doc, item.dest)
+        || children[0]?.pageNumber
+        || null;
+
+      const title = (item.title || '').replace(/\s+/g, ' ').trim();
+      if (!pageNumber || !title) continue;
+
+      entries.push({ title, pageNumber, children });
+    }
+
+    return entries.sort((a, b) => a.pageNumber - b.pageNumber);
+  }
+
+  async resolveOutlineDestination(doc, dest) {
+    if (!dest) return null;
+
+    try {
+      const explicitDest = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+      if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+
+      const [target] = explicitDest;
+      if (Number.isInteger(target)) return target + 1;
+
+      return (await doc.getPageIndex(target)) + 1;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -316,6 +703,7 @@ class PDFProcessorService {
         totalWords: 0,
         averageDifficulty: 3.0,
         averageWordsPerPage: 0,
+        averageReadingEase: null,
         difficultyDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
         contentTypeDistribution: {},
         structuralComplexity: 'simple'
@@ -325,6 +713,10 @@ class PDFProcessorService {
     const totalWords = validPages.reduce((sum, page) => sum + page.wordCount, 0);
     const averageDifficulty = validPages.reduce((sum, page) => sum + page.difficultyScore, 0) / validPages.length;
     const averageWordsPerPage = totalWords / validPages.length;
+    const easePages = validPages.filter(page => typeof page.readingEase === 'number');
+    const averageReadingEase = easePages.length > 0
+      ? easePages.reduce((sum, page) => sum + page.readingEase, 0) / easePages.length
+      : null;
 
     // Difficulty distribution
     const difficultyDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
@@ -345,6 +737,7 @@ class PDFProcessorService {
       totalWords: Math.round(totalWords),
       averageDifficulty: Math.round(averageDifficulty * 100) / 100,
       averageWordsPerPage: Math.round(averageWordsPerPage),
+      averageReadingEase: averageReadingEase === null ? null : Math.round(averageReadingEase * 10) / 10,
       difficultyDistribution,
       contentTypeDistribution,
       structuralComplexity
@@ -405,8 +798,9 @@ class PDFProcessorService {
    * Text processing helper methods
    */
   extractWords(text) {
+    // Unicode-aware so accented letters (ä, ñ, é) don't split words apart
     return text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
+      .replace(/[^\p{L}\p{N}_\s]/gu, ' ')
       .split(/\s+/)
       .filter(word => word.length > 0);
   }
@@ -423,32 +817,25 @@ class PDFProcessorService {
       .filter(p => p.length > 0);
   }
 
-  calculateAverageSyllables(words) {
+  calculateAverageSyllables(words, language = getLanguageProfile(DEFAULT_LANGUAGE)) {
     if (words.length === 0) return 0;
     
     const totalSyllables = words.reduce((sum, word) => {
-      return sum + this.countSyllables(word);
+      return sum + this.countSyllables(word, language);
     }, 0);
     
     return totalSyllables / words.length;
   }
 
-  countSyllables(word) {
-    word = word.toLowerCase();
-    if (word.length <= 3) return 1;
-    
-    // Remove silent e
-    word = word.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '');
-    word = word.replace(/^y/, '');
-    
-    // Count vowel groups
-    const matches = word.match(/[aeiouy]{1,2}/g);
-    return matches ? matches.length : 1;
+  countSyllables(word, language = getLanguageProfile(DEFAULT_LANGUAGE)) {
+    return language.countSyllables(word);
   }
 
-  countComplexWords(words) {
+  countComplexWords(words, language = getLanguageProfile(DEFAULT_LANGUAGE)) {
+    const { minLength, minSyllables } = language.complexWord;
+
     return words.filter(word => 
-      word.length > 6 || this.countSyllables(word) > 2
+      word.length >= minLength || this.countSyllables(word, language) >= minSyllables
     ).length;
   }
 
@@ -479,10 +866,11 @@ class PDFProcessorService {
   /**
    * Difficulty scoring algorithm
    */
-  calculateDifficultyScore(metrics) {
+  calculateDifficultyScore(metrics, language = getLanguageProfile(DEFAULT_LANGUAGE)) {
     let score = 0;
     
     Object.entries(this.difficultyFactors).forEach(([key, factor]) => {
+      const ranges = language.difficultyRanges[key] || factor.ranges;
       let metricValue;
       switch (key) {
         case 'avgWordsPerSentence':
@@ -491,6 +879,9 @@ class PDFProcessorService {
         case 'avgSyllablesPerWord':
           metricValue = metrics.avgSyllablesPerWord;
           break;
+        case 'readingDifficulty':
+          metricValue = metrics.readingDifficulty;
+          break;
         case 'complexWords':
           metricValue = metrics.complexWordPercentage;
           break;
@@ -504,7 +895,7 @@ class PDFProcessorService {
           metricValue = 0;
       }
       
-      const difficultyContribution = this.mapValueToDifficulty(metricValue, factor.ranges);
+      const difficultyContribution = this.mapValueToDifficulty(metricValue, ranges);
       score += difficultyContribution * factor.weight;
     });
     
@@ -564,6 +955,130 @@ class PDFProcessorService {
     return imagePatterns.some(pattern => pattern.test(text));
   }
 
+  /**
+   * Collects "Figure N.M" / "Table N" captions with their page, plus the pages
+   * whose body text refers back to each one
+   */
+  extractFigureIndex(pageTexts) {
+    const entries = new Map();
+    const mentions = [];
+
+    pageTexts.forEach((text, index) => {
+      const pageNumber = index + 1;
+      const lines = (text || '').split('\n').map(line => line.trim());
+
+      lines.forEach((line, lineIndex) => {
+        const caption = this.parseCaptionLine(line, lines.slice(lineIndex + 1, lineIndex + 4));
+        if (!caption) return;
+
+        // The first caption wins; later matches are usually a list of figures or a repeat
+        const key = `${caption.kind}:${caption.label}`;
+        if (!entries.has(key)) {
+          entries.set(key, { ...caption, pageNumber, referencedOnPages: [] });
+        }
+      });
+
+      for (const match of (text || '').matchAll(FIGURE_MENTION_PATTERN)) {
+        const kind = /^tab/i.test(match[1]) ? 'table' : 'figure';
+        match[2].split(/\s*(?:,|and|&)\s*/).forEach(label => {
+          mentions.push({ key: `${kind}:${label.replace(/[a-z]$/, '')}`, pageNumber });
+        });
+      }
+    });
+
+    mentions.forEach(({ key, pageNumber }) => {
+      const entry = entries.get(key);
+      // A caption's own line counts as a mention; only other pages are back-references
+      if (entry && pageNumber !== entry.pageNumber && !entry.referencedOnPages.includes(pageNumber)) {
+        entry.referencedOnPages.push(pageNumber);
+      }
+    });
+
+    return [...entries.values()]
+      .map(entry => ({ ...entry, referencedOnPages: entry.referencedOnPages.sort((a, b) => a - b) }))
+      .sort((a, b) => a.pageNumber - b.pageNumber);
+  }
+
+  /**
+   * A caption starts its line with the label, followed by punctuation, a
+   * capitalised caption or nothing ("Table 1" above its caption). "Figure 3
+   * shows..." and subfigure labels like "Fig. 2a" are references instead.
+   */
+  parseCaptionLine(line, nextLines) {
+    const match = line.match(/^(Figure|FIGURE|Fig\.|FIG\.|Table|TABLE)\s*(\d+(?:[.-]\d+)*)(?![a-z\d])(.*)$/);
+    if (!match) return null;
+
+    const rest = match[3];
+    // Lists of figures/tables use dot leaders to the page number
+    if (/\.{3,}|\s\d+$/.test(rest)) return null;
+
+    let caption;
+    if (/^\s*[.:|—–-]/.test(rest)) {
+      caption = rest.replace(/^\s*[.:|—–-]\s*/, '');
+    } else if (/^\s+[\p{Lu}(]/u.test(rest)) {
+      caption = rest.trim();
+    } else if (rest.trim() === '') {
+      caption = nextLines.find(next => next.length > 0) || '';
+    } else {
+      return null;
+    }
+
+    // Wrapped captions continue until a sentence ends
+    let continuation = 0;
+    while (!/[.!?]$/.test(caption) && continuation < 2 && nextLines[continuation] &&
+      !/^(Figure|Fig\.|Table)\s*\d/i.test(nextLines[continuation]) && rest.trim() !== '') {
+      caption = caption.endsWith('-') ? caption.slice(0, -1) + nextLines[continuation] : `${caption} ${nextLines[continuation]}`;
+      continuation++;
+    }
+
+    // Extraction often runs the caption straight into the body text ("program.This is")
+    caption = caption.split(/(?<=\p{Ll}[.!?])(?=\p{Lu})/u)[0].trim();
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      caption = caption.substring(0, MAX_CAPTION_LENGTH).replace(/\s+\S*$/, '') + '…';
+    }
+
+    return {
+      kind: /^tab/i.test(match[1]) ? 'table' : 'figure',
+      label: match[2].replace(/-/g, '.'),
+      caption: caption || null
+    };
+  }
+
+  /**
+   * Replaces the stored figure and table index for a document
+   */
+  async saveFigureIndex(documentId, userId, figureIndex) {
+    await this.deleteFigureIndex(documentId, userId);
+
+    if (figureIndex.length === 0) return 0;
+
+    const { error } = await supabaseAdmin
+      .from('document_figures')
+      .insert(figureIndex.map(entry => ({
+        document_id: documentId,
+        user_id: userId,
+        kind: entry.kind,
+        label: entry.label,
+        caption: entry.caption,
+        page_number: entry.pageNumber,
+        referenced_on_pages: entry.referencedOnPages
+      })));
+
+    if (error) {
+      throw new Error(`Failed to store figure index: ${error.message}`);
+    }
+
+    return figureIndex.length;
+  }
+
+  async deleteFigureIndex(documentId, userId) {
+    await supabaseAdmin
+      .from('document_figures')
+      .delete()
+      .eq('document_id', documentId)
+      .eq('user_id', userId);
+  }
+
   detectMathContent(text) {
     const mathPatterns = [
       /\$[^$]+\$/, // LaTeX math
@@ -731,7 +1246,8 @@ class PDFProcessorService {
   }
 
   /**
-   * Save processed PDF data to database
+   * Save processed PDF data to database. Runs inside background jobs, some
+   * queued by admins for other users, so it writes through the service client.
    */
   async savePDFAnalysisToDatabase(documentId, userId, analysisData) {
     try {
@@ -762,7 +1278,7 @@ class PDFProcessorService {
       }));
 
       // Insert page analysis data
-      const { error: pageError } = await supabase
+      const { error: pageError } = await supabaseAdmin
         .from('pdf_content_analysis')
         .insert(pageInserts);
 
@@ -772,7 +1288,7 @@ class PDFProcessorService {
       }
 
       // Update document with overall metrics
-      const { error: docError } = await supabase
+      const { error: docError } = await supabaseAdmin
         .from('documents')
         .update({
           difficulty_level: Math.round(analysisData.documentMetrics.averageDifficulty),
@@ -939,4 +1455,6 @@ class PDFProcessorService {
   }
 }
 
+PDFProcessorService.PROCESSING_VERSION = PROCESSING_VERSION;
+
 module.exports = PDFProcessorService;
\ No newline at end of file
@@ -0,0 +1,293 @@
+// src/services/pdfSafetyScanner.js
+// Structural safety scan of uploaded PDFs, in the spirit of pdfid: looks for active
+// content and broken cross-reference tables without ever executing anything
+const zlib = require('zlib');
+
+const SCANNER_VERSION = '1.0.0';
+
+// Object streams hide dictionaries inside compressed data, so they are inflated too
+const MAX_OBJECT_STREAMS = 500;
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+const MAX_XREF_ENTRIES_CHECKED = 20000;
+
+// A name ends at whitespace or a delimiter
+const NAME_END = '(?=[\\s/\\[\\]()<>{}%]|$)';
+
+const KEYWORDS = {
+  javascript: new RegExp(`/(?:JavaScript|JS)${NAME_END}`, 'g'),
+  autoAction: new RegExp(`/(?:OpenAction|AA)${NAME_END}`, 'g'),
+  launch: new RegExp(`/Launch${NAME_END}`, 'g'),
+  embeddedFile: new RegExp(`/EmbeddedFiles?${NAME_END}`, 'g'),
+  richMedia: new RegExp(`/(?:RichMedia|XFA)${NAME_END}`, 'g'),
+  externalAction: new RegExp(`/(?:SubmitForm|ImportData|GoToR|GoToE)${NAME_END}`, 'g')
+};
+
+const EXECUTABLE_ATTACHMENT = /\/U?F\s*\(([^)]{0,200}\.(?:exe|com|scr|bat|cmd|msi|dll|vbs|vbe|js|jse|wsf|ps1|jar|sh|app|lnk|hta))\)/gi;
+
+// high rejects the upload, medium quarantines it, low is only recorded
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+class PdfSafetyScannerService {
+  /**
+   * Scans a PDF buffer. verdict is 'clean', 'quarantine' or 'reject', with the
+   * findings that led to it.
+   */
+  scan(buffer) {
+    const raw = buffer.toString('latin1');
+    const findings = [];
+
+    if (!/%PDF-\d\.\d/.test(raw.substring(0, 1024))) {
+      findings.push({
+        type: 'invalid_header',
+        severity: 'high',
+        detail: 'No %PDF- header in the first 1024 bytes; the file is not what its type claims'
+      });
+    }
+
+    const { texts, inflatedStreams, uninspectableStreams } = this.collectInspectableText(buffer, raw);
+    const counts = this.countKeywords(texts);
+
+    if (counts.launch > 0) {
+      findings.push({
+        type: 'launch_action',
+        severity: 'high',
+        count: counts.launch,
+        detail: 'Launch actions can start programs on the reader\'s machine'
+      });
+    }
+
+    if (counts.javascript > 0) {
+      const autoRun = counts.autoAction > 0;
+      findings.push({
+        type: autoRun ? 'javascript_autorun' : 'javascript',
+        severity: autoRun ? 'high' : 'medium',
+        count: counts.javascript,
+        detail: autoRun
+          ? 'Embedded JavaScript together with actions that run when the document is opened'
+          : 'Embedded JavaScript'
+      });
+    }
+
+    const executables = this.findExecutableAttachments(texts);
+    if (executables.length > 0) {
+      findings.push({
+        type: 'embedded_executable',
+        severity: 'high',
+        count: executables.length,
+        detail: `Attached executable files: ${executables.slice(0, 5).join(', ')}`
+      });
+    } else if (counts.embeddedFile > 0) {
+      findings.push({
+        type: 'embedded_file',
+        severity: 'medium',
+        count: counts.embeddedFile,
+        detail: 'The PDF carries embedded file attachments'
+      });
+    }
+
+    if (counts.richMedia > 0) {
+      findings.push({
+        type: 'rich_media',
+        severity: 'medium',
+        count: counts.richMedia,
+        detail: 'Rich media (Flash) or XFA form content'
+      });
+    }
+
+    if (counts.externalAction > 0) {
+      findings.push({
+        type: 'external_action',
+        severity: 'low',
+        count: counts.externalAction,
+        detail: 'Actions that submit data or open other documents'
+      });
+    }
+
+    const xrefProblem = this.validateXref(raw);
+    if (xrefProblem) {
+      findings.push({ type: 'malformed_xref', severity: 'medium', detail: xrefProblem });
+    }
+
+    if (uninspectableStreams > 0) {
+      findings.push({
+        type: 'uninspectable_streams',
+        severity: 'low',
+        count: uninspectableStreams,
+        detail: 'Some object streams could not be decompressed (encrypted or damaged) and were not scanned'
+      });
+    }
+
+    const worst = findings.reduce((max, finding) => Math.max(max, SEVERITY_RANK[finding.severity]), 0);
+
+    return {
+      verdict: worst >= SEVERITY_RANK.high ? 'reject' : worst >= SEVERITY_RANK.medium ? 'quarantine' : 'clean',
+      findings,
+      objectStreamsInspected: inflatedStreams,
+      scannerVersion: SCANNER_VERSION,
+      scannedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * A one-line reason for a verdict, for error messages and the UI
+   */
+  describeVerdict(result) {
+    const reasons = result.findings
+      .filter(finding => finding.severity !== 'low')
+      .map(finding => finding.detail);
+    return reasons.length > 0 ? reasons.join('; ') : 'No risky content found';
+  }
+
+  /**
+   * The file's own text plus the contents of its compressed object streams,
+   * with #xx escapes in names decoded (/J#61vaScript is /JavaScript)
+   */
+  collectInspectableText(buffer, raw) {
+    const texts = [decodeNames(raw)];
+    let inflatedStreams = 0;
+    let uninspectableStreams = 0;
+    let inflatedBytes = 0;
+
+    const objectStreamPattern = /\/Type\s*\/ObjStm/g;
+    let match;
+
+    while ((match = objectStreamPattern.exec(raw)) !== null) {
+      if (inflatedStreams + uninspectableStreams >= MAX_OBJECT_STREAMS || inflatedBytes >= MAX_INFLATED_BYTES) break;
+
+      const streamKeyword = raw.indexOf('stream', match.index);
+      if (streamKeyword < 0 || streamKeyword - match.index > 2000) continue;
+
+      const dictionary = raw.substring(Math.max(0, match.index - 500), streamKeyword);
+      if (!/\/FlateDecode/.test(dictionary)) continue;
+
+      let dataStart = streamKeyword + 'stream'.length;
+      if (raw[dataStart] === '\r') dataStart++;
+      if (raw[dataStart] === '\n') dataStart++;
+
+      const dataEnd = raw.indexOf('endstream', dataStart);
+      if (dataEnd < 0) continue;
+
+      try {
+        // Sync flush tolerates the trailing end-of-line and slightly short streams
+        const inflated = zlib.inflateSync(buffer.subarray(dataStart, dataEnd), {
+          finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          maxOutputLength: MAX_INFLATED_BYTES - inflatedBytes
+        });
+        texts.push(decodeNames(inflated.toString('latin1')));
+        inflatedBytes += inflated.length;
+        inflatedStreams++;
+      } catch (error) {
+        uninspectableStreams++;
+      }
+
+      objectStreamPattern.lastIndex = dataEnd;
+    }
+
+    return { texts, inflatedStreams, uninspectableStreams };
+  }
+
+  countKeywords(texts) {
+    const counts = {};
+    Object.entries(KEYWORDS).forEach(([key, pattern]) => {
+      counts[key] = texts.reduce((sum, text) => sum + (text.match(pattern) || []).length, 0);
+    });
+    return counts;
+  }
+
+  findExecutableAttachments(texts) {
+    const names = new Set();
+    texts.forEach(text => {
+      for (const match of text.matchAll(EXECUTABLE_ATTACHMENT)) {
+        names.add(match[1].split(/[\\/]/).pop());
+      }
+    });
+    return [...names];
+  }
+
+  /**
+   * Checks that startxref points at a cross-reference table or stream and that
+   * the table's in-use entries point at the objects they name. Readers silently
+   * rebuild broken tables, and different readers rebuild them differently,
+   * which is how some exploits show one reader content another never sees.
+   * Returns a description of the problem, or null.
+   */
+  validateXref(raw) {
+    const startxrefMatches = [...raw.matchAll(/startxref\s+(\d+)/g)];
+    if (startxrefMatches.length === 0) {
+      return 'No startxref pointer to a cross-reference table';
+    }
+
+    const offset = parseInt(startxrefMatches[startxrefMatches.length - 1][1]);
+    if (offset >= raw.length) {
+      return `startxref points past the end of the file (${offset})`;
+    }
+
+    const atOffset = raw.substring(offset, offset + 64);
+
+    if (/^\s*\d+\s+\d+\s+obj/.test(atOffset)) {
+      // Cross-reference stream; its entries are compressed and checked by the parser
+      return /\/XRef/.test(raw.substring(offset, offset + 1000))
+        ? null
+        : 'startxref points at an object that is not a cross-reference stream';
+    }
+
+    if (!/^\s*xref/.test(atOffset)) {
+      return 'startxref does not point at a cross-reference table';
+    }
+
+    const sectionPattern = /(\d+)[ \t]+(\d+)[ \t]*(?:\r\n|\r|\n)/y;
+    const entryPattern = /(\d{10})\s(\d{5})\s([nf])\s{1,2}/y;
+    let position = raw.indexOf('xref', offset) + 4;
+    while (/\s/.test(raw[position])) position++;
+
+    let checked = 0;
+    let mismatched = 0;
+
+    while (checked < MAX_XREF_ENTRIES_CHECKED) {
+      sectionPattern.lastIndex = position;
+      const section = sectionPattern.exec(raw);
+      if (!section) break;
+
+      const firstObject = parseInt(section[1]);
+      const entryCount = parseInt(section[2]);
+      position = sectionPattern.lastIndex;
+
+      for (let i = 0; i < entryCount; i++) {
+        entryPattern.lastIndex = position;
+        const entry = entryPattern.exec(raw);
+        if (!entry) {
+          return `Cross-reference subsection for objects ${firstObject}-${firstObject + entryCount - 1} is truncated`;
+        }
+        position = entryPattern.lastIndex;
+
+        if (entry[3] !== 'n' || checked >= MAX_XREF_ENTRIES_CHECKED) continue;
+        checked++;
+
+        const objectOffset = parseInt(entry[1]);
+        const header = raw.substring(objectOffset, objectOffset + 40).match(/^\s*(\d+)\s+(\d+)\s+obj/);
+        if (!header || parseInt(header[1]) !== firstObject + i) {
+          mismatched++;
+        }
+      }
+    }
+
+    if (!/^\s*trailer/.test(raw.substring(position, position + 64))) {
+      return 'Cross-reference table is not followed by a trailer';
+    }
+
+    return mismatched > 0
+      ? `${mismatched} of ${checked} cross-reference entries point at the wrong offset`
+      : null;
+  }
+}
+
+function decodeNames(text) {
+  if (!text.includes('#')) return text;
+  return text.replace(/\/[^\s/[\]()<>{}%]*#[0-9A-Fa-f]{2}[^\s/[\]()<>{}%]*/g, name =>
+    name.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  );
+}
+
+PdfSafetyScannerService.SCANNER_VERSION = SCANNER_VERSION;
+
+module.exports = PdfSafetyScannerService;
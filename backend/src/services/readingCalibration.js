@@ -0,0 +1,340 @@
+// src/services/readingCalibration.js
+// Per-user reading time model learned from completed pages
+const { supabase, supabaseAdmin } = require('../config/supabase');
+
+// Features are scaled so each coefficient reads as "seconds per unit"
+const FEATURES = [
+  { name: 'base_seconds_per_page', value: () => 1 },
+  { name: 'seconds_per_100_words', value: page => page.wordCount / 100 },
+  // Extra time per 100 words for each difficulty level above medium (3)
+  { name: 'seconds_per_100_words_per_difficulty_level', value: page => (page.wordCount / 100) * (page.difficultyLevel - 3) },
+  { name: 'equation_page_seconds', value: page => (page.hasEquations ? 1 : 0) },
+  { name: 'code_page_seconds', value: page => (page.hasCode ? 1 : 0) }
+];
+
+// Prior roughly matching PDFProcessorService.readingSpeedsWPM (300-100 WPM),
+// so a user with little history gets the same estimates as everyone else
+const PRIOR_COEFFICIENTS = [0, 30, 10, 45, 25];
+
+// Completed pages outside these bounds are treated as noise (idle tabs, skims)
+const MIN_PAGE_SECONDS = 5;
+const MAX_PAGE_SECONDS = 1800;
+
+// PostgREST returns at most 1000 rows per request
+const ANALYSIS_FETCH_PAGE_SIZE = 1000;
+
+class ReadingCalibrationService {
+  constructor(options = {}) {
+    // Completed pages needed before a personal model is used at all
+    this.minPages = options.minPages || parseInt(process.env.CALIBRATION_MIN_PAGES) || 20;
+    // Refit once this many new pages have been completed since the last fit
+    this.refitEvery = options.refitEvery || parseInt(process.env.CALIBRATION_REFIT_EVERY_PAGES) || 10;
+    // Ridge strength pulling coefficients towards the prior
+    this.lambda = options.lambda ?? (parseFloat(process.env.CALIBRATION_RIDGE_LAMBDA) || 5);
+    this.maxSamples = options.maxSamples || 500;
+  }
+
+  /**
+   * Returns the stored model for a user, or null if none has been fitted
+   */
+  async getModel(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('user_reading_calibration')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Calibration lookup failed:', error.message);
+      return null;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Refits the user's model when enough new pages have been completed
+   */
+  async refitIfDue(userId) {
+    try {
+      const { count } = await supabase
+        .from('document_pages')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('is_completed', true)
+        .gt('time_spent_seconds', 0);
+
+      if (!count || count < this.minPages) return null;
+
+      const model = await this.getModel(userId);
+      if (model && count - (model.pages_at_fit || 0) < this.refitEvery) return model;
+
+      return await this.refit(userId, count);
+    } catch (error) {
+      console.error('Calibration refit check failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Fits and stores a fresh model from the user's completed pages
+   */
+  async refit(userId, completedPages = null) {
+    const samples = await this.loadTrainingSamples(userId);
+
+    if (samples.length < this.minPages) {
+      return null;
+    }
+
+    const fit = this.fit(samples);
+
+    const record = {
+      user_id: userId,
+      coefficients: this.namedCoefficients(fit.coefficients),
+      sample_count: samples.length,
+      pages_at_fit: completedPages ?? samples.length,
+      ridge_lambda: this.lambda,
+      rmse_seconds: fit.error.rmse,
+      mae_seconds: fit.error.mae,
+      r_squared: fit.error.rSquared,
+      baseline_mae_seconds: fit.baselineError.mae,
+      fitted_at: new Date().toISOString()
+    };
+
+    const { data, error } = await supabaseAdmin
+      .from('user_reading_calibration')
+      .upsert(record, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to store calibration: ${error.message}`);
+    }
+
+    console.log(`🎯 Refit reading calibration for user ${userId}: ${samples.length} pages, MAE ${record.mae_seconds}s (default ${record.baseline_mae_seconds}s)`);
+    return data;
+  }
+
+  /**
+   * Completed pages joined with their content analysis features
+   */
+  async loadTrainingSamples(userId) {
+    const { data: pages, error } = await supabase
+      .from('document_pages')
+      .select('document_id, page_number, time_spent_seconds')
+      .eq('user_id', userId)
+      .eq('is_completed', true)
+      .gte('time_spent_seconds', MIN_PAGE_SECONDS)
+      .lte('time_spent_seconds', MAX_PAGE_SECONDS)
+      .order('last_read_at', { ascending: false })
+      .limit(this.maxSamples);
+
+    if (error) throw new Error(`Failed to load completed pages: ${error.message}`);
+    if (!pages || pages.length === 0) return [];
+
+    const documentIds = [...new Set(pages.map(page => page.document_id))];
+    const analysisRows = await this.loadPageAnalysis(documentIds);
+
+    const analysisByPage = new Map(
+      analysisRows.map(row => [`${row.document_id}:${row.page_number}`, row])
+    );
+
+    return pages
+      .map(page => {
+        const analysis = analysisByPage.get(`${page.document_id}:${page.page_number}`);
+        if (!analysis) return null;
+        return {
+          ...this.toPageFeatures(analysis),
+          seconds: page.time_spent_seconds
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Content analysis features of every page of the given documents, read in
+   * batches so large libraries are not cut off at the row limit
+   */
+  async loadPageAnalysis(documentIds) {
+    const rows = [];
+
+    for (let from = 0; ; from += ANALYSIS_FETCH_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('pdf_content_analysis')
+        .select('document_id, page_number, word_count, difficulty_level, has_equations, has_code')
+        .in('document_id', documentIds)
+        .order('document_id')
+        .order('page_number')
+        .range(from, from + ANALYSIS_FETCH_PAGE_SIZE - 1);
+
+      if (error) throw new Error(`Failed to load page analysis: ${error.message}`);
+
+      rows.push(...data);
+      if (data.length < ANALYSIS_FETCH_PAGE_SIZE) break;
+    }
+
+    return rows;
+  }
+
+  /**
+   * Personal estimate in seconds for each page of a document, keyed by page
+   * number, or null when the user has no model or the document no analysis
+   */
+  async estimateDocumentPages(userId, documentId) {
+    const model = await this.getModel(userId);
+    if (!model) return null;
+
+    const analysisRows = await this.loadPageAnalysis([documentId]);
+    if (analysisRows.length === 0) return null;
+
+    return new Map(analysisRows.map(row => [row.page_number, this.estimatePageSeconds(model, row)]));
+  }
+
+  toPageFeatures(analysisRow) {
+    return {
+      wordCount: analysisRow.word_count || 0,
+      difficultyLevel: analysisRow.difficulty_level || 3,
+      hasEquations: Boolean(analysisRow.has_equations),
+      hasCode: Boolean(analysisRow.has_code)
+    };
+  }
+
+  /**
+   * Ridge regression shrunk towards the prior: minimises
+   * |y - Xb|^2 + lambda * |b - prior|^2
+   */
+  fit(samples) {
+    const size = FEATURES.length;
+    const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+    const xty = new Array(size).fill(0);
+
+    samples.forEach(sample => {
+      const row = this.featureVector(sample);
+      for (let i = 0; i < size; i++) {
+        xty[i] += row[i] * sample.seconds;
+        for (let j = 0; j < size; j++) {
+          xtx[i][j] += row[i] * row[j];
+        }
+      }
+    });
+
+    for (let i = 0; i < size; i++) {
+      xtx[i][i] += this.lambda;
+      xty[i] += this.lambda * PRIOR_COEFFICIENTS[i];
+    }
+
+    const coefficients = solveLinearSystem(xtx, xty) || [...PRIOR_COEFFICIENTS];
+
+    return {
+      coefficients,
+      error: this.measureError(samples, sample => this.predictWith(coefficients, sample)),
+      baselineError: this.measureError(samples, sample => this.predictWith(PRIOR_COEFFICIENTS, sample))
+    };
+  }
+
+  measureError(samples, predict) {
+    const mean = samples.reduce((sum, sample) => sum + sample.seconds, 0) / samples.length;
+    let squaredError = 0;
+    let absoluteError = 0;
+    let totalVariance = 0;
+
+    samples.forEach(sample => {
+      const residual = sample.seconds - predict(sample);
+      squaredError += residual * residual;
+      absoluteError += Math.abs(residual);
+      totalVariance += (sample.seconds - mean) ** 2;
+    });
+
+    return {
+      rmse: Math.round(Math.sqrt(squaredError / samples.length) * 10) / 10,
+      mae: Math.round((absoluteError / samples.length) * 10) / 10,
+      rSquared: totalVariance > 0 ? Math.round((1 - squaredError / totalVariance) * 1000) / 1000 : null
+    };
+  }
+
+  featureVector(page) {
+    return FEATURES.map(feature => feature.value(page));
+  }
+
+  predictWith(coefficients, page) {
+    const row = this.featureVector(page);
+    const seconds = row.reduce((sum, value, i) => sum + value * coefficients[i], 0);
+    return Math.max(MIN_PAGE_SECONDS, Math.min(seconds, MAX_PAGE_SECONDS));
+  }
+
+  /**
+   * Estimated seconds for a page (pdf_content_analysis row) using a stored model
+   */
+  estimatePageSeconds(model, analysisRow) {
+    const coefficients = FEATURES.map((feature, i) =>
+      model.coefficients?.[feature.name] ?? PRIOR_COEFFICIENTS[i]
+    );
+    return Math.round(this.predictWith(coefficients, this.toPageFeatures(analysisRow)));
+  }
+
+  namedCoefficients(coefficients) {
+    return FEATURES.reduce((named, feature, i) => {
+      named[feature.name] = Math.round(coefficients[i] * 100) / 100;
+      return named;
+    }, {});
+  }
+
+  /**
+   * API view of a stored model, including the default it replaces
+   */
+  describeModel(model) {
+    return {
+      coefficients: model.coefficients,
+      default_coefficients: this.namedCoefficients(PRIOR_COEFFICIENTS),
+      sample_count: model.sample_count,
+      ridge_lambda: model.ridge_lambda,
+      error: {
+        rmse_seconds: model.rmse_seconds,
+        mae_seconds: model.mae_seconds,
+        r_squared: model.r_squared,
+        default_model_mae_seconds: model.baseline_mae_seconds
+      },
+      improvement_over_default: model.baseline_mae_seconds > 0
+        ? Math.round((1 - model.mae_seconds / model.baseline_mae_seconds) * 100)
+        : null,
+      fitted_at: model.fitted_at
+    };
+  }
+}
+
+// Gaussian elimination with partial pivoting; returns null if singular
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= size; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = a[row][size];
+    for (let k = row + 1; k < size; k++) {
+      sum -= a[row][k] * solution[k];
+    }
+    solution[row] = sum / a[row][row];
+  }
+
+  return solution;
+}
+
+ReadingCalibrationService.FEATURES = FEATURES.map(feature => feature.name);
+
+module.exports = ReadingCalibrationService;
@@ -0,0 +1,157 @@
+// src/services/readingPositions.js
+// Exact resume positions (page, scroll, zoom) synced across a user's devices
+const { supabaseAdmin } = require('../config/supabase');
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 10;
+const MAX_DEVICE_ID_LENGTH = 100;
+
+const POSITION_COLUMNS = 'document_id, page_number, scroll_offset, zoom, device_id, updated_at, synced_at';
+
+class ReadingPositionService {
+  /**
+   * Checks a position sent by a client. updated_at is when the reader was
+   * there; it defaults to now and is capped at now so a device with a fast
+   * clock cannot win every future conflict.
+   * Returns { error } with a 400 body, or { position }.
+   */
+  validate(input, totalPages = 0) {
+    const fail = (error, details) => ({ error: { error, details } });
+
+    const pageNumber = Number(input.page_number);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || (totalPages > 0 && pageNumber > totalPages)) {
+      return fail('Invalid page_number', `page_number must be between 1 and ${totalPages || 'the page count'}`);
+    }
+
+    const scrollOffset = input.scroll_offset === undefined ? 0 : Number(input.scroll_offset);
+    if (!Number.isFinite(scrollOffset) || scrollOffset < 0 || scrollOffset > 1) {
+      return fail('Invalid scroll_offset', 'scroll_offset is the fraction of the page scrolled past, from 0 to 1');
+    }
+
+    const zoom = input.zoom === undefined ? 1 : Number(input.zoom);
+    if (!Number.isFinite(zoom) || zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+      return fail('Invalid zoom', `zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM} (1 is 100%)`);
+    }
+
+    if (input.device_id != null && (typeof input.device_id !== 'string' || input.device_id.length > MAX_DEVICE_ID_LENGTH)) {
+      return fail('Invalid device_id', `device_id must be a string of at most ${MAX_DEVICE_ID_LENGTH} characters`);
+    }
+
+    const now = new Date();
+    let updatedAt = now;
+    if (input.updated_at !== undefined) {
+      updatedAt = new Date(input.updated_at);
+      if (isNaN(updatedAt.getTime())) {
+        return fail('Invalid updated_at', 'updated_at must be an ISO 8601 timestamp');
+      }
+      if (updatedAt > now) updatedAt = now;
+    }
+
+    return {
+      position: {
+        page_number: pageNumber,
+        scroll_offset: scrollOffset,
+        zoom,
+        device_id: input.device_id || null,
+        updated_at: updatedAt.toISOString()
+      }
+    };
+  }
+
+  /**
+   * Saves a position unless a newer one is stored. Returns { position, applied };
+   * when applied is false, position is the newer stored one.
+   */
+  async save(documentId, userId, position) {
+    const { data, error } = await supabaseAdmin.rpc('save_reading_position', {
+      p_user_id: userId,
+      p_document_id: documentId,
+      p_page_number: position.page_number,
+      p_scroll_offset: position.scroll_offset,
+      p_zoom: position.zoom,
+      p_device_id: position.device_id,
+      p_updated_at: position.updated_at
+    });
+
+    if (error) {
+      throw new Error(`Failed to save reading position: ${error.message}`);
+    }
+
+    const { applied, ...saved } = data[0];
+    return { position: saved, applied };
+  }
+
+  async get(documentId, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('document_reading_positions')
+      .select(POSITION_COLUMNS)
+      .eq('document_id', documentId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load reading position: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Positions for many documents, keyed by document id
+   */
+  async getForDocuments(documentIds, userId) {
+    const positions = new Map();
+    if (documentIds.length === 0) return positions;
+
+    const { data, error } = await supabaseAdmin
+      .from('document_reading_positions')
+      .select(POSITION_COLUMNS)
+      .eq('user_id', userId)
+      .in('document_id', documentIds);
+
+    if (error) {
+      console.error('Fetch reading positions error:', error);
+      return positions;
+    }
+
+    data.forEach(position => positions.set(position.document_id, position));
+    return positions;
+  }
+
+  /**
+   * The user's most recently read documents with their positions, newest
+   * first. Trashed documents are left out.
+   */
+  async listRecent(userId, limit) {
+    const { data, error } = await supabaseAdmin
+      .from('document_reading_positions')
+      .select(`
+        ${POSITION_COLUMNS},
+        documents!inner (
+          id,
+          title,
+          file_name,
+          total_pages,
+          processing_status,
+          topics (
+            id,
+            name,
+            color,
+            icon
+          )
+        )
+      `)
+      .eq('user_id', userId)
+      .is('documents.deleted_at', null)
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to load recent documents: ${error.message}`);
+    }
+
+    return (data || []).filter(row => row.documents);
+  }
+}
+
+module.exports = ReadingPositionService;
@@ -0,0 +1,363 @@
+// src/services/referenceParser.js
+// Parses bibliography pages into structured references and exports BibTeX / CSL-JSON
+const { supabaseAdmin } = require('../config/supabase');
+
+const HEADING_PATTERN = /^\s*(?:\d+\.?\s*)?(?:references|bibliography|works\s+cited|literature\s+cited)\s*$/im;
+const NUMBERED_ENTRY = /^\s*(?:\[(\d{1,4})\]|(\d{1,3})\.\s+(?=[\p{Lu}]))/u;
+// "Surname, A." / "Surname, Given" opening an author-year entry
+const AUTHOR_YEAR_ENTRY = /^\s*[\p{Lu}][\p{L}'’-]+(?:\s[\p{Lu}][\p{L}'’-]+)?,\s+(?:[\p{Lu}]\.|[\p{Lu}][\p{Ll}]+)/u;
+const YEAR_PATTERN = /\b(1[89]\d{2}|20\d{2})[a-z]?\b/;
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>,;]+)/i;
+const URL_PATTERN = /https?:\/\/\S+/i;
+
+class ReferenceParserService {
+  /**
+   * Extracts references from the pages flagged as bibliography.
+   * pageTexts[i] is the full text of page i + 1.
+   */
+  extractReferences(pageTexts, bibliographyPages = []) {
+    const lines = [];
+
+    [...bibliographyPages].sort((a, b) => a - b).forEach(pageNumber => {
+      const text = pageTexts[pageNumber - 1] || '';
+      // Skip whatever precedes the heading on the page where the list starts
+      const headingMatch = text.match(HEADING_PATTERN);
+      const listText = headingMatch ? text.slice(headingMatch.index + headingMatch[0].length) : text;
+
+      listText.split('\n').forEach(line => {
+        if (line.trim()) lines.push({ text: line.trim(), pageNumber });
+      });
+    });
+
+    return this.splitEntries(lines)
+      .filter(entry => this.looksLikeReference(entry.text))
+      .map((entry, index) => ({
+        position: index + 1,
+        pageNumber: entry.pageNumber,
+        ...this.parseReference(entry.text)
+      }));
+  }
+
+  /**
+   * Groups lines into entries, using [n] / n. labels when the list is numbered
+   * and "Surname, A." openings otherwise
+   */
+  splitEntries(lines) {
+    const numberedLines = lines.filter(line => NUMBERED_ENTRY.test(line.text)).length;
+    const numbered = numberedLines >= 2;
+
+    const entries = [];
+    let current = null;
+
+    lines.forEach(line => {
+      const startsEntry = numbered
+        ? NUMBERED_ENTRY.test(line.text)
+        // An entry is over once it ends a sentence or its trailing DOI/URL
+        : AUTHOR_YEAR_ENTRY.test(line.text) && (!current || /[.)]$|\/\S*$/.test(current.text));
+
+      if (startsEntry) {
+        current = { text: line.text, pageNumber: line.pageNumber };
+        entries.push(current);
+      } else if (current) {
+        current.text = joinLines(current.text, line.text);
+      }
+    });
+
+    return entries;
+  }
+
+  looksLikeReference(text) {
+    if (text.length < 25 || text.length > 1500) return false;
+    const withoutUrls = text.replace(URL_PATTERN, '');
+    return YEAR_PATTERN.test(withoutUrls) || DOI_PATTERN.test(text) || URL_PATTERN.test(text);
+  }
+
+  /**
+   * Best-effort parse of one reference in APA, IEEE (quoted title) or
+   * ACM/Springer ("Authors. Title. Venue, year.") style
+   */
+  parseReference(raw) {
+    const text = raw.replace(NUMBERED_ENTRY, '').trim();
+
+    const doiMatch = text.match(DOI_PATTERN);
+    const doi = doiMatch ? doiMatch[1].replace(/[.)\]]+$/, '') : null;
+    const urlMatch = text.match(URL_PATTERN);
+    const url = urlMatch && !/doi\.org/i.test(urlMatch[0]) ? urlMatch[0].replace(/[.,)\]]+$/, '') : null;
+
+    // Years inside URLs or DOIs don't count; extraction also drops the space after some periods
+    const plain = text
+      .replace(URL_PATTERN, ' ')
+      .replace(DOI_PATTERN, ' ')
+      .replace(/([\p{Ll}]{2})\.(?=[\p{Lu}])/gu, '$1. ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    let authorsText = '';
+    let title = null;
+    let rest = '';
+    let year = null;
+
+    const apa = plain.match(/^(.+?)\s*\((\d{4})[a-z]?(?:,[^)]*)?\)\.?\s*(.+)$/);
+    const quoted = plain.match(/^(.+?),?\s*["“](.+?)[,.]?["”],?\s*(.*)$/);
+
+    if (apa) {
+      authorsText = apa[1];
+      year = parseInt(apa[2]);
+      [title, rest] = splitFirstSentence(apa[3]);
+    } else if (quoted) {
+      authorsText = quoted[1];
+      title = quoted[2];
+      rest = quoted[3];
+    } else {
+      const [first, afterAuthors] = splitFirstSentence(plain);
+      [title, rest] = splitFirstSentence(afterAuthors);
+
+      // A lone segment ("Ruby. https://...") is a title, not an author
+      if (title) {
+        authorsText = first;
+      } else {
+        title = first;
+      }
+    }
+
+    if (!year) {
+      const years = plain.match(new RegExp(YEAR_PATTERN.source, 'g')) || [];
+      year = years.length > 0 ? parseInt(years[years.length - 1]) : null;
+    }
+
+    const venue = this.extractVenue(rest);
+    const volumeMatch = rest.match(/\bvol(?:ume)?\.?\s*(\d+)/i) || rest.match(/,\s*(\d+)\s*\(\d+\)/);
+    const issueMatch = rest.match(/\bno\.?\s*(\d+)/i) || rest.match(/\d+\s*\((\d+)\)/);
+    const pagesMatch = rest.match(/\bpp?\.\s*([\d:]+\s*[-–—{]+\s*[\d:]+|\d+)/i) ||
+      rest.match(/,\s*(\d+\s*[-–—]\s*\d+)\.?\s*$/);
+
+    return {
+      raw: raw.trim(),
+      authors: this.parseAuthors(authorsText),
+      title: cleanField(title),
+      year,
+      venue,
+      volume: volumeMatch ? volumeMatch[1] : null,
+      issue: issueMatch ? issueMatch[1] : null,
+      // pdf.js sometimes maps the en dash in page ranges to "{"
+      pages: pagesMatch ? pagesMatch[1].replace(/\s*[-–—{]+\s*/, '-') : null,
+      doi,
+      url,
+      type: this.guessType(rest, { doi, url, title })
+    };
+  }
+
+  extractVenue(rest) {
+    const venue = (rest || '')
+      .replace(/^in:?\s*(?=[\p{Lu}])/iu, '')
+      .replace(/^[\p{L}. ]+,\s*editors?,\s*/iu, '') // "Isil Dillig and Jens Palsberg, editors,"
+      .split(/,\s*(?:pp?\.|vol\.|no\.|\d)|\(\d/i)[0];
+    return cleanField(splitFirstSentence(venue)[0]);
+  }
+
+  parseAuthors(authorsText) {
+    const text = (authorsText || '')
+      .replace(/\([^)]*\)/g, ' ') // Nicknames like "Jong-hoon (David) An"
+      .replace(/\bet\s+al\.?/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (!text) return [];
+
+    // "Surname, A. B., & Other, C." (APA), recognised by the list opening that way
+    const inverted = !/^[\p{Lu}][\p{L}'’-]+(?:\s[\p{Lu}][\p{L}'’-]+)*,\s[\p{Lu}]\./u.test(text) ? [] : [...text.matchAll(/([\p{Lu}][\p{L}'’-]+(?:\s[\p{Lu}][\p{L}'’-]+)*),\s((?:[\p{Lu}]\.\s?-?)+)/gu)];
+    if (inverted.length > 0) {
+      return inverted.map(match => ({ family: match[1], given: match[2].trim() }));
+    }
+
+    // "Given Family, Given Family, and Given Family"
+    return text
+      .split(/\s*,\s*(?:and\s+)?|\s+and\s+|\s*&\s*/)
+      .map(name => name.trim())
+      .filter(name => /\p{L}/u.test(name))
+      .map(name => {
+        const parts = name.split(' ');
+        return parts.length === 1
+          ? { family: parts[0], given: '' }
+          : { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') };
+      });
+  }
+
+  guessType(rest, { doi, url, title }) {
+    if (/proc(?:eedings|\.)|conference|symposium|workshop|\bconf\b/i.test(rest)) return 'paper-conference';
+    if (/journal|transactions|\bvol\.|\d+\s*\(\d+\)/i.test(rest)) return 'article-journal';
+    if (/thesis|dissertation/i.test(rest)) return 'thesis';
+    if (/press|publish|edition|\bed\.|springer|wiley|elsevier|o'reilly/i.test(rest)) return 'book';
+    if (url && !doi && !rest) return 'webpage';
+    return title ? 'article' : 'document';
+  }
+
+  /**
+   * BibTeX entries with unique citation keys
+   */
+  toBibTeX(references) {
+    const usedKeys = new Map();
+    const bibtexTypes = {
+      'article-journal': 'article',
+      'paper-conference': 'inproceedings',
+      book: 'book',
+      thesis: 'phdthesis'
+    };
+    const venueFields = {
+      'article-journal': 'journal',
+      'paper-conference': 'booktitle',
+      book: 'publisher'
+    };
+
+    return references.map(reference => {
+      const key = uniqueKey(citationKey(reference), usedKeys);
+      const type = bibtexTypes[reference.reference_type] || 'misc';
+      const fields = [
+        ['author', reference.authors.map(author => [author.family, author.given].filter(Boolean).join(', ')).join(' and ')],
+        ['title', reference.title],
+        ['year', reference.year],
+        [venueFields[reference.reference_type] || 'howpublished', reference.venue],
+        ['volume', reference.volume],
+        ['number', reference.issue],
+        ['pages', reference.pages ? reference.pages.replace('-', '--') : null],
+        ['doi', reference.doi],
+        ['url', reference.url]
+      ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+      const body = fields
+        .map(([name, value]) => `  ${name} = {${escapeBibTeX(String(value), name)}}`)
+        .join(',\n');
+
+      return `@${type}{${key},\n${body}\n}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * CSL-JSON items (Zotero, Mendeley and pandoc all import this)
+   */
+  toCSLJSON(references) {
+    const usedKeys = new Map();
+
+    return references.map(reference => {
+      const item = {
+        id: uniqueKey(citationKey(reference), usedKeys),
+        type: reference.reference_type === 'document' ? 'article' : reference.reference_type,
+        title: reference.title || undefined,
+        author: reference.authors.length > 0 ? reference.authors : undefined,
+        issued: reference.year ? { 'date-parts': [[reference.year]] } : undefined,
+        'container-title': reference.venue || undefined,
+        volume: reference.volume || undefined,
+        issue: reference.issue || undefined,
+        page: reference.pages || undefined,
+        DOI: reference.doi || undefined,
+        URL: reference.url || undefined,
+        note: reference.title ? undefined : reference.raw_text
+      };
+
+      return JSON.parse(JSON.stringify(item));
+    });
+  }
+
+  /**
+   * Replaces the stored references for a document
+   */
+  async saveDocumentReferences(documentId, userId, references) {
+    await this.deleteForDocument(documentId, userId);
+
+    if (references.length === 0) return 0;
+
+    const rows = references.map(reference => ({
+      document_id: documentId,
+      user_id: userId,
+      position: reference.position,
+      page_number: reference.pageNumber,
+      raw_text: reference.raw,
+      authors: reference.authors,
+      title: reference.title,
+      year: reference.year,
+      venue: reference.venue,
+      volume: reference.volume,
+      issue: reference.issue,
+      pages: reference.pages,
+      doi: reference.doi,
+      url: reference.url,
+      reference_type: reference.type
+    }));
+
+    const { error } = await supabaseAdmin.from('document_references').insert(rows);
+    if (error) {
+      throw new Error(`Failed to store references: ${error.message}`);
+    }
+
+    return rows.length;
+  }
+
+  async deleteForDocument(documentId, userId) {
+    await supabaseAdmin
+      .from('document_references')
+      .delete()
+      .eq('document_id', documentId)
+      .eq('user_id', userId);
+  }
+}
+
+function joinLines(current, next) {
+  // Words hyphenated across a line break are re-joined
+  if (/[\p{Ll}]-$/u.test(current) && /^[\p{Ll}]/u.test(next)) {
+    return current.slice(0, -1) + next;
+  }
+  return `${current} ${next}`;
+}
+
+/**
+ * Splits at the first sentence-ending period that isn't an initial ("S.") or
+ * a common abbreviation
+ */
+function splitFirstSentence(text) {
+  const pattern = /[.?!]\s+/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(0, match.index);
+    const lastWord = before.split(/[\s(]/).pop();
+    if (/^[\p{Lu}]$/u.test(lastWord) || /^(?:vol|no|pp|ed|eds|al|Proc|Conf|Int|Jr|Sr|St|vs)$/i.test(lastWord)) {
+      continue;
+    }
+    return [before.trim(), text.slice(match.index + match[0].length).trim()];
+  }
+
+  return [text.replace(/[.]\s*$/, '').trim(), ''];
+}
+
+function cleanField(value) {
+  if (!value) return null;
+  const cleaned = value.replace(/\s+/g, ' ').replace(/^[\s,.;:]+|[\s,.;:]+$/g, '');
+  return cleaned.length > 0 ? cleaned : null;
+}
+
+function citationKey(reference) {
+  const ascii = value => (value || '').normalize('NFD').replace(/[^A-Za-z0-9]/g, '');
+  const family = ascii(reference.authors[0]?.family).toLowerCase() || 'anon';
+  const titleWord = (reference.title || '')
+    .split(/\s+/)
+    .map(ascii)
+    .find(word => word.length > 3) || '';
+  return `${family}${reference.year || ''}${titleWord.toLowerCase()}`;
+}
+
+function uniqueKey(key, usedKeys) {
+  const count = usedKeys.get(key) || 0;
+  usedKeys.set(key, count + 1);
+  return count === 0 ? key : `${key}${String.fromCharCode(96 + count)}`;
+}
+
+function escapeBibTeX(value, field) {
+  // URLs and DOIs go in verbatim; elsewhere LaTeX specials need escaping
+  if (field === 'url' || field === 'doi') return value.replace(/[{}]/g, '');
+  return value
+    .replace(/[{}]/g, '')
+    .replace(/\\/g, '')
+    .replace(/([&%$#_])/g, '\\$1');
+}
+
+module.exports = ReferenceParserService;
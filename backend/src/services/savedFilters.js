@@ -0,0 +1,296 @@
+// src/services/savedFilters.js
+// Named smart filters over a user's documents, e.g.
+// "tag:midterm AND difficulty>=4 AND completion<50"
+const { supabaseAdmin } = require('../config/supabase');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 500;
+
+const FILTER_COLUMNS = 'id, name, query, created_at, updated_at';
+
+// Fields a query can test, read from a document as returned by GET /documents
+const FILTER_FIELDS = {
+  tag: { type: 'tags', value: doc => doc.tags || [] },
+  topic: { type: 'text', value: doc => [doc.topic?.name, doc.topic?.id] },
+  title: { type: 'text', value: doc => [doc.title] },
+  type: { type: 'text', value: doc => [doc.content_type] },
+  status: { type: 'text', value: doc => [doc.processing_status] },
+  difficulty: { type: 'number', value: doc => doc.difficulty_level },
+  priority: { type: 'number', value: doc => doc.priority },
+  completion: { type: 'number', value: doc => doc.completion_percentage },
+  pages: { type: 'number', value: doc => doc.total_pages }
+};
+
+const NUMBER_OPERATORS = [':', '=', '!=', '>', '>=', '<', '<='];
+const TEXT_OPERATORS = [':', '=', '!='];
+
+// Parenthesis, quoted value, comparison operator or bare word
+const TOKEN_PATTERN = /\s*(?:([()])|"([^"]*)"|(>=|<=|!=|[:=<>])|([^\s()"<>=!:]+))/y;
+
+class SavedFilterService {
+  /**
+   * Parses a filter query. Terms are field, operator and value (quote values
+   * with spaces); they combine with AND (also implied between terms), OR, NOT
+   * and parentheses. Returns { error } with a 400 body, or { ast }.
+   */
+  parse(query) {
+    if (typeof query !== 'string' || !query.trim()) {
+      return { error: { error: 'Invalid query', details: 'A filter needs a query such as "tag:midterm AND completion<50"' } };
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return { error: { error: 'Query too long', details: `Filter queries can be at most ${MAX_QUERY_LENGTH} characters` } };
+    }
+
+    try {
+      const tokens = this.tokenize(query);
+      const parser = { tokens, index: 0 };
+      const ast = this.parseOr(parser);
+      if (parser.index < tokens.length) {
+        throw new Error(`Unexpected "${tokens[parser.index].text}"`);
+      }
+      return { ast };
+    } catch (error) {
+      return {
+        error: {
+          error: 'Invalid query',
+          details: `${error.message}. Fields: ${Object.keys(FILTER_FIELDS).join(', ')}`
+        }
+      };
+    }
+  }
+
+  tokenize(query) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < query.length) {
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(query);
+
+      if (!match) {
+        const rest = query.slice(start);
+        if (!rest.trim()) break;
+        throw new Error(`Unexpected "${rest.trim()[0]}" at position ${start + rest.length - rest.trimStart().length + 1}`);
+      }
+
+      const [, paren, quoted, operator, word] = match;
+      if (paren) tokens.push({ kind: paren, text: paren });
+      else if (quoted !== undefined) tokens.push({ kind: 'value', text: quoted, quoted: true });
+      else if (operator) tokens.push({ kind: 'operator', text: operator });
+      else if (word) tokens.push({ kind: 'value', text: word });
+    }
+
+    return tokens;
+  }
+
+  parseOr(parser) {
+    const children = [this.parseAnd(parser)];
+    while (this.acceptKeyword(parser, 'OR')) {
+      children.push(this.parseAnd(parser));
+    }
+    return children.length === 1 ? children[0] : { op: 'or', children };
+  }
+
+  parseAnd(parser) {
+    const children = [this.parseUnary(parser)];
+    while (parser.index < parser.tokens.length) {
+      const next = parser.tokens[parser.index];
+      if (next.kind === ')' || this.isKeyword(next, 'OR')) break;
+      this.acceptKeyword(parser, 'AND');
+      children.push(this.parseUnary(parser));
+    }
+    return children.length === 1 ? children[0] : { op: 'and', children };
+  }
+
+  parseUnary(parser) {
+    const token = parser.tokens[parser.index];
+    if (!token) {
+      throw new Error('Query ends unexpectedly');
+    }
+
+    if (this.acceptKeyword(parser, 'NOT')) {
+      return { op: 'not', child: this.parseUnary(parser) };
+    }
+
+    if (token.kind === '(') {
+      parser.index++;
+      const inner = this.parseOr(parser);
+      if (parser.tokens[parser.index]?.kind !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      parser.index++;
+      return inner;
+    }
+
+    return this.parseTerm(parser);
+  }
+
+  parseTerm(parser) {
+    const [fieldToken, operatorToken, valueToken] = parser.tokens.slice(parser.index, parser.index + 3);
+
+    if (fieldToken.kind !== 'value' || fieldToken.quoted) {
+      throw new Error(`Expected a field name but found "${fieldToken.text}"`);
+    }
+
+    const field = fieldToken.text.toLowerCase();
+    const definition = FILTER_FIELDS[field];
+    if (!definition) {
+      throw new Error(`Unknown field "${fieldToken.text}"`);
+    }
+
+    if (operatorToken?.kind !== 'operator') {
+      throw new Error(`Expected an operator such as ":" or ">=" after "${fieldToken.text}"`);
+    }
+
+    const operators = definition.type === 'number' ? NUMBER_OPERATORS : TEXT_OPERATORS;
+    if (!operators.includes(operatorToken.text)) {
+      throw new Error(`"${field}" only supports ${operators.join(' ')}`);
+    }
+
+    if (valueToken?.kind !== 'value') {
+      throw new Error(`Expected a value after "${field}${operatorToken.text}"`);
+    }
+
+    let value = valueToken.text;
+    if (definition.type === 'number') {
+      value = Number(value);
+      if (valueToken.text === '' || !Number.isFinite(value)) {
+        throw new Error(`"${field}" needs a number, not "${valueToken.text}"`);
+      }
+    } else {
+      value = value.toLowerCase();
+    }
+
+    parser.index += 3;
+    return { field, operator: operatorToken.text, value };
+  }
+
+  isKeyword(token, keyword) {
+    return token?.kind === 'value' && !token.quoted && token.text.toUpperCase() === keyword;
+  }
+
+  acceptKeyword(parser, keyword) {
+    if (this.isKeyword(parser.tokens[parser.index], keyword)) {
+      parser.index++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a document (shaped as in the GET /documents list) matches a parsed query.
+   * For text fields ":" matches part of the value and "=" the whole value;
+   * for tags both mean the document has the tag.
+   */
+  matches(ast, document) {
+    if (ast.op === 'and') return ast.children.every(child => this.matches(child, document));
+    if (ast.op === 'or') return ast.children.some(child => this.matches(child, document));
+    if (ast.op === 'not') return !this.matches(ast.child, document);
+
+    const definition = FILTER_FIELDS[ast.field];
+    const actual = definition.value(document);
+
+    if (definition.type === 'number') {
+      if (actual == null) return false;
+      switch (ast.operator) {
+        case '>': return actual > ast.value;
+        case '>=': return actual >= ast.value;
+        case '<': return actual < ast.value;
+        case '<=': return actual <= ast.value;
+        case '!=': return actual !== ast.value;
+        default: return actual === ast.value;
+      }
+    }
+
+    const values = actual.filter(Boolean).map(value => String(value).toLowerCase());
+    const found = definition.type === 'text' && ast.operator === ':'
+      ? values.some(value => value.includes(ast.value))
+      : values.includes(ast.value);
+
+    return ast.operator === '!=' ? !found : found;
+  }
+
+  /**
+   * Checks a saved filter body; for updates only the fields given are checked.
+   * Returns { error } with a 400 body, or { values }.
+   */
+  validate(input, { partial = false } = {}) {
+    const values = {};
+
+    if (input.name !== undefined || !partial) {
+      const name = typeof input.name === 'string' ? input.name.trim() : '';
+      if (!name) {
+        return { error: { error: 'Invalid name', details: 'A saved filter needs a name' } };
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        return { error: { error: 'Name too long', details: `Filter names can be at most ${MAX_NAME_LENGTH} characters` } };
+      }
+      values.name = name;
+    }
+
+    if (input.query !== undefined || !partial) {
+      const parsed = this.parse(input.query);
+      if (parsed.error) return parsed;
+      values.query = input.query.trim();
+    }
+
+    return { values };
+  }
+
+  async list(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('saved_document_filters')
+      .select(FILTER_COLUMNS)
+      .eq('user_id', userId)
+      .order('name');
+
+    if (error) {
+      throw new Error(`Failed to load saved filters: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async get(filterId, userId) {
+    const { data } = await supabaseAdmin
+      .from('saved_document_filters')
+      .select(FILTER_COLUMNS)
+      .eq('id', filterId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  async create(userId, values) {
+    return supabaseAdmin
+      .from('saved_document_filters')
+      .insert({ ...values, user_id: userId })
+      .select(FILTER_COLUMNS)
+      .single();
+  }
+
+  async update(filterId, userId, values) {
+    return supabaseAdmin
+      .from('saved_document_filters')
+      .update({ ...values, updated_at: new Date().toISOString() })
+      .eq('id', filterId)
+      .eq('user_id', userId)
+      .select(FILTER_COLUMNS)
+      .maybeSingle();
+  }
+
+  async remove(filterId, userId) {
+    return supabaseAdmin
+      .from('saved_document_filters')
+      .delete()
+      .eq('id', filterId)
+      .eq('user_id', userId)
+      .select('id')
+      .maybeSingle();
+  }
+}
+
+SavedFilterService.FILTER_FIELDS = Object.keys(FILTER_FIELDS);
+
+module.exports = SavedFilterService;
@@ -0,0 +1,113 @@
+// src/services/trashPurgeJob.js
+// Scheduled cleanup that permanently removes documents left in the trash
+// longer than the retention period
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/supabase');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+class TrashPurgeJob {
+  constructor(options = {}) {
+    this.retentionDays = options.retentionDays || 30;
+    this.schedule = options.schedule || '15 3 * * *';
+    // Removes one document's stored file, analysis and row; receives
+    // { id, user_id, title, file_path, processing_metadata, deleted_at }
+    this.purgeDocument = options.purgeDocument;
+
+    this.task = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`❌ Invalid trash purge schedule "${this.schedule}", purging is disabled`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      this.run().catch(error => console.error('Trash purge error:', error));
+    });
+    console.log(`🗑️ Trash purge scheduled (${this.schedule}, ${this.retentionDays} day retention)`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * When a document trashed at deletedAt becomes eligible for purging
+   */
+  purgeAfter(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS);
+  }
+
+  /**
+   * Purges every document trashed before the retention cutoff, across all
+   * users. Documents that fail are logged and retried on the next run; each
+   * document is tried at most once per run.
+   */
+  async run() {
+    if (this.running) {
+      console.log('⏭️ Trash purge already running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    const summary = { purged: 0, failed: 0, startedAt: new Date().toISOString() };
+    const processedIds = [];
+
+    try {
+      while (true) {
+        let query = supabaseAdmin
+          .from('documents')
+          .select('id, user_id, title, file_path, processing_metadata, deleted_at')
+          .lt('deleted_at', cutoff)
+          .order('deleted_at')
+          .limit(PURGE_BATCH_SIZE);
+
+        if (processedIds.length > 0) {
+          query = query.not('id', 'in', `(${processedIds.join(',')})`);
+        }
+
+        const { data: documents, error } = await query;
+
+        if (error) {
+          throw new Error(`Failed to list expired trash: ${error.message}`);
+        }
+
+        for (const document of documents) {
+          processedIds.push(document.id);
+          try {
+            const { error: purgeError } = await this.purgeDocument(document);
+            if (purgeError) throw new Error(purgeError.message);
+            summary.purged++;
+          } catch (purgeError) {
+            console.error(`Trash purge failed for document ${document.id}:`, purgeError.message);
+            summary.failed++;
+          }
+        }
+
+        if (documents.length < PURGE_BATCH_SIZE) break;
+      }
+
+      if (summary.purged > 0 || summary.failed > 0) {
+        console.log(`🗑️ Trash purge removed ${summary.purged} documents (${summary.failed} failed)`);
+      }
+    } finally {
+      this.running = false;
+      this.lastRun = { ...summary, completedAt: new Date().toISOString() };
+    }
+
+    return summary;
+  }
+}
+
+module.exports = TrashPurgeJob;
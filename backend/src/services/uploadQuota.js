@@ -0,0 +1,75 @@
+// src/services/uploadQuota.js
+// Per-user limits on how many documents and how much stored file data an
+// account can hold
+const { supabase } = require('../config/supabase');
+
+const MB = 1024 * 1024;
+
+class UploadQuotaService {
+  constructor(options = {}) {
+    this.maxDocuments = options.maxDocuments || 500;
+    this.maxStorageBytes = (options.maxStorageMb || 2048) * MB;
+  }
+
+  /**
+   * Current usage for a user, updated in place by reserve() and release()
+   * while a request uploads several files
+   */
+  async load(userId) {
+    const { data, error } = await supabase.rpc('document_upload_usage', { p_user_id: userId });
+
+    if (error) {
+      throw new Error(`Failed to load upload usage: ${error.message}`);
+    }
+
+    return {
+      documents: Number(data?.[0]?.active_documents) || 0,
+      bytes: Number(data?.[0]?.stored_bytes) || 0
+    };
+  }
+
+  /**
+   * Counts a file against the usage. Returns null, or a 403 body with
+   * code DOCUMENT_QUOTA_EXCEEDED when it does not fit.
+   */
+  reserve(usage, fileSize) {
+    if (usage.documents + 1 > this.maxDocuments) {
+      return {
+        error: 'Document quota exceeded',
+        code: 'DOCUMENT_QUOTA_EXCEEDED',
+        details: `Your account can hold ${this.maxDocuments} documents. Move some to the trash to make room.`,
+        quota: this.describe(usage)
+      };
+    }
+
+    if (usage.bytes + fileSize > this.maxStorageBytes) {
+      return {
+        error: 'Storage quota exceeded',
+        code: 'DOCUMENT_QUOTA_EXCEEDED',
+        details: `This file needs ${Math.ceil(fileSize / MB)} MB but only ${Math.max(0, Math.floor((this.maxStorageBytes - usage.bytes) / MB))} MB of your ${this.maxStorageBytes / MB} MB remain`,
+        quota: this.describe(usage)
+      };
+    }
+
+    usage.documents += 1;
+    usage.bytes += fileSize;
+    return null;
+  }
+
+  /**
+   * Gives back what a removed document (or a reservation that was not used) took
+   */
+  release(usage, fileSize) {
+    usage.documents = Math.max(0, usage.documents - 1);
+    usage.bytes = Math.max(0, usage.bytes - (fileSize || 0));
+  }
+
+  describe(usage) {
+    return {
+      documents: { used: usage.documents, limit: this.maxDocuments },
+      storage_mb: { used: Math.round((usage.bytes / MB) * 10) / 10, limit: this.maxStorageBytes / MB }
+    };
+  }
+}
+
+module.exports = UploadQuotaService;
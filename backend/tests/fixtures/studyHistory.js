@@ -0,0 +1,31 @@
+// tests/fixtures/studyHistory.js
+// Builders for study_sessions and document_pages rows. Session start times are
+// local so hour-of-day buckets do not depend on the machine's timezone.
+
+function session({ day, hour, minutes = 60, pages = 10, focus }) {
+  const startedAt = new Date(2026, 2, day, hour, 0, 0);
+  const seconds = minutes * 60;
+
+  return {
+    started_at: startedAt.toISOString(),
+    ended_at: new Date(startedAt.getTime() + seconds * 1000).toISOString(),
+    active_reading_seconds: seconds,
+    total_duration_seconds: seconds,
+    pages_covered: pages,
+    ...(focus === undefined ? {} : { focus_score: focus })
+  };
+}
+
+// One completed page per entry, finished at noon UTC on the given day
+function completedPages(entries, { firstPage = 1 } = {}) {
+  return entries.map((entry, index) => ({
+    page_number: firstPage + index,
+    is_completed: true,
+    last_read_at: entry.day ? `2026-03-${String(entry.day).padStart(2, '0')}T12:00:00Z` : null,
+    time_spent_seconds: entry.seconds,
+    estimated_time_seconds: entry.estimate ?? null,
+    difficulty_rating: entry.difficulty ?? null
+  }));
+}
+
+module.exports = { session, completedPages };
@@ -0,0 +1,61 @@
+// tests/helpers/supabaseMock.js
+// Stand-in for src/config/supabase. Query builder methods chain and are
+// recorded; awaiting a query (or calling single/maybeSingle) resolves with
+// whatever mock.respond(table, calls) returns. Storage calls are recorded in
+// mock.storageCalls and answered by mock.storage(bucket, method, args).
+function createSupabaseMock() {
+  const mock = {
+    queries: [],
+    respond: () => ({ data: null, error: null }),
+    rpc: () => ({ data: [], error: null }),
+    storageCalls: [],
+    storage: () => ({ data: null, error: null })
+  };
+
+  const from = (table) => {
+    const query = { table, calls: [] };
+    mock.queries.push(query);
+
+    const builder = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          return (resolve, reject) => Promise.resolve(mock.respond(table, query.calls)).then(resolve, reject);
+        }
+        if (method === 'single' || method === 'maybeSingle') {
+          return async () => {
+            query.calls.push([method]);
+            return mock.respond(table, query.calls);
+          };
+        }
+        return (...args) => {
+          query.calls.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  const bucket = name => new Proxy({}, {
+    get: (target, method) => async (...args) => {
+      mock.storageCalls.push([name, method, ...args]);
+      return mock.storage(name, method, args);
+    }
+  });
+
+  const client = {
+    from,
+    rpc: async (fn, params) => mock.rpc(fn, params),
+    storage: { from: name => bucket(name) }
+  };
+
+  return { supabase: client, supabaseAdmin: client, mock };
+}
+
+// Queries against a table that used a given builder method, e.g. insert
+function findQueries(mock, table, method) {
+  return mock.queries.filter(query => query.table === table && query.calls.some(([name]) => name === method));
+}
+
+module.exports = { createSupabaseMock, findQueries };
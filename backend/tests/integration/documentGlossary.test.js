@@ -0,0 +1,50 @@
+// tests/integration/documentGlossary.test.js
+// GET /api/documents/:id/glossary?chapter=<index>
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const documentsRoutes = require('../../src/routes/documents');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+beforeEach(() => {
+  mock.queries = [];
+  mock.respond = (table, calls) => {
+    if (table === 'documents' && calls.some(([method]) => method === 'single')) {
+      return { data: { id: 'doc-1', title: 'Notes' }, error: null };
+    }
+    return { data: [], error: null };
+  };
+});
+
+describe('GET /api/documents/:id/glossary', () => {
+  test('filters terms by chapter index', async () => {
+    const response = await request(app).get('/api/documents/doc-1/glossary?chapter=2');
+
+    expect(response.status).toBe(200);
+    const [terms] = findQueries(mock, 'document_terms', 'select');
+    expect(terms.calls).toContainEqual(['eq', 'chapter_index', 2]);
+  });
+
+  test.each(['intro', '-1', '1.5', ''])('rejects chapter=%p', async chapter => {
+    const response = await request(app).get(`/api/documents/doc-1/glossary?chapter=${chapter}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid chapter');
+    expect(findQueries(mock, 'document_terms', 'select')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/integration/documentListFilter.test.js
+// GET /api/documents?filter=<saved filter id> matches every document, not just
+// the first response's worth (PostgREST caps responses at 1000 rows), and
+// fails instead of listing documents without their progress.
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const documentsRoutes = require('../../src/routes/documents');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+// Every third document is hard enough to match "difficulty>=4"
+const library = Array.from({ length: 2500 }, (_, i) => ({
+  id: `doc-${i}`,
+  title: `Document ${i}`,
+  total_pages: 10,
+  difficulty_level: i % 3 === 0 ? 4 : 2,
+  tags: [],
+  processing_status: 'completed',
+  processing_metadata: {},
+  topics: null
+}));
+
+beforeEach(() => {
+  mock.queries = [];
+  mock.rpc = () => ({ data: [], error: null });
+  mock.respond = (table, calls) => {
+    if (table === 'saved_document_filters') {
+      return { data: { id: 'filter-1', name: 'Hard', query: 'difficulty>=4' }, error: null };
+    }
+    if (table === 'documents') {
+      const [, from, to] = calls.find(([method]) => method === 'range');
+      return { data: library.slice(from, to + 1), error: null };
+    }
+    return { data: [], error: null };
+  };
+});
+
+describe('GET /api/documents with a saved filter', () => {
+  test('reads the library in batches and pages the matches', async () => {
+    const response = await request(app).get('/api/documents?filter=filter-1&limit=20&offset=820');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination.total).toBe(834);
+    expect(response.body.documents.map(doc => doc.id).slice(0, 2)).toEqual(['doc-2460', 'doc-2463']);
+    expect(response.body.documents).toHaveLength(14);
+
+    const ranges = findQueries(mock, 'documents', 'range')
+      .map(query => query.calls.find(([method]) => method === 'range').slice(1));
+    expect(ranges).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+});
+
+describe('GET /api/documents when reading progress cannot be loaded', () => {
+  beforeEach(() => {
+    mock.rpc = fn => ({
+      data: null,
+      error: fn === 'document_progress_summaries' ? { message: 'statement timeout' } : null
+    });
+  });
+
+  test('responds with a 500', async () => {
+    const response = await request(app).get('/api/documents');
+
+    expect(response.status).toBe(500);
+  });
+
+  test('responds with a 500 for a saved filter too', async () => {
+    const response = await request(app).get('/api/documents?filter=filter-1');
+
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,184 @@
+// tests/integration/documentQuarantine.test.js
+// Uploads the safety scan flags are stored in the quarantine bucket without
+// being analysed, stay locked, and are only queued once the user releases them.
+// The processing queue is mocked; queued steps are run by hand where needed.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const DocumentJobQueue = require('../../src/services/documentJobQueue');
+const documentsRoutes = require('../../src/routes/documents');
+
+const plainPdf = fs.readFileSync(path.join(__dirname, '../fixtures/plain.pdf'));
+const suspiciousPdf = Buffer.concat([plainPdf, Buffer.from('\n9 0 obj << /S /JavaScript /JS (app.alert(1)) >> endobj\n')]);
+const unsafePdf = Buffer.concat([plainPdf, Buffer.from('\n9 0 obj << /S /Launch /F (calc) >> endobj\n')]);
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+const quarantinedDocument = (safety = {}) => ({
+  id: 'doc-q',
+  user_id: 'user-1',
+  title: 'Suspicious',
+  file_name: 'suspicious.pdf',
+  file_path: 'user-1/1_abc_suspicious.pdf',
+  content_hash: 'abc',
+  processing_status: 'quarantined',
+  processing_metadata: {
+    sourceFormat: 'pdf',
+    safety: { verdict: 'quarantine', action: 'quarantined', reason: 'Embedded JavaScript', ...safety }
+  }
+});
+
+// Queries issued before the (mocked) job was queued
+let queriesBeforeEnqueue;
+let storedDocument;
+let claimedRows;
+
+beforeEach(() => {
+  mock.queries = [];
+  mock.storageCalls = [];
+  storedDocument = null;
+  claimedRows = [{ id: 'doc-q' }];
+  queriesBeforeEnqueue = null;
+
+  mock.rpc = fn => ({ data: fn === 'document_upload_usage' ? [{ active_documents: 0, stored_bytes: 0 }] : [], error: null });
+  mock.storage = (bucket, method, args) => {
+    if (method === 'upload') return { data: { path: args[0] }, error: null };
+    if (method === 'download') return { data: { arrayBuffer: async () => suspiciousPdf }, error: null };
+    return { data: null, error: null };
+  };
+  mock.respond = (table, calls) => {
+    if (table !== 'documents') return { data: [], error: null };
+    if (calls.some(([method]) => method === 'insert')) {
+      const [, row] = calls.find(([method]) => method === 'insert');
+      return { data: { id: 'doc-new', created_at: new Date().toISOString(), ...row }, error: null };
+    }
+    if (calls.some(([method]) => method === 'update')) {
+      return { data: calls.some(([method]) => method === 'select') ? claimedRows : null, error: null };
+    }
+    if (calls.some(([method]) => method === 'single')) {
+      return storedDocument ? { data: storedDocument, error: null } : { data: null, error: { code: 'PGRST116' } };
+    }
+    return { data: [], error: null };
+  };
+
+  DocumentJobQueue.prototype.enqueue.mockReset();
+  DocumentJobQueue.prototype.enqueue.mockImplementation(() => {
+    queriesBeforeEnqueue = mock.queries.length;
+    return { id: 'job-1', status: 'queued' };
+  });
+});
+
+const queuedJob = () => DocumentJobQueue.prototype.enqueue.mock.calls[0][0];
+
+describe('uploading a PDF the safety scan flags', () => {
+  test('stores a questionable file in the quarantine bucket without analysing it', async () => {
+    const response = await request(app).post('/api/documents/upload').attach('pdf', suspiciousPdf, 'suspicious.pdf');
+
+    expect(response.status).toBe(202);
+    expect(response.body.safety).toMatchObject({ action: 'quarantined', release: 'POST /api/documents/doc-new/release' });
+
+    const job = queuedJob();
+    expect(job.steps.map(step => step.name)).toEqual(['store_file', 'hold_in_quarantine']);
+
+    await job.steps[0].run(job.context);
+    const [bucket, method, , , options] = mock.storageCalls[0];
+    expect([bucket, method]).toEqual(['pdf-quarantine', 'upload']);
+    expect(options.cacheControl).toBe('0');
+  });
+
+  test('analyses a clean file from the regular bucket', async () => {
+    const response = await request(app).post('/api/documents/upload').attach('pdf', plainPdf, 'plain.pdf');
+
+    expect(response.status).toBe(202);
+    expect(response.body.safety.action).toBe('accepted');
+    expect(queuedJob().steps.map(step => step.name)).toContain('analyze_document');
+    expect(queuedJob().steps.map(step => step.name)).not.toContain('hold_in_quarantine');
+  });
+
+  test('rejects a risky file without storing it', async () => {
+    const response = await request(app).post('/api/documents/upload').attach('pdf', unsafePdf, 'unsafe.pdf');
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('PDF_REJECTED_UNSAFE');
+    expect(findQueries(mock, 'documents', 'insert')).toHaveLength(0);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('a quarantined document', () => {
+  test('cannot be downloaded until it is released', async () => {
+    storedDocument = quarantinedDocument();
+
+    const response = await request(app).get('/api/documents/doc-q/file');
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('DOCUMENT_QUARANTINED');
+    expect(mock.storageCalls).toHaveLength(0);
+  });
+
+  test('cannot be re-analysed before it is released', async () => {
+    storedDocument = quarantinedDocument();
+
+    const response = await request(app).post('/api/documents/doc-q/reanalyze');
+
+    expect(response.status).toBe(409);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/documents/:id/release', () => {
+  test('marks the document as processing before queueing its analysis', async () => {
+    storedDocument = quarantinedDocument();
+
+    const response = await request(app).post('/api/documents/doc-q/release');
+
+    expect(response.status).toBe(202);
+    expect(mock.storageCalls[0].slice(0, 3)).toEqual(['pdf-quarantine', 'download', 'user-1/1_abc_suspicious.pdf']);
+
+    const [claim] = findQueries(mock, 'documents', 'update');
+    const [, values] = claim.calls.find(([method]) => method === 'update');
+    expect(values.processing_status).toBe('processing');
+    expect(values.processing_metadata.safety.releasedAt).toBeTruthy();
+    expect(claim.calls).toContainEqual(['eq', 'processing_status', 'quarantined']);
+    expect(mock.queries.indexOf(claim)).toBeLessThan(queriesBeforeEnqueue);
+
+    const job = queuedJob();
+    expect(job.steps.map(step => step.name)).not.toContain('store_file');
+    expect(job.steps.map(step => step.name)).toContain('analyze_document');
+  });
+
+  test('does not queue a second analysis when another release got there first', async () => {
+    storedDocument = quarantinedDocument();
+    claimedRows = [];
+
+    const response = await request(app).post('/api/documents/doc-q/release');
+
+    expect(response.status).toBe(409);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('refuses documents that are not quarantined', async () => {
+    storedDocument = { ...quarantinedDocument(), processing_status: 'completed' };
+
+    const response = await request(app).post('/api/documents/doc-q/release');
+
+    expect(response.status).toBe(409);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+// tests/integration/documentReanalysis.test.js
+// POST /api/documents/reanalyze (admin) queues other users' documents, so the
+// whole re-analysis pipeline has to run through the service client. The anon
+// and service clients are separate mocks here to tell them apart.
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => {
+  const { createSupabaseMock } = require('../helpers/supabaseMock');
+  const anon = createSupabaseMock();
+  const admin = createSupabaseMock();
+  return { supabase: anon.supabase, supabaseAdmin: admin.supabaseAdmin, mock: admin.mock, anonMock: anon.mock };
+});
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'admin-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock, anonMock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const DocumentJobQueue = require('../../src/services/documentJobQueue');
+const documentsRoutes = require('../../src/routes/documents');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+const outdatedDocument = (id, userId) => ({
+  id,
+  user_id: userId,
+  title: `Document ${id}`,
+  file_name: `${id}.pdf`,
+  file_path: `${userId}/${id}.pdf`,
+  total_pages: 2,
+  processing_metadata: { sourceFormat: 'pdf', processingVersion: '0.9.0' }
+});
+
+let claimable;
+let queriesBeforeEnqueue;
+
+beforeEach(() => {
+  mock.queries = [];
+  mock.storageCalls = [];
+  anonMock.queries = [];
+  anonMock.storageCalls = [];
+  claimable = new Set(['doc-a', 'doc-b']);
+  queriesBeforeEnqueue = [];
+
+  mock.storage = () => ({ data: { arrayBuffer: async () => Buffer.from('%PDF-1.4') }, error: null });
+  mock.respond = (table, calls) => {
+    if (table === 'documents' && calls.some(([method]) => method === 'update')) {
+      const [, , id] = calls.find(([method, column]) => method === 'eq' && column === 'id');
+      return { data: claimable.has(id) ? [{ id }] : [], error: null };
+    }
+    if (table === 'documents') {
+      return { data: [outdatedDocument('doc-a', 'user-1'), outdatedDocument('doc-b', 'user-2')], error: null };
+    }
+    if (table === 'document_pages') {
+      return { data: [{ id: 'page-1', page_number: 1, difficulty_rating: 2, is_completed: true }], error: null };
+    }
+    return { data: [], error: null };
+  };
+
+  DocumentJobQueue.prototype.enqueue.mockReset();
+  DocumentJobQueue.prototype.enqueue.mockImplementation(({ documentId }) => {
+    queriesBeforeEnqueue.push(mock.queries.length);
+    return { id: `job-${documentId}`, status: 'queued' };
+  });
+});
+
+const queuedJob = index => DocumentJobQueue.prototype.enqueue.mock.calls[index][0];
+const runStep = (job, name, context, jobState = { id: 'job-1' }) =>
+  job.steps.find(step => step.name === name).run(context, jobState);
+
+describe('POST /api/documents/reanalyze', () => {
+  test('claims each document before queueing it', async () => {
+    const response = await request(app).post('/api/documents/reanalyze').send({});
+
+    expect(response.status).toBe(202);
+    expect(response.body.queued).toBe(2);
+
+    const claims = findQueries(mock, 'documents', 'update')
+      .filter(query => query.calls.some(([method, values]) => method === 'update' && values.processing_status === 'processing'));
+    expect(claims).toHaveLength(2);
+    claims.forEach((claim, index) => {
+      expect(claim.calls).toContainEqual(['eq', 'processing_status', 'completed']);
+      expect(mock.queries.indexOf(claim)).toBeLessThan(queriesBeforeEnqueue[index]);
+    });
+  });
+
+  test('skips documents another request is already re-analysing', async () => {
+    claimable.delete('doc-b');
+
+    const response = await request(app).post('/api/documents/reanalyze').send({});
+
+    expect(response.body.queued).toBe(1);
+    expect(response.body.skipped).toEqual([{ id: 'doc-b', title: 'Document doc-b', reason: 'already_processing' }]);
+    expect(DocumentJobQueue.prototype.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs the queued steps for another user through the service client', async () => {
+    await request(app).post('/api/documents/reanalyze').send({});
+    const job = queuedJob(1);
+    const context = {};
+
+    context.snapshot_current = await runStep(job, 'snapshot_current', context);
+    context.download_file = await runStep(job, 'download_file', context);
+
+    expect(findQueries(mock, 'document_pages', 'select')[0].calls).toContainEqual(['eq', 'user_id', 'user-2']);
+    expect(mock.storageCalls[0].slice(0, 3)).toEqual(['pdf-documents', 'download', 'user-2/doc-b.pdf']);
+    expect(anonMock.queries).toHaveLength(0);
+    expect(anonMock.storageCalls).toHaveLength(0);
+  });
+
+  test('keeps the difficulty rating of pages the user has completed', async () => {
+    await request(app).post('/api/documents/reanalyze').send({});
+    const job = queuedJob(0);
+    mock.queries = [];
+
+    await runStep(job, 'update_page_estimates', {
+      snapshot_current: {
+        pages: [
+          { id: 'page-1', page_number: 1, difficulty_rating: 2, is_completed: true },
+          { id: 'page-2', page_number: 2, difficulty_rating: 2, is_completed: false }
+        ]
+      },
+      analyze_document: {
+        totalPages: 2,
+        pageAnalysis: [{ pageNumber: 1, difficultyLevel: 5 }, { pageNumber: 2, difficultyLevel: 5 }],
+        timeEstimates: { pageEstimates: [{ pageNumber: 1, estimatedSeconds: 200 }, { pageNumber: 2, estimatedSeconds: 200 }] }
+      }
+    });
+
+    const [upsert] = findQueries(mock, 'document_pages', 'upsert');
+    const [, rows] = upsert.calls.find(([method]) => method === 'upsert');
+    expect(rows.map(row => [row.id, row.difficulty_rating, row.estimated_time_seconds])).toEqual([
+      ['page-1', 2, 200],
+      ['page-2', 5, 200]
+    ]);
+    expect(anonMock.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,93 @@
+// tests/integration/documentUploadEncryption.test.js
+// POST /api/documents/upload with encrypted PDFs (fixtures described in
+// tests/unit/pdfEncryption.test.js). The processing queue is mocked, so these
+// cover what the route accepts and hands to the background job.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const DocumentJobQueue = require('../../src/services/documentJobQueue');
+const documentsRoutes = require('../../src/routes/documents');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures', name));
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+const uploadPdf = (name, fields = {}) => {
+  const req = request(app).post('/api/documents/upload').attach('pdf', fixture(name), name);
+  Object.entries(fields).forEach(([key, value]) => req.field(key, value));
+  return req;
+};
+
+beforeEach(() => {
+  mock.queries = [];
+  mock.rpc = fn => ({ data: fn === 'document_upload_usage' ? [{ active_documents: 0, stored_bytes: 0 }] : [], error: null });
+  mock.respond = (table, calls) => {
+    if (table === 'documents' && calls.some(([method]) => method === 'insert')) {
+      const [, row] = calls.find(([method]) => method === 'insert');
+      return { data: { id: 'doc-1', created_at: new Date().toISOString(), ...row }, error: null };
+    }
+    return { data: [], error: null };
+  };
+
+  DocumentJobQueue.prototype.enqueue.mockReset();
+  DocumentJobQueue.prototype.enqueue.mockReturnValue({ id: 'job-1', status: 'queued' });
+});
+
+describe('POST /api/documents/upload with a user-password PDF', () => {
+  test('asks for the password without creating a document', async () => {
+    const response = await uploadPdf('encrypted-user-password.pdf');
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('PDF_PASSWORD_REQUIRED');
+    expect(response.body.resend_with).toHaveProperty('pdf_password');
+    expect(findQueries(mock, 'documents', 'insert')).toHaveLength(0);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('rejects a wrong password', async () => {
+    const response = await uploadPdf('encrypted-user-password.pdf', { pdf_password: 'wrong' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('PDF_PASSWORD_INCORRECT');
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('queues analysis with the password when it is correct', async () => {
+    const response = await uploadPdf('encrypted-user-password.pdf', { pdf_password: 'open123' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.job.id).toBe('job-1');
+
+    const [{ context }] = DocumentJobQueue.prototype.enqueue.mock.calls[0];
+    expect(context.pdfPassword).toBe('open123');
+    expect(context.encryption).toEqual({ encrypted: true, passwordProtected: true });
+  });
+});
+
+describe('POST /api/documents/upload with an owner-restricted PDF', () => {
+  test('is accepted without a password, which is not kept for the job', async () => {
+    const response = await uploadPdf('encrypted-owner-restricted.pdf', { pdf_password: 'unused' });
+
+    expect(response.status).toBe(202);
+
+    const [{ context }] = DocumentJobQueue.prototype.enqueue.mock.calls[0];
+    expect(context.pdfPassword).toBeNull();
+    expect(context.encryption).toEqual({ encrypted: true, passwordProtected: false });
+  });
+});
@@ -0,0 +1,106 @@
+// tests/integration/documentUploadReplace.test.js
+// POST /api/documents/upload with on_duplicate=replace. The old copy may only
+// go to the trash once the new document exists.
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/documentJobQueue');
+
+const { mock } = require('../../src/config/supabase');
+const { findQueries } = require('../helpers/supabaseMock');
+const DocumentJobQueue = require('../../src/services/documentJobQueue');
+const documentsRoutes = require('../../src/routes/documents');
+
+const MB = 1024 * 1024;
+const existingCopy = { id: 'doc-old', title: 'Old copy', file_size_bytes: 1000, processing_status: 'completed' };
+
+const app = express();
+app.use(express.json());
+app.use('/api/documents', documentsRoutes);
+
+const replaceUpload = () => request(app)
+  .post('/api/documents/upload')
+  .attach('pdf', fs.readFileSync(path.join(__dirname, '../fixtures/plain.pdf')), 'plain.pdf')
+  .field('on_duplicate', 'replace');
+
+const useUsage = (documents, bytes) => {
+  mock.rpc = fn => ({ data: fn === 'document_upload_usage' ? [{ active_documents: documents, stored_bytes: bytes }] : [], error: null });
+};
+
+let insertError;
+
+beforeEach(() => {
+  mock.queries = [];
+  insertError = null;
+  useUsage(1, existingCopy.file_size_bytes);
+  mock.respond = (table, calls) => {
+    if (table === 'documents' && calls.some(([method, column]) => method === 'eq' && column === 'content_hash')) {
+      return { data: [existingCopy], error: null };
+    }
+    if (table === 'documents' && calls.some(([method]) => method === 'insert')) {
+      if (insertError) return { data: null, error: insertError };
+      const [, row] = calls.find(([method]) => method === 'insert');
+      return { data: { id: 'doc-new', created_at: new Date().toISOString(), ...row }, error: null };
+    }
+    return { data: [], error: null };
+  };
+
+  DocumentJobQueue.prototype.enqueue.mockReset();
+  DocumentJobQueue.prototype.enqueue.mockReturnValue({ id: 'job-1', status: 'queued' });
+});
+
+const trashUpdates = () => findQueries(mock, 'documents', 'update')
+  .filter(query => query.calls.some(([method, values]) => method === 'update' && values.deleted_at));
+
+describe('POST /api/documents/upload with on_duplicate=replace', () => {
+  test('trashes the old copy after the new document is created', async () => {
+    const response = await replaceUpload();
+
+    expect(response.status).toBe(202);
+    expect(response.body.replaced_document.id).toBe(existingCopy.id);
+
+    const [insert] = findQueries(mock, 'documents', 'insert');
+    const [trash] = trashUpdates();
+    expect(trash.calls).toContainEqual(['eq', 'id', existingCopy.id]);
+    expect(mock.queries.indexOf(insert)).toBeLessThan(mock.queries.indexOf(trash));
+  });
+
+  test('counts the replacement in place of the old copy against the quota', async () => {
+    useUsage(500, existingCopy.file_size_bytes);
+
+    const response = await replaceUpload();
+
+    expect(response.status).toBe(202);
+  });
+
+  test('leaves the old copy alone when the quota check fails', async () => {
+    useUsage(1, 2048 * MB + existingCopy.file_size_bytes);
+
+    const response = await replaceUpload();
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('DOCUMENT_QUOTA_EXCEEDED');
+    expect(findQueries(mock, 'documents', 'insert')).toHaveLength(0);
+    expect(trashUpdates()).toHaveLength(0);
+  });
+
+  test('leaves the old copy alone when the insert fails', async () => {
+    insertError = { message: 'insert failed' };
+
+    const response = await replaceUpload();
+
+    expect(response.status).toBe(500);
+    expect(trashUpdates()).toHaveLength(0);
+    expect(DocumentJobQueue.prototype.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,36 @@
+// tests/unit/documentExtractors.test.js
+process.env.DOCUMENT_MAX_INFLATED_MB = '1';
+
+const AdmZip = require('adm-zip');
+const DocumentExtractorService = require('../../src/services/documentExtractors');
+
+const docx = documentXml => {
+  const zip = new AdmZip();
+  zip.addFile('word/document.xml', Buffer.from(documentXml));
+  return zip.toBuffer();
+};
+
+const paragraph = text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`;
+
+describe('DocumentExtractorService archive limits', () => {
+  const extractors = new DocumentExtractorService();
+
+  test('extracts a DOCX within the inflation cap', () => {
+    const buffer = docx(`<w:document><w:body>${paragraph('Hello archive')}</w:body></w:document>`);
+
+    expect(extractors.checkArchiveSize(buffer, 'docx')).toBeNull();
+    expect(extractors.extract(buffer, 'docx').pageTexts).toEqual(['Hello archive']);
+  });
+
+  test('rejects a DOCX that inflates past the cap', () => {
+    const buffer = docx(`<w:document><w:body>${paragraph('a'.repeat(2 * 1024 * 1024))}</w:body></w:document>`);
+
+    expect(buffer.length).toBeLessThan(64 * 1024);
+    expect(extractors.checkArchiveSize(buffer, 'docx')).toMatchObject({ code: 'ARCHIVE_TOO_LARGE' });
+    expect(() => extractors.extract(buffer, 'docx')).toThrow('more than 1 MB of text');
+  });
+
+  test('ignores formats that are not archives', () => {
+    expect(extractors.checkArchiveSize(Buffer.from('# Title'), 'markdown')).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+// tests/unit/documentInsights.test.js
+const DocumentInsightsService = require('../../src/services/documentInsights');
+const { session, completedPages } = require('../fixtures/studyHistory');
+
+const insights = new DocumentInsightsService();
+
+const hourlySessions = pagesPerSession => pagesPerSession.map((pages, i) => session({ day: i + 1, hour: 10, pages }));
+
+describe('learningVelocity', () => {
+  test('reports an accelerating pace across sessions', () => {
+    const velocity = insights.learningVelocity([], hourlySessions([10, 12, 14, 16]));
+
+    expect(velocity).toMatchObject({
+      pages_per_hour: 13,
+      trend: 'accelerating',
+      change_percent: 46,
+      based_on: 'sessions',
+      samples_analyzed: 4
+    });
+  });
+
+  test('reports a slowing pace', () => {
+    const velocity = insights.learningVelocity([], hourlySessions([16, 14, 12, 10]));
+    expect(velocity.trend).toBe('slowing');
+    expect(velocity.change_percent).toBe(-46);
+  });
+
+  test('reports a steady pace', () => {
+    const velocity = insights.learningVelocity([], hourlySessions([12, 12, 12]));
+    expect(velocity.trend).toBe('steady');
+    expect(velocity.change_percent).toBe(0);
+  });
+
+  test('ignores sessions shorter than two minutes', () => {
+    const sessions = [...hourlySessions([10, 10]), session({ day: 5, hour: 10, minutes: 1, pages: 50 })];
+    const velocity = insights.learningVelocity([], sessions);
+
+    expect(velocity.trend).toBe('insufficient_data');
+    expect(velocity.based_on).toBe('page_history');
+    expect(velocity.samples_analyzed).toBe(0);
+  });
+
+  test('falls back to daily page history without enough sessions', () => {
+    const pages = completedPages([
+      { day: 1, seconds: 60 }, { day: 1, seconds: 60 }, { day: 1, seconds: 60 },
+      { day: 2, seconds: 60 }, { day: 2, seconds: 60 }, { day: 2, seconds: 60 },
+      { day: 3, seconds: 90 }, { day: 3, seconds: 90 }, { day: 3, seconds: 90 },
+      // Idle tab and skim, both outside the plausible range
+      { day: 3, seconds: 4000 }, { day: 3, seconds: 3 }
+    ]);
+
+    const velocity = insights.learningVelocity(pages, [session({ day: 1, hour: 9 })]);
+
+    expect(velocity).toMatchObject({
+      pages_per_hour: 51.4,
+      trend: 'slowing',
+      change_percent: -37,
+      based_on: 'page_history',
+      samples_analyzed: 3
+    });
+    expect(velocity.history).toEqual([
+      { date: '2026-03-01', pages_completed: 3, minutes: 3, pages_per_hour: 60 },
+      { date: '2026-03-02', pages_completed: 3, minutes: 3, pages_per_hour: 60 },
+      { date: '2026-03-03', pages_completed: 3, minutes: 5, pages_per_hour: 40 }
+    ]);
+  });
+});
+
+describe('focusPatterns', () => {
+  test('groups sessions by time of day in period order', () => {
+    const patterns = insights.focusPatterns([
+      session({ day: 1, hour: 23, focus: 0.4 }),
+      session({ day: 2, hour: 9, focus: 0.9 }),
+      session({ day: 3, hour: 14, focus: 0.7 }),
+      session({ day: 4, hour: 3, focus: 0.6 })
+    ]);
+
+    expect(patterns.map(pattern => [pattern.period, pattern.sessions, pattern.average_focus_score])).toEqual([
+      ['morning', 1, 0.9],
+      ['afternoon', 1, 0.7],
+      ['night', 2, 0.5]
+    ]);
+  });
+
+  test('derives focus from active reading time when no score was recorded', () => {
+    const unfocused = { ...session({ day: 1, hour: 15 }), active_reading_seconds: 1800 };
+    expect(insights.focusPatterns([unfocused])[0].average_focus_score).toBe(0.5);
+  });
+});
+
+describe('optimalStudyTimes', () => {
+  test('ranks hours by pace and focus relative to the document average', () => {
+    const times = insights.optimalStudyTimes([
+      session({ day: 1, hour: 9, pages: 20, focus: 0.9 }),
+      session({ day: 2, hour: 9, pages: 20, focus: 0.9 }),
+      session({ day: 1, hour: 21, pages: 10, focus: 0.6 }),
+      session({ day: 2, hour: 21, pages: 10, focus: 0.6 }),
+      // A single session is not enough to suggest its hour
+      session({ day: 3, hour: 14, pages: 15, focus: 0.75 })
+    ]);
+
+    expect(times.map(({ label, period, sessions, score }) => ({ label, period, sessions, score }))).toEqual([
+      { label: '09:00', period: 'morning', sessions: 2, score: 1.6 },
+      { label: '21:00', period: 'evening', sessions: 2, score: 0.53 }
+    ]);
+  });
+
+  test('returns nothing without usable sessions', () => {
+    expect(insights.optimalStudyTimes([])).toEqual([]);
+  });
+});
+
+describe('difficultyAdaptation', () => {
+  const pagesAt = (easySeconds, hardSeconds) => completedPages([
+    ...Array(4).fill({ difficulty: 2, seconds: easySeconds, estimate: 100 }),
+    ...Array(4).fill({ difficulty: 4, seconds: hardSeconds, estimate: 100 })
+  ]);
+
+  test('detects slowing down on hard pages', () => {
+    const adaptation = insights.difficultyAdaptation(pagesAt(100, 200), []);
+
+    expect(adaptation).toEqual({
+      status: 'slowing_on_hard_pages',
+      seconds_per_difficulty_level: 50,
+      hard_vs_easy_overrun: 2,
+      pages_analyzed: 8,
+      by_difficulty: [
+        { difficulty: 2, pages: 4, average_seconds: 100, time_vs_estimate: 1 },
+        { difficulty: 4, pages: 4, average_seconds: 200, time_vs_estimate: 2 }
+      ]
+    });
+  });
+
+  test('detects rushing through hard pages', () => {
+    const adaptation = insights.difficultyAdaptation(pagesAt(100, 50), []);
+    expect(adaptation.status).toBe('rushing_hard_pages');
+    expect(adaptation.hard_vs_easy_overrun).toBe(0.5);
+  });
+
+  test('reads difficulty from the content analysis when pages have no rating', () => {
+    const pages = pagesAt(100, 110).map(page => ({ ...page, difficulty_rating: null }));
+    const contentAnalysis = pages.map(page => ({ page_number: page.page_number, difficulty_score: page.page_number <= 4 ? 2.2 : 3.8 }));
+
+    const adaptation = insights.difficultyAdaptation(pages, contentAnalysis);
+    expect(adaptation.status).toBe('adapting_well');
+    expect(adaptation.by_difficulty.map(level => level.difficulty)).toEqual([2, 4]);
+  });
+
+  test('needs enough completed pages', () => {
+    const adaptation = insights.difficultyAdaptation(completedPages([
+      { difficulty: 2, seconds: 100, estimate: 100 },
+      { difficulty: 4, seconds: 300, estimate: 100 }
+    ]), []);
+
+    expect(adaptation.status).toBe('insufficient_data');
+    expect(adaptation.seconds_per_difficulty_level).toBeNull();
+  });
+});
+
+describe('recommendations', () => {
+  test('orders suggestions by priority and points at upcoming hard pages', () => {
+    const pages = completedPages(Array(8).fill({ seconds: 60 }));
+    const contentAnalysis = [
+      { page_number: 3, difficulty_score: 5 },
+      { page_number: 10, difficulty_score: 4.5 },
+      { page_number: 11, difficulty_score: 2 },
+      { page_number: 12, difficulty_score: 4 }
+    ];
+
+    const recommendations = insights.recommendations({ total_pages: 20 }, pages, contentAnalysis, null, {
+      learning_velocity: { trend: 'slowing', change_percent: -30, pages_per_hour: 6, samples_analyzed: 4 },
+      optimal_study_times: [{ label: '09:00' }],
+      difficulty_adaptation: { status: 'slowing_on_hard_pages', hard_vs_easy_overrun: 2 }
+    });
+
+    expect(recommendations.map(({ type, priority }) => [type, priority])).toEqual([
+      ['pacing', 'high'],
+      ['difficulty', 'high'],
+      ['timing', 'medium'],
+      ['remaining_time', 'low']
+    ]);
+    expect(recommendations[1].pages).toEqual([10, 12]);
+    expect(recommendations[1].message).toContain('100% longer');
+    expect(recommendations[3].message).toBe('About 2 hours of reading left (12 pages)');
+  });
+
+  test('uses the general reading speed before the document has a pace', () => {
+    const recommendations = insights.recommendations({ total_pages: 20 }, [], [], { avgSecondsPerPage: 90 }, {
+      learning_velocity: { trend: 'insufficient_data', pages_per_hour: 0, samples_analyzed: 0 },
+      optimal_study_times: [],
+      difficulty_adaptation: { status: 'insufficient_data' }
+    });
+
+    expect(recommendations.map(recommendation => recommendation.type)).toEqual(['getting_started', 'remaining_time']);
+    expect(recommendations[1].message).toBe('About 30 minutes of reading left (20 pages)');
+  });
+});
@@ -0,0 +1,119 @@
+// tests/unit/documentJobQueue.test.js
+const DocumentJobQueue = require('../../src/services/documentJobQueue');
+
+// Resolves once the queue has nothing running or waiting
+const settled = queue => new Promise(resolve => {
+  const check = () => (queue.running === 0 && queue.pending.length === 0 ? resolve() : setTimeout(check, 1));
+  setImmediate(check);
+});
+
+const failing = (message, extra = {}) => jest.fn().mockRejectedValue(Object.assign(new Error(message), extra));
+
+let queue;
+
+beforeEach(() => {
+  queue = new DocumentJobQueue({ maxAttempts: 3, retryDelayMs: 0 });
+});
+
+describe('DocumentJobQueue', () => {
+  test('runs steps in order and hands each result to the next step', async () => {
+    const seen = [];
+    const job = queue.enqueue({
+      documentId: 'doc-1',
+      userId: 'user-1',
+      context: { input: 2 },
+      steps: [
+        { name: 'double', weight: 1, run: async context => context.input * 2 },
+        { name: 'record', weight: 3, run: async context => { seen.push(context.double); } }
+      ]
+    });
+
+    await settled(queue);
+
+    expect(seen).toEqual([4]);
+    expect(queue.describeJob(job)).toMatchObject({
+      status: 'completed',
+      current_step: null,
+      percent_complete: 100,
+      errors: []
+    });
+    expect(queue.getJobForDocument('doc-1')).toBe(job);
+  });
+
+  test('retries a failing step until it succeeds', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('storage timeout'))
+      .mockResolvedValueOnce('stored');
+    const job = queue.enqueue({ documentId: 'doc-1', userId: 'user-1', steps: [{ name: 'store_file', run }] });
+
+    await settled(queue);
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(job.status).toBe('completed');
+    expect(job.steps[0].attempts).toBe(2);
+    expect(job.errors).toEqual([expect.objectContaining({ step: 'store_file', attempt: 1, message: 'storage timeout' })]);
+  });
+
+  test('fails the job after maxAttempts and runs onFailure once', async () => {
+    const run = failing('database unavailable');
+    const nextStep = jest.fn();
+    const onFailure = jest.fn();
+    const job = queue.enqueue({
+      documentId: 'doc-1',
+      userId: 'user-1',
+      context: { fileName: 'user-1/file.pdf' },
+      steps: [{ name: 'save_analysis', run }, { name: 'finalize', run: nextStep }],
+      onFailure
+    });
+
+    await settled(queue);
+
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(nextStep).not.toHaveBeenCalled();
+    expect(job.status).toBe('failed');
+    expect(job.steps.map(step => step.status)).toEqual(['failed', 'pending']);
+    expect(job.errors).toHaveLength(3);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+    expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ fileName: 'user-1/file.pdf' }), job);
+  });
+
+  test('does not retry errors flagged as not retryable', async () => {
+    const run = failing('Failed to process PDF: bad XRef entry', { retryable: false });
+    const onFailure = jest.fn();
+    const job = queue.enqueue({ documentId: 'doc-1', userId: 'user-1', steps: [{ name: 'analyze_document', run }], onFailure });
+
+    await settled(queue);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(job.status).toBe('failed');
+    expect(job.errors).toHaveLength(1);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+  });
+
+  test('still fails the job when onFailure throws', async () => {
+    const job = queue.enqueue({
+      documentId: 'doc-1',
+      userId: 'user-1',
+      steps: [{ name: 'analyze_document', run: failing('corrupt', { retryable: false }) }],
+      onFailure: jest.fn().mockRejectedValue(new Error('cleanup failed'))
+    });
+
+    await settled(queue);
+
+    expect(job.status).toBe('failed');
+    expect(queue.running).toBe(0);
+  });
+
+  test('releases the job context once the job is finished', async () => {
+    const job = queue.enqueue({
+      documentId: 'doc-1',
+      userId: 'user-1',
+      context: { buffer: Buffer.alloc(16) },
+      steps: [{ name: 'noop', run: async () => {} }]
+    });
+
+    await settled(queue);
+
+    expect(job.context).toEqual({});
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/pdfEncryption.test.js
+// Fixtures are one-page PDFs with standard (RC4, revision 2) encryption:
+// encrypted-user-password.pdf opens with "open123" (owner password "owner456");
+// encrypted-owner-restricted.pdf has an empty user password and restricted permissions.
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+
+const PDFProcessorService = require('../../src/services/pdfProcessor');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '../fixtures', name));
+
+describe('PDFProcessorService.checkEncryption', () => {
+  const processor = new PDFProcessorService();
+
+  test('reports unencrypted PDFs', async () => {
+    await expect(processor.checkEncryption(fixture('plain.pdf'))).resolves.toEqual({
+      encrypted: false,
+      passwordProtected: false,
+      status: 'not_encrypted'
+    });
+  });
+
+  describe('user-password PDF', () => {
+    test('needs a password', async () => {
+      await expect(processor.checkEncryption(fixture('encrypted-user-password.pdf'))).resolves.toEqual({
+        encrypted: true,
+        passwordProtected: true,
+        status: 'password_required'
+      });
+    });
+
+    test('rejects a wrong password', async () => {
+      const result = await processor.checkEncryption(fixture('encrypted-user-password.pdf'), 'wrong');
+      expect(result.status).toBe('password_incorrect');
+    });
+
+    test('unlocks with the user password', async () => {
+      const result = await processor.checkEncryption(fixture('encrypted-user-password.pdf'), 'open123');
+      expect(result).toEqual({ encrypted: true, passwordProtected: true, status: 'unlocked' });
+    });
+
+    test('extracts text once unlocked', async () => {
+      const { pageTexts } = await processor.extractPageTexts(fixture('encrypted-user-password.pdf'), 'open123');
+      expect(pageTexts[0]).toContain('Chapter 1 Introduction');
+    });
+  });
+
+  describe('owner-restricted PDF', () => {
+    test('opens without a password', async () => {
+      await expect(processor.checkEncryption(fixture('encrypted-owner-restricted.pdf'))).resolves.toEqual({
+        encrypted: true,
+        passwordProtected: false,
+        status: 'owner_restricted'
+      });
+    });
+
+    test('ignores a supplied password', async () => {
+      const result = await processor.checkEncryption(fixture('encrypted-owner-restricted.pdf'), 'anything');
+      expect(result.status).toBe('owner_restricted');
+    });
+
+    test('extracts text', async () => {
+      const { pageTexts } = await processor.extractPageTexts(fixture('encrypted-owner-restricted.pdf'));
+      expect(pageTexts[0]).toContain('random variable');
+    });
+  });
+
+  test('leaves unreadable files to the analysis step', async () => {
+    const result = await processor.checkEncryption(Buffer.from('not a pdf'));
+    expect(result.status).toBe('unreadable');
+  });
+});
@@ -0,0 +1,76 @@
+// tests/unit/pdfSafetyScanner.test.js
+// Verdicts of the structural safety scan. Risky objects are appended after the
+// fixture's %%EOF, which keeps its cross-reference table valid.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const PdfSafetyScannerService = require('../../src/services/pdfSafetyScanner');
+
+const plainPdf = fs.readFileSync(path.join(__dirname, '../fixtures/plain.pdf'));
+const withObjects = (...parts) => Buffer.concat([plainPdf, ...parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1'))]);
+
+const scanner = new PdfSafetyScannerService();
+const findingTypes = result => result.findings.map(finding => finding.type);
+
+describe('PdfSafetyScannerService.scan', () => {
+  test('accepts a plain PDF', () => {
+    const result = scanner.scan(plainPdf);
+
+    expect(result.verdict).toBe('clean');
+    expect(result.findings).toEqual([]);
+  });
+
+  test('quarantines embedded JavaScript', () => {
+    const result = scanner.scan(withObjects('\n9 0 obj << /S /JavaScript /JS (app.alert(1)) >> endobj\n'));
+
+    expect(result.verdict).toBe('quarantine');
+    expect(findingTypes(result)).toEqual(['javascript']);
+  });
+
+  test('rejects JavaScript that runs when the document opens', () => {
+    const result = scanner.scan(withObjects('\n9 0 obj << /OpenAction 10 0 R /S /JavaScript >> endobj\n'));
+
+    expect(result.verdict).toBe('reject');
+    expect(findingTypes(result)).toEqual(['javascript_autorun']);
+  });
+
+  test('rejects launch actions', () => {
+    const result = scanner.scan(withObjects('\n9 0 obj << /S /Launch /F (calc) >> endobj\n'));
+
+    expect(result.verdict).toBe('reject');
+    expect(findingTypes(result)).toContain('launch_action');
+  });
+
+  test('decodes hex escapes in names', () => {
+    const result = scanner.scan(withObjects('\n9 0 obj << /S /J#61vaScript >> endobj\n'));
+
+    expect(result.verdict).toBe('quarantine');
+    expect(findingTypes(result)).toEqual(['javascript']);
+  });
+
+  test('looks inside compressed object streams', () => {
+    const result = scanner.scan(withObjects(
+      '\n9 0 obj << /Type /ObjStm /Filter /FlateDecode /N 1 /First 4 >>\nstream\n',
+      zlib.deflateSync(Buffer.from('10 0 << /S /JavaScript >>', 'latin1')),
+      '\nendstream\nendobj\n'
+    ));
+
+    expect(result.verdict).toBe('quarantine');
+    expect(result.objectStreamsInspected).toBe(1);
+    expect(findingTypes(result)).toEqual(['javascript']);
+  });
+
+  test('quarantines a startxref that does not point at the cross-reference table', () => {
+    const result = scanner.scan(withObjects('\nstartxref\n12\n%%EOF\n'));
+
+    expect(result.verdict).toBe('quarantine');
+    expect(findingTypes(result)).toEqual(['malformed_xref']);
+  });
+
+  test('rejects files that are not PDFs', () => {
+    const result = scanner.scan(Buffer.from('MZ not a pdf'));
+
+    expect(result.verdict).toBe('reject');
+    expect(findingTypes(result)).toContain('invalid_header');
+  });
+});
@@ -0,0 +1,118 @@
+// tests/unit/savedFilters.test.js
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+
+const SavedFilterService = require('../../src/services/savedFilters');
+
+const filters = new SavedFilterService();
+
+const parse = query => {
+  const { ast, error } = filters.parse(query);
+  if (error) throw new Error(error.details);
+  return ast;
+};
+
+const document = (overrides = {}) => ({
+  title: 'Linear Algebra Notes',
+  tags: ['midterm', 'math'],
+  topic: { id: 'topic-1', name: 'Mathematics' },
+  content_type: 'mathematical',
+  processing_status: 'completed',
+  difficulty_level: 4,
+  priority: 2,
+  completion_percentage: 30,
+  total_pages: 120,
+  ...overrides
+});
+
+describe('SavedFilterService.parse', () => {
+  test('joins terms with an implied AND', () => {
+    expect(parse('tag:midterm difficulty>=4')).toEqual({
+      op: 'and',
+      children: [
+        { field: 'tag', operator: ':', value: 'midterm' },
+        { field: 'difficulty', operator: '>=', value: 4 }
+      ]
+    });
+  });
+
+  test('binds AND tighter than OR and honours parentheses and NOT', () => {
+    expect(parse('tag:a OR tag:b AND NOT (priority=1 OR pages<10)')).toEqual({
+      op: 'or',
+      children: [
+        { field: 'tag', operator: ':', value: 'a' },
+        {
+          op: 'and',
+          children: [
+            { field: 'tag', operator: ':', value: 'b' },
+            {
+              op: 'not',
+              child: {
+                op: 'or',
+                children: [
+                  { field: 'priority', operator: '=', value: 1 },
+                  { field: 'pages', operator: '<', value: 10 }
+                ]
+              }
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('keeps quoted values with spaces and lowercases text values', () => {
+    expect(parse('topic:"Machine Learning"')).toEqual({ field: 'topic', operator: ':', value: 'machine learning' });
+  });
+
+  test.each([
+    ['', 'A filter needs a query'],
+    ['colour:red', 'Unknown field "colour"'],
+    ['difficulty:hard', '"difficulty" needs a number, not "hard"'],
+    ['title>b', '"title" only supports : = !='],
+    ['(tag:a OR tag:b', 'Missing closing parenthesis'],
+    ['tag:a AND', 'Query ends unexpectedly'],
+    ['tag', 'Expected an operator'],
+    ['tag:a )', 'Unexpected ")"']
+  ])('rejects %p', (query, message) => {
+    const { error } = filters.parse(query);
+
+    expect(error.error).toBe('Invalid query');
+    expect(error.details).toContain(message);
+  });
+
+  test('rejects queries over the length limit', () => {
+    expect(filters.parse(`title:${'a'.repeat(500)}`).error.error).toBe('Query too long');
+  });
+});
+
+describe('SavedFilterService.matches', () => {
+  test.each([
+    ['tag:midterm AND difficulty>=4 AND completion<50', true],
+    ['tag:mid', false],
+    ['tag!=final', true],
+    ['title:algebra', true],
+    ['title=algebra', false],
+    ['title="linear algebra notes"', true],
+    ['topic:mathematics', true],
+    ['topic=topic-1', true],
+    ['status:processing OR priority<=2', true],
+    ['NOT tag:math', false],
+    ['pages>200 OR (type:math AND completion!=30)', false]
+  ])('%p is %p', (query, expected) => {
+    expect(filters.matches(parse(query), document())).toBe(expected);
+  });
+
+  test('never matches numeric terms on missing values', () => {
+    const unanalysed = document({ difficulty_level: null });
+
+    expect(filters.matches(parse('difficulty<3'), unanalysed)).toBe(false);
+    expect(filters.matches(parse('difficulty!=3'), unanalysed)).toBe(false);
+  });
+
+  test('treats documents without tags or a topic as having none', () => {
+    const bare = document({ tags: null, topic: null });
+
+    expect(filters.matches(parse('tag:midterm'), bare)).toBe(false);
+    expect(filters.matches(parse('topic!=mathematics'), bare)).toBe(true);
+  });
+});
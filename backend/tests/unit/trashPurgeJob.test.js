@@ -0,0 +1,44 @@
+// tests/unit/trashPurgeJob.test.js
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+
+const { mock } = require('../../src/config/supabase');
+const TrashPurgeJob = require('../../src/services/trashPurgeJob');
+
+// Expired documents as the listing query would return them, honouring the
+// batch limit and the "not in" exclusion the job sends
+const expiredTrash = count => {
+  const documents = Array.from({ length: count }, (_, i) => ({ id: `doc-${i}`, user_id: 'user-1' }));
+
+  return (table, calls) => {
+    const [, , , excluded = ''] = calls.find(([method]) => method === 'not') || [];
+    const [, limit] = calls.find(([method]) => method === 'limit');
+    const remaining = documents.filter(document => !excluded.includes(`${document.id},`) && !excluded.includes(`${document.id})`));
+    return { data: remaining.slice(0, limit), error: null };
+  };
+};
+
+beforeEach(() => {
+  mock.queries = [];
+});
+
+describe('TrashPurgeJob.run', () => {
+  test('purges every expired document across batches', async () => {
+    mock.respond = expiredTrash(250);
+    const purgeDocument = jest.fn().mockResolvedValue({ error: null });
+
+    const summary = await new TrashPurgeJob({ purgeDocument }).run();
+
+    expect(summary).toMatchObject({ purged: 250, failed: 0 });
+    expect(new Set(purgeDocument.mock.calls.map(([document]) => document.id)).size).toBe(250);
+  });
+
+  test('tries each document once per run when purging keeps failing', async () => {
+    mock.respond = expiredTrash(150);
+    const purgeDocument = jest.fn().mockResolvedValue({ error: { message: 'Document was not deleted' } });
+
+    const summary = await new TrashPurgeJob({ purgeDocument }).run();
+
+    expect(summary).toMatchObject({ purged: 0, failed: 150 });
+    expect(purgeDocument).toHaveBeenCalledTimes(150);
+  });
+});
@@ -0,0 +1,75 @@
+// tests/unit/uploadQuota.test.js
+jest.mock('../../src/config/supabase', () => require('../helpers/supabaseMock').createSupabaseMock());
+
+const { mock } = require('../../src/config/supabase');
+const UploadQuotaService = require('../../src/services/uploadQuota');
+
+const MB = 1024 * 1024;
+
+describe('UploadQuotaService', () => {
+  const quota = new UploadQuotaService({ maxDocuments: 3, maxStorageMb: 10 });
+
+  test('loads usage from the usage function', async () => {
+    mock.rpc = (fn, params) => ({
+      data: fn === 'document_upload_usage' && params.p_user_id === 'user-1'
+        ? [{ active_documents: '2', stored_bytes: String(4 * MB) }]
+        : [],
+      error: null
+    });
+
+    expect(await quota.load('user-1')).toEqual({ documents: 2, bytes: 4 * MB });
+  });
+
+  test('fails loudly when usage cannot be loaded', async () => {
+    mock.rpc = () => ({ data: null, error: { message: 'timeout' } });
+
+    await expect(quota.load('user-1')).rejects.toThrow('Failed to load upload usage: timeout');
+  });
+
+  test('reserve counts files until the document limit is reached', () => {
+    const usage = { documents: 1, bytes: 0 };
+
+    expect(quota.reserve(usage, MB)).toBeNull();
+    expect(quota.reserve(usage, MB)).toBeNull();
+    expect(usage).toEqual({ documents: 3, bytes: 2 * MB });
+
+    const error = quota.reserve(usage, MB);
+    expect(error).toMatchObject({ error: 'Document quota exceeded', code: 'DOCUMENT_QUOTA_EXCEEDED' });
+    expect(error.quota).toEqual({ documents: { used: 3, limit: 3 }, storage_mb: { used: 2, limit: 10 } });
+    expect(usage).toEqual({ documents: 3, bytes: 2 * MB });
+  });
+
+  test('reserve refuses a file that does not fit in the remaining storage', () => {
+    const usage = { documents: 0, bytes: 8 * MB };
+
+    expect(quota.reserve(usage, 2 * MB)).toBeNull();
+    const error = quota.reserve({ documents: 0, bytes: 8 * MB }, 2 * MB + 1);
+
+    expect(error).toMatchObject({ error: 'Storage quota exceeded', code: 'DOCUMENT_QUOTA_EXCEEDED' });
+    expect(error.details).toBe('This file needs 3 MB but only 2 MB of your 10 MB remain');
+    expect(usage).toEqual({ documents: 1, bytes: 10 * MB });
+  });
+
+  test('release gives back a reservation and never goes below zero', () => {
+    const usage = { documents: 1, bytes: 3 * MB };
+
+    quota.release(usage, 2 * MB);
+    expect(usage).toEqual({ documents: 0, bytes: MB });
+
+    quota.release(usage, 5 * MB);
+    expect(usage).toEqual({ documents: 0, bytes: 0 });
+
+    quota.release(usage, undefined);
+    expect(usage).toEqual({ documents: 0, bytes: 0 });
+  });
+
+  test('a released reservation makes room for the next file', () => {
+    const usage = { documents: 3, bytes: 9 * MB };
+    expect(quota.reserve(usage, MB)).not.toBeNull();
+
+    quota.release(usage, 3 * MB);
+
+    expect(quota.reserve(usage, 2 * MB)).toBeNull();
+    expect(usage).toEqual({ documents: 3, bytes: 8 * MB });
+  });
+});
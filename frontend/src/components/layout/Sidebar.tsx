@@ -1,15 +1,23 @@
 // src/components/layout/Sidebar.tsx
 import React from 'react';
-import { NavLink, useLocation } from 'react-router-dom';
+import { NavLink, useLocation, useNavigate } from 'react-router-dom';
 import { 
   Home, 
   FileText, 
   BookOpen, 
   BarChart3, 
   Settings,
+  Filter,
+  Plus,
   Menu,
   X
 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useApp } from '../../context/AppContext';
+import { savedFiltersAPI } from '../../services/api';
+import { SavedFilter } from '../../types';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
 import { cn } from '../../lib/utils';
 
 const navigation = [
@@ -20,9 +28,141 @@ const navigation = [
   { name: 'Settings', href: '/settings', icon: Settings },
 ];
 
+// Create Smart Filter Modal
+interface SmartFilterModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onSave: (name: string, query: string) => Promise<void>;
+}
+
+const SmartFilterModal: React.FC<SmartFilterModalProps> = ({ isOpen, onClose, onSave }) => {
+  const [formData, setFormData] = React.useState({ name: '', query: '' });
+  const [errors, setErrors] = React.useState<{[key: string]: string}>({});
+  const [isSaving, setIsSaving] = React.useState(false);
+
+  // Start from an empty form each time the modal opens
+  React.useEffect(() => {
+    if (isOpen) {
+      setFormData({ name: '', query: '' });
+      setErrors({});
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const newErrors: {[key: string]: string} = {};
+    if (!formData.name.trim()) newErrors.name = 'Filter name is required';
+    if (!formData.query.trim()) newErrors.query = 'Filter query is required';
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    try {
+      setIsSaving(true);
+      await onSave(formData.name.trim(), formData.query.trim());
+      onClose();
+    } catch (error: any) {
+      // Parse errors point at the query; the modal stays open to fix it
+      setErrors({ query: error.response?.data?.details || 'Failed to save filter' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleInputChange = (field: 'name' | 'query', value: string) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex min-h-screen items-center justify-center p-4">
+        <div className="fixed inset-0 bg-black bg-opacity-50" onClick={onClose} />
+
+        <div className="relative w-full max-w-lg bg-white rounded-lg shadow-xl">
+          <div className="flex items-center justify-between p-6 border-b">
+            <h2 className="text-xl font-semibold text-gray-900">New Smart Filter</h2>
+            <Button variant="ghost" size="sm" onClick={onClose}>
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="p-6 space-y-6">
+            <Input
+              label="Name"
+              value={formData.name}
+              onChange={(e) => handleInputChange('name', e.target.value)}
+              error={errors.name}
+              placeholder="e.g., Midterm catch-up"
+              autoFocus
+            />
+
+            <Input
+              label="Query"
+              value={formData.query}
+              onChange={(e) => handleInputChange('query', e.target.value)}
+              error={errors.query}
+              placeholder="tag:midterm AND difficulty>=4 AND completion<50"
+              helperText="Fields: tag, topic, title, type, status, difficulty, priority, completion, pages"
+            />
+
+            <div className="flex justify-end space-x-3 pt-4 border-t">
+              <Button type="button" variant="outline" onClick={onClose}>
+                Cancel
+              </Button>
+              <Button type="submit" isLoading={isSaving}>
+                Save Filter
+              </Button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const Sidebar: React.FC = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = React.useState(false);
+  const [isFilterModalOpen, setIsFilterModalOpen] = React.useState(false);
+  const { state, dispatch } = useApp();
+  const savedFilters = state.savedFilters;
   const location = useLocation();
+  const navigate = useNavigate();
+  const activeFilterId = location.pathname === '/documents'
+    ? new URLSearchParams(location.search).get('filter')
+    : null;
+
+  // The list lives in the app state so the documents page sees the same filters
+  React.useEffect(() => {
+    savedFiltersAPI.getAll()
+      .then(response => dispatch({ type: 'SET_SAVED_FILTERS', payload: response.filters }))
+      .catch(error => console.error('Failed to load saved filters:', error));
+  }, []);
+
+  const handleSaveFilter = async (name: string, query: string) => {
+    const response = await savedFiltersAPI.create(name, query);
+    dispatch({ type: 'ADD_SAVED_FILTER', payload: response.filter });
+    toast.success(`Saved "${response.filter.name}"`);
+  };
+
+  const handleDeleteFilter = async (filter: SavedFilter) => {
+    if (!window.confirm(`Delete the smart filter "${filter.name}"?`)) return;
+
+    try {
+      await savedFiltersAPI.delete(filter.id);
+      dispatch({ type: 'DELETE_SAVED_FILTER', payload: filter.id });
+      if (activeFilterId === filter.id) {
+        navigate('/documents');
+      }
+    } catch (error) {
+      console.error('Delete filter error:', error);
+      toast.error('Failed to delete filter');
+    }
+  };
 
   const NavItem: React.FC<{ item: typeof navigation[0] }> = ({ item }) => {
     const isActive = location.pathname === item.href;
@@ -94,10 +234,58 @@ const Sidebar: React.FC = () => {
           </div>
 
           {/* Navigation */}
-          <nav className="flex-1 px-4 py-6 space-y-2">
+          <nav className="flex-1 px-4 py-6 space-y-2 overflow-y-auto">
             {navigation.map((item) => (
               <NavItem key={item.name} item={item} />
             ))}
+
+            {/* Saved smart filters */}
+            <div className="pt-6">
+              <div className="flex items-center justify-between px-4 mb-2">
+                <span className="text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                  Smart filters
+                </span>
+                <button
+                  onClick={() => setIsFilterModalOpen(true)}
+                  className="p-1 rounded-md text-gray-400 hover:text-gray-600"
+                  title="New smart filter"
+                >
+                  <Plus className="h-4 w-4" />
+                </button>
+              </div>
+
+              {savedFilters.length === 0 ? (
+                <p className="px-4 text-xs text-gray-400">
+                  Save queries like tag:midterm AND completion&lt;50
+                </p>
+              ) : (
+                savedFilters.map(filter => (
+                  <div key={filter.id} className="group relative">
+                    <NavLink
+                      to={`/documents?filter=${filter.id}`}
+                      title={filter.query}
+                      className={cn(
+                        'flex items-center px-4 py-2 pr-8 text-sm rounded-lg transition-all duration-200',
+                        activeFilterId === filter.id
+                          ? 'bg-blue-50 text-blue-700'
+                          : 'text-gray-600 hover:bg-gray-100 hover:text-gray-900'
+                      )}
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      <Filter className="mr-3 h-4 w-4 text-gray-400" />
+                      <span className="truncate">{filter.name}</span>
+                    </NavLink>
+                    <button
+                      onClick={() => handleDeleteFilter(filter)}
+                      className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded text-gray-300 opacity-0 group-hover:opacity-100 hover:text-red-500"
+                      title="Delete smart filter"
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
           </nav>
 
           {/* Footer */}
@@ -108,6 +296,12 @@ const Sidebar: React.FC = () => {
           </div>
         </div>
       </aside>
+
+      <SmartFilterModal
+        isOpen={isFilterModalOpen}
+        onClose={() => setIsFilterModalOpen(false)}
+        onSave={handleSaveFilter}
+      />
     </>
   );
 };
@@ -1,10 +1,11 @@
 import React, { createContext, useContext, useReducer, ReactNode, useEffect } from 'react';
-import { Topic, Document, Achievement, DashboardData } from '../types';
+import { Topic, Document, Achievement, DashboardData, SavedFilter } from '../types';
 
 interface AppState {
   topics: Topic[];
   documents: Document[];
   achievements: Achievement[];
+  savedFilters: SavedFilter[];
   dashboardData: DashboardData | null;
   isLoading: boolean;
   error: string | null;
@@ -23,6 +24,9 @@ type AppAction =
   | { type: 'UPDATE_DOCUMENT'; payload: { id: string; updates: Partial<Document> } }
   | { type: 'DELETE_DOCUMENT'; payload: string }
   | { type: 'SET_ACHIEVEMENTS'; payload: Achievement[] }
+  | { type: 'SET_SAVED_FILTERS'; payload: SavedFilter[] }
+  | { type: 'ADD_SAVED_FILTER'; payload: SavedFilter }
+  | { type: 'DELETE_SAVED_FILTER'; payload: string }
   | { type: 'SET_DASHBOARD_DATA'; payload: DashboardData }
   | { type: 'RESET_STATE' };
 
@@ -30,6 +34,7 @@ const initialState: AppState = {
   topics: [],
   documents: [],
   achievements: [],
+  savedFilters: [],
   dashboardData: null,
   isLoading: false,
   error: null,
@@ -121,6 +126,28 @@ const appReducer = (state: AppState, action: AppAction): AppState => {
         lastUpdated: new Date()
       };
     
+    // Smart filters are listed by name in the sidebar
+    case 'SET_SAVED_FILTERS':
+      return {
+        ...state,
+        savedFilters: action.payload,
+        lastUpdated: new Date()
+      };
+
+    case 'ADD_SAVED_FILTER':
+      return {
+        ...state,
+        savedFilters: [...state.savedFilters, action.payload].sort((a, b) => a.name.localeCompare(b.name)),
+        lastUpdated: new Date()
+      };
+
+    case 'DELETE_SAVED_FILTER':
+      return {
+        ...state,
+        savedFilters: state.savedFilters.filter(filter => filter.id !== action.payload),
+        lastUpdated: new Date()
+      };
+
     case 'SET_DASHBOARD_DATA':
       return { 
         ...state, 
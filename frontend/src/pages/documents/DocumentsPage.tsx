@@ -1,5 +1,6 @@
 // src/pages/documents/DocumentsPage.tsx
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useApp } from '../../context/AppContext';
 import { documentsAPI, topicsAPI } from '../../services/api';
@@ -30,7 +31,7 @@ import {
   AlertCircle
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { Document, Topic } from '../../types';
+import { Document, DocumentSearchHit, Topic } from '../../types';
 import { formatFileSize, formatRelativeTime, formatDuration, cn } from '../../lib/utils';
 
 // Upload Modal Component
@@ -55,7 +56,9 @@ const UploadModal: React.FC<UploadModalProps> = ({
     title: '',
     topic_id: '',
     priority: 3,
-    notes: ''
+    notes: '',
+    tags: '',
+    topic_from_folder: false
   });
   const [uploadProgress, setUploadProgress] = useState(0);
 
@@ -72,14 +75,14 @@ const UploadModal: React.FC<UploadModalProps> = ({
   const handleDrop = (e: React.DragEvent) => {
     e.preventDefault();
     setIsDragOver(false);
-    const files = Array.from(e.dataTransfer.files).filter(file => file.type === 'application/pdf');
+    const files = Array.from(e.dataTransfer.files).filter(file => /\.(pdf|zip)$/i.test(file.name));
     if (files.length > 0) {
       setSelectedFiles(files);
       if (files.length === 1) {
         setFormData(prev => ({ ...prev, title: files[0].name.replace('.pdf', '') }));
       }
     } else {
-      toast.error('Please select PDF files only');
+      toast.error('Please select PDF or ZIP files only');
     }
   };
 
@@ -109,7 +112,7 @@ const UploadModal: React.FC<UploadModalProps> = ({
       
       // Reset form
       setSelectedFiles([]);
-      setFormData({ title: '', topic_id: '', priority: 3, notes: '' });
+      setFormData({ title: '', topic_id: '', priority: 3, notes: '', tags: '', topic_from_folder: false });
       setUploadProgress(0);
       onClose();
     } catch (error) {
@@ -152,12 +155,12 @@ const UploadModal: React.FC<UploadModalProps> = ({
                 Drop PDF files here or click to browse
               </p>
               <p className="text-sm text-gray-500 mb-4">
-                Supported formats: PDF • Max size: 50MB per file
+                Supported formats: PDF, ZIP of documents • Max size: 50MB per file
               </p>
               <input
                 type="file"
                 multiple
-                accept=".pdf"
+                accept=".pdf,.zip"
                 onChange={handleFileSelect}
                 className="hidden"
                 id="file-upload"
@@ -264,8 +267,26 @@ const UploadModal: React.FC<UploadModalProps> = ({
                 onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
                 placeholder="Add notes about this document"
               />
+
+              <Input
+                label="Tags (Optional)"
+                value={formData.tags}
+                onChange={(e) => setFormData(prev => ({ ...prev, tags: e.target.value }))}
+                placeholder="midterm, chapter-3"
+              />
             </div>
 
+            {selectedFiles.some(file => /\.zip$/i.test(file.name)) && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.topic_from_folder}
+                  onChange={(e) => setFormData(prev => ({ ...prev, topic_from_folder: e.target.checked }))}
+                />
+                <span>File documents under topics named after their ZIP folders</span>
+              </label>
+            )}
+
             {/* Actions */}
             <div className="flex justify-end space-x-3 pt-4 border-t">
               <Button type="button" variant="outline" onClick={onClose}>
@@ -286,19 +307,106 @@ const UploadModal: React.FC<UploadModalProps> = ({
   );
 };
 
+// Full-text Search Results Component
+interface SearchResultsPanelProps {
+  query: string;
+  hits: DocumentSearchHit[];
+  total: number;
+  isSearching: boolean;
+  onJump: (hit: DocumentSearchHit) => void;
+}
+
+const HighlightedSnippet: React.FC<{ hit: DocumentSearchHit }> = ({ hit }) => {
+  // Build the snippet from highlight offsets rather than injecting HTML
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+
+  hit.highlights.forEach((range, i) => {
+    if (range.start > cursor) {
+      parts.push(hit.snippet.slice(cursor, range.start));
+    }
+    parts.push(
+      <mark key={i} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {hit.snippet.slice(range.start, range.end)}
+      </mark>
+    );
+    cursor = range.end;
+  });
+  parts.push(hit.snippet.slice(cursor));
+
+  return <p className="text-sm text-gray-600 mt-1 line-clamp-2">{parts}</p>;
+};
+
+const SearchResultsPanel: React.FC<SearchResultsPanelProps> = ({
+  query,
+  hits,
+  total,
+  isSearching,
+  onJump
+}) => {
+  return (
+    <Card className="mb-6">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-base flex items-center space-x-2">
+          <Search className="w-4 h-4 text-blue-600" />
+          <span>Found in document text</span>
+          {isSearching && <LoadingSpinner size="sm" />}
+        </CardTitle>
+        <p className="text-sm text-gray-500">
+          {isSearching
+            ? `Searching for "${query}"...`
+            : `${total} matching page${total === 1 ? '' : 's'} for "${query}"`}
+        </p>
+      </CardHeader>
+      {hits.length > 0 && (
+        <CardContent className="pt-0">
+          <ul className="divide-y divide-gray-100">
+            {hits.map(hit => (
+              <li key={`${hit.document_id}-${hit.page_number}`}>
+                <button
+                  onClick={() => onJump(hit)}
+                  className="w-full text-left py-3 px-2 rounded-md hover:bg-gray-50 transition-colors"
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      <FileText className="w-4 h-4 text-red-600 flex-shrink-0" />
+                      <span className="font-medium text-gray-900 truncate">{hit.document_title}</span>
+                    </div>
+                    <span className="text-xs font-medium text-blue-600 flex-shrink-0 ml-2">
+                      Page {hit.page_number}
+                    </span>
+                  </div>
+                  {(hit.chapter_title || hit.section_title) && (
+                    <p className="text-xs text-gray-500 mt-0.5 truncate">
+                      {[hit.chapter_title, hit.section_title].filter(Boolean).join(' › ')}
+                    </p>
+                  )}
+                  <HighlightedSnippet hit={hit} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </CardContent>
+      )}
+    </Card>
+  );
+};
+
 // Document Card Component
 interface DocumentCardProps {
   document: Document;
   onEdit: (document: Document) => void;
   onDelete: (document: Document) => void;
   onView: (document: Document) => void;
+  highlightedPage?: number;
 }
 
 const DocumentCard: React.FC<DocumentCardProps> = ({ 
   document, 
   onEdit, 
   onDelete, 
-  onView 
+  onView,
+  highlightedPage
 }) => {
   const [showActions, setShowActions] = useState(false);
   const progress = document.completion_percentage || 0;
@@ -316,8 +424,20 @@ const DocumentCard: React.FC<DocumentCardProps> = ({
   };
 
   return (
-    <Card className="group hover:shadow-lg transition-all duration-200 relative">
+    <Card
+      id={`document-${document.id}`}
+      className={cn(
+        "group hover:shadow-lg transition-all duration-200 relative",
+        highlightedPage && "ring-2 ring-blue-500"
+      )}
+    >
       <CardContent className="p-6">
+        {highlightedPage && (
+          <div className="absolute top-4 left-4 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-700">
+            Match on page {highlightedPage}
+          </div>
+        )}
+
         {/* Actions Menu */}
         <div className="absolute top-4 right-4">
           <div className="relative">
@@ -382,6 +502,17 @@ const DocumentCard: React.FC<DocumentCardProps> = ({
           </div>
         )}
 
+        {/* Tags */}
+        {document.tags && document.tags.length > 0 && (
+          <div className="flex flex-wrap justify-center gap-1 mb-3">
+            {document.tags.map(tag => (
+              <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">
+                #{tag}
+              </span>
+            ))}
+          </div>
+        )}
+
         {/* Progress Bar */}
         <div className="mb-4">
           <div className="flex justify-between text-sm mb-1">
@@ -422,6 +553,8 @@ const DocumentCard: React.FC<DocumentCardProps> = ({
 const DocumentsPage: React.FC = () => {
   const { user } = useAuth();
   const { state, dispatch } = useApp();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filterId = searchParams.get('filter');
   
   // State management
   const [documents, setDocuments] = useState<Document[]>([]);
@@ -434,17 +567,27 @@ const DocumentsPage: React.FC = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isUploading, setIsUploading] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
+  const [searchHits, setSearchHits] = useState<DocumentSearchHit[]>([]);
+  const [searchTotal, setSearchTotal] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState<DocumentSearchHit | null>(null);
+  // The sidebar keeps the smart filter list in the app state
+  const activeFilter = filterId
+    ? state.savedFilters.find(filter => filter.id === filterId) || null
+    : null;
 
-  // Load data
+  const fullTextQuery = searchQuery.trim().length >= 3 ? searchQuery.trim() : '';
+
+  // Load data, re-running when a sidebar smart filter is picked
   useEffect(() => {
     loadData();
-  }, []);
+  }, [filterId]);
 
   const loadData = async () => {
     try {
       setIsLoading(true);
       const [documentsResponse, topicsResponse] = await Promise.all([
-        documentsAPI.getAll(),
+        documentsAPI.getAll(filterId ? { filter: filterId } : {}),
         topicsAPI.getAll()
       ]);
 
@@ -460,6 +603,52 @@ const DocumentsPage: React.FC = () => {
     }
   };
 
+  // Search page text once the user pauses typing
+  useEffect(() => {
+    setJumpTarget(null);
+
+    if (!fullTextQuery) {
+      setSearchHits([]);
+      setSearchTotal(0);
+      return;
+    }
+
+    let cancelled = false;
+    setIsSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await documentsAPI.search(
+          fullTextQuery,
+          selectedTopic ? { topic_id: selectedTopic } : {}
+        );
+        if (!cancelled) {
+          setSearchHits(response.results);
+          setSearchTotal(response.pagination.total);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) {
+          setSearchHits([]);
+          setSearchTotal(0);
+        }
+      } finally {
+        if (!cancelled) setIsSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fullTextQuery, selectedTopic]);
+
+  // Documents that matched on their text, not just their title
+  const textMatchDocumentIds = React.useMemo(
+    () => new Set(searchHits.map(hit => hit.document_id)),
+    [searchHits]
+  );
+
   // Filter and sort documents
   const filteredAndSortedDocuments = React.useMemo(() => {
     let filtered = documents;
@@ -467,7 +656,8 @@ const DocumentsPage: React.FC = () => {
     // Search filter
     if (searchQuery) {
       filtered = filtered.filter(doc =>
-        doc.title.toLowerCase().includes(searchQuery.toLowerCase())
+        doc.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
+        textMatchDocumentIds.has(doc.id)
       );
     }
 
@@ -493,30 +683,83 @@ const DocumentsPage: React.FC = () => {
     });
 
     return filtered;
-  }, [documents, searchQuery, selectedTopic, sortBy]);
+  }, [documents, searchQuery, selectedTopic, sortBy, textMatchDocumentIds]);
+
+  // Encrypted PDFs come back with a password code; ask for it and resend
+  const uploadWithPassword = async (file: File, uploadMetadata: Record<string, any>): Promise<any> => {
+    try {
+      return await documentsAPI.upload(file, uploadMetadata);
+    } catch (error: any) {
+      const code = error.response?.data?.code;
+      if (code !== 'PDF_PASSWORD_REQUIRED' && code !== 'PDF_PASSWORD_INCORRECT') throw error;
+
+      const password = window.prompt(
+        code === 'PDF_PASSWORD_INCORRECT'
+          ? `That password didn't unlock "${file.name}". Try again:`
+          : `"${file.name}" is password protected. Enter its password:`
+      );
+      if (!password) throw new Error(`Upload of "${file.name}" cancelled`);
+
+      return uploadWithPassword(file, { ...uploadMetadata, pdf_password: password });
+    }
+  };
+
+  // Several files or ZIP archives go up as one batch with a result per file
+  const uploadBatch = async (files: File[], metadata: any) => {
+    const batch = await documentsAPI.uploadBatch(files, {
+      topic_id: metadata.topic_id || '',
+      priority: metadata.priority || 3,
+      notes: metadata.notes || '',
+      tags: metadata.tags || '',
+      topic_from_folder: metadata.topic_from_folder ? 'true' : 'false'
+    });
+
+    const { created, duplicate, failed } = batch.summary;
+    if (created > 0) {
+      toast.success(`${created} document(s) uploaded${duplicate ? `, ${duplicate} already in your library` : ''}`);
+    } else if (duplicate > 0 && failed === 0) {
+      toast(`All ${duplicate} file(s) are already in your library`, { icon: '📚' });
+    }
+    batch.results
+      .filter((result: any) => result.status === 'failed')
+      .forEach((result: any) => toast.error(`${result.file}: ${result.reason}`));
+  };
 
   // Upload handler with proper error handling
   const handleUpload = async (files: FileList, metadata: any) => {
     setIsUploading(true);
     try {
+      if (files.length > 1 || Array.from(files).some(file => /\.zip$/i.test(file.name))) {
+        await uploadBatch(Array.from(files), metadata);
+        await loadData();
+        return;
+      }
+
       const uploadPromises = Array.from(files).map(async (file) => {
         const uploadMetadata = {
           title: metadata.title || file.name.replace('.pdf', ''),
           topic_id: metadata.topic_id || '',
           priority: metadata.priority || 3,
-          notes: metadata.notes || ''
+          notes: metadata.notes || '',
+          tags: metadata.tags || ''
         };
         
-        return documentsAPI.upload(file, uploadMetadata);
+        return uploadWithPassword(file, uploadMetadata);
       });
 
       const results = await Promise.all(uploadPromises);
       toast.success(`${files.length} document(s) uploaded successfully!`);
+      results
+        .filter(result => result?.safety?.action === 'quarantined')
+        .forEach(result => {
+          toast(`"${result.document.title}" was quarantined: ${result.safety.reason}`, { icon: '🛡️' });
+        });
       await loadData(); // Refresh the document list
       
     } catch (error: any) {
       console.error('Upload error:', error);
-      toast.error(error.message || 'Upload failed');
+      // Rejections (unsafe or unreadable files) explain themselves in details
+      toast.error(error.response?.data?.details || error.message || 'Upload failed');
       throw error; // Re-throw to let the modal handle it
     } finally {
       setIsUploading(false);
@@ -524,8 +767,43 @@ const DocumentsPage: React.FC = () => {
   };
 
   // Document actions
-  const handleView = (document: Document) => {
-    toast.info('Document viewer coming soon!');
+  const handleView = async (document: Document) => {
+    // Open the tab before the request so the browser doesn't block it as a popup
+    const viewer = window.open('', '_blank');
+    if (viewer) viewer.opener = null;
+
+    try {
+      const file = await documentsAPI.getFileUrl(document.id);
+
+      if (file.quarantined) {
+        toast(`"${document.title}" was quarantined and will be downloaded instead: ${file.safety_reason}`, {
+          icon: '🛡️',
+          duration: 8000
+        });
+      }
+
+      // Browser PDF viewers open at #page=N; prefer the search hit, then the reading position
+      const page = jumpTarget?.document_id === document.id ? jumpTarget.page_number : document.current_page;
+      const url = file.disposition === 'inline' && page ? `${file.url}#page=${page}` : file.url;
+
+      if (viewer) {
+        viewer.location.href = url;
+      } else {
+        window.location.href = url;
+      }
+    } catch (error: any) {
+      viewer?.close();
+      console.error('Open document error:', error);
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to open document');
+    }
+  };
+
+  const handleJumpToHit = (hit: DocumentSearchHit) => {
+    setJumpTarget(hit);
+    window.document
+      .getElementById(`document-${hit.document_id}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    toast.success(`"${hit.document_title}" — page ${hit.page_number}`);
   };
 
   const handleEdit = (document: Document) => {
@@ -533,10 +811,24 @@ const DocumentsPage: React.FC = () => {
   };
 
   const handleDelete = async (document: Document) => {
-    if (window.confirm(`Are you sure you want to delete "${document.title}"?`)) {
+    if (window.confirm(`Move "${document.title}" to the trash? You can restore it until it is permanently deleted.`)) {
       try {
-        await documentsAPI.delete(document.id);
-        toast.success('Document deleted successfully');
+        const result = await documentsAPI.delete(document.id);
+        const purgeDate = new Date(result.deleted_document.purge_after).toLocaleDateString();
+        toast.success((t) => (
+          <span className="flex items-center gap-3">
+            Moved to trash — restorable until {purgeDate}
+            <button
+              onClick={() => {
+                toast.dismiss(t.id);
+                handleRestore(document);
+              }}
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Undo
+            </button>
+          </span>
+        ));
         await loadData(); // Refresh the document list
       } catch (error) {
         console.error('Delete error:', error);
@@ -545,6 +837,18 @@ const DocumentsPage: React.FC = () => {
     }
   };
 
+  const handleRestore = async (document: Document) => {
+    try {
+      await documentsAPI.restore(document.id);
+      toast.success(`Restored "${document.title}"`);
+      await loadData();
+    } catch (error: any) {
+      console.error('Restore error:', error);
+      // The quota may no longer have room for it
+      toast.error(error.response?.data?.details || 'Failed to restore document');
+    }
+  };
+
   const clearFilters = () => {
     setSearchQuery('');
     setSelectedTopic('');
@@ -594,7 +898,7 @@ const DocumentsPage: React.FC = () => {
               <div className="relative flex-1 max-w-md">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
                 <Input
-                  placeholder="Search documents..."
+                  placeholder="Search titles and document text..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                   className="pl-10"
@@ -675,6 +979,29 @@ const DocumentsPage: React.FC = () => {
 
       {/* Main Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {activeFilter && (
+          <div className="mb-6 flex items-center justify-between p-3 bg-blue-50 border border-blue-100 rounded-lg">
+            <div className="flex items-center space-x-2 text-sm min-w-0">
+              <Filter className="w-4 h-4 text-blue-600 flex-shrink-0" />
+              <span className="font-medium text-blue-900">{activeFilter.name}</span>
+              <code className="text-blue-700 truncate">{activeFilter.query}</code>
+            </div>
+            <Button variant="ghost" size="sm" onClick={() => setSearchParams({})}>
+              Show all documents
+            </Button>
+          </div>
+        )}
+
+        {fullTextQuery && (
+          <SearchResultsPanel
+            query={fullTextQuery}
+            hits={searchHits}
+            total={searchTotal}
+            isSearching={isSearching}
+            onJump={handleJumpToHit}
+          />
+        )}
+
         {filteredAndSortedDocuments.length > 0 ? (
           viewMode === 'grid' ? (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
@@ -685,6 +1012,7 @@ const DocumentsPage: React.FC = () => {
                   onView={handleView}
                   onEdit={handleEdit}
                   onDelete={handleDelete}
+                  highlightedPage={jumpTarget?.document_id === document.id ? jumpTarget.page_number : undefined}
                 />
               ))}
             </div>
@@ -704,11 +1032,23 @@ const DocumentsPage: React.FC = () => {
                   </thead>
                   <tbody>
                     {filteredAndSortedDocuments.map(document => (
-                      <tr key={document.id} className="border-b hover:bg-gray-50 transition-colors">
+                      <tr
+                        key={document.id}
+                        id={`document-${document.id}`}
+                        className={cn(
+                          "border-b hover:bg-gray-50 transition-colors",
+                          jumpTarget?.document_id === document.id && "bg-blue-50"
+                        )}
+                      >
                         <td className="py-3 px-4">
                           <div className="flex items-center space-x-3">
                             <FileText className="w-5 h-5 text-red-600" />
                             <span className="font-medium text-gray-900">{document.title}</span>
+                            {jumpTarget?.document_id === document.id && (
+                              <span className="text-xs font-medium text-blue-600">
+                                Page {jumpTarget.page_number}
+                              </span>
+                            )}
                           </div>
                         </td>
                         <td className="py-3 px-4">
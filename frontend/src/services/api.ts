@@ -114,10 +114,69 @@ export const documentsAPI = {
     });
     return response.data;
   },
+
+  // Several documents and/or ZIP archives; the response has a result per file
+  async uploadBatch(files: File[], metadata = {}) {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    Object.entries(metadata).forEach(([key, value]) => {
+      formData.append(key, value as string);
+    });
+
+    const response = await api.post('/documents/upload/batch', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
   
+  async update(id: string, updates: any) {
+    const response = await api.patch(`/documents/${id}`, updates);
+    return response.data;
+  },
+
+  // Short-lived signed link to the original file
+  async getFileUrl(id: string, options = {}) {
+    const response = await api.get(`/documents/${id}/file`, { params: { mode: 'url', ...options } });
+    return response.data;
+  },
+
+  // Moves the document to the trash; restore() brings it back until it is purged
   async delete(id: string) {
     const response = await api.delete(`/documents/${id}`);
     return response.data;
+  },
+
+  async restore(id: string) {
+    const response = await api.post(`/documents/${id}/restore`);
+    return response.data;
+  },
+
+  async search(query: string, filters = {}) {
+    const response = await api.get('/documents/search', { params: { q: query, ...filters } });
+    return response.data;
+  }
+};
+
+// Saved smart filters; apply one with documentsAPI.getAll({ filter: id })
+export const savedFiltersAPI = {
+  async getAll() {
+    const response = await api.get('/documents/filters');
+    return response.data;
+  },
+
+  async create(name: string, query: string) {
+    const response = await api.post('/documents/filters', { name, query });
+    return response.data;
+  },
+
+  async update(id: string, updates: { name?: string; query?: string }) {
+    const response = await api.patch(`/documents/filters/${id}`, updates);
+    return response.data;
+  },
+
+  async delete(id: string) {
+    const response = await api.delete(`/documents/filters/${id}`);
+    return response.data;
   }
 };
 
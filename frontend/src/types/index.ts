@@ -85,6 +85,7 @@ export interface Document {
   topic_id?: string;
   topic?: Topic;
   topic_name?: string;
+  tags?: string[];
   completed_pages?: number;
   completion_percentage?: number;
   total_time_spent_seconds?: number;
@@ -101,6 +102,39 @@ export interface Document {
   };
 }
 
+// Named document query such as "tag:midterm AND difficulty>=4 AND completion<50"
+export interface SavedFilter {
+  id: string;
+  name: string;
+  query: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface DocumentSearchHit {
+  document_id: string;
+  document_title: string;
+  topic_id?: string | null;
+  page_number: number;
+  chapter_title?: string | null;
+  section_title?: string | null;
+  rank: number;
+  snippet: string;
+  snippet_html: string;
+  highlights: { start: number; end: number }[];
+}
+
+export interface DocumentSearchResponse {
+  query: string;
+  results: DocumentSearchHit[];
+  pagination: {
+    total: number;
+    limit: number;
+    offset: number;
+    has_more: boolean;
+  };
+}
+
 export interface StudySession {
   id: string;
   user_id: string;